@@ -0,0 +1,15 @@
+#!/usr/bin/env node
+
+// ==================== XMLITZ - ENTRADA DE LINHA DE COMANDO ====================
+// Uso: xmlitz <download|organize|verify|report|quarantine> [opções]
+// Veja lib/cli.js para os subcomandos e códigos de saída.
+
+const { run } = require('../lib/cli');
+
+run(process.argv.slice(2))
+    .then(exitCode => process.exit(exitCode))
+    .catch(error => {
+        console.error(`❌ Erro não tratado: ${error.message}`);
+        console.error(error.stack);
+        process.exit(1);
+    });
@@ -7,36 +7,51 @@ import { Input } from '@/components/ui/input'
 import { Label } from '@/components/ui/label'
 import { Button } from '@/components/ui/button'
 import { Textarea } from '@/components/ui/textarea'
+import { Select, SelectContent, SelectItem, SelectTrigger, SelectValue } from '@/components/ui/select'
 import { Progress } from '@/components/ui/progress'
 import { Badge } from '@/components/ui/badge'
 import { Tabs, TabsContent, TabsList, TabsTrigger } from '@/components/ui/tabs'
-import { startDownload, getDownloadStatus } from '@/lib/api'
-import { Download, Play, Settings, Clock, CheckCircle, XCircle } from 'lucide-react'
+import { startDownload, getDownloadStatus, NoteDirection, NoteStatusFilter } from '@/lib/api'
+import { Download, Play, Clock, CheckCircle, XCircle } from 'lucide-react'
 import { toast } from 'sonner'
 
+// IDs do cofre de credenciais: letras minúsculas, números e hífen (ver lib/vault.js)
+const COMPANY_ID_PATTERN = /^[a-z0-9][a-z0-9-]*$/
+
 interface DownloadForm {
   startDate: string
   endDate: string
-  cnpjList: string
+  companyList: string
+  direction: NoteDirection
+  noteStatus: NoteStatusFilter
+  startNumber: string
+  endNumber: string
 }
 
 export default function DownloadManager() {
   const [form, setForm] = useState<DownloadForm>({
     startDate: '2025-07-01',
     endDate: '2025-08-01',
-    cnpjList: ''
+    companyList: '',
+    direction: 'emitidas',
+    noteStatus: 'normais',
+    startNumber: '',
+    endNumber: ''
   })
   const [activeDownloads, setActiveDownloads] = useState<number[]>([])
 
   const downloadMutation = useMutation({
-    mutationFn: async (cnpjData: { cnpj: string; senha: string }) => {
+    mutationFn: async (companyId: string) => {
       const response = await startDownload({
-        cnpj: cnpjData.cnpj,
-        senha: cnpjData.senha,
+        companyId,
         startDate: form.startDate,
         endDate: form.endDate,
         headless: true,
-        maxRetries: 1
+        maxRetries: 1,
+        direction: form.direction,
+        noteStatus: form.noteStatus,
+        startNumber: form.startNumber ? Number(form.startNumber) : undefined,
+        endNumber: form.endNumber ? Number(form.endNumber) : undefined
       })
       return response
     },
@@ -61,46 +76,24 @@ export default function DownloadManager() {
     refetchInterval: 5000
   })
 
-  const handlePresetLoad = (preset: 'preset1' | 'custom') => {
-    if (preset === 'preset1') {
-      setForm(prev => ({
-        ...prev,
-        cnpjList: `52399222000122:123456
-51476314000104:123456
-53523583000100:123456`
-      }))
-      toast.success('Preset carregado: 3 CNPJs para Jul/2025')
-    } else {
-      setForm(prev => ({ ...prev, cnpjList: '' }))
-      toast.info('Configure manualmente os CNPJs e senhas')
-    }
-  }
-
   const handleStartDownloads = async () => {
-    const cnpjLines = form.cnpjList.trim().split('\n').filter(line => line.trim())
-    
-    if (cnpjLines.length === 0) {
-      toast.error('Por favor, insira pelo menos um CNPJ')
-      return
-    }
+    const companyIds = form.companyList.trim().split('\n').map(line => line.trim()).filter(Boolean)
 
-    const cnpjList = []
-    for (const line of cnpjLines) {
-      const [cnpj, senha] = line.split(':')
-      if (cnpj && senha) {
-        cnpjList.push({ cnpj: cnpj.trim(), senha: senha.trim() })
-      }
+    if (companyIds.length === 0) {
+      toast.error('Por favor, insira pelo menos uma empresa')
+      return
     }
 
-    if (cnpjList.length === 0) {
-      toast.error('Formato inválido. Use: CNPJ:SENHA (um por linha)')
+    const invalid = companyIds.filter(id => !COMPANY_ID_PATTERN.test(id))
+    if (invalid.length > 0) {
+      toast.error(`ID inválido: ${invalid[0]}. Use o ID cadastrado no cofre (xmlitz vault list)`)
       return
     }
 
-    toast.info(`Iniciando downloads para ${cnpjList.length} CNPJs...`)
+    toast.info(`Iniciando downloads para ${companyIds.length} empresas...`)
 
-    for (const cnpjData of cnpjList) {
-      await downloadMutation.mutateAsync(cnpjData)
+    for (const companyId of companyIds) {
+      await downloadMutation.mutateAsync(companyId)
       // Aguardar 2 segundos entre downloads
       await new Promise(resolve => setTimeout(resolve, 2000))
     }
@@ -143,33 +136,6 @@ export default function DownloadManager() {
         </p>
       </div>
 
-      <div className="grid gap-6 md:grid-cols-2">
-        {/* Preset Cards */}
-        <Card className="cursor-pointer hover:shadow-md transition-shadow" onClick={() => handlePresetLoad('preset1')}>
-          <CardHeader>
-            <CardTitle className="flex items-center gap-2">
-              <Settings className="h-5 w-5" />
-              Preset 1
-            </CardTitle>
-            <CardDescription>
-              3 CNPJs configurados para Jul/2025
-            </CardDescription>
-          </CardHeader>
-        </Card>
-
-        <Card className="cursor-pointer hover:shadow-md transition-shadow" onClick={() => handlePresetLoad('custom')}>
-          <CardHeader>
-            <CardTitle className="flex items-center gap-2">
-              <Settings className="h-5 w-5" />
-              Personalizado
-            </CardTitle>
-            <CardDescription>
-              Configure manualmente os CNPJs e datas
-            </CardDescription>
-          </CardHeader>
-        </Card>
-      </div>
-
       <Card>
         <CardHeader>
           <CardTitle className="flex items-center gap-2">
@@ -202,15 +168,74 @@ export default function DownloadManager() {
             </div>
           </div>
 
+          <div className="grid grid-cols-2 gap-4">
+            <div className="space-y-2">
+              <Label htmlFor="direction">Notas</Label>
+              <Select
+                value={form.direction}
+                onValueChange={(value: NoteDirection) => setForm(prev => ({ ...prev, direction: value }))}
+              >
+                <SelectTrigger id="direction">
+                  <SelectValue />
+                </SelectTrigger>
+                <SelectContent>
+                  <SelectItem value="emitidas">Emitidas (prestador)</SelectItem>
+                  <SelectItem value="recebidas">Recebidas (tomador)</SelectItem>
+                </SelectContent>
+              </Select>
+            </div>
+            <div className="space-y-2">
+              <Label htmlFor="noteStatus">Situação</Label>
+              <Select
+                value={form.noteStatus}
+                onValueChange={(value: NoteStatusFilter) => setForm(prev => ({ ...prev, noteStatus: value }))}
+              >
+                <SelectTrigger id="noteStatus">
+                  <SelectValue />
+                </SelectTrigger>
+                <SelectContent>
+                  <SelectItem value="normais">Normais</SelectItem>
+                  <SelectItem value="canceladas">Canceladas</SelectItem>
+                  <SelectItem value="todas">Todas</SelectItem>
+                </SelectContent>
+              </Select>
+            </div>
+            <div>
+              <Label htmlFor="startNumber">Número Inicial</Label>
+              <Input
+                id="startNumber"
+                type="number"
+                min={1}
+                placeholder="Todos"
+                value={form.startNumber}
+                onChange={(e) => setForm(prev => ({ ...prev, startNumber: e.target.value }))}
+              />
+            </div>
+            <div>
+              <Label htmlFor="endNumber">Número Final</Label>
+              <Input
+                id="endNumber"
+                type="number"
+                min={1}
+                placeholder="Todos"
+                value={form.endNumber}
+                onChange={(e) => setForm(prev => ({ ...prev, endNumber: e.target.value }))}
+              />
+            </div>
+          </div>
+
           <div>
-            <Label htmlFor="cnpjList">Lista de CNPJs (formato: CNPJ:SENHA, um por linha)</Label>
+            <Label htmlFor="companyList">Empresas (IDs do cofre de credenciais, um por linha)</Label>
             <Textarea
-              id="cnpjList"
-              placeholder="52399222000122:123456&#10;51476314000104:123456&#10;53523583000100:123456"
+              id="companyList"
+              placeholder="empresa-a&#10;empresa-b"
               rows={6}
-              value={form.cnpjList}
-              onChange={(e) => setForm(prev => ({ ...prev, cnpjList: e.target.value }))}
+              value={form.companyList}
+              onChange={(e) => setForm(prev => ({ ...prev, companyList: e.target.value }))}
             />
+            <p className="text-sm text-muted-foreground">
+              As senhas não passam pelo navegador: cadastre cada empresa no servidor com xmlitz vault add
+            </p>
           </div>
 
           <Button 
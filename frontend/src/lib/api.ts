@@ -81,9 +81,25 @@ export interface NFSe {
   batch_created_at: string
 }
 
-export interface DownloadRequest {
-  cnpj: string
-  senha: string
+export type NoteDirection = 'emitidas' | 'recebidas'
+export type NoteStatusFilter = 'normais' | 'canceladas' | 'todas'
+
+// Portal search filters (same options as the CLI: --tipo-notas, --situacao, --valor-minimo, ...)
+export interface SearchFilters {
+  direction?: NoteDirection
+  noteStatus?: NoteStatusFilter
+  minValue?: number
+  maxValue?: number
+  startNumber?: number
+  endNumber?: number
+  document?: string
+  activityCode?: string
+  order?: 'ASC' | 'DESC'
+}
+
+export interface DownloadRequest extends SearchFilters {
+  // ID da empresa no cofre de credenciais (xmlitz vault add); CNPJ e senha ficam no servidor
+  companyId: string
   startDate: string
   endDate: string
   headless?: boolean
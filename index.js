@@ -0,0 +1,59 @@
+// ==================== API DE BIBLIOTECA ====================
+// Ponto de entrada do pacote (require('xmlitz-nfse-downloader')). Cada classe recebe
+// a própria configuração no construtor, então várias execuções podem rodar no mesmo
+// processo sem compartilhar o CONFIG/Logger globais usados pela linha de comando:
+//
+//   const { NFSeDownloader, createConfig } = require('xmlitz-nfse-downloader');
+//
+//   const downloader = new NFSeDownloader({
+//       cnpj: '11222333000181',
+//       senha: '...',
+//       config: { DATA_INICIAL: '2025-07-01', DATA_FINAL: '2025-07-31', DOWNLOAD_DIR: './xmls/empresa-a' }
+//   });
+//   const report = await downloader.run();
+//
+// Com o cofre de credenciais (lib/vault.js), a empresa é referenciada pelo ID:
+//
+//   const vault = CredentialVault.open('./nfse-vault.json', process.env.NFSE_VAULT_PASSPHRASE);
+//   const downloader = new NFSeDownloader({ company: 'empresa-a', vault, config: { ... } });
+//
+// config aceita as mesmas chaves de config.local.js (ver lib/config.js); as ausentes
+// ficam com os valores padrão. Sem config, as classes usam o CONFIG global.
+
+const core = require('./nfse-downloader');
+const { BatchRunner } = require('./lib/batch');
+const { DEFAULTS, PROFILES, createConfig, searchFilters, maskSecrets } = require('./lib/config');
+const { PortalAdapter, registerAdapter, getAdapter, listAdapters } = require('./lib/adapters');
+const { CredentialVault } = require('./lib/vault');
+const errors = require('./lib/errors');
+
+module.exports = {
+    // Execução
+    NFSeDownloader: core.NFSeDownloader,
+    BatchRunner,
+
+    // Organização, validação, retry e logging
+    XMLOrganizer: core.XMLOrganizer,
+    FileValidator: core.FileValidator,
+    RetryManager: core.RetryManager,
+    AdvancedLogger: core.AdvancedLogger,
+
+    // Configuração
+    DEFAULTS,
+    PROFILES,
+    createConfig,
+    searchFilters,
+    maskSecrets,
+
+    // Cofre de credenciais
+    CredentialVault,
+
+    // Adaptadores de portal
+    PortalAdapter,
+    registerAdapter,
+    getAdapter,
+    listAdapters,
+
+    // Erros tipados (NFSeError, ConfigError, SessionExpiredError...)
+    ...errors
+};
@@ -0,0 +1,138 @@
+// ==================== INTERFACE DE ADAPTADOR DE PORTAL ====================
+// Um adaptador encapsula tudo que é específico de um portal/município: login,
+// pesquisa do período, leitura da tabela de resultados, paginação e o disparo
+// do download de cada linha. O NFSeDownloader cuida do restante (browser,
+// captura e validação dos arquivos, retry, relatórios e organização).
+//
+// Para suportar um novo portal, estenda PortalAdapter e registre a classe com
+// registerAdapter() (lib/adapters/index.js).
+
+class PortalAdapter {
+    // options: { loginUrl, municipio, ... } - específicas de cada adaptador;
+    // config e logger são os da instância do NFSeDownloader que criou o adaptador
+    constructor(options = {}) {
+        this.options = options;
+    }
+
+    // Configuração da execução (padrão: CONFIG global do módulo principal)
+    get config() {
+        return this.options.config || require('../../nfse-downloader').CONFIG;
+    }
+
+    // Logger da execução (padrão: Logger global do módulo principal)
+    get logger() {
+        return this.options.logger || require('../../nfse-downloader').Logger;
+    }
+
+    // Identificador usado em CONFIG.ADAPTER / coluna "adapter" do roster
+    static get id() {
+        throw new Error('Adaptador sem id');
+    }
+
+    // Descrição exibida em listagens
+    static get description() {
+        return '';
+    }
+
+    // URL da página de login
+    get loginUrl() {
+        return this.options.loginUrl;
+    }
+
+    // Autenticar com { cnpj, senha }; deve lançar erro se o login falhar
+    async login(page, credentials) {
+        throw new Error(`${this.constructor.name}.login() não implementado`);
+    }
+
+    // A URL é a página de login (redirecionamento por sessão expirada)?
+    isLoginUrl(url) {
+        return false;
+    }
+
+    // A sessão expirou? (página atual redirecionada para o login)
+    async isSessionExpired(page) {
+        return this.isLoginUrl(page.url());
+    }
+
+    // Navegar até a tabela de resultados do período { start, end } (YYYY-MM-DD),
+    // aplicando os filtros { tipo, situacao, valorMinimo, valorMaximo, numeroInicial,
+    // numeroFinal, documento, codigoAtividade, ordem } (null = sem filtro)
+    async search(page, period, filters = {}) {
+        throw new Error(`${this.constructor.name}.search() não implementado`);
+    }
+
+    // Abrir em outra página (worker de download, com os cookies da sessão) a página de
+    // resultados exibida em url. Portais com paginação sem URL própria podem deixar como
+    // está: o downloader compara a primeira linha e, se divergir, baixa a página sem workers
+    async openResults(page, url) {
+        await page.goto(url, { waitUntil: 'networkidle2' });
+    }
+
+    // Número de linhas na página de resultados atual
+    async countRows(page) {
+        throw new Error(`${this.constructor.name}.countRows() não implementado`);
+    }
+
+    // Dados da linha (1-based): { numero, data, prestador, valor, codigoVerificacao?, ... }
+    // (numero/codigoVerificacao são usados pelo modo incremental para consultar o ledger)
+    async getRowInfo(page, rowIndex) {
+        throw new Error(`${this.constructor.name}.getRowInfo() não implementado`);
+    }
+
+    // Disparar o download do XML da linha (1-based): { success, linkText?, href?, reason? }
+    async triggerRowDownload(page, rowIndex) {
+        throw new Error(`${this.constructor.name}.triggerRowDownload() não implementado`);
+    }
+
+    // Links de download de XML da página de resultados atual, para o modo http:
+    // [{ rowIndex, href }] (rowIndex 1-based; href absoluto)
+    async collectDownloadLinks(page) {
+        throw new Error(`${this.constructor.name}.collectDownloadLinks() não implementado`);
+    }
+
+    // URL do PDF/versão de impressão (DANFSe) da linha (1-based), ou null se não houver
+    async getPdfLink(page, rowIndex) {
+        return null;
+    }
+
+    // Todas as linhas da página de resultados atual, para o modo --list-only:
+    // [{ rowIndex, ...getRowInfo(), xmlUrl, pdfUrl, colunas: { <cabeçalho>: <texto> } }].
+    // A implementação padrão combina getRowInfo/collectDownloadLinks/getPdfLink;
+    // adaptadores que conhecem a tabela podem ler todas as colunas de uma vez
+    async listRows(page) {
+        const rowCount = await this.countRows(page);
+        const links = await this.collectDownloadLinks(page).catch(() => []);
+
+        const rows = [];
+        for (let rowIndex = 1; rowIndex <= rowCount; rowIndex++) {
+            const info = await this.getRowInfo(page, rowIndex);
+            const link = links.find(l => l.rowIndex === rowIndex);
+            rows.push({
+                rowIndex,
+                ...info,
+                xmlUrl: link ? link.href : null,
+                pdfUrl: await this.getPdfLink(page, rowIndex),
+                colunas: {}
+            });
+        }
+        return rows;
+    }
+
+    // Paginação informada pelo portal: { totalNotes, currentPage, totalPages }
+    // (campos null quando desconhecidos; null quando o portal não pagina)
+    async getPagination(page) {
+        return null;
+    }
+
+    // Existe próxima página de resultados?
+    async hasNextPage(page) {
+        return false;
+    }
+
+    // Avançar para a próxima página de resultados
+    async goToNextPage(page) {
+        throw new Error(`${this.constructor.name}.goToNextPage() não implementado`);
+    }
+}
+
+module.exports = { PortalAdapter };
@@ -0,0 +1,54 @@
+// ==================== REGISTRO DE ADAPTADORES DE PORTAL ====================
+// Cada empresa pode usar um adaptador diferente (CONFIG.ADAPTER, --adapter ou
+// coluna "adapter" do roster). Novos portais são registrados com:
+//
+//   const { registerAdapter, PortalAdapter } = require('./lib/adapters');
+//   class MeuPortalAdapter extends PortalAdapter { static get id() { return 'meu-portal'; } ... }
+//   registerAdapter(MeuPortalAdapter);
+
+const { ConfigError } = require('../errors');
+const { PortalAdapter } = require('./base');
+const { PrefeituraModernaAdapter } = require('./prefeitura-moderna');
+
+const registry = new Map();
+
+// Registrar classe de adaptador (substitui um registro anterior com o mesmo id)
+function registerAdapter(AdapterClass) {
+    if (!(AdapterClass.prototype instanceof PortalAdapter)) {
+        throw new TypeError('Adaptadores devem estender PortalAdapter');
+    }
+    registry.set(AdapterClass.id, AdapterClass);
+    return AdapterClass;
+}
+
+function getAdapter(id) {
+    const AdapterClass = registry.get(id);
+    if (!AdapterClass) {
+        throw new ConfigError(`Adaptador de portal desconhecido: '${id}' (disponíveis: ${listAdapters().map(a => a.id).join(', ')})`);
+    }
+    return AdapterClass;
+}
+
+function createAdapter(id, options = {}) {
+    const AdapterClass = getAdapter(id);
+    return new AdapterClass(options);
+}
+
+function listAdapters() {
+    return Array.from(registry.values()).map(AdapterClass => ({
+        id: AdapterClass.id,
+        description: AdapterClass.description
+    }));
+}
+
+// Adaptadores embutidos
+registerAdapter(PrefeituraModernaAdapter);
+
+module.exports = {
+    PortalAdapter,
+    PrefeituraModernaAdapter,
+    registerAdapter,
+    getAdapter,
+    createAdapter,
+    listAdapters
+};
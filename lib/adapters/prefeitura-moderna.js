@@ -0,0 +1,505 @@
+// ==================== ADAPTADOR PREFEITURA MODERNA (MEUISS) ====================
+// Portal "meuiss_new" da Prefeitura Moderna, usado por Imperatriz-MA e outros
+// municípios. O município é definido pelo subdomínio (ex: imperatriz-ma) ou por
+// uma URL de login completa.
+//
+// Seletores e offsets de clique foram gravados com o Puppeteer Recorder.
+
+const puppeteer = require('puppeteer');
+const { PortalAdapter } = require('./base');
+const {
+    AccountBlockedError,
+    InvalidCredentialsError,
+    LayoutChangedError,
+    PortalUnavailableError,
+    isNetworkError
+} = require('../errors');
+
+const delay = ms => new Promise(resolve => setTimeout(resolve, ms));
+
+// Cabeçalho da coluna com o código de verificação ("Código de Verificação", "Cód. Verificação").
+// Passado como texto para page.evaluate, que não enxerga variáveis do módulo
+const VERIFICATION_HEADER = /c[oó]d(igo|\.)?\s*(de\s+)?verifica/i.source;
+
+// Executado no browser: localizar o link "próxima página" da paginação.
+// page.$ não suporta pseudo-seletores jQuery como a:contains(), por isso a busca
+// é feita por rel="next", classe .next, texto (Próxima, », >>) ou número da
+// página seguinte. O link encontrado é marcado com data-nfse-next.
+function locateNextPageLink() {
+    document.querySelectorAll('[data-nfse-next]').forEach(el => el.removeAttribute('data-nfse-next'));
+
+    const disabled = el => el.classList.contains('disabled') ||
+        el.getAttribute('aria-disabled') === 'true' ||
+        !!el.closest('.disabled');
+    const anchors = Array.from(document.querySelectorAll('a')).filter(a => !disabled(a));
+    const label = a => (a.textContent || '').replace(/\s+/g, ' ').trim();
+
+    let link = anchors.find(a => (a.getAttribute('rel') || '').split(/\s+/).includes('next')) ||
+        anchors.find(a => a.matches('.pagination .next a, .pagination a.next, li.next a, a.next')) ||
+        anchors.find(a => /^(próxima|proxima|próximo|proximo|seguinte)( página)?\s*[»>›]*$|^(»|>>|›|>)$/i.test(label(a)));
+
+    // Fallback: link numérico com o número da página atual + 1
+    if (!link) {
+        const active = document.querySelector('.pagination .active, .pagination [aria-current="page"]');
+        const current = active ? parseInt(label(active), 10) : NaN;
+        if (!isNaN(current)) {
+            link = anchors.find(a => a.closest('.pagination') && label(a) === String(current + 1));
+        }
+    }
+
+    if (!link) return { found: false };
+
+    link.setAttribute('data-nfse-next', '1');
+    return { found: true, href: /^https?:/i.test(link.href) ? link.href : null };
+}
+
+// Executado no browser: total de registros e páginas informados pelo portal
+function readPagination() {
+    const text = (document.body && document.body.innerText) || '';
+    const toInt = value => parseInt(String(value).replace(/\D/g, ''), 10);
+    const result = { totalNotes: null, currentPage: null, totalPages: null };
+
+    const total = text.match(/total\s+(?:de\s+)?(?:registros|notas|documentos)\s*:?\s*(\d[\d.]*)/i) ||
+        text.match(/(\d[\d.]*)\s+(?:registros?|notas?|documentos?)\s+encontrad/i) ||
+        text.match(/mostrando\s+\d+\s+(?:a|até)\s+\d+\s+de\s+(\d[\d.]*)/i);
+    if (total) result.totalNotes = toInt(total[1]);
+
+    const pages = text.match(/página\s+(\d+)\s+de\s+(\d+)/i);
+    if (pages) {
+        result.currentPage = toInt(pages[1]);
+        result.totalPages = toInt(pages[2]);
+    } else {
+        const labels = Array.from(document.querySelectorAll('.pagination a, .pagination span, .pagination li'))
+            .map(el => (el.textContent || '').trim())
+            .filter(label => /^\d+$/.test(label))
+            .map(Number);
+        if (labels.length > 0) result.totalPages = Math.max(...labels);
+
+        const active = document.querySelector('.pagination .active, .pagination [aria-current="page"]');
+        if (active && /^\d+$/.test(active.textContent.trim())) result.currentPage = Number(active.textContent.trim());
+    }
+
+    return result;
+}
+
+// Executado no browser: todas as linhas da tabela de resultados, com as colunas
+// nomeadas pelo cabeçalho (thead) e os links de XML/PDF do dropdown de cada linha.
+// Mesmos critérios de getRowInfo, collectDownloadLinks e getPdfLink
+function readResultRows(verificationHeader) {
+    const text = el => (el ? el.textContent || '' : '').replace(/\s+/g, ' ').trim();
+    const absolute = link => (link && /^https?:/i.test(link.href) ? link.href : null);
+    const headers = Array.from(document.querySelectorAll('table thead th')).map(text);
+    const codigoColumn = headers.findIndex(header => new RegExp(verificationHeader, 'i').test(header));
+
+    return Array.from(document.querySelectorAll('table tbody tr')).map((row, index) => {
+        const cells = Array.from(row.querySelectorAll('td'));
+        const links = Array.from(row.querySelectorAll('a'));
+
+        // Coluna de ações (dropdown com os links) não é dado da nota
+        const colunas = {};
+        cells.forEach((cell, i) => {
+            if (cell.querySelector('button, .dropdown-menu')) return;
+            colunas[headers[i] || `coluna_${i + 1}`] = text(cell);
+        });
+
+        const xml = links.find(a =>
+            (a.href || '').toLowerCase().includes('xml') ||
+            (a.textContent || '').toLowerCase().includes('xml')
+        );
+        const pdf = links.find(a => {
+            const target = `${a.href || ''} ${a.textContent || ''}`.toLowerCase();
+            return /pdf|danfs|imprim|impress/.test(target) && !/xml/.test(target);
+        });
+
+        return {
+            rowIndex: index + 1,
+            numero: text(cells[0]) || 'N/A',
+            data: text(cells[1]) || 'N/A',
+            prestador: text(cells[2]) || 'N/A',
+            valor: text(cells[3]) || 'N/A',
+            codigoVerificacao: codigoColumn >= 0 ? text(cells[codigoColumn]) || null : null,
+            xmlUrl: absolute(xml),
+            pdfUrl: absolute(pdf),
+            colunas
+        };
+    });
+}
+
+// Executado no browser: mensagem exibida pelo portal após um login recusado
+function readLoginMessage() {
+    const selectors = '.alert, .swal2-html-container, .swal2-title, .toast-message, .invalid-feedback, .text-danger, .msg_erro';
+    return Array.from(document.querySelectorAll(selectors))
+        .filter(el => el.offsetParent !== null)
+        .map(el => (el.textContent || '').replace(/\s+/g, ' ').trim())
+        .filter(Boolean)
+        .join(' | ');
+}
+
+// Login recusado: conta bloqueada/troca de senha ou credenciais inválidas
+function loginRejection(url, message) {
+    const detail = message ? `: ${message}` : ` (URL atual: ${url})`;
+    if (/bloquead|suspens|inativ|alter(ar|e|ação d[ae]) (a |sua )?senha|troca de senha|nova senha|senha expirad/i.test(`${message} ${url}`)) {
+        return new AccountBlockedError(`Conta bloqueada ou troca de senha obrigatória${detail}`);
+    }
+    return new InvalidCredentialsError(`Login recusado pelo portal${detail}`);
+}
+
+// Navegar tratando portal fora do ar (erro de rede, timeout ou HTTP 5xx)
+async function gotoPortal(page, url, options = {}) {
+    let response;
+    try {
+        response = await page.goto(url, options);
+    } catch (error) {
+        if (isNetworkError(error) || error.name === 'TimeoutError') {
+            throw new PortalUnavailableError(`Portal inacessível: ${error.message}`, { cause: error });
+        }
+        throw error;
+    }
+
+    if (response && response.status() >= 500) {
+        throw new PortalUnavailableError(`Portal indisponível: HTTP ${response.status()} em ${url}`);
+    }
+    return response;
+}
+
+// Montar URL de login a partir do subdomínio do município
+function loginUrlForMunicipio(municipio) {
+    return `https://${municipio}.prefeituramoderna.com.br/meuiss_new/nfe/?pg=login_nfe`;
+}
+
+// Valores dos campos tp_doc e st_rps do formulário de relatório
+const TIPO_DOC = { emitidas: '1', recebidas: '2' };
+const SITUACAO_RPS = { normais: '1', canceladas: '2', todas: '' };
+
+// Valor monetário no formato do formulário: 1500.5 → "1500,50"
+function formatValor(value) {
+    return value === null || value === undefined ? '' : value.toFixed(2).replace('.', ',');
+}
+
+// Montar URL da pesquisa de relatório com o período e os filtros (ver searchFilters() em lib/config.js)
+function buildSearchUrl(baseUrl, period, filters = {}) {
+    const optional = value => (value === null || value === undefined ? '' : String(value));
+    const params = new URLSearchParams({
+        nr_nferps_ini: optional(filters.numeroInicial),
+        nr_nferps_fim: optional(filters.numeroFinal),
+        dt_inicial: period.start,
+        dt_final: period.end,
+        vl_inicial: formatValor(filters.valorMinimo),
+        vl_final: formatValor(filters.valorMaximo),
+        st_rps: SITUACAO_RPS[filters.situacao || 'normais'],
+        nr_doc: optional(filters.documento),
+        cd_atividade: optional(filters.codigoAtividade),
+        tp_codigo: 'lc116',
+        tp_doc: TIPO_DOC[filters.tipo || 'emitidas'],
+        ordem: filters.ordem || 'DESC',
+        consulta: '1',
+        pg: 'relatorio'
+    });
+    return `${baseUrl}?${params}`;
+}
+
+class PrefeituraModernaAdapter extends PortalAdapter {
+    static get id() {
+        return 'prefeitura-moderna';
+    }
+
+    static get description() {
+        return 'Prefeitura Moderna - meuiss_new (ex: imperatriz-ma)';
+    }
+
+    get loginUrl() {
+        return this.options.municipio
+            ? loginUrlForMunicipio(this.options.municipio)
+            : this.options.loginUrl;
+    }
+
+    async login(page, credentials) {
+        this.logger.debug(`Navegando para: ${this.loginUrl}`);
+
+        // Navegar para página de login - EXATO COMO NO RECORD
+        await gotoPortal(page, this.loginUrl);
+        this.logger.debug('Página de login carregada');
+
+        try {
+            await this.submitLoginForm(page, credentials);
+        } catch (error) {
+            if (error.name !== 'TimeoutError') throw error;
+            if (/navigation/i.test(error.message)) {
+                throw new PortalUnavailableError('Portal não respondeu após o envio do login', { cause: error });
+            }
+            throw new LayoutChangedError(`Formulário de login não encontrado: ${error.message}`, { cause: error });
+        }
+
+        // Verificar se o login foi bem-sucedido
+        const currentUrl = page.url();
+        this.logger.debug(`🌐 URL após login: ${currentUrl}`);
+
+        if (!currentUrl.includes('index.php')) {
+            const message = await page.evaluate(readLoginMessage).catch(() => '');
+            throw loginRejection(currentUrl, message);
+        }
+    }
+
+    // Preencher CNPJ/senha e enviar o formulário (passos gravados com o Puppeteer Recorder)
+    async submitLoginForm(page, credentials) {
+        // EXATO COMO NO RECORD: Preencher CNPJ usando Locator
+        this.logger.debug('Preenchendo CNPJ...');
+        await puppeteer.Locator.race([
+            page.locator('::-p-aria(Digite seu Usuário)'),
+            page.locator('#login_nfse'),
+            page.locator('::-p-xpath(//*[@id=\\"login_nfse\\"])'),
+            page.locator(':scope >>> #login_nfse')
+        ])
+            .setTimeout(this.config.TIMEOUT)
+            .click({
+              offset: {
+                x: 221.2578125,
+                y: 23.36328125,
+              },
+            });
+
+        await puppeteer.Locator.race([
+            page.locator('::-p-aria(Digite seu Usuário)'),
+            page.locator('#login_nfse'),
+            page.locator('::-p-xpath(//*[@id=\\"login_nfse\\"])'),
+            page.locator(':scope >>> #login_nfse')
+        ])
+            .setTimeout(this.config.TIMEOUT)
+            .fill(credentials.cnpj);
+
+        this.logger.debug(`CNPJ preenchido: ${credentials.cnpj}`);
+
+        // EXATO COMO NO RECORD: Preencher senha usando Locator
+        this.logger.debug('Preenchendo senha...');
+        await puppeteer.Locator.race([
+            page.locator('::-p-aria(Senha de Acesso)'),
+            page.locator('#senha_nfse_digite'),
+            page.locator('::-p-xpath(//*[@id=\\"senha_nfse_digite\\"])'),
+            page.locator(':scope >>> #senha_nfse_digite')
+        ])
+            .setTimeout(this.config.TIMEOUT)
+            .click({
+              offset: {
+                x: 214.2578125,
+                y: 24.92578125,
+              },
+            });
+
+        await puppeteer.Locator.race([
+            page.locator('::-p-aria(Senha de Acesso)'),
+            page.locator('#senha_nfse_digite'),
+            page.locator('::-p-xpath(//*[@id=\\"senha_nfse_digite\\"])'),
+            page.locator(':scope >>> #senha_nfse_digite')
+        ])
+            .setTimeout(this.config.TIMEOUT)
+            .fill(credentials.senha);
+
+        this.logger.debug('Senha preenchida');
+
+        // EXATO COMO NO RECORD: Fazer login
+        this.logger.debug('Clicando no botão de login...');
+        const promises = [];
+        const startWaitingForEvents = () => {
+            promises.push(page.waitForNavigation());
+        }
+
+        await puppeteer.Locator.race([
+            page.locator('::-p-aria(Acessar Sistema[role=\\"heading\\"])'),
+            page.locator('div.pt-0 h5'),
+            page.locator('::-p-xpath(//*[@id=\\"form_autentica\\"]/button/h5)'),
+            page.locator(':scope >>> div.pt-0 h5'),
+            page.locator('::-p-text(Acessar Sistema)')
+        ])
+            .setTimeout(this.config.TIMEOUT)
+            .on('action', () => startWaitingForEvents())
+            .click({
+              offset: {
+                x: 433.01171875,
+                y: 11.23828125,
+              },
+            });
+        await Promise.all(promises);
+    }
+
+    isLoginUrl(url) {
+        return /[?&]pg=login_nfe\b/.test(url || '');
+    }
+
+    // Redirecionamento para ?pg=login_nfe ou formulário de login na página atual
+    async isSessionExpired(page) {
+        return this.isLoginUrl(page.url()) || !!(await page.$('#login_nfse'));
+    }
+
+    async search(page, period, filters = {}) {
+        // Construir URL completa com todos os parâmetros de pesquisa
+        const currentUrl = page.url();
+        const baseUrl = currentUrl.replace(/\?.*$/, ''); // Remove parâmetros existentes
+
+        const searchUrl = buildSearchUrl(baseUrl, period, filters);
+
+        this.logger.debug(`Navegando diretamente para URL com pesquisa: ${searchUrl}`);
+        await gotoPortal(page, searchUrl, { waitUntil: 'networkidle2', timeout: this.config.TIMEOUT });
+
+        // Verificar se chegou na página de relatórios com resultados
+        const finalUrl = page.url();
+        this.logger.debug(`🌐 URL final: ${finalUrl}`);
+
+        if (!finalUrl.includes('pg=relatorio') || !finalUrl.includes('consulta=1')) {
+            throw new LayoutChangedError(`Navegação falhou - não chegou na página de relatórios com pesquisa (URL atual: ${finalUrl})`);
+        }
+
+        // Aguardar a tabela de resultados carregar
+        this.logger.debug('Aguardando tabela de resultados...');
+        await delay(3000);
+
+    }
+
+    // Pesquisa e paginação por links com URL própria: basta abrir a mesma URL
+    async openResults(page, url) {
+        await gotoPortal(page, url, { waitUntil: 'networkidle2', timeout: this.config.TIMEOUT });
+        await delay(1000);
+    }
+
+    async countRows(page) {
+        const rows = await page.$$('table tbody tr');
+        return rows.length;
+    }
+
+    async getRowInfo(page, rowIndex) {
+        const rowSelector = `table tbody tr:nth-child(${rowIndex})`;
+
+        return page.evaluate((selector, verificationHeader) => {
+            const row = document.querySelector(selector);
+            if (!row) return null;
+
+            // Código de verificação localizado pelo cabeçalho: a posição da coluna varia entre municípios
+            const headers = Array.from(document.querySelectorAll('table thead th'))
+                .map(th => (th.textContent || '').replace(/\s+/g, ' ').trim());
+            const codigoColumn = headers.findIndex(header => new RegExp(verificationHeader, 'i').test(header));
+
+            const cells = row.querySelectorAll('td');
+            return {
+                numero: cells[0]?.textContent?.trim() || 'N/A',
+                data: cells[1]?.textContent?.trim() || 'N/A',
+                prestador: cells[2]?.textContent?.trim() || 'N/A',
+                valor: cells[3]?.textContent?.trim() || 'N/A',
+                codigoVerificacao: (codigoColumn >= 0 && cells[codigoColumn]?.textContent?.trim()) || null
+            };
+        }, rowSelector, VERIFICATION_HEADER);
+    }
+
+    async triggerRowDownload(page, rowIndex) {
+        // Usar seletores otimizados
+        const dropdownSelector = `table tbody tr:nth-child(${rowIndex}) button.dropdown-toggle`;
+
+        // Aguardar e clicar no dropdown com timeout otimizado
+        await page.waitForSelector(dropdownSelector, { timeout: this.config.ELEMENT_TIMEOUT }).catch(error => {
+            throw new LayoutChangedError(`Menu da linha ${rowIndex} não encontrado (${dropdownSelector})`, { cause: error });
+        });
+        await page.click(dropdownSelector);
+
+        // Aguardar o menu aparecer (reduzido)
+        await delay(300);
+
+        // Procurar e clicar no link XML de forma mais robusta
+        return page.evaluate((rowIdx) => {
+            const row = document.querySelector(`table tbody tr:nth-child(${rowIdx})`);
+            if (!row) return { success: false, reason: 'Row not found' };
+
+            // Procurar por links que contenham "xml" no href ou texto
+            const links = row.querySelectorAll('a');
+            for (let link of links) {
+                const href = link.href || '';
+                const text = link.textContent || '';
+                if (href.toLowerCase().includes('xml') || text.toLowerCase().includes('xml')) {
+                    link.click();
+                    return { success: true, linkText: text.trim(), href };
+                }
+            }
+            return { success: false, reason: 'XML link not found' };
+        }, rowIndex);
+    }
+
+    // Mesmo critério de triggerRowDownload (href ou texto contendo "xml"), sem clicar
+    async collectDownloadLinks(page) {
+        return page.evaluate(() => {
+            const rows = document.querySelectorAll('table tbody tr');
+            return Array.from(rows).map((row, index) => {
+                const link = Array.from(row.querySelectorAll('a')).find(a =>
+                    (a.href || '').toLowerCase().includes('xml') ||
+                    (a.textContent || '').toLowerCase().includes('xml')
+                );
+                const href = link && /^https?:/i.test(link.href) ? link.href : null;
+                return { rowIndex: index + 1, href };
+            });
+        });
+    }
+
+    // Link de PDF/impressão do mesmo dropdown do XML (href ou texto com pdf, danfse ou imprimir)
+    async getPdfLink(page, rowIndex) {
+        return page.evaluate((rowIdx) => {
+            const row = document.querySelector(`table tbody tr:nth-child(${rowIdx})`);
+            if (!row) return null;
+
+            const link = Array.from(row.querySelectorAll('a')).find(a => {
+                const target = `${a.href || ''} ${a.textContent || ''}`.toLowerCase();
+                return /pdf|danfs|imprim|impress/.test(target) && !/xml/.test(target);
+            });
+            return link && /^https?:/i.test(link.href) ? link.href : null;
+        }, rowIndex);
+    }
+
+    // Uma única leitura da tabela, com todas as colunas
+    async listRows(page) {
+        return page.evaluate(readResultRows, VERIFICATION_HEADER);
+    }
+
+    async getPagination(page) {
+        return page.evaluate(readPagination);
+    }
+
+    async hasNextPage(page) {
+        const pagination = await this.getPagination(page);
+        if (pagination.currentPage && pagination.totalPages && pagination.currentPage >= pagination.totalPages) {
+            return false;
+        }
+
+        const next = await page.evaluate(locateNextPageLink);
+        return next.found;
+    }
+
+    async goToNextPage(page) {
+        const next = await page.evaluate(locateNextPageLink);
+
+        if (!next.found) {
+            throw new LayoutChangedError('Link para a próxima página não encontrado');
+        }
+
+        if (next.href) {
+            await gotoPortal(page, next.href, { waitUntil: 'networkidle2', timeout: this.config.TIMEOUT });
+        } else {
+            // Link via JavaScript: aguardar navegação ou troca do conteúdo da tabela
+            const firstRow = await page.evaluate(() => {
+                const row = document.querySelector('table tbody tr');
+                return row ? row.textContent : null;
+            });
+
+            // Erros de espera são ignorados: se a página não mudar, downloadAllXMLs
+            // detecta a repetição e encerra a paginação
+            await Promise.all([
+                Promise.race([
+                    page.waitForNavigation({ waitUntil: 'networkidle2', timeout: this.config.TIMEOUT }).catch(() => null),
+                    page.waitForFunction(previous => {
+                        const row = document.querySelector('table tbody tr');
+                        return (row ? row.textContent : null) !== previous;
+                    }, { timeout: this.config.TIMEOUT }, firstRow).catch(() => null)
+                ]),
+                page.click('[data-nfse-next]')
+            ]);
+        }
+
+        await delay(1000);
+    }
+}
+
+module.exports = { PrefeituraModernaAdapter, loginUrlForMunicipio, buildSearchUrl };
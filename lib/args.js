@@ -0,0 +1,72 @@
+// ==================== PARSER DE ARGUMENTOS DE LINHA DE COMANDO ====================
+// Parser mínimo, sem dependências, compatível com Node 16 (util.parseArgs só existe
+// a partir do Node 18.3). Suporta:
+//   --chave=valor   --chave valor   --flag   --no-flag   -h   --   posicionais
+
+// Converter lista de argumentos em { _: [posicionais], flags: { chave: valor } }
+function parseArgs(argv = [], { booleans = [] } = {}) {
+    const result = { _: [], flags: {} };
+
+    for (let i = 0; i < argv.length; i++) {
+        const arg = argv[i];
+
+        // Tudo após "--" é posicional
+        if (arg === '--') {
+            result._.push(...argv.slice(i + 1));
+            break;
+        }
+
+        if (arg.startsWith('--')) {
+            const body = arg.slice(2);
+            const eqIndex = body.indexOf('=');
+
+            if (eqIndex !== -1) {
+                result.flags[body.slice(0, eqIndex)] = body.slice(eqIndex + 1);
+                continue;
+            }
+
+            if (body.startsWith('no-')) {
+                result.flags[body.slice(3)] = false;
+                continue;
+            }
+
+            // "--chave valor" somente quando a chave não é booleana e o próximo não é outra opção
+            const next = argv[i + 1];
+            if (!booleans.includes(body) && next !== undefined && !next.startsWith('-')) {
+                result.flags[body] = next;
+                i++;
+            } else {
+                result.flags[body] = true;
+            }
+            continue;
+        }
+
+        // Atalhos de uma letra (apenas booleanos, ex: -h)
+        if (arg.startsWith('-') && arg.length > 1) {
+            for (const letter of arg.slice(1)) {
+                result.flags[letter] = true;
+            }
+            continue;
+        }
+
+        result._.push(arg);
+    }
+
+    return result;
+}
+
+// Converter chave de configuração (DATA_INICIAL) em nome de flag (data-inicial)
+function keyToFlag(key) {
+    return key.toLowerCase().replace(/_/g, '-');
+}
+
+// Converter nome de flag (data-inicial) em chave de configuração (DATA_INICIAL)
+function flagToKey(flag) {
+    return flag.toUpperCase().replace(/-/g, '_');
+}
+
+module.exports = {
+    parseArgs,
+    keyToFlag,
+    flagToKey
+};
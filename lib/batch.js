@@ -0,0 +1,231 @@
+// ==================== EXECUÇÃO EM LOTE (VÁRIAS EMPRESAS) ====================
+// Executa o NFSeDownloader para cada empresa do roster reutilizando um único
+// browser, com um contexto anônimo por empresa e concorrência limitada.
+// Cada empresa baixa em DOWNLOAD_DIR/<cnpj>/ e organiza no diretório comum
+// DOWNLOAD_DIR/<ORGANIZE_BASE_DIR>/. Ao final é gerado um relatório consolidado.
+
+const fs = require('fs');
+const path = require('path');
+const { EventEmitter } = require('events');
+const { createConfig } = require('./config');
+const { openVault, withVaultCredentials } = require('./vault');
+
+// Carregar o módulo principal sob demanda (evita dependência circular)
+function core() {
+    return require('../nfse-downloader');
+}
+
+// Os eventos de progresso de cada empresa (ver NFSeDownloader) são repassados como
+// 'progress'; o campo cnpj identifica a empresa
+class BatchRunner extends EventEmitter {
+    // options: { concurrency, config, logger, vault } - config/logger são repassados a cada
+    // NFSeDownloader do lote (padrão: CONFIG e Logger globais). Empresas com o campo
+    // company (ID no cofre) recebem CNPJ e senha do cofre já na criação do lote, então
+    // um ID inexistente interrompe o lote antes de abrir o browser
+    constructor(companies, options = {}) {
+        super();
+        const { CONFIG, Logger, AdvancedLogger } = core();
+        this.config = options.config ? createConfig(options.config) : CONFIG;
+        this.logger = options.logger || (options.config ? new AdvancedLogger(this.config) : Logger);
+        this.vault = options.vault || null;
+        this.companies = companies.map(company => {
+            if (!company.company) return company;
+            this.vault = this.vault || openVault(this.config);
+            return withVaultCredentials(company, this.vault);
+        });
+        this.concurrency = Math.max(1, Math.min(options.concurrency || 1, companies.length));
+        this.browser = null;
+        this.downloaders = new Set();
+        this.results = [];
+    }
+
+    // Executar uma empresa isoladamente, sem propagar o erro para as demais
+    async runCompany(company, index, signal = null) {
+        const { NFSeDownloader } = core();
+        const label = `[${index + 1}/${this.companies.length}] ${company.nome || company.cnpj}`;
+        const startTime = Date.now();
+
+        let downloader = null;
+
+        try {
+            downloader = new NFSeDownloader({
+                ...company,
+                browser: this.browser,
+                vault: this.vault,
+                config: this.config,
+                logger: this.logger,
+                downloadDir: path.join(this.config.DOWNLOAD_DIR, company.cnpj),
+                organizedDir: path.join(this.config.DOWNLOAD_DIR, this.config.ORGANIZE_BASE_DIR)
+            });
+            this.downloaders.add(downloader);
+            downloader.on('progress', event => this.emit('progress', event));
+
+            this.logger.info(`🏢 ${label} - Iniciando (${downloader.period.start} a ${downloader.period.end})`);
+
+            const report = await downloader.run({ signal });
+            const execution = report ? report.execution : { notesFound: 0, downloadsSuccessful: 0, downloadsFailed: 0 };
+            const success = execution.downloadsFailed === 0 && !execution.windowsFailed;
+            const status = downloader.status === 'cancelled' ? 'cancelled' : (success ? 'success' : 'partial');
+
+            this.logger[status === 'success' ? 'success' : 'warn'](`🏢 ${label} - ${execution.downloadsSuccessful}/${execution.notesFound} XMLs baixados${status === 'cancelled' ? ' (cancelada)' : ''}`);
+
+            return {
+                cnpj: company.cnpj,
+                nome: company.nome || null,
+                period: { ...downloader.period },
+                status,
+                notesFound: execution.notesFound,
+                downloadsSuccessful: execution.downloadsSuccessful,
+                downloadsFailed: execution.downloadsFailed,
+                duration: Date.now() - startTime,
+                downloadDir: downloader.downloadDir,
+                reportPath: report ? report.reportPath : null
+            };
+        } catch (error) {
+            this.logger.error(`🏢 ${label} - Falhou: ${error.message}`);
+            return {
+                cnpj: company.cnpj,
+                nome: company.nome || null,
+                period: downloader ? { ...downloader.period } : null,
+                status: 'failed',
+                error: error.message,
+                errorType: error.name,
+                duration: Date.now() - startTime,
+                downloadDir: downloader ? downloader.downloadDir : null
+            };
+        } finally {
+            this.downloaders.delete(downloader);
+        }
+    }
+
+    // options.signal: AbortSignal - ao abortar, nenhuma empresa nova é iniciada e as em
+    // andamento são canceladas de forma cooperativa (ver NFSeDownloader)
+    async run({ signal = null } = {}) {
+        const { NFSeDownloader } = core();
+        const startTime = Date.now();
+
+        this.logger.info(`📋 Execução em lote: ${this.companies.length} empresas (concorrência: ${this.concurrency})`);
+
+        this.browser = await NFSeDownloader.launchBrowser(this.config, this.logger);
+
+        try {
+            // Pool simples: cada worker retira a próxima empresa da fila
+            let next = 0;
+            const results = new Array(this.companies.length);
+            const worker = async () => {
+                while (next < this.companies.length && !(signal && signal.aborted)) {
+                    const index = next++;
+                    results[index] = await this.runCompany(this.companies[index], index, signal);
+                }
+            };
+
+            await Promise.all(Array.from({ length: this.concurrency }, worker));
+            // Empresas não iniciadas por cancelamento
+            this.results = Array.from(results, (result, index) => result || {
+                cnpj: this.companies[index].cnpj,
+                nome: this.companies[index].nome || null,
+                period: null,
+                status: 'cancelled',
+                error: 'Não iniciada (execução cancelada)'
+            });
+        } finally {
+            await this.cleanup();
+        }
+
+        return this.generateReport(Date.now() - startTime);
+    }
+
+    // Relatório consolidado com o resultado de cada empresa
+    generateReport(duration) {
+        const count = status => this.results.filter(result => result.status === status).length;
+
+        const report = {
+            timestamp: new Date().toISOString(),
+            summary: {
+                companies: this.results.length,
+                successful: count('success'),
+                partial: count('partial'),
+                failed: count('failed'),
+                cancelled: count('cancelled'),
+                notesFound: this.results.reduce((sum, r) => sum + (r.notesFound || 0), 0),
+                downloadsSuccessful: this.results.reduce((sum, r) => sum + (r.downloadsSuccessful || 0), 0),
+                downloadsFailed: this.results.reduce((sum, r) => sum + (r.downloadsFailed || 0), 0),
+                totalTime: `${(duration / 1000).toFixed(1)}s`
+            },
+            companies: this.results
+        };
+
+        try {
+            if (!fs.existsSync(this.config.DOWNLOAD_DIR)) {
+                fs.mkdirSync(this.config.DOWNLOAD_DIR, { recursive: true });
+            }
+            report.reportPath = path.join(this.config.DOWNLOAD_DIR, `batch-report-${Date.now()}.json`);
+            fs.writeFileSync(report.reportPath, JSON.stringify(report, null, 2));
+            this.logger.info(`📊 Relatório consolidado salvo em: ${report.reportPath}`);
+        } catch (error) {
+            this.logger.error(`Erro ao salvar relatório consolidado: ${error.message}`);
+        }
+
+        this.displaySummary(report);
+        return report;
+    }
+
+    displaySummary(report) {
+        if (this.config.QUIET) return;
+
+        console.log('\n' + '='.repeat(60));
+        console.log('📋 RELATÓRIO CONSOLIDADO DO LOTE');
+        console.log('='.repeat(60));
+        console.log(`🏢 Empresas: ${report.summary.companies}`);
+        console.log(`✅ Sucesso: ${report.summary.successful}`);
+        console.log(`⚠️  Parcial: ${report.summary.partial}`);
+        console.log(`❌ Falharam: ${report.summary.failed}`);
+        if (report.summary.cancelled) {
+            console.log(`⏹️  Canceladas: ${report.summary.cancelled}`);
+        }
+        console.log(`📄 XMLs baixados: ${report.summary.downloadsSuccessful}/${report.summary.notesFound}`);
+        console.log(`⏱️  Tempo total: ${report.summary.totalTime}`);
+        console.log('');
+        report.companies.forEach(result => {
+            const icon = { success: '✅', partial: '⚠️ ', failed: '❌', cancelled: '⏹️ ' }[result.status];
+            const detail = result.error
+                ? result.error
+                : `${result.downloadsSuccessful}/${result.notesFound} XMLs`;
+            console.log(`   ${icon} ${result.cnpj}${result.nome ? ` (${result.nome})` : ''} - ${detail}`);
+        });
+        console.log('='.repeat(60) + '\n');
+    }
+
+    // Interrupção: cada empresa em andamento salva checkpoint e relatório parcial
+    async interrupt() {
+        for (const downloader of this.downloaders) {
+            try {
+                await downloader.savePartialProgress('interrupted');
+            } catch (error) {
+                this.logger.debug(`Erro ao salvar progresso: ${error.message}`);
+            }
+        }
+
+        await this.cleanup();
+    }
+
+    // Fechar contextos em andamento e o browser compartilhado
+    async cleanup() {
+        for (const downloader of this.downloaders) {
+            try {
+                await downloader.cleanup();
+            } catch (error) {
+                this.logger.debug(`Erro ao fechar contexto: ${error.message}`);
+            }
+        }
+        this.downloaders.clear();
+
+        if (this.browser) {
+            await this.browser.close();
+            this.browser = null;
+            this.logger.info('Browser compartilhado fechado');
+        }
+    }
+}
+
+module.exports = { BatchRunner };
@@ -0,0 +1,62 @@
+// ==================== CHECKPOINT E RETOMADA ====================
+// Estado de uma execução em andamento, salvo em <downloadDir>/nfse-checkpoint.json
+// a cada página/lote: empresa, período, página atual, linhas já processadas e os
+// resultados de download até o momento. Com --resume, uma nova execução faz
+// login novamente, percorre as páginas e pula as notas já baixadas.
+//
+// O checkpoint é removido quando a execução termina normalmente.
+
+const fs = require('fs');
+const path = require('path');
+
+const CHECKPOINT_FILE = 'nfse-checkpoint.json';
+const CHECKPOINT_VERSION = 1;
+
+class Checkpoint {
+    constructor(downloadDir) {
+        this.filePath = path.join(downloadDir, CHECKPOINT_FILE);
+    }
+
+    exists() {
+        return fs.existsSync(this.filePath);
+    }
+
+    // Ler checkpoint; null se ausente, corrompido ou de outra versão
+    load() {
+        try {
+            const state = JSON.parse(fs.readFileSync(this.filePath, 'utf8'));
+            return state.version === CHECKPOINT_VERSION ? state : null;
+        } catch (error) {
+            return null;
+        }
+    }
+
+    // O checkpoint pertence a esta empresa/período/pesquisa?
+    matches(state, company, period, filters = {}) {
+        return !!state &&
+            state.company && state.company.cnpj === company.cnpj &&
+            state.period && state.period.start === period.start && state.period.end === period.end &&
+            JSON.stringify(state.filters || {}) === JSON.stringify(filters);
+    }
+
+    // Gravação atômica (arquivo temporário + rename): um SIGINT no meio não corrompe o checkpoint
+    save(state) {
+        const data = {
+            version: CHECKPOINT_VERSION,
+            updatedAt: new Date().toISOString(),
+            ...state
+        };
+
+        const tempPath = `${this.filePath}.tmp`;
+        fs.mkdirSync(path.dirname(this.filePath), { recursive: true });
+        fs.writeFileSync(tempPath, JSON.stringify(data, null, 2));
+        fs.renameSync(tempPath, this.filePath);
+    }
+
+    clear() {
+        fs.rmSync(this.filePath, { force: true });
+        fs.rmSync(`${this.filePath}.tmp`, { force: true });
+    }
+}
+
+module.exports = { Checkpoint, CHECKPOINT_FILE };
@@ -0,0 +1,956 @@
+// ==================== INTERFACE DE LINHA DE COMANDO (xmlitz) ====================
+// Ponto único de entrada para download, organização, verificação, relatórios e
+// quarentena. Cada subcomando retorna um código de saída (EXIT_CODES) e, com
+// --json, escreve um único objeto JSON em stdout (logs de erro seguem em stderr).
+
+const fs = require('fs');
+const path = require('path');
+const { parseArgs } = require('./args');
+const { loadConfig, booleanFlags, describeOptions, normalizeDate } = require('./config');
+const { EXIT_CODES, NFSeError, ConfigError, exitCodeFor } = require('./errors');
+
+// Opções aceitas por todos os subcomandos (além das chaves de configuração)
+const GLOBAL_FLAGS = ['json', 'help', 'h'];
+
+// Carregar o módulo principal sob demanda (evita dependência circular com nfse-downloader.js)
+function core() {
+    return require('../nfse-downloader');
+}
+
+// ==================== SAÍDA ====================
+function printJSON(data) {
+    process.stdout.write(JSON.stringify(data, null, 2) + '\n');
+}
+
+// Aplicar configuração carregada ao CONFIG compartilhado do módulo principal
+function applyConfig(flags, { requireCredentials = false, allowFlags = [] } = {}) {
+    const { CONFIG } = core();
+    const loaded = loadConfig({
+        flags,
+        requireCredentials,
+        allowFlags: [...GLOBAL_FLAGS, ...allowFlags]
+    });
+
+    Object.assign(CONFIG, loaded);
+    if (flags.json || flags.progress === 'jsonl') {
+        CONFIG.QUIET = true;
+    }
+
+    return CONFIG;
+}
+
+// --progress=jsonl: cada evento de progresso do downloader vira uma linha JSON em stdout
+// (supervisores, servidor da API). Os logs são suprimidos como em --json; erros seguem em stderr
+function progressMode(flags) {
+    if (flags.progress === undefined) return null;
+    if (flags.progress !== 'jsonl') {
+        throw new ConfigError(`--progress aceita apenas 'jsonl' (recebido: '${flags.progress}')`);
+    }
+    if (flags.json) {
+        throw new ConfigError('--progress=jsonl e --json não podem ser usados juntos (o evento "done" já traz o resumo)');
+    }
+    return 'jsonl';
+}
+
+function streamProgress(emitter) {
+    emitter.on('progress', event => process.stdout.write(JSON.stringify(event) + '\n'));
+}
+
+// Ctrl+C: o primeiro pede o cancelamento cooperativo (cancel) - downloads em andamento
+// terminam, os arquivos são organizados e o relatório sai como "cancelled"; o segundo
+// salva o que puder de forma síncrona (force) e sai imediatamente
+function handleInterrupts(Logger, { cancel, force }) {
+    let interrupts = 0;
+    process.on('SIGINT', () => {
+        if (++interrupts === 1) {
+            Logger.warn('Interrupção detectada. Terminando os downloads em andamento (Ctrl+C novamente para sair imediatamente)...');
+            cancel();
+            return;
+        }
+
+        Logger.warn('Segunda interrupção: saindo imediatamente');
+        try {
+            force();
+        } finally {
+            process.exit(EXIT_CODES.INTERRUPTED);
+        }
+    });
+}
+
+// ==================== COFRE DE CREDENCIAIS ====================
+// Ler um segredo do terminal sem eco (senha mestra, senha do portal); a pergunta vai
+// para stderr, então --json continua com um único objeto em stdout
+function promptSecret(question) {
+    if (!process.stdin.isTTY) {
+        return Promise.reject(new ConfigError(`${question.replace(/:\s*$/, '')} não informada e não há terminal interativo`));
+    }
+
+    return new Promise((resolve, reject) => {
+        const stdin = process.stdin;
+        let value = '';
+
+        const finish = (error) => {
+            stdin.removeListener('data', onData);
+            stdin.setRawMode(false);
+            stdin.pause();
+            process.stderr.write('\n');
+            if (error) reject(error); else resolve(value);
+        };
+        const onData = (chunk) => {
+            for (const char of chunk) {
+                if (char === '\r' || char === '\n') return finish();
+                if (char === '\u0003') {
+                    return finish(new NFSeError('Interrompido pelo usuário', { exitCode: EXIT_CODES.INTERRUPTED, retryable: false }));
+                }
+                value = char === '\u007f' || char === '\b' ? value.slice(0, -1) : value + char;
+            }
+        };
+
+        process.stderr.write(`🔐 ${question} `);
+        stdin.setRawMode(true);
+        stdin.setEncoding('utf8');
+        stdin.on('data', onData);
+        stdin.resume();
+    });
+}
+
+// Segredo perguntado duas vezes (cadastro de senhas novas)
+async function promptNewSecret(question) {
+    const value = await promptSecret(`${question}:`);
+    if (await promptSecret('Confirme:') !== value) {
+        throw new ConfigError('Os valores digitados não conferem');
+    }
+    return value;
+}
+
+// Abrir o cofre da configuração (VAULT_FILE); a senha mestra vem de VAULT_PASSPHRASE
+// (NFSE_VAULT_PASSPHRASE) ou é perguntada no terminal
+async function openConfiguredVault(CONFIG) {
+    const { CredentialVault } = require('./vault');
+    const passphrase = CONFIG.VAULT_PASSPHRASE
+        || (CredentialVault.exists(CONFIG.VAULT_FILE) ? await promptSecret('Senha mestra do cofre:') : null);
+    return CredentialVault.open(CONFIG.VAULT_FILE, passphrase);
+}
+
+// Cofre só quando alguma empresa é referenciada pelo ID; IDs inexistentes falham antes do download
+async function vaultFor(CONFIG, companies) {
+    const ids = companies.map(company => company.company).filter(Boolean);
+    if (ids.length === 0) return null;
+
+    const vault = await openConfiguredVault(CONFIG);
+    ids.forEach(id => vault.get(id));
+    return vault;
+}
+
+// Listar arquivos XML de um diretório (opcionalmente recursivo)
+function listXMLFiles(dir, recursive = false) {
+    if (!fs.existsSync(dir)) return [];
+
+    const files = [];
+    for (const entry of fs.readdirSync(dir, { withFileTypes: true })) {
+        const fullPath = path.join(dir, entry.name);
+        if (entry.isDirectory()) {
+            if (recursive && entry.name !== 'quarantine') {
+                files.push(...listXMLFiles(fullPath, true));
+            }
+        } else if (entry.name.toLowerCase().endsWith('.xml') && !entry.name.startsWith('.')) {
+            files.push(fullPath);
+        }
+    }
+    return files;
+}
+
+// Opção numérica de um subcomando (string da linha de comando); fallback quando ausente
+function numberFlag(flags, name, { min, max, integer = true, fallback }) {
+    if (flags[name] === undefined) return fallback;
+
+    const value = Number(flags[name]);
+    if (flags[name] === true || isNaN(value) || (integer && !Number.isInteger(value)) || value < min || value > max) {
+        const kind = integer ? 'um inteiro' : 'um número';
+        throw new ConfigError(`--${name} deve ser ${kind} entre ${min} e ${max} (recebido: '${flags[name]}')`);
+    }
+    return value;
+}
+
+// Motivo legível de uma validação: o primeiro check que falhou, ou o motivo geral
+function validationReason(validation) {
+    if (!validation.valid && validation.checks) {
+        const failed = Object.values(validation.checks).find(check => check && check.valid === false);
+        if (failed) return failed.reason;
+    }
+    return validation.reason || null;
+}
+
+// ==================== SUBCOMANDOS ====================
+const COMMANDS = {
+    download: {
+        summary: 'Baixar XMLs de NFSe do portal para o período configurado',
+        usage: 'xmlitz download [--roster <empresas.csv|json|txt>] [--concurrency <n>] [--progress=jsonl] [opções]',
+        flags: ['roster', 'concurrency', 'progress'],
+        async run(flags) {
+            progressMode(flags);
+            if (flags.roster) {
+                return this.runBatch(flags);
+            }
+
+            const CONFIG = applyConfig(flags, { requireCredentials: true, allowFlags: this.flags });
+            const { NFSeDownloader, Logger } = core();
+
+            const vault = await vaultFor(CONFIG, [{ company: CONFIG.COMPANY }]);
+            const downloader = new NFSeDownloader({ vault });
+
+            Logger.info('🚀 Iniciando NFSe XML Downloader');
+            Logger.info(`  - CNPJ: ${downloader.company.cnpj}${CONFIG.COMPANY ? ` (cofre: ${CONFIG.COMPANY})` : ''}`);
+            Logger.info(`  - Período: ${CONFIG.DATA_INICIAL} a ${CONFIG.DATA_FINAL}`);
+            Logger.info(`  - Headless: ${CONFIG.HEADLESS}`);
+            Logger.info(`  - Diretório: ${CONFIG.DOWNLOAD_DIR}`);
+
+            if (flags.progress) {
+                streamProgress(downloader);
+            }
+
+            const controller = new AbortController();
+            handleInterrupts(Logger, {
+                cancel: () => controller.abort(),
+                force: () => downloader.saveCheckpoint('interrupted')
+            });
+
+            process.once('unhandledRejection', async (reason) => {
+                Logger.error(`Erro não tratado detectado: ${reason && reason.message ? reason.message : reason}`);
+                await downloader.interrupt('failed');
+                process.exit(exitCodeFor(reason));
+            });
+
+            const report = await downloader.run({ signal: controller.signal });
+            const failed = report ? report.execution.downloadsFailed + (report.execution.windowsFailed || 0) : 0;
+            const exitCode = downloader.status === 'cancelled'
+                ? EXIT_CODES.INTERRUPTED
+                : (failed > 0 ? EXIT_CODES.PARTIAL : EXIT_CODES.SUCCESS);
+
+            if (flags.json) {
+                printJSON({
+                    command: 'download',
+                    exitCode,
+                    status: downloader.status,
+                    cnpj: downloader.company.cnpj,
+                    company: downloader.company.id,
+                    period: { start: CONFIG.DATA_INICIAL, end: CONFIG.DATA_FINAL },
+                    totalDownloads: downloader.totalDownloads,
+                    report: report || { execution: { notesFound: 0 } }
+                });
+            } else if (downloader.status === 'cancelled') {
+                Logger.warn(`⏹️  Download cancelado: ${downloader.totalDownloads} XMLs baixados (relatório parcial salvo)`);
+            } else {
+                Logger.success(`✅ Download concluído: ${downloader.totalDownloads} XMLs baixados`);
+            }
+
+            return exitCode;
+        },
+
+        // Várias empresas em um único processo (um browser, um contexto por empresa)
+        async runBatch(flags) {
+            const CONFIG = applyConfig(flags, { allowFlags: this.flags });
+            const { Logger } = core();
+            const { loadRoster } = require('./roster');
+            const { BatchRunner } = require('./batch');
+
+            const concurrency = flags.concurrency === undefined ? 1 : Number(flags.concurrency);
+            if (!Number.isInteger(concurrency) || concurrency < 1 || concurrency > 10) {
+                throw new ConfigError(`--concurrency deve ser um inteiro entre 1 e 10 (recebido: '${flags.concurrency}')`);
+            }
+
+            const companies = loadRoster(String(flags.roster));
+            const vault = await vaultFor(CONFIG, companies);
+            const runner = new BatchRunner(companies, { concurrency, vault });
+            if (flags.progress) {
+                streamProgress(runner);
+            }
+
+            const controller = new AbortController();
+            handleInterrupts(Logger, {
+                cancel: () => controller.abort(),
+                force: () => runner.downloaders.forEach(downloader => downloader.saveCheckpoint('interrupted'))
+            });
+
+            const report = await runner.run({ signal: controller.signal });
+            const { successful, failed, cancelled, companies: total } = report.summary;
+            const exitCode = cancelled > 0
+                ? EXIT_CODES.INTERRUPTED
+                : successful === total
+                    ? EXIT_CODES.SUCCESS
+                    : (failed === total ? EXIT_CODES.FAILURE : EXIT_CODES.PARTIAL);
+
+            if (flags.json) {
+                printJSON({
+                    command: 'download',
+                    mode: 'batch',
+                    exitCode,
+                    downloadDir: CONFIG.DOWNLOAD_DIR,
+                    report
+                });
+            }
+
+            return exitCode;
+        }
+    },
+
+    daemon: {
+        summary: 'Executar downloads agendados (expressões cron por empresa) em processo contínuo',
+        usage: 'xmlitz daemon --schedule <agenda.json> [--once] [opções]',
+        flags: ['schedule', 'once'],
+        async run(flags) {
+            const CONFIG = applyConfig(flags, { allowFlags: this.flags });
+            const { Logger } = core();
+            const { loadSchedule, Scheduler } = require('./scheduler');
+
+            if (!flags.schedule || flags.schedule === true) {
+                throw new ConfigError('Informe o arquivo de agenda com --schedule <agenda.json>');
+            }
+
+            const schedule = loadSchedule(String(flags.schedule));
+            const vault = await vaultFor(CONFIG, schedule.jobs.flatMap(job => job.companies));
+            const scheduler = new Scheduler(schedule, CONFIG.DOWNLOAD_DIR, { vault });
+
+            // Desligamento: execuções em andamento salvam checkpoint e são repetidas no próximo início
+            const shutdown = (signal, exitCode) => process.once(signal, async () => {
+                Logger.warn(`${signal} recebido. Encerrando agendador...`);
+                await scheduler.stop();
+                process.exit(exitCode);
+            });
+            shutdown('SIGINT', EXIT_CODES.INTERRUPTED);
+            shutdown('SIGTERM', EXIT_CODES.SUCCESS);
+
+            const summary = await scheduler.run({ once: Boolean(flags.once) });
+            const exitCode = summary.runs === summary.successful
+                ? EXIT_CODES.SUCCESS
+                : (summary.failed === summary.runs ? EXIT_CODES.FAILURE : EXIT_CODES.PARTIAL);
+
+            if (flags.json) {
+                printJSON({ command: 'daemon', exitCode, schedule: schedule.file, ...summary });
+            } else if (flags.once) {
+                Logger.info(`⏰ ${summary.runs} execução(ões): ${summary.successful} com sucesso, ${summary.partial} parcial(is), ${summary.failed} com falha`);
+            }
+
+            return exitCode;
+        }
+    },
+
+    organize: {
+        summary: 'Organizar XMLs baixados em YYYY/MMYYYY/CNPJ/',
+        usage: 'xmlitz organize [--source <dir>] [--dest <dir>] [opções]',
+        flags: ['source', 'dest'],
+        async run(flags) {
+            const CONFIG = applyConfig(flags, { allowFlags: this.flags });
+            const { XMLOrganizer } = core();
+
+            const sourceDir = path.resolve(flags.source || CONFIG.DOWNLOAD_DIR);
+            const destDir = path.resolve(flags.dest || path.join(sourceDir, CONFIG.ORGANIZE_BASE_DIR));
+
+            const organizer = new XMLOrganizer();
+            const report = await organizer.organizeAllFiles(sourceDir, destDir);
+            organizer.displayOrganizationSummary(report);
+
+            const exitCode = report.stats.errors > 0 ? EXIT_CODES.PARTIAL : EXIT_CODES.SUCCESS;
+
+            if (flags.json) {
+                printJSON({
+                    command: 'organize',
+                    exitCode,
+                    sourceDir,
+                    destDir,
+                    stats: report.stats,
+                    errors: report.errors,
+                    files: report.processedFiles.map(file => ({
+                        fileName: file.fileName,
+                        destPath: file.destPath,
+                        reason: file.moveResult.reason
+                    }))
+                });
+            }
+
+            return exitCode;
+        }
+    },
+
+    verify: {
+        summary: 'Validar os XMLs do diretório de download (estrutura, tamanho, duplicatas)',
+        usage: 'xmlitz verify [--dir <dir>] [--recursive] [--quarantine] [opções]',
+        flags: ['dir', 'recursive', 'quarantine'],
+        async run(flags) {
+            const CONFIG = applyConfig(flags, { allowFlags: this.flags });
+            const { FileValidator, NFSeDownloader } = core();
+
+            const dir = path.resolve(flags.dir || CONFIG.DOWNLOAD_DIR);
+            const files = listXMLFiles(dir, Boolean(flags.recursive));
+
+            const results = files.map(filePath => {
+                const others = files.filter(other => other !== filePath);
+                const validation = FileValidator.validateDownload(filePath, others);
+                return {
+                    file: path.relative(dir, filePath),
+                    valid: validation.valid,
+                    action: validation.action,
+                    reason: validationReason(validation),
+                    size: validation.checks.size ? validation.checks.size.size : 0,
+                    checksum: validation.checksum,
+                    validation
+                };
+            });
+
+            const invalid = results.filter(result => !result.valid);
+
+            if (flags.quarantine && invalid.length > 0) {
+                const downloader = new NFSeDownloader();
+                for (const result of invalid) {
+                    await downloader.quarantineFile(path.join(dir, result.file), result.validation);
+                }
+            }
+
+            const exitCode = invalid.length > 0 ? EXIT_CODES.PARTIAL : EXIT_CODES.SUCCESS;
+
+            if (flags.json) {
+                printJSON({
+                    command: 'verify',
+                    exitCode,
+                    dir,
+                    total: results.length,
+                    valid: results.length - invalid.length,
+                    invalid: invalid.length,
+                    quarantined: flags.quarantine ? invalid.length : 0,
+                    files: results.map(({ validation, ...rest }) => rest)
+                });
+            } else {
+                console.log(`📄 ${results.length} arquivos verificados em ${dir}`);
+                results.forEach(result => {
+                    console.log(`   ${result.valid ? '✅' : '❌'} ${result.file} - ${result.reason}`);
+                });
+                console.log(`\n✅ Válidos: ${results.length - invalid.length}   ❌ Inválidos: ${invalid.length}`);
+                if (flags.quarantine && invalid.length > 0) {
+                    console.log(`⚠️  ${invalid.length} arquivos movidos para quarentena`);
+                }
+            }
+
+            return exitCode;
+        }
+    },
+
+    report: {
+        summary: 'Exibir o relatório de execução mais recente (ou o arquivo informado)',
+        usage: 'xmlitz report [arquivo.json] [--type download|organization] [opções]',
+        flags: ['type'],
+        async run(flags, args) {
+            const CONFIG = applyConfig(flags, { allowFlags: this.flags });
+            const { NFSeDownloader, XMLOrganizer } = core();
+
+            const type = flags.type || 'download';
+            const prefixes = { download: 'nfse-report-', organization: 'organization-report-' };
+            if (!prefixes[type]) {
+                throw new ConfigError(`Tipo de relatório inválido: '${type}' (use: download, organization)`);
+            }
+
+            let reportPath = args[0] ? path.resolve(args[0]) : null;
+            if (!reportPath) {
+                const candidates = fs.existsSync(CONFIG.DOWNLOAD_DIR)
+                    ? fs.readdirSync(CONFIG.DOWNLOAD_DIR)
+                        .filter(file => file.startsWith(prefixes[type]) && file.endsWith('.json'))
+                        .sort()
+                    : [];
+                if (candidates.length === 0) {
+                    console.error(`❌ Nenhum relatório '${type}' encontrado em ${CONFIG.DOWNLOAD_DIR}`);
+                    return EXIT_CODES.FAILURE;
+                }
+                reportPath = path.join(CONFIG.DOWNLOAD_DIR, candidates[candidates.length - 1]);
+            }
+
+            if (!fs.existsSync(reportPath)) {
+                console.error(`❌ Relatório não encontrado: ${reportPath}`);
+                return EXIT_CODES.FAILURE;
+            }
+
+            const report = JSON.parse(fs.readFileSync(reportPath, 'utf8'));
+
+            if (flags.json) {
+                printJSON({ command: 'report', type, reportPath, report });
+            } else {
+                console.log(`📄 ${reportPath}`);
+                if (type === 'download') {
+                    new NFSeDownloader().displayReportSummary({ ...report, reportPath });
+                } else {
+                    new XMLOrganizer().displayOrganizationSummary(report);
+                }
+            }
+
+            return EXIT_CODES.SUCCESS;
+        }
+    },
+
+    reconcile: {
+        summary: 'Conferir a listagem do portal (relatório) com os XMLs no disco e baixar só as notas faltantes',
+        usage: 'xmlitz reconcile [relatório.json] [--download-missing] [opções]',
+        flags: ['download-missing'],
+        async run(flags, args) {
+            const CONFIG = applyConfig(flags, { allowFlags: this.flags });
+            const { NFSeDownloader, Logger } = core();
+            const { reconcile, coversWholePeriod, scanNotes } = require('./reconcile');
+
+            // Relatório com a listagem completa do período: o informado ou o mais recente
+            const readReport = file => {
+                try {
+                    return JSON.parse(fs.readFileSync(file, 'utf8'));
+                } catch (error) {
+                    return null;
+                }
+            };
+            let reportPath = args[0] ? path.resolve(args[0]) : null;
+            if (!reportPath) {
+                const candidates = fs.existsSync(CONFIG.DOWNLOAD_DIR)
+                    ? fs.readdirSync(CONFIG.DOWNLOAD_DIR)
+                        .filter(file => file.startsWith('nfse-report-') && file.endsWith('.json'))
+                        .sort()
+                        .reverse()
+                    : [];
+                const latest = candidates.find(file => {
+                    const candidate = readReport(path.join(CONFIG.DOWNLOAD_DIR, file));
+                    return candidate && candidate.listing && !candidate.listing.partial;
+                });
+                if (!latest) {
+                    console.error(`❌ Nenhum relatório com listagem encontrado em ${CONFIG.DOWNLOAD_DIR} - gere um com: xmlitz download --list-only`);
+                    return EXIT_CODES.FAILURE;
+                }
+                reportPath = path.join(CONFIG.DOWNLOAD_DIR, latest);
+            }
+
+            const report = readReport(reportPath);
+            if (!report || !report.listing) {
+                console.error(`❌ Relatório ausente ou sem listagem: ${reportPath}`);
+                return EXIT_CODES.FAILURE;
+            }
+
+            const dir = path.dirname(reportPath);
+            const organizedDir = path.join(CONFIG.DOWNLOAD_DIR, CONFIG.ORGANIZE_BASE_DIR);
+            const check = () => {
+                const notes = scanNotes(dir);
+                if (path.relative(dir, organizedDir).startsWith('..')) {
+                    notes.push(...scanNotes(organizedDir));
+                }
+                return reconcile(report.listing.entries, notes, {
+                    cnpj: report.company.cnpj,
+                    tipo: report.filters.tipo,
+                    period: report.period,
+                    complete: !report.listing.partial && coversWholePeriod(report.filters) &&
+                        (report.windows || []).every(w => w.status === 'completed')
+                });
+            };
+
+            let result = check();
+            let downloaded = null;
+
+            // Novo download apenas das notas faltantes, com a pesquisa restrita à faixa de números
+            if (flags['download-missing'] && result.missing.length > 0) {
+                // Empresa do cofre de credenciais (relatório com company.id) ou senha da configuração
+                const companyId = report.company.id;
+                if (!companyId && !CONFIG.SENHA) {
+                    throw new ConfigError('Informe a senha da empresa (NFSE_SENHA, --senha ou config.local.js) para baixar as notas faltantes');
+                }
+                const vault = await vaultFor(CONFIG, [{ company: companyId }]);
+
+                const numbers = result.missing.map(entry => entry.numero);
+                const numeric = numbers.map(numero => parseInt(String(numero).replace(/\D/g, ''), 10));
+                const range = numeric.every(Number.isInteger)
+                    ? { numeroInicial: Math.min(...numeric), numeroFinal: Math.max(...numeric) }
+                    : {};
+
+                Logger.info(`⬇️  Baixando ${numbers.length} nota(s) faltante(s) de ${report.company.cnpj} (${report.period.start} a ${report.period.end})`);
+                CONFIG.LIST_ONLY = false;
+                const downloader = new NFSeDownloader({
+                    ...(companyId ? { company: companyId, vault } : { cnpj: report.company.cnpj, senha: CONFIG.SENHA }),
+                    nome: report.company.nome,
+                    dataInicial: report.period.start,
+                    dataFinal: report.period.end,
+                    filters: { ...report.filters, ...range },
+                    adapter: report.portal.adapter,
+                    loginUrl: report.portal.loginUrl,
+                    downloadDir: dir,
+                    onlyNumbers: numbers
+                });
+
+                const controller = new AbortController();
+                handleInterrupts(Logger, {
+                    cancel: () => controller.abort(),
+                    force: () => downloader.saveCheckpoint('interrupted')
+                });
+
+                await downloader.run({ signal: controller.signal });
+                downloaded = downloader.totalDownloads;
+                result = check();
+            }
+
+            const { summary } = result;
+            const exitCode = summary.missing + summary.divergent > 0 ? EXIT_CODES.PARTIAL : EXIT_CODES.SUCCESS;
+
+            if (flags.json) {
+                printJSON({
+                    command: 'reconcile',
+                    exitCode,
+                    reportPath,
+                    downloaded,
+                    summary,
+                    missing: result.missing,
+                    divergent: result.divergent.map(e => ({ ...e, file: path.relative(dir, e.file) })),
+                    extra: result.extra.map(e => ({ ...e, file: path.relative(dir, e.file) }))
+                });
+            } else {
+                console.log(`📄 ${reportPath}`);
+                new NFSeDownloader().displayReconciliation({
+                    reportPath: flags['download-missing'] ? null : reportPath,
+                    reconciliation: {
+                        summary,
+                        missing: result.missing,
+                        divergent: result.divergent.map(e => ({ ...e, file: path.relative(dir, e.file) })),
+                        extra: result.extra.map(e => ({ ...e, file: path.relative(dir, e.file) }))
+                    }
+                });
+                if (downloaded !== null) {
+                    console.log(`\n⬇️  ${downloaded} XML(s) baixado(s) nesta execução`);
+                }
+            }
+
+            return exitCode;
+        }
+    },
+
+    quarantine: {
+        summary: 'Listar, restaurar ou limpar arquivos em quarentena',
+        usage: 'xmlitz quarantine [list | restore <arquivo> | purge --yes] [opções]',
+        flags: ['yes'],
+        async run(flags, args) {
+            const CONFIG = applyConfig(flags, { allowFlags: this.flags });
+            const quarantineDir = path.join(CONFIG.DOWNLOAD_DIR, 'quarantine');
+            const action = args[0] || 'list';
+
+            const entries = fs.existsSync(quarantineDir)
+                ? fs.readdirSync(quarantineDir)
+                    .filter(file => !file.endsWith('.validation.json'))
+                    .map(file => {
+                        const validationPath = path.join(quarantineDir, `${file}.validation.json`);
+                        let reason = null;
+                        if (fs.existsSync(validationPath)) {
+                            try {
+                                const validation = JSON.parse(fs.readFileSync(validationPath, 'utf8'));
+                                reason = validationReason(validation);
+                            } catch (error) {
+                                reason = `Relatório de validação ilegível: ${error.message}`;
+                            }
+                        }
+                        // Nome original: remover prefixo "<timestamp>_" adicionado por quarantineFile()
+                        return { file, originalName: file.replace(/^\d+_/, ''), reason, validationPath };
+                    })
+                : [];
+
+            if (action === 'list') {
+                if (flags.json) {
+                    printJSON({
+                        command: 'quarantine',
+                        action,
+                        dir: quarantineDir,
+                        total: entries.length,
+                        files: entries.map(({ validationPath, ...rest }) => rest)
+                    });
+                } else {
+                    console.log(`⚠️  ${entries.length} arquivos em quarentena (${quarantineDir})`);
+                    entries.forEach(entry => console.log(`   ${entry.file} - ${entry.reason || 'motivo desconhecido'}`));
+                }
+                return EXIT_CODES.SUCCESS;
+            }
+
+            if (action === 'restore') {
+                const target = args[1];
+                const entry = entries.find(item => item.file === target || item.originalName === target);
+                if (!entry) {
+                    console.error(`❌ Arquivo não encontrado na quarentena: ${target || '(não informado)'}`);
+                    return EXIT_CODES.USAGE;
+                }
+
+                const destPath = path.join(CONFIG.DOWNLOAD_DIR, entry.originalName);
+                fs.renameSync(path.join(quarantineDir, entry.file), destPath);
+                if (fs.existsSync(entry.validationPath)) fs.unlinkSync(entry.validationPath);
+
+                if (flags.json) {
+                    printJSON({ command: 'quarantine', action, restored: entry.file, destPath });
+                } else {
+                    console.log(`✅ Restaurado: ${entry.file} → ${destPath}`);
+                }
+                return EXIT_CODES.SUCCESS;
+            }
+
+            if (action === 'purge') {
+                if (!flags.yes) {
+                    console.error('❌ purge remove definitivamente os arquivos - confirme com --yes');
+                    return EXIT_CODES.USAGE;
+                }
+
+                for (const entry of entries) {
+                    fs.unlinkSync(path.join(quarantineDir, entry.file));
+                    if (fs.existsSync(entry.validationPath)) fs.unlinkSync(entry.validationPath);
+                }
+
+                if (flags.json) {
+                    printJSON({ command: 'quarantine', action, removed: entries.length });
+                } else {
+                    console.log(`🗑️  ${entries.length} arquivos removidos da quarentena`);
+                }
+                return EXIT_CODES.SUCCESS;
+            }
+
+            console.error(`❌ Ação desconhecida: ${action} (use: list, restore, purge)`);
+            return EXIT_CODES.USAGE;
+        }
+    },
+
+    vault: {
+        summary: 'Gerenciar o cofre de credenciais criptografado (empresas referenciadas por ID)',
+        usage: 'xmlitz vault [list | add <id> --cnpj <cnpj> [--nome <nome>] | rotate <id> | remove <id> --yes] [opções]',
+        flags: ['nome', 'yes'],
+        async run(flags, args) {
+            const CONFIG = applyConfig(flags, { allowFlags: this.flags });
+            const { CredentialVault } = require('./vault');
+            const [action = 'list', id] = args;
+
+            if (!['list', 'add', 'rotate', 'remove'].includes(action)) {
+                console.error(`❌ Ação desconhecida: ${action} (use: list, add, rotate, remove)`);
+                return EXIT_CODES.USAGE;
+            }
+            if (action !== 'list' && !id) {
+                throw new ConfigError(`Informe o ID da empresa: xmlitz vault ${action} <id>`);
+            }
+
+            if (action === 'list') {
+                const companies = CredentialVault.exists(CONFIG.VAULT_FILE)
+                    ? (await openConfiguredVault(CONFIG)).list()
+                    : [];
+                if (flags.json) {
+                    printJSON({ command: 'vault', action, file: CONFIG.VAULT_FILE, total: companies.length, companies });
+                } else {
+                    console.log(`🔐 ${companies.length} empresas no cofre (${CONFIG.VAULT_FILE})`);
+                    companies.forEach(company => console.log(`   ${company.id} - ${company.cnpj}${company.nome ? ` (${company.nome})` : ''} - senha alterada em ${company.updatedAt}`));
+                }
+                return EXIT_CODES.SUCCESS;
+            }
+
+            if (action === 'remove' && !flags.yes) {
+                console.error(`❌ remove apaga definitivamente as credenciais de '${id}' - confirme com --yes`);
+                return EXIT_CODES.USAGE;
+            }
+
+            // add no primeiro uso cria o cofre, com a senha mestra digitada duas vezes
+            let vault;
+            if (action === 'add' && !CredentialVault.exists(CONFIG.VAULT_FILE)) {
+                const passphrase = CONFIG.VAULT_PASSPHRASE || await promptNewSecret('Nova senha mestra do cofre');
+                vault = CredentialVault.create(CONFIG.VAULT_FILE, passphrase);
+            } else {
+                vault = await openConfiguredVault(CONFIG);
+            }
+
+            // Senha do portal: --senha (fica no histórico do shell) ou digitada sem eco
+            const portalPassword = async () => flags.senha || promptNewSecret(`Senha do portal para '${id}'`);
+
+            if (action === 'add') {
+                if (!flags.cnpj) {
+                    throw new ConfigError(`Informe o CNPJ: xmlitz vault add ${id} --cnpj <cnpj>`);
+                }
+                vault.add(id, {
+                    cnpj: String(flags.cnpj),
+                    senha: await portalPassword(),
+                    nome: flags.nome,
+                    municipio: flags.municipio,
+                    adapter: flags.adapter,
+                    loginUrl: flags['login-url']
+                });
+            } else if (action === 'rotate') {
+                vault.get(id);
+                vault.rotate(id, await portalPassword());
+            } else {
+                vault.remove(id);
+            }
+            vault.save();
+
+            const messages = { add: '✅ Empresa cadastrada', rotate: '🔄 Senha alterada', remove: '🗑️  Empresa removida' };
+            if (flags.json) {
+                printJSON({ command: 'vault', action, id, file: CONFIG.VAULT_FILE });
+            } else {
+                console.log(`${messages[action]}: ${id} (${CONFIG.VAULT_FILE})`);
+            }
+            return EXIT_CODES.SUCCESS;
+        }
+    },
+
+    'mock-portal': {
+        summary: 'Servir um portal Prefeitura Moderna simulado (local) para desenvolvimento e testes',
+        usage: 'xmlitz mock-portal [--port <n>] [--notes <n> | --fixtures <dir>] [--fail-rate <0-1>] [--session-ttl <s>] [opções]',
+        flags: ['port', 'host', 'notes', 'fixtures', 'from', 'to', 'page-size', 'seed', 'latency',
+            'fail-rate', 'corrupt-rate', 'session-ttl', 'expire-after', 'unavailable', 'blocked'],
+        async run(flags) {
+            const CONFIG = applyConfig(flags, { allowFlags: this.flags });
+            const { createMockPortal, defaultRange } = require('./mock-portal');
+
+            // Datas das notas geradas (padrão: os dois meses anteriores ao atual)
+            const range = defaultRange();
+            for (const [flag, key] of [['from', 'start'], ['to', 'end']]) {
+                if (flags[flag] === undefined) continue;
+                range[key] = normalizeDate(String(flags[flag]));
+                if (!range[key]) throw new ConfigError(`--${flag} deve ser uma data YYYY-MM-DD ou DD/MM/YYYY (recebido: '${flags[flag]}')`);
+            }
+            if (range.start > range.end) {
+                throw new ConfigError(`--from (${range.start}) é posterior a --to (${range.end})`);
+            }
+
+            const portal = createMockPortal({
+                cnpj: CONFIG.CNPJ,
+                senha: CONFIG.SENHA,
+                ...(flags.host ? { host: String(flags.host) } : {}),
+                port: numberFlag(flags, 'port', { min: 0, max: 65535, fallback: 8080 }),
+                count: numberFlag(flags, 'notes', { min: 0, max: 100000, fallback: 60 }),
+                fixtures: flags.fixtures ? path.resolve(String(flags.fixtures)) : null,
+                range,
+                pageSize: numberFlag(flags, 'page-size', { min: 1, max: 1000, fallback: 10 }),
+                seed: numberFlag(flags, 'seed', { min: 1, max: 2 ** 32 - 1, fallback: 1 }),
+                latency: numberFlag(flags, 'latency', { min: 0, max: 600000, fallback: 0 }),
+                failRate: numberFlag(flags, 'fail-rate', { min: 0, max: 1, integer: false, fallback: 0 }),
+                corruptRate: numberFlag(flags, 'corrupt-rate', { min: 0, max: 1, integer: false, fallback: 0 }),
+                sessionTtl: numberFlag(flags, 'session-ttl', { min: 0, max: 86400, fallback: 0 }),
+                expireAfter: numberFlag(flags, 'expire-after', { min: 0, max: 1000000, fallback: 0 }),
+                unavailable: Boolean(flags.unavailable),
+                blocked: Boolean(flags.blocked)
+            });
+
+            let loginUrl;
+            try {
+                loginUrl = await portal.start();
+            } catch (error) {
+                if (error.code === 'EADDRINUSE') {
+                    throw new ConfigError(`Porta ${portal.options.port} em uso - escolha outra com --port`);
+                }
+                throw error;
+            }
+
+            const { company, notes } = portal;
+            const dates = notes.map(note => note.dataEmissao.slice(0, 10)).sort();
+            if (!flags.json) {
+                console.log(`🧪 Portal simulado em ${loginUrl}`);
+                console.log(`   Conta: ${company.cnpj} / ${company.senha}`);
+                console.log(`   Notas: ${notes.length} (${notes.filter(n => n.tipo === 'emitidas').length} emitidas, ` +
+                    `${notes.filter(n => n.tipo === 'recebidas').length} recebidas, ${notes.filter(n => n.cancelada).length} canceladas)` +
+                    (dates.length ? ` de ${dates[0]} a ${dates[dates.length - 1]}` : ''));
+                console.log('\n💡 Em outro terminal:');
+                console.log(`   xmlitz download --login-url "${loginUrl}" --cnpj ${company.cnpj} --senha ${company.senha}` +
+                    (dates.length ? ` --data-inicial ${dates[0]} --data-final ${dates[dates.length - 1]}` : ''));
+                console.log('\n   Ctrl+C para encerrar');
+            }
+
+            // Servir até SIGINT/SIGTERM
+            await new Promise(resolve => {
+                process.once('SIGINT', resolve);
+                process.once('SIGTERM', resolve);
+            });
+            await portal.stop();
+
+            if (flags.json) {
+                printJSON({ command: 'mock-portal', exitCode: EXIT_CODES.SUCCESS, loginUrl, notes: notes.length, stats: portal.stats });
+            } else {
+                console.log('\n🧪 Portal simulado encerrado');
+                for (const [name, value] of Object.entries(portal.stats)) {
+                    console.log(`   ${name}: ${value}`);
+                }
+            }
+            return EXIT_CODES.SUCCESS;
+        }
+    }
+};
+
+// ==================== AJUDA ====================
+function printHelp(commandName) {
+    const command = COMMANDS[commandName];
+
+    if (command) {
+        console.log(`Uso: ${command.usage}\n`);
+        console.log(`${command.summary}\n`);
+    } else {
+        console.log('Uso: xmlitz <comando> [opções]\n');
+        console.log('Comandos:');
+        for (const [name, cmd] of Object.entries(COMMANDS)) {
+            console.log(`  ${name.padEnd(12)} ${cmd.summary}`);
+        }
+        console.log('\nExecute "xmlitz <comando> --help" para detalhes de cada comando.\n');
+    }
+
+    console.log('Opções gerais:');
+    console.log('  --json                               Saída em JSON (stdout) para scripts e cron');
+    console.log('  --help, -h                           Exibir esta ajuda');
+    console.log('  --config <arquivo>                   Arquivo de configuração (padrão: config.local.js) [NFSE_CONFIG]');
+    console.log('  --profile <dev|prod>                 Perfil de configuração [NFSE_PROFILE]');
+    console.log(describeOptions());
+
+    console.log('\nCódigos de saída:');
+    console.log('  0 sucesso | 1 erro | 2 uso/configuração inválida | 3 concluído com falhas | 130 interrompido');
+    console.log('  10 credenciais recusadas | 11 conta bloqueada | 12 portal indisponível | 13 layout alterado');
+    console.log('  14 timeout de download | 15 XML inválido');
+}
+
+// ==================== EXECUÇÃO ====================
+async function run(argv = process.argv.slice(2)) {
+    const booleans = [...booleanFlags(), 'json', 'help', 'recursive', 'quarantine', 'yes', 'once', 'download-missing', 'unavailable', 'blocked'];
+    const { _: positional, flags } = parseArgs(argv, { booleans });
+    const [commandName, ...args] = positional;
+
+    if (!commandName) {
+        printHelp();
+        return flags.help || flags.h ? EXIT_CODES.SUCCESS : EXIT_CODES.USAGE;
+    }
+
+    const command = COMMANDS[commandName];
+    if (!command) {
+        console.error(`❌ Comando desconhecido: ${commandName}\n`);
+        printHelp();
+        return EXIT_CODES.USAGE;
+    }
+
+    if (flags.help || flags.h) {
+        printHelp(commandName);
+        return EXIT_CODES.SUCCESS;
+    }
+
+    try {
+        return await command.run(flags, args);
+    } catch (error) {
+        if (error instanceof ConfigError) {
+            if (flags.json) {
+                printJSON({ command: commandName, exitCode: EXIT_CODES.USAGE, error: error.message, errors: error.errors });
+            } else {
+                console.error(`❌ ${error.message}`);
+                console.error(`\n💡 Execute "xmlitz ${commandName} --help" para ver as opções disponíveis`);
+            }
+            return EXIT_CODES.USAGE;
+        }
+
+        // Código de saída conforme o tipo do erro (lib/errors.js)
+        const exitCode = exitCodeFor(error);
+        if (flags.json) {
+            printJSON({ command: commandName, exitCode, error: error.message, errorType: error.name });
+        } else {
+            console.error(`❌ Erro fatal: ${error.message}`);
+            if (error.hint) {
+                console.error(`\n💡 ${error.hint}`);
+            }
+            if (core().CONFIG.DEBUG) {
+                console.error(error.stack);
+            }
+        }
+        return exitCode;
+    }
+}
+
+module.exports = {
+    EXIT_CODES,
+    COMMANDS,
+    run
+};
@@ -0,0 +1,695 @@
+// ==================== CARREGADOR DE CONFIGURAÇÃO EM CAMADAS ====================
+// Ordem de precedência (a última vence):
+//   1. DEFAULTS (este arquivo)
+//   2. config.local.js (ou o arquivo indicado em --config / NFSE_CONFIG)
+//   3. Perfil selecionado (--profile dev|prod / NFSE_PROFILE) → DEV_CONFIG / PROD_CONFIG
+//   4. Variáveis de ambiente NFSE_* (ex: NFSE_CNPJ, NFSE_DATA_INICIAL)
+//   5. Flags de linha de comando (ex: --cnpj, --data-inicial, --no-headless)
+//
+// Toda a configuração final passa por validação de schema; os erros são
+// acumulados e lançados juntos em um ConfigError com mensagens legíveis.
+
+const fs = require('fs');
+const path = require('path');
+const { parseArgs, keyToFlag, flagToKey } = require('./args');
+const { ConfigError } = require('./errors');
+const { parseProxy, parseList, BLOCKABLE, PROXY_PROTOCOLS } = require('./network');
+
+const ROOT_DIR = path.join(__dirname, '..');
+const DEFAULT_LOCAL_CONFIG = path.join(ROOT_DIR, 'config.local.js');
+const ENV_PREFIX = 'NFSE_';
+
+// Período padrão: mês anterior completo
+function previousMonthPeriod(now = new Date()) {
+    const start = new Date(now.getFullYear(), now.getMonth() - 1, 1);
+    const end = new Date(now.getFullYear(), now.getMonth(), 0);
+    return { start: formatISODate(start), end: formatISODate(end) };
+}
+
+function formatISODate(date) {
+    const year = date.getFullYear();
+    const month = String(date.getMonth() + 1).padStart(2, '0');
+    const day = String(date.getDate()).padStart(2, '0');
+    return `${year}-${month}-${day}`;
+}
+
+const DEFAULT_PERIOD = previousMonthPeriod();
+
+// ==================== VALORES PADRÃO ====================
+const DEFAULTS = {
+    // Credenciais - nunca versionar; use config.local.js, NFSE_CNPJ/NFSE_SENHA ou --cnpj/--senha
+    CNPJ: '',
+    SENHA: '',
+
+    // Cofre de credenciais (xmlitz vault): a empresa é referenciada pelo ID e CNPJ/senha
+    // vêm do arquivo criptografado; a senha mestra de preferência em NFSE_VAULT_PASSPHRASE
+    COMPANY: '',
+    VAULT_FILE: path.join(ROOT_DIR, 'nfse-vault.json'),
+    VAULT_PASSPHRASE: '',
+
+    // Período de busca - formato YYYY-MM-DD (padrão: mês anterior)
+    DATA_INICIAL: DEFAULT_PERIOD.start,
+    DATA_FINAL: DEFAULT_PERIOD.end,
+
+    // Filtros da pesquisa no portal (vazio = sem filtro)
+    TIPO_NOTAS: 'emitidas',   // 'emitidas' (prestador) ou 'recebidas' (tomador)
+    SITUACAO: 'normais',      // 'normais', 'canceladas' ou 'todas'
+    VALOR_MINIMO: '',
+    VALOR_MAXIMO: '',
+    NUMERO_INICIAL: '',
+    NUMERO_FINAL: '',
+    DOCUMENTO: '',            // CPF/CNPJ da outra parte da nota
+    CODIGO_ATIVIDADE: '',     // Item da lista de serviços (LC 116), ex: 01.07
+    ORDEM: 'DESC',
+
+    // Configurações do navegador
+    HEADLESS: true,
+    TIMEOUT: 15000,
+    DEBUG: true,
+
+    // Performance
+    NAVIGATION_TIMEOUT: 10000,
+    DOWNLOAD_TIMEOUT: 8000,
+    ELEMENT_TIMEOUT: 5000,
+
+    // Downloads
+    DOWNLOAD_DIR: path.join(ROOT_DIR, 'xmls-nfse'),
+    DELAY_BETWEEN_DOWNLOADS: 500,
+    PARALLEL_DOWNLOADS: 2,
+    DOWNLOAD_MODE: 'browser', // 'browser' (clique na tabela) ou 'http' (requisição direta com a sessão)
+    HTTP_CONCURRENCY: 4,
+    DOWNLOAD_PDF: false, // Baixar também o DANFSe (PDF) de cada nota, ao lado do XML
+
+    // Retry
+    MAX_RETRIES: 5,
+    RETRY_DELAY: 2000,
+    EXPONENTIAL_BACKOFF: true,
+    MAX_RELOGINS: 3, // Novos logins automáticos quando a sessão expira no meio da execução
+
+    // Validação
+    VALIDATE_XML: true,
+    CHECK_FILE_SIZE: true,
+    MIN_FILE_SIZE: 100,
+    DUPLICATE_CHECK: true,
+    SMART_DUPLICATE_HANDLING: true,
+
+    // Ledger de downloads (sincronização incremental)
+    LEDGER: true,
+    LEDGER_FILE: '', // vazio = <DOWNLOAD_DIR>/nfse-ledger.jsonl
+    INCREMENTAL: false,
+
+    // Períodos longos: uma pesquisa por mês (competência), com tentativas próprias por janela
+    SPLIT_BY_MONTH: true,
+    WINDOW_RETRIES: 2,
+
+    // Retomar execução interrompida a partir do checkpoint
+    RESUME: false,
+
+    // Apenas listar as notas do período (todas as páginas), sem baixar
+    LIST_ONLY: false,
+    LIST_FORMAT: 'json', // 'json' ou 'csv'
+    RECONCILE: true, // Conferir a listagem do portal com os XMLs no disco ao final
+
+    // Memória
+    MAX_MEMORY_USAGE: 512 * 1024 * 1024,
+    GARBAGE_COLLECT_INTERVAL: 10,
+
+    // Logging
+    LOG_LEVEL: 'DEBUG',
+    LOG_TO_FILE: true,
+    LOG_FILE: 'nfse-detailed.log',
+    PERFORMANCE_METRICS: true,
+    QUIET: false,
+
+    // Diagnóstico de falhas: screenshot, HTML, HAR, console e stack por falha
+    FORENSICS: true,
+    FORENSICS_DIR: '',    // vazio = <DOWNLOAD_DIR>/forensics
+    FORENSICS_LIMIT: 20,  // Máximo de pacotes por execução
+
+    // Organização automática
+    AUTO_ORGANIZE: true,
+    ORGANIZE_BASE_DIR: 'organized',
+
+    // Rede (proxy, identificação do browser e bloqueio de recursos)
+    PROXY: '',            // http://host:3128, https://host:443 ou socks5://host:1080 (usuário:senha@ opcional)
+    PROXY_USERNAME: '',
+    PROXY_PASSWORD: '',
+    PROXY_BYPASS: '',     // Hosts acessados sem proxy, ex: 'intranet.local, *.gov.br'
+    USER_AGENT: '',       // vazio = user agent padrão do Chrome
+    EXTRA_HEADERS: '',    // ex: 'X-Empresa: 123; X-Origem: xmlitz' (ou objeto no config.local.js)
+    BLOCK_RESOURCES: '',  // ex: 'image, font, media, analytics'
+
+    // Portal
+    ADAPTER: 'prefeitura-moderna',
+    MUNICIPIO: '',
+
+    // URLs do sistema
+    LOGIN_URL: 'https://imperatriz-ma.prefeituramoderna.com.br/meuiss_new/nfe/?pg=login_nfe'
+};
+
+// Perfis embutidos - usados quando o config.local.js não define DEV_CONFIG/PROD_CONFIG
+const PROFILES = {
+    dev: {
+        HEADLESS: false,
+        DEBUG: true,
+        PARALLEL_DOWNLOADS: 1,
+        LOG_LEVEL: 'DEBUG'
+    },
+    prod: {
+        HEADLESS: true,
+        DEBUG: false,
+        PARALLEL_DOWNLOADS: 3,
+        LOG_LEVEL: 'INFO'
+    }
+};
+
+// Nome da exportação correspondente a cada perfil no config.local.js
+const PROFILE_EXPORTS = {
+    dev: 'DEV_CONFIG',
+    prod: 'PROD_CONFIG'
+};
+
+// ==================== SCHEMA ====================
+const timeout = (desc) => ({ type: 'integer', min: 1000, max: 600000, desc });
+
+const SCHEMA = {
+    CNPJ: { type: 'cnpj', desc: 'CNPJ de acesso ao portal (14 dígitos)' },
+    SENHA: { type: 'string', secret: true, desc: 'Senha de acesso ao portal' },
+    COMPANY: { type: 'string', pattern: /^([a-z0-9][a-z0-9-]*)?$/, desc: 'ID da empresa no cofre de credenciais (substitui CNPJ/SENHA)' },
+    VAULT_FILE: { type: 'path', desc: 'Arquivo do cofre de credenciais criptografado' },
+    VAULT_PASSPHRASE: { type: 'string', secret: true, desc: 'Senha mestra do cofre de credenciais' },
+    DATA_INICIAL: { type: 'date', desc: 'Data inicial do período (YYYY-MM-DD ou DD/MM/YYYY)' },
+    DATA_FINAL: { type: 'date', desc: 'Data final do período (YYYY-MM-DD ou DD/MM/YYYY)' },
+    TIPO_NOTAS: { type: 'enum', values: ['emitidas', 'recebidas'], desc: 'Notas emitidas (prestador) ou recebidas (tomador)' },
+    SITUACAO: { type: 'enum', values: ['normais', 'canceladas', 'todas'], desc: 'Situação das notas pesquisadas' },
+    VALOR_MINIMO: { type: 'decimal', optional: true, desc: 'Valor mínimo da nota (ex: 1500,00)' },
+    VALOR_MAXIMO: { type: 'decimal', optional: true, desc: 'Valor máximo da nota (ex: 1500,00)' },
+    NUMERO_INICIAL: { type: 'integer', min: 1, optional: true, desc: 'Número inicial da NFSe' },
+    NUMERO_FINAL: { type: 'integer', min: 1, optional: true, desc: 'Número final da NFSe' },
+    DOCUMENTO: { type: 'document', optional: true, desc: 'CPF/CNPJ da outra parte (tomador nas emitidas, prestador nas recebidas)' },
+    CODIGO_ATIVIDADE: { type: 'string', pattern: /^(\d{1,2}\.\d{2})?$/, hint: 'use o item da lista de serviços no formato 01.07', desc: 'Código da atividade (item da LC 116, ex: 01.07)' },
+    ORDEM: { type: 'enum', values: ['DESC', 'ASC'], desc: 'Ordem dos resultados por número' },
+    HEADLESS: { type: 'boolean', desc: 'Executar o navegador sem interface gráfica' },
+    TIMEOUT: timeout('Timeout geral em ms'),
+    DEBUG: { type: 'boolean', desc: 'Logs detalhados (console da página, navegações e respostas)' },
+    NAVIGATION_TIMEOUT: timeout('Timeout de navegação em ms'),
+    DOWNLOAD_TIMEOUT: timeout('Timeout por download em ms'),
+    ELEMENT_TIMEOUT: timeout('Timeout para encontrar elementos em ms'),
+    DOWNLOAD_DIR: { type: 'path', desc: 'Diretório de download' },
+    DELAY_BETWEEN_DOWNLOADS: { type: 'integer', min: 0, max: 60000, desc: 'Delay entre downloads em ms' },
+    PARALLEL_DOWNLOADS: { type: 'integer', min: 1, max: 10, desc: 'Downloads simultâneos (workers no modo browser)' },
+    DOWNLOAD_MODE: { type: 'enum', values: ['browser', 'http'], desc: 'Modo de download: browser (cliques na tabela) ou http (requisições diretas com a sessão autenticada)' },
+    HTTP_CONCURRENCY: { type: 'integer', min: 1, max: 16, desc: 'Requisições simultâneas no modo http' },
+    DOWNLOAD_PDF: { type: 'boolean', desc: 'Baixar também o PDF (DANFSe) de cada nota, com o mesmo nome do XML' },
+    MAX_RETRIES: { type: 'integer', min: 1, max: 20, desc: 'Número máximo de tentativas' },
+    RETRY_DELAY: { type: 'integer', min: 0, max: 300000, desc: 'Delay entre tentativas em ms' },
+    EXPONENTIAL_BACKOFF: { type: 'boolean', desc: 'Backoff exponencial entre tentativas' },
+    MAX_RELOGINS: { type: 'integer', min: 0, max: 20, desc: 'Novos logins automáticos quando a sessão expira (0 = desativado)' },
+    VALIDATE_XML: { type: 'boolean', desc: 'Validar estrutura XML' },
+    CHECK_FILE_SIZE: { type: 'boolean', desc: 'Verificar tamanho mínimo' },
+    MIN_FILE_SIZE: { type: 'integer', min: 0, desc: 'Tamanho mínimo em bytes' },
+    DUPLICATE_CHECK: { type: 'boolean', desc: 'Verificar duplicatas' },
+    SMART_DUPLICATE_HANDLING: { type: 'boolean', desc: 'Sobrescrever apenas se houver mudanças' },
+    LEDGER: { type: 'boolean', desc: 'Registrar cada nota baixada no ledger (JSON Lines)' },
+    LEDGER_FILE: { type: 'path', optional: true, desc: 'Arquivo do ledger (padrão: <DOWNLOAD_DIR>/nfse-ledger.jsonl)' },
+    INCREMENTAL: { type: 'boolean', desc: 'Pular notas que já constam no ledger, antes de clicar' },
+    SPLIT_BY_MONTH: { type: 'boolean', desc: 'Dividir o período em janelas mensais (uma pesquisa por competência)' },
+    WINDOW_RETRIES: { type: 'integer', min: 0, max: 10, desc: 'Novas tentativas de uma janela mensal que falhou' },
+    RESUME: { type: 'boolean', desc: 'Retomar a execução interrompida a partir do checkpoint (nfse-checkpoint.json)' },
+    LIST_ONLY: { type: 'boolean', desc: 'Apenas listar as notas do período (todas as colunas e o link do XML), sem baixar' },
+    LIST_FORMAT: { type: 'enum', values: ['json', 'csv'], desc: 'Formato do arquivo da listagem (--list-only)' },
+    RECONCILE: { type: 'boolean', desc: 'Conferir as notas listadas pelo portal com os XMLs no disco (faltantes, divergentes e extras)' },
+    MAX_MEMORY_USAGE: { type: 'integer', min: 0, desc: 'Uso máximo de memória em bytes' },
+    GARBAGE_COLLECT_INTERVAL: { type: 'integer', min: 1, desc: 'Garbage collection a cada N downloads' },
+    LOG_LEVEL: { type: 'enum', values: ['DEBUG', 'INFO', 'WARN', 'ERROR'], desc: 'Nível de log' },
+    LOG_TO_FILE: { type: 'boolean', desc: 'Salvar logs em arquivo' },
+    LOG_FILE: { type: 'string', desc: 'Nome do arquivo de log' },
+    PERFORMANCE_METRICS: { type: 'boolean', desc: 'Métricas de performance' },
+    QUIET: { type: 'boolean', desc: 'Suprimir saída no console, exceto erros (logs continuam no arquivo)' },
+    FORENSICS: { type: 'boolean', desc: 'Salvar um pacote de diagnóstico por falha (screenshot, HTML, HAR, console e stack)' },
+    FORENSICS_DIR: { type: 'path', optional: true, desc: 'Diretório dos pacotes de diagnóstico (padrão: <DOWNLOAD_DIR>/forensics)' },
+    FORENSICS_LIMIT: { type: 'integer', min: 1, max: 500, desc: 'Máximo de pacotes de diagnóstico por execução' },
+    AUTO_ORGANIZE: { type: 'boolean', desc: 'Organizar arquivos automaticamente após download' },
+    ORGANIZE_BASE_DIR: { type: 'string', desc: 'Diretório base para organização' },
+    PROXY: { type: 'proxy', desc: 'Proxy do browser e dos downloads http (http://, https:// ou socks5://host:porta)' },
+    PROXY_USERNAME: { type: 'string', desc: 'Usuário do proxy (substitui o da URL)' },
+    PROXY_PASSWORD: { type: 'string', secret: true, desc: 'Senha do proxy (substitui a da URL)' },
+    PROXY_BYPASS: { type: 'string', desc: 'Hosts acessados sem proxy, separados por vírgula (ex: *.gov.br)' },
+    USER_AGENT: { type: 'string', desc: 'User agent do browser e dos downloads http (vazio = padrão do Chrome)' },
+    EXTRA_HEADERS: { type: 'headers', desc: 'Cabeçalhos HTTP extras em todas as requisições (ex: "X-Empresa: 123; X-Origem: xmlitz")' },
+    BLOCK_RESOURCES: { type: 'list', values: BLOCKABLE, desc: `Recursos bloqueados nas páginas, separados por vírgula (${BLOCKABLE.join(', ')})` },
+    ADAPTER: { type: 'string', pattern: /^[a-z0-9-]+$/, desc: 'Adaptador de portal (ex: prefeitura-moderna)' },
+    MUNICIPIO: { type: 'string', pattern: /^([a-z0-9-]+)?$/, desc: 'Subdomínio do município no portal (ex: imperatriz-ma); substitui LOGIN_URL' },
+    LOGIN_URL: { type: 'url', desc: 'URL da página de login do portal' }
+};
+
+// ==================== VALIDAÇÃO ====================
+
+// Validar CNPJ (formato + dígitos verificadores)
+function isValidCNPJ(cnpj) {
+    const digits = String(cnpj || '').replace(/\D/g, '');
+    if (digits.length !== 14 || /^(\d)\1{13}$/.test(digits)) return false;
+
+    const calc = (length) => {
+        const weights = length === 12
+            ? [5, 4, 3, 2, 9, 8, 7, 6, 5, 4, 3, 2]
+            : [6, 5, 4, 3, 2, 9, 8, 7, 6, 5, 4, 3, 2];
+        const sum = weights.reduce((acc, weight, i) => acc + weight * Number(digits[i]), 0);
+        const rest = sum % 11;
+        return rest < 2 ? 0 : 11 - rest;
+    };
+
+    return calc(12) === Number(digits[12]) && calc(13) === Number(digits[13]);
+}
+
+// Normalizar data para YYYY-MM-DD (aceita também DD/MM/YYYY); retorna null se inválida
+function normalizeDate(value) {
+    const str = String(value || '').trim();
+    let match = str.match(/^(\d{4})-(\d{2})-(\d{2})$/);
+    let year, month, day;
+
+    if (match) {
+        [, year, month, day] = match;
+    } else if ((match = str.match(/^(\d{2})\/(\d{2})\/(\d{4})$/))) {
+        [, day, month, year] = match;
+    } else {
+        return null;
+    }
+
+    const date = new Date(Number(year), Number(month) - 1, Number(day));
+    if (date.getFullYear() !== Number(year) || date.getMonth() !== Number(month) - 1 || date.getDate() !== Number(day)) {
+        return null;
+    }
+
+    return `${year}-${month}-${day}`;
+}
+
+// Valor monetário: 1500 / 1500.5 / 1500,50 / 1.500,50 → número; null se inválido
+function parseDecimal(value) {
+    if (typeof value === 'number') {
+        return Number.isFinite(value) && value >= 0 && Math.round(value * 100) === value * 100 ? value : null;
+    }
+
+    let str = String(value || '').trim();
+    if (str.includes(',')) {
+        str = str.replace(/\./g, '').replace(',', '.');
+    }
+    return /^\d+(\.\d{1,2})?$/.test(str) ? Number(str) : null;
+}
+
+// Converter valor vindo de env/CLI (sempre string) para o tipo do schema
+function coerce(value, rule) {
+    if (typeof value !== 'string') return value;
+
+    switch (rule.type) {
+        case 'boolean':
+            if (/^(true|1|yes|sim|on)$/i.test(value)) return true;
+            if (/^(false|0|no|nao|não|off)$/i.test(value)) return false;
+            return value;
+        case 'integer':
+            return /^-?\d+$/.test(value.trim()) ? Number(value) : value;
+        case 'enum':
+            return rule.values.find(option => option.toLowerCase() === value.toLowerCase()) || value;
+        default:
+            return value;
+    }
+}
+
+// Validar e normalizar um único valor; retorna { value } ou { error }
+function validateValue(key, value, rule, { baseDir }) {
+    const shown = typeof value === 'string' ? `'${value}'` : String(value);
+
+    switch (rule.type) {
+        case 'boolean':
+            return typeof value === 'boolean'
+                ? { value }
+                : { error: `${key} deve ser true ou false (recebido: ${shown})` };
+
+        case 'integer': {
+            if (rule.optional && value === '') return { value };
+            const inRange = Number.isInteger(value)
+                && (rule.min === undefined || value >= rule.min)
+                && (rule.max === undefined || value <= rule.max);
+            if (inRange) return { value };
+
+            const range = rule.max !== undefined
+                ? `entre ${rule.min} e ${rule.max}`
+                : `maior ou igual a ${rule.min}`;
+            return { error: `${key} deve ser um inteiro ${range} (recebido: ${shown})` };
+        }
+
+        case 'decimal': {
+            if (rule.optional && value === '') return { value };
+            const number = parseDecimal(value);
+            return number !== null
+                ? { value: number }
+                : { error: `${key} deve ser um valor não negativo com até 2 casas decimais, ex: 1500,00 (recebido: ${shown})` };
+        }
+
+        case 'document': {
+            if (rule.optional && value === '') return { value };
+            const digits = String(value).replace(/[.\-\/\s]/g, '');
+            return /^(\d{11}|\d{14})$/.test(digits)
+                ? { value: digits }
+                : { error: `${key} deve ser um CPF (11 dígitos) ou CNPJ (14 dígitos) (recebido: ${shown})` };
+        }
+
+        case 'enum':
+            return rule.values.includes(value)
+                ? { value }
+                : { error: `${key} deve ser um de ${rule.values.join(', ')} (recebido: ${shown})` };
+
+        case 'date': {
+            const normalized = normalizeDate(value);
+            return normalized
+                ? { value: normalized }
+                : { error: `${key} deve ser uma data válida no formato YYYY-MM-DD (recebido: ${shown})` };
+        }
+
+        case 'cnpj': {
+            if (value === '' || value === undefined || value === null) return { value: '' };
+            return isValidCNPJ(value)
+                ? { value: String(value).replace(/\D/g, '') }
+                : { error: `${key} inválido: ${shown} - informe 14 dígitos com dígitos verificadores corretos` };
+        }
+
+        case 'url':
+            try {
+                const url = new URL(value);
+                if (!/^https?:$/.test(url.protocol)) throw new Error('protocolo');
+                return { value };
+            } catch (error) {
+                return { error: `${key} deve ser uma URL http(s) válida (recebido: ${shown})` };
+            }
+
+        case 'proxy': {
+            if (value === '') return { value };
+            let proxy = null;
+            try {
+                proxy = parseProxy(String(value));
+            } catch (error) {
+                // URL inválida
+            }
+            return proxy && proxy.host && PROXY_PROTOCOLS.includes(proxy.protocol)
+                ? { value }
+                : { error: `${key} deve ser uma URL de proxy http://, https:// ou socks5:// com host e porta (recebido: ${shown})` };
+        }
+
+        case 'headers': {
+            const parts = typeof value === 'object' && value !== null
+                ? Object.entries(value).map(([name, content]) => `${name}:${content}`)
+                : String(value).split(/[;\n]/).filter(part => part.trim());
+            const invalid = parts.find(part => !/^\s*[!#$%&'*+.^_`|~0-9A-Za-z-]+\s*:/.test(part));
+            return invalid === undefined
+                ? { value }
+                : { error: `${key} deve ter o formato "Nome: valor; Outro: valor" (inválido: '${invalid.trim()}')` };
+        }
+
+        case 'list': {
+            const unknown = parseList(value).filter(item => !rule.values.includes(item));
+            return unknown.length === 0
+                ? { value }
+                : { error: `${key} aceita apenas ${rule.values.join(', ')} (recebido: ${unknown.join(', ')})` };
+        }
+
+        case 'path':
+            if (rule.optional && value === '') return { value };
+            return typeof value === 'string' && value.length > 0
+                ? { value: path.resolve(baseDir, value) }
+                : { error: `${key} deve ser um caminho de diretório (recebido: ${shown})` };
+
+        case 'string':
+        default:
+            if (typeof value !== 'string') {
+                return { error: `${key} deve ser texto (recebido: ${shown})` };
+            }
+            if (rule.pattern && !rule.pattern.test(value)) {
+                const hint = rule.hint || 'use letras minúsculas, números e hífen';
+                return { error: `${key} contém caracteres inválidos - ${hint} (recebido: ${shown})` };
+            }
+            return { value };
+    }
+}
+
+// Validar configuração completa
+function validateConfig(config, { requireCredentials = false, baseDir = ROOT_DIR, errors: previousErrors = [] } = {}) {
+    const errors = [...previousErrors];
+    const validated = { ...config };
+
+    for (const [key, rule] of Object.entries(SCHEMA)) {
+        if (config[key] === undefined) continue;
+
+        const result = validateValue(key, config[key], rule, { baseDir });
+        if (result.error) {
+            errors.push(result.error);
+        } else {
+            validated[key] = result.value;
+        }
+    }
+
+    // Com COMPANY, CNPJ e senha vêm do cofre (conferido ao abri-lo)
+    if (requireCredentials && !validated.COMPANY) {
+        if (!validated.CNPJ) {
+            errors.push('CNPJ não informado - use config.local.js, NFSE_CNPJ ou --cnpj');
+        }
+        if (!validated.SENHA) {
+            errors.push('SENHA não informada - use config.local.js, NFSE_SENHA ou --senha');
+        }
+    }
+
+    if (normalizeDate(validated.DATA_INICIAL) && normalizeDate(validated.DATA_FINAL)
+        && validated.DATA_INICIAL > validated.DATA_FINAL) {
+        errors.push(`DATA_INICIAL (${validated.DATA_INICIAL}) é posterior a DATA_FINAL (${validated.DATA_FINAL})`);
+    }
+
+    // O Chrome não autentica em proxies SOCKS
+    let proxy = null;
+    try {
+        proxy = parseProxy(validated.PROXY, { username: validated.PROXY_USERNAME });
+    } catch (error) {
+        // PROXY inválido: erro já registrado na validação do campo
+    }
+    if (proxy && proxy.protocol === 'socks5:' && proxy.username) {
+        errors.push('PROXY: o Chrome não suporta proxy SOCKS5 com usuário e senha - use um proxy HTTP(S) ou SOCKS5 sem autenticação');
+    }
+
+    const ranges = [['VALOR_MINIMO', 'VALOR_MAXIMO'], ['NUMERO_INICIAL', 'NUMERO_FINAL']];
+    for (const [lower, upper] of ranges) {
+        if (typeof validated[lower] === 'number' && typeof validated[upper] === 'number'
+            && validated[lower] > validated[upper]) {
+            errors.push(`${lower} (${validated[lower]}) é maior que ${upper} (${validated[upper]})`);
+        }
+    }
+
+    if (errors.length > 0) {
+        throw new ConfigError(errors);
+    }
+
+    return validated;
+}
+
+// ==================== CAMADAS ====================
+
+// Carregar config.local.js (ou arquivo explícito). Retorna { base, profiles, file }
+function loadLocalFile(filePath, explicit) {
+    if (!fs.existsSync(filePath)) {
+        if (explicit) {
+            throw new ConfigError(`Arquivo de configuração não encontrado: ${filePath}`);
+        }
+        return { base: {}, profiles: {}, file: null };
+    }
+
+    let mod;
+    try {
+        mod = require(filePath);
+    } catch (error) {
+        throw new ConfigError(`Erro ao carregar ${filePath}: ${error.message}`);
+    }
+
+    // Aceita o formato do config.example.js ({ CONFIG_EXAMPLE, DEV_CONFIG, PROD_CONFIG }),
+    // um objeto { CONFIG } ou diretamente um objeto de configuração
+    const base = mod.CONFIG || mod.CONFIG_EXAMPLE || mod;
+    const profiles = {};
+    for (const [name, exportName] of Object.entries(PROFILE_EXPORTS)) {
+        if (mod[exportName]) profiles[name] = mod[exportName];
+    }
+
+    return { base: pickKnownKeys(base), profiles, file: filePath };
+}
+
+// Manter apenas chaves conhecidas pelo schema
+function pickKnownKeys(source) {
+    const picked = {};
+    for (const key of Object.keys(SCHEMA)) {
+        if (source && source[key] !== undefined) picked[key] = source[key];
+    }
+    return picked;
+}
+
+// Ler variáveis NFSE_* do ambiente
+function fromEnv(env) {
+    const values = {};
+    for (const [key, rule] of Object.entries(SCHEMA)) {
+        const raw = env[ENV_PREFIX + key];
+        if (raw !== undefined && raw !== '') {
+            values[key] = coerce(raw, rule);
+        }
+    }
+    return values;
+}
+
+// Ler flags de linha de comando correspondentes às chaves do schema; retorna { values, errors }
+function fromFlags(flags, { allowFlags = [] } = {}) {
+    const values = {};
+    const unknown = [];
+
+    for (const [flag, raw] of Object.entries(flags)) {
+        if (['config', 'profile'].includes(flag) || allowFlags.includes(flag)) continue;
+
+        const key = flagToKey(flag);
+        const rule = SCHEMA[key];
+        if (!rule) {
+            unknown.push(`--${flag}`);
+            continue;
+        }
+
+        // "--cnpj" sem valor chega como true; só faz sentido para booleanos
+        if (raw === true && rule.type !== 'boolean') {
+            unknown.push(`--${flag} requer um valor`);
+            continue;
+        }
+
+        values[key] = coerce(raw === true || raw === false ? raw : String(raw), rule);
+    }
+
+    return { values, errors: unknown.map(item => `Opção inválida: ${item}`) };
+}
+
+// Flags booleanas do schema (não consomem o próximo argumento)
+function booleanFlags() {
+    return Object.entries(SCHEMA)
+        .filter(([, rule]) => rule.type === 'boolean')
+        .map(([key]) => keyToFlag(key));
+}
+
+// Carregar configuração final aplicando todas as camadas
+function loadConfig(options = {}) {
+    const env = options.env || process.env;
+    const flags = options.flags || parseArgs(options.argv || [], { booleans: booleanFlags() }).flags;
+
+    const explicitFile = flags.config || env[`${ENV_PREFIX}CONFIG`];
+    const localPath = explicitFile
+        ? path.resolve(process.cwd(), explicitFile)
+        : (options.localPath || DEFAULT_LOCAL_CONFIG);
+    const local = loadLocalFile(localPath, Boolean(explicitFile));
+
+    const profileName = flags.profile || env[`${ENV_PREFIX}PROFILE`];
+    let profile = {};
+    if (profileName) {
+        if (!PROFILES[profileName]) {
+            throw new ConfigError(`Perfil desconhecido: '${profileName}' (use: ${Object.keys(PROFILES).join(', ')})`);
+        }
+        profile = local.profiles[profileName]
+            ? pickKnownKeys(local.profiles[profileName])
+            : PROFILES[profileName];
+    }
+
+    const cli = fromFlags(flags, options);
+    const merged = {
+        ...DEFAULTS,
+        ...local.base,
+        ...profile,
+        ...fromEnv(env),
+        ...cli.values
+    };
+
+    // Caminhos relativos do config.local.js são resolvidos a partir do próprio arquivo
+    const baseDir = local.file ? path.dirname(local.file) : ROOT_DIR;
+    const config = validateConfig(merged, {
+        requireCredentials: options.requireCredentials,
+        baseDir,
+        errors: cli.errors
+    });
+
+    Object.defineProperty(config, '_sources', {
+        value: { localFile: local.file, profile: profileName || null },
+        enumerable: false
+    });
+
+    return config;
+}
+
+// Configuração completa para uso como biblioteca: padrões + perfil + overrides, validada.
+// Ao contrário de loadConfig, não lê config.local.js, variáveis NFSE_* nem argumentos;
+// caminhos relativos são resolvidos a partir de process.cwd()
+function createConfig(overrides = {}, { profile = null, requireCredentials = false } = {}) {
+    const unknown = Object.keys(overrides).filter(key => !SCHEMA[key]);
+    if (unknown.length > 0) {
+        throw new ConfigError(unknown.map(key => `Opção desconhecida: ${key}`));
+    }
+    if (profile && !PROFILES[profile]) {
+        throw new ConfigError(`Perfil desconhecido: '${profile}' (use: ${Object.keys(PROFILES).join(', ')})`);
+    }
+
+    return validateConfig({
+        ...DEFAULTS,
+        ...(profile ? PROFILES[profile] : {}),
+        ...overrides
+    }, { requireCredentials, baseDir: process.cwd() });
+}
+
+// Filtros de pesquisa independentes de portal (null = sem filtro); cada adaptador
+// traduz para os parâmetros do seu formulário de pesquisa
+function searchFilters(config) {
+    const optional = (value) => (value === '' || value === undefined ? null : value);
+    return {
+        tipo: config.TIPO_NOTAS,
+        situacao: config.SITUACAO,
+        valorMinimo: optional(config.VALOR_MINIMO),
+        valorMaximo: optional(config.VALOR_MAXIMO),
+        numeroInicial: optional(config.NUMERO_INICIAL),
+        numeroFinal: optional(config.NUMERO_FINAL),
+        documento: optional(config.DOCUMENTO),
+        codigoAtividade: optional(config.CODIGO_ATIVIDADE),
+        ordem: config.ORDEM
+    };
+}
+
+// Texto de ajuda com todas as opções do schema
+function describeOptions() {
+    const lines = [];
+    for (const [key, rule] of Object.entries(SCHEMA)) {
+        const flag = rule.type === 'boolean' ? `--[no-]${keyToFlag(key)}` : `--${keyToFlag(key)} <valor>`;
+        lines.push(`  ${flag.padEnd(36)} ${rule.desc} [${ENV_PREFIX}${key}]`);
+    }
+    return lines.join('\n');
+}
+
+// Copiar a configuração ocultando segredos (para logs e relatórios)
+function maskSecrets(config) {
+    const masked = { ...config };
+    for (const [key, rule] of Object.entries(SCHEMA)) {
+        if (rule.secret && masked[key]) masked[key] = '********';
+    }
+    // Senha embutida na URL do proxy
+    if (typeof masked.PROXY === 'string') {
+        masked.PROXY = masked.PROXY.replace(/\/\/([^:@/]*):[^@/]*@/, '//$1:********@');
+    }
+    return masked;
+}
+
+module.exports = {
+    DEFAULTS,
+    PROFILES,
+    SCHEMA,
+    ConfigError,
+    loadConfig,
+    createConfig,
+    validateConfig,
+    isValidCNPJ,
+    normalizeDate,
+    booleanFlags,
+    describeOptions,
+    searchFilters,
+    maskSecrets
+};
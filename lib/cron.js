@@ -0,0 +1,183 @@
+// ==================== EXPRESSÕES CRON ====================
+// Parser de expressões cron de 5 campos, no horário local do servidor:
+//
+//   ┌──────── minuto (0-59)
+//   │ ┌────── hora (0-23)
+//   │ │ ┌──── dia do mês (1-31)
+//   │ │ │ ┌── mês (1-12 ou jan-dec)
+//   │ │ │ │ ┌ dia da semana (0-7 ou sun-sat; 0 e 7 = domingo)
+//   0 6 * * *      todo dia às 06:00
+//   30 7 5 * *     dia 5 de cada mês às 07:30
+//   0 */4 * * 1-5  a cada 4 horas, de segunda a sexta
+//
+// Aceita *, listas (1,15), intervalos (1-5), passos (*/15, 10-40/10) e os atalhos
+// @hourly, @daily, @weekly, @monthly e @yearly. Como no cron tradicional, se dia
+// do mês e dia da semana forem ambos restritos, basta um dos dois coincidir.
+
+const { ConfigError } = require('./errors');
+
+const MONTH_NAMES = ['jan', 'feb', 'mar', 'apr', 'may', 'jun', 'jul', 'aug', 'sep', 'oct', 'nov', 'dec'];
+const DAY_NAMES = ['sun', 'mon', 'tue', 'wed', 'thu', 'fri', 'sat'];
+
+const FIELDS = [
+    { name: 'minuto', min: 0, max: 59 },
+    { name: 'hora', min: 0, max: 23 },
+    { name: 'dia do mês', min: 1, max: 31 },
+    { name: 'mês', min: 1, max: 12, names: MONTH_NAMES, offset: 1 },
+    { name: 'dia da semana', min: 0, max: 7, names: DAY_NAMES, offset: 0 }
+];
+
+const MACROS = {
+    '@hourly': '0 * * * *',
+    '@daily': '0 0 * * *',
+    '@midnight': '0 0 * * *',
+    '@weekly': '0 0 * * 0',
+    '@monthly': '0 0 1 * *',
+    '@yearly': '0 0 1 1 *',
+    '@annually': '0 0 1 1 *'
+};
+
+// Limite de busca da próxima ocorrência (ex: "0 0 30 2 *" nunca ocorre)
+const MAX_SEARCH_YEARS = 5;
+
+// Valor numérico ou nome (jan, mon...) de um campo
+function parseValue(token, field, expression) {
+    const lower = token.toLowerCase();
+    if (field.names && field.names.includes(lower)) {
+        return field.names.indexOf(lower) + field.offset;
+    }
+
+    const value = Number(token);
+    if (!/^\d+$/.test(token) || value < field.min || value > field.max) {
+        throw new ConfigError(`Expressão cron inválida '${expression}': ${field.name} fora do intervalo ${field.min}-${field.max} ('${token}')`);
+    }
+    return value;
+}
+
+// Campo → { values: Set, restricted: boolean }
+function parseField(text, field, expression) {
+    const values = new Set();
+
+    for (const part of text.split(',')) {
+        const [range, stepText] = part.split('/');
+        const step = stepText === undefined ? 1 : Number(stepText);
+        if (!Number.isInteger(step) || step < 1) {
+            throw new ConfigError(`Expressão cron inválida '${expression}': passo inválido em '${part}'`);
+        }
+
+        let start;
+        let end;
+        if (range === '*') {
+            start = field.min;
+            end = field.max;
+        } else if (range.includes('-')) {
+            const [from, to] = range.split('-');
+            start = parseValue(from, field, expression);
+            end = parseValue(to, field, expression);
+        } else {
+            start = parseValue(range, field, expression);
+            end = stepText === undefined ? start : field.max;
+        }
+
+        if (start > end) {
+            throw new ConfigError(`Expressão cron inválida '${expression}': intervalo invertido '${range}'`);
+        }
+        for (let value = start; value <= end; value += step) {
+            values.add(value);
+        }
+    }
+
+    return { values, restricted: text !== '*' && !text.startsWith('*/') };
+}
+
+class CronExpression {
+    constructor(expression) {
+        this.expression = String(expression || '').trim();
+        const source = MACROS[this.expression.toLowerCase()] || this.expression;
+        const parts = source.split(/\s+/);
+
+        if (parts.length !== 5) {
+            throw new ConfigError(`Expressão cron inválida '${this.expression}': esperados 5 campos (minuto hora dia mês dia-da-semana)`);
+        }
+
+        const [minute, hour, dayOfMonth, month, dayOfWeek] = parts.map((text, i) => parseField(text, FIELDS[i], this.expression));
+
+        // 7 também é domingo
+        if (dayOfWeek.values.has(7)) {
+            dayOfWeek.values.add(0);
+            dayOfWeek.values.delete(7);
+        }
+
+        this.minute = minute;
+        this.hour = hour;
+        this.dayOfMonth = dayOfMonth;
+        this.month = month;
+        this.dayOfWeek = dayOfWeek;
+    }
+
+    matchesDay(date) {
+        const dom = this.dayOfMonth.values.has(date.getDate());
+        const dow = this.dayOfWeek.values.has(date.getDay());
+
+        if (this.dayOfMonth.restricted && this.dayOfWeek.restricted) return dom || dow;
+        if (this.dayOfMonth.restricted) return dom;
+        if (this.dayOfWeek.restricted) return dow;
+        return true;
+    }
+
+    matches(date) {
+        return this.month.values.has(date.getMonth() + 1) &&
+            this.matchesDay(date) &&
+            this.hour.values.has(date.getHours()) &&
+            this.minute.values.has(date.getMinutes());
+    }
+
+    // Próxima ocorrência estritamente posterior a `after`; null se não houver em MAX_SEARCH_YEARS
+    next(after) {
+        const date = new Date(after.getTime());
+        date.setSeconds(0, 0);
+        date.setMinutes(date.getMinutes() + 1);
+
+        const limit = new Date(after.getTime());
+        limit.setFullYear(limit.getFullYear() + MAX_SEARCH_YEARS);
+
+        // Avançar mês, dia, hora e minuto até todos coincidirem
+        while (date <= limit) {
+            if (!this.month.values.has(date.getMonth() + 1)) {
+                date.setMonth(date.getMonth() + 1, 1);
+                date.setHours(0, 0, 0, 0);
+            } else if (!this.matchesDay(date)) {
+                date.setDate(date.getDate() + 1);
+                date.setHours(0, 0, 0, 0);
+            } else if (!this.hour.values.has(date.getHours())) {
+                date.setHours(date.getHours() + 1, 0, 0, 0);
+            } else if (!this.minute.values.has(date.getMinutes())) {
+                date.setMinutes(date.getMinutes() + 1, 0, 0);
+            } else {
+                return date;
+            }
+        }
+        return null;
+    }
+
+    // Ocorrências em (after, until], das mais antigas para as mais recentes
+    between(after, until) {
+        const occurrences = [];
+        let next = this.next(after);
+        while (next && next <= until) {
+            occurrences.push(next);
+            next = this.next(next);
+        }
+        return occurrences;
+    }
+
+    toString() {
+        return this.expression;
+    }
+}
+
+function parseCron(expression) {
+    return new CronExpression(expression);
+}
+
+module.exports = { CronExpression, parseCron };
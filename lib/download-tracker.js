@@ -0,0 +1,253 @@
+// ==================== CAPTURA DE DOWNLOADS VIA CDP ====================
+// Substitui o polling do diretório de downloads: o Chrome grava cada download
+// com um GUID como nome (behavior "allowAndName") e emite os eventos
+// Browser.downloadWillBegin / Browser.downloadProgress. Cada download é
+// associado à linha que o disparou e, ao concluir, renomeado para o nome
+// sugerido pelo servidor. Arquivos parciais (GUID / .crdownload) nunca são
+// confundidos com XMLs prontos e são removidos quando o download é cancelado
+// ou excede o timeout.
+//
+// Associação download → linha: pelo href do link clicado quando coincide com a
+// URL do download; caso contrário, pela ordem de disparo (FIFO).
+//
+// Os eventos do domínio Browser chegam para todos os contextos do browser; com
+// vários rastreadores (execução em lote, workers de download paralelo), cada um
+// só considera os downloads disparados por páginas do seu próprio contexto.
+
+const fs = require('fs');
+const path = require('path');
+const { uniquePath } = require('./http-downloader');
+
+class DownloadTracker {
+    // session: CDPSession do browser; browserContextId: contexto da página (opcional);
+    // contextId: contexto real da página no CDP (inclusive o padrão), usado para filtrar eventos
+    constructor(session, downloadDir, browserContextId, contextId = null) {
+        this.session = session;
+        this.downloadDir = downloadDir;
+        this.browserContextId = browserContextId;
+        this.contextId = contextId;
+        this.frameOwners = new Map(); // frameId → Promise<boolean> (frame pertence a este contexto?)
+        this.downloads = new Map();   // guid → registro do download
+        this.unclaimed = [];          // downloads iniciados sem linha aguardando (ex: após timeout)
+        this.orphans = [];            // downloads não associados, salvos ao concluir
+        this.waiters = [];            // linhas aguardando o início de um download
+
+        this.onBegin = event => this.handleBegin(event);
+        this.onProgress = event => this.handleProgress(event);
+    }
+
+    // Configurar o browser para a página e começar a escutar os eventos
+    static async attach(page, downloadDir) {
+        const browser = page.browser();
+        const session = await browser.target().createCDPSession();
+        const browserContextId = page.browserContext().id;
+
+        // Sem targetId, Target.getTargetInfo descreve a própria página
+        const pageSession = await page.createCDPSession();
+        const { targetInfo } = await pageSession.send('Target.getTargetInfo');
+        await pageSession.detach().catch(() => {});
+
+        const tracker = new DownloadTracker(session, downloadDir, browserContextId, targetInfo.browserContextId);
+        session.on('Browser.downloadWillBegin', tracker.onBegin);
+        session.on('Browser.downloadProgress', tracker.onProgress);
+
+        await session.send('Browser.setDownloadBehavior', {
+            behavior: 'allowAndName',
+            downloadPath: downloadDir,
+            eventsEnabled: true,
+            ...(browserContextId ? { browserContextId } : {})
+        });
+
+        return tracker;
+    }
+
+    // O download foi disparado por uma página deste contexto? (frame principal = target da página)
+    owns(frameId) {
+        if (!this.contextId || !frameId) return Promise.resolve(true);
+
+        if (!this.frameOwners.has(frameId)) {
+            this.frameOwners.set(frameId, this.session.send('Target.getTargetInfo', { targetId: frameId })
+                .then(({ targetInfo }) => targetInfo.browserContextId === this.contextId)
+                // Subframe (não é um target): não há como identificar o contexto
+                .catch(() => true));
+        }
+        return this.frameOwners.get(frameId);
+    }
+
+    handleBegin({ guid, url, suggestedFilename, frameId }) {
+        const download = {
+            guid,
+            url,
+            suggestedFilename,
+            state: 'inProgress',
+            receivedBytes: 0,
+            totalBytes: 0,
+            settle: null
+        };
+        download.finished = new Promise(resolve => { download.settle = resolve; });
+
+        // Registrar já: o progresso pode chegar antes de a origem ser verificada
+        this.downloads.set(guid, download);
+
+        this.owns(frameId).then(own => {
+            if (own) {
+                this.claim(download);
+            } else {
+                this.downloads.delete(guid);
+            }
+        });
+    }
+
+    // Entregar o download à linha que o aguarda ou mantê-lo como não associado
+    claim(download) {
+        // Preferir a linha cujo href coincide com a URL; senão, a mais antiga
+        let index = this.waiters.findIndex(waiter => waiter.href && waiter.href === download.url);
+        if (index === -1) index = 0;
+
+        const waiter = this.waiters[index];
+        if (waiter) {
+            this.waiters.splice(index, 1);
+            waiter.resolve(download);
+        } else {
+            this.unclaimed.push(download);
+            if (download.state !== 'inProgress') this.adoptOrphan(download, download.state);
+        }
+    }
+
+    // Download tardio sem linha associada: manter o arquivo, fora da contagem das linhas
+    adoptOrphan(download, state) {
+        const index = this.unclaimed.indexOf(download);
+        if (index === -1) return;
+
+        this.unclaimed.splice(index, 1);
+        this.finalize(download, state)
+            .then(result => this.orphans.push(result))
+            .catch(() => {});
+    }
+
+    handleProgress({ guid, receivedBytes, totalBytes, state }) {
+        const download = this.downloads.get(guid);
+        if (!download) return;
+
+        download.receivedBytes = receivedBytes;
+        download.totalBytes = totalBytes;
+        download.state = state;
+
+        if (state === 'completed' || state === 'canceled') {
+            download.settle(state);
+            this.adoptOrphan(download, state);
+        }
+    }
+
+    // Registrar a espera ANTES de clicar; href pode ser informado depois do clique
+    expect(rowIndex) {
+        const waiter = { rowIndex, href: null, resolve: null };
+        const started = new Promise(resolve => { waiter.resolve = resolve; });
+
+        const pending = {
+            setHref: href => {
+                waiter.href = href || null;
+                // Download já iniciado antes de a linha ser associada
+                const index = this.unclaimed.findIndex(download => download.url === waiter.href);
+                if (index !== -1 && this.waiters.includes(waiter)) {
+                    this.waiters.splice(this.waiters.indexOf(waiter), 1);
+                    waiter.resolve(this.unclaimed.splice(index, 1)[0]);
+                }
+            },
+            cancel: () => {
+                const index = this.waiters.indexOf(waiter);
+                if (index !== -1) this.waiters.splice(index, 1);
+            },
+            wait: timeout => this.waitFor(waiter, started, timeout)
+        };
+
+        this.waiters.push(waiter);
+        return pending;
+    }
+
+    // Aguardar início e conclusão: { success, fileName, filePath, size, url, reason?, timeout? }
+    async waitFor(waiter, started, timeout) {
+        let timer;
+        const expired = new Promise(resolve => { timer = setTimeout(() => resolve('timeout'), timeout); });
+
+        try {
+            const download = await Promise.race([started, expired]);
+            if (download === 'timeout') {
+                const index = this.waiters.indexOf(waiter);
+                if (index !== -1) this.waiters.splice(index, 1);
+                return { success: false, timeout: true, reason: `Timeout após ${timeout}ms - download não iniciado` };
+            }
+
+            const state = await Promise.race([download.finished, expired]);
+            return await this.finalize(download, state, timeout);
+        } finally {
+            clearTimeout(timer);
+        }
+    }
+
+    async finalize(download, state, timeout) {
+        const partialPath = path.join(this.downloadDir, download.guid);
+
+        if (state !== 'completed') {
+            if (state === 'timeout') {
+                await this.cancel(download);
+            }
+            this.removePartial(partialPath);
+            this.downloads.delete(download.guid);
+
+            const progress = `${download.receivedBytes}/${download.totalBytes || '?'} bytes`;
+            return {
+                success: false,
+                url: download.url,
+                timeout: state === 'timeout',
+                reason: state === 'timeout'
+                    ? `Timeout após ${timeout}ms - download incompleto (${progress})`
+                    : `Download cancelado pelo navegador (${progress})`
+            };
+        }
+
+        const fileName = path.basename(download.suggestedFilename || `${download.guid}.xml`);
+        const filePath = uniquePath(this.downloadDir, fileName);
+        fs.renameSync(partialPath, filePath);
+        this.downloads.delete(download.guid);
+
+        return {
+            success: true,
+            url: download.url,
+            suggestedFilename: download.suggestedFilename,
+            fileName: path.basename(filePath),
+            filePath,
+            size: download.receivedBytes
+        };
+    }
+
+    async cancel(download) {
+        try {
+            await this.session.send('Browser.cancelDownload', {
+                guid: download.guid,
+                ...(this.browserContextId ? { browserContextId: this.browserContextId } : {})
+            });
+        } catch (error) {
+            // Download já concluído ou sessão encerrada
+        }
+    }
+
+    // Remover arquivo parcial (com ou sem sufixo .crdownload)
+    removePartial(partialPath) {
+        for (const candidate of [partialPath, `${partialPath}.crdownload`]) {
+            fs.rmSync(candidate, { force: true });
+        }
+    }
+
+    async detach() {
+        this.session.off('Browser.downloadWillBegin', this.onBegin);
+        this.session.off('Browser.downloadProgress', this.onProgress);
+        try {
+            await this.session.detach();
+        } catch (error) {
+            // Sessão já encerrada junto com o browser
+        }
+    }
+}
+
+module.exports = { DownloadTracker };
@@ -0,0 +1,178 @@
+// ==================== TAXONOMIA DE ERROS ====================
+// Erros com tratamento próprio: cada classe define o código de saída do CLI, a
+// categoria usada nas métricas e a política de retry aplicada pelo RetryManager.
+//
+//   retryable  - false = falha definitiva, sem novas tentativas (ex: senha errada)
+//   maxRetries - limite de tentativas menor que CONFIG.MAX_RETRIES (null = sem limite próprio)
+//   minDelay   - espera mínima entre tentativas em ms (ex: portal fora do ar)
+
+// ==================== CÓDIGOS DE SAÍDA ====================
+const EXIT_CODES = {
+    SUCCESS: 0,                // Execução completa sem falhas
+    FAILURE: 1,                // Erro inesperado / execução abortada
+    USAGE: 2,                  // Comando, opção ou configuração inválida
+    PARTIAL: 3,                // Concluído, mas com downloads/arquivos com falha
+    INVALID_CREDENTIALS: 10,   // CNPJ/senha recusados pelo portal
+    ACCOUNT_BLOCKED: 11,       // Conta bloqueada ou troca de senha obrigatória
+    PORTAL_UNAVAILABLE: 12,    // Portal fora do ar / erro de rede
+    LAYOUT_CHANGED: 13,        // Elemento esperado não encontrado na página
+    DOWNLOAD_TIMEOUT: 14,      // Download não concluído no tempo limite
+    INVALID_XML: 15,           // Arquivo baixado não é um XML de NFSe válido
+    INTERRUPTED: 130           // Interrompido pelo usuário (SIGINT)
+};
+
+class NFSeError extends Error {
+    constructor(message, { cause, exitCode = EXIT_CODES.FAILURE, category = 'other', retryable = true, maxRetries = null, minDelay = 0, hint = null } = {}) {
+        super(message);
+        this.name = this.constructor.name;
+        if (cause) this.cause = cause;
+        this.exitCode = exitCode;
+        this.category = category;
+        this.retryable = retryable;
+        this.maxRetries = maxRetries;
+        this.minDelay = minDelay;
+        this.hint = hint;
+    }
+}
+
+// Configuração inválida (acumula várias mensagens)
+class ConfigError extends NFSeError {
+    constructor(errors) {
+        const list = Array.isArray(errors) ? errors : [errors];
+        super(`Configuração inválida:\n  - ${list.join('\n  - ')}`, {
+            exitCode: EXIT_CODES.USAGE,
+            category: 'config',
+            retryable: false
+        });
+        this.errors = list;
+    }
+}
+
+// Cofre de credenciais: senha mestra incorreta, arquivo corrompido ou empresa não cadastrada
+class VaultError extends NFSeError {
+    constructor(message, options = {}) {
+        super(message, {
+            exitCode: EXIT_CODES.USAGE,
+            category: 'config',
+            retryable: false,
+            hint: 'Gerencie as empresas com xmlitz vault (list, add, rotate, remove)',
+            ...options
+        });
+    }
+}
+
+class InvalidCredentialsError extends NFSeError {
+    constructor(message = 'CNPJ ou senha inválidos', options = {}) {
+        super(message, {
+            exitCode: EXIT_CODES.INVALID_CREDENTIALS,
+            category: 'auth',
+            retryable: false,
+            hint: 'Verifique CNPJ e SENHA (config.local.js, NFSE_CNPJ/NFSE_SENHA ou --cnpj/--senha)',
+            ...options
+        });
+    }
+}
+
+class AccountBlockedError extends NFSeError {
+    constructor(message = 'Conta bloqueada ou troca de senha obrigatória', options = {}) {
+        super(message, {
+            exitCode: EXIT_CODES.ACCOUNT_BLOCKED,
+            category: 'auth',
+            retryable: false,
+            hint: 'Acesse o portal pelo navegador para desbloquear a conta ou definir a nova senha',
+            ...options
+        });
+    }
+}
+
+// Portal fora do ar, HTTP 5xx ou falha de rede: vale tentar de novo, com calma
+class PortalUnavailableError extends NFSeError {
+    constructor(message = 'Portal indisponível', options = {}) {
+        super(message, {
+            exitCode: EXIT_CODES.PORTAL_UNAVAILABLE,
+            category: 'network',
+            minDelay: 10000,
+            hint: 'O portal da prefeitura parece fora do ar - tente novamente mais tarde',
+            ...options
+        });
+    }
+}
+
+// Seletor não encontrado: o layout mudou (ou a página demorou); uma nova tentativa basta para distinguir
+class LayoutChangedError extends NFSeError {
+    constructor(message = 'Elemento esperado não encontrado na página', options = {}) {
+        super(message, {
+            exitCode: EXIT_CODES.LAYOUT_CHANGED,
+            category: 'layout',
+            maxRetries: 2,
+            hint: 'O layout do portal pode ter mudado - execute com --debug e verifique o adaptador',
+            ...options
+        });
+    }
+}
+
+class DownloadTimeoutError extends NFSeError {
+    constructor(message = 'Download não concluído no tempo limite', options = {}) {
+        super(message, {
+            exitCode: EXIT_CODES.DOWNLOAD_TIMEOUT,
+            category: 'timeout',
+            hint: 'Considere aumentar DOWNLOAD_TIMEOUT ou reduzir PARALLEL_DOWNLOADS',
+            ...options
+        });
+    }
+}
+
+class InvalidXMLError extends NFSeError {
+    constructor(message = 'Arquivo baixado não é um XML de NFSe válido', options = {}) {
+        super(message, {
+            exitCode: EXIT_CODES.INVALID_XML,
+            category: 'validation',
+            maxRetries: 2,
+            hint: 'Os arquivos inválidos ficam na quarentena (xmlitz quarantine list)',
+            ...options
+        });
+    }
+}
+
+// Redirecionado para o login no meio da execução; repetido após um novo login
+class SessionExpiredError extends NFSeError {
+    constructor(message = 'Sessão expirada - redirecionado para o login', options = {}) {
+        super(message, { category: 'auth', ...options });
+    }
+}
+
+// Erros de rede do Node/Chrome que indicam portal inacessível
+const NETWORK_ERROR = /net::ERR_|ECONNREFUSED|ECONNRESET|ENOTFOUND|EAI_AGAIN|EHOSTUNREACH|ETIMEDOUT|socket hang up/i;
+
+function isNetworkError(error) {
+    return !!error && NETWORK_ERROR.test(error.message || '');
+}
+
+// Política de retry de qualquer erro (erros genéricos seguem a configuração padrão)
+function retryPolicy(error) {
+    if (error instanceof NFSeError) {
+        return { retryable: error.retryable, maxRetries: error.maxRetries, minDelay: error.minDelay };
+    }
+    return { retryable: true, maxRetries: null, minDelay: 0 };
+}
+
+function exitCodeFor(error) {
+    return error instanceof NFSeError ? error.exitCode : EXIT_CODES.FAILURE;
+}
+
+module.exports = {
+    EXIT_CODES,
+    NFSeError,
+    ConfigError,
+    VaultError,
+    InvalidCredentialsError,
+    AccountBlockedError,
+    PortalUnavailableError,
+    LayoutChangedError,
+    DownloadTimeoutError,
+    InvalidXMLError,
+    SessionExpiredError,
+    isNetworkError,
+    retryPolicy,
+    exitCodeFor
+};
@@ -0,0 +1,287 @@
+// ==================== DIAGNÓSTICO DE FALHAS (FORENSICS) ====================
+// Cada página configurada pelo downloader ganha um gravador com o tráfego de rede
+// e as mensagens de console mais recentes (buffers circulares). Quando um passo
+// falha (login, pesquisa, download de uma linha, janela, execução), a falha vira
+// uma pasta com tudo o que é preciso para entender o que o portal exibia:
+//
+//   <FORENSICS_DIR>/<timestamp>-<passo>/
+//     screenshot.png  página inteira (fullPage)
+//     page.html       page.content() no momento da falha
+//     network.har     requisições recentes (HAR 1.2; cookies, senhas e tokens mascarados)
+//     console.json    mensagens de console e erros de JavaScript da página
+//     error.txt       mensagem, stack e contexto (empresa, período, linha...)
+//
+// Cada artefato é capturado de forma independente: uma página travada ou já
+// fechada ainda produz o HAR, o console e o error.txt.
+
+const fs = require('fs');
+const path = require('path');
+
+const MAX_ENTRIES = 200;          // requisições e mensagens mantidas por página
+const SCREENSHOT_TIMEOUT = 15000;
+const MASK = '***';
+
+// Cabeçalhos e parâmetros com credenciais/sessão
+const SECRET_HEADERS = ['cookie', 'set-cookie', 'authorization', 'proxy-authorization'];
+const SECRET_PARAM = /senha|password|passwd|token|secret/i;
+
+// Gravadores por página (páginas fechadas são liberadas junto com o gravador)
+const recorders = new WeakMap();
+
+function maskHeaders(headers = {}) {
+    return Object.entries(headers).map(([name, value]) => ({
+        name,
+        value: SECRET_HEADERS.includes(name.toLowerCase()) ? MASK : String(value)
+    }));
+}
+
+// Nome de parâmetro decodificado; um escape malformado ("%E0%A4%A") fica como veio
+function decodeName(name) {
+    try {
+        return decodeURIComponent(name.replace(/\+/g, ' '));
+    } catch (error) {
+        return name;
+    }
+}
+
+// "a=1&senha=x" → "a=1&senha=***" (query string e corpo de formulário)
+function maskParams(text) {
+    return String(text).replace(/(^|[?&])([^=&?]+)=([^&]*)/g, (match, sep, name, value) =>
+        SECRET_PARAM.test(decodeName(name)) ? `${sep}${name}=${MASK}` : match);
+}
+
+function maskUrl(url) {
+    const index = url.indexOf('?');
+    return index === -1 ? url : url.slice(0, index) + maskParams(url.slice(index));
+}
+
+function queryString(url) {
+    try {
+        return [...new URL(url).searchParams].map(([name, value]) => ({
+            name,
+            value: SECRET_PARAM.test(name) ? MASK : value
+        }));
+    } catch (error) {
+        return [];
+    }
+}
+
+function withTimeout(promise, ms, message) {
+    let timer;
+    return Promise.race([
+        promise,
+        new Promise((resolve, reject) => {
+            timer = setTimeout(() => reject(new Error(message)), ms);
+        })
+    ]).finally(() => clearTimeout(timer));
+}
+
+class PageRecorder {
+    constructor(page, limit = MAX_ENTRIES) {
+        this.limit = limit;
+        this.entries = [];          // requisições (ordem de início), completadas ao terminar
+        this.console = [];          // mensagens de console e erros da página
+        this.pending = new Map();   // request → entrada
+
+        page.on('console', msg => this.pushConsole({
+            type: msg.type(),
+            text: msg.text(),
+            location: msg.location ? msg.location().url : undefined
+        }));
+        page.on('pageerror', error => this.pushConsole({
+            type: 'pageerror',
+            text: error.message,
+            stack: error.stack
+        }));
+        page.on('request', request => this.onRequest(request));
+        page.on('requestfinished', request => this.onDone(request));
+        page.on('requestfailed', request => this.onDone(request, request.failure()));
+    }
+
+    push(list, item) {
+        list.push(item);
+        if (list.length > this.limit) list.shift();
+    }
+
+    pushConsole(message) {
+        this.push(this.console, { at: new Date().toISOString(), ...message });
+    }
+
+    onRequest(request) {
+        const entry = {
+            started: Date.now(),
+            method: request.method(),
+            url: request.url(),
+            resourceType: request.resourceType(),
+            headers: request.headers(),
+            postData: request.postData ? request.postData() : undefined,
+            response: null,
+            failure: null,
+            finished: null
+        };
+        this.pending.set(request, entry);
+        this.push(this.entries, entry);
+    }
+
+    onDone(request, failure = null) {
+        const entry = this.pending.get(request);
+        if (!entry) return;
+        this.pending.delete(request);
+
+        entry.finished = Date.now();
+        entry.failure = failure ? failure.errorText : null;
+
+        const response = request.response();
+        if (response) {
+            entry.response = {
+                status: response.status(),
+                statusText: response.statusText(),
+                headers: response.headers(),
+                fromCache: response.fromCache()
+            };
+        }
+    }
+
+    // Requisições recentes em HAR 1.2 (pendentes incluídas, sem resposta)
+    toHAR() {
+        return {
+            log: {
+                version: '1.2',
+                creator: { name: 'xmlitz', version: '1.0' },
+                pages: [],
+                entries: this.entries.map(entry => {
+                    const response = entry.response || { status: 0, statusText: '', headers: {} };
+                    const headers = response.headers || {};
+                    const request = {
+                        method: entry.method,
+                        url: maskUrl(entry.url),
+                        httpVersion: 'HTTP/1.1',
+                        cookies: [],
+                        headers: maskHeaders(entry.headers),
+                        queryString: queryString(entry.url),
+                        headersSize: -1,
+                        bodySize: entry.postData ? Buffer.byteLength(entry.postData) : 0
+                    };
+                    if (entry.postData) {
+                        request.postData = {
+                            mimeType: entry.headers['content-type'] || '',
+                            text: maskParams(entry.postData)
+                        };
+                    }
+
+                    return {
+                        startedDateTime: new Date(entry.started).toISOString(),
+                        time: entry.finished ? entry.finished - entry.started : -1,
+                        request,
+                        response: {
+                            status: response.status,
+                            statusText: response.statusText,
+                            httpVersion: 'HTTP/1.1',
+                            cookies: [],
+                            headers: maskHeaders(headers),
+                            content: { size: Number(headers['content-length']) || -1, mimeType: headers['content-type'] || '' },
+                            redirectURL: headers.location || '',
+                            headersSize: -1,
+                            bodySize: -1
+                        },
+                        cache: {},
+                        timings: { send: 0, wait: entry.finished ? entry.finished - entry.started : -1, receive: 0 },
+                        _resourceType: entry.resourceType,
+                        _fromCache: response.fromCache || undefined,
+                        _error: entry.failure || (entry.finished ? undefined : 'pendente')
+                    };
+                })
+            }
+        };
+    }
+}
+
+// Começar a gravar a página (idempotente)
+function recordPage(page) {
+    if (!recorders.has(page)) {
+        recorders.set(page, new PageRecorder(page));
+    }
+    return recorders.get(page);
+}
+
+// "2026-10-19T14:03:22.123Z" + "download-linha-3" → "20261019-140322-123-download-linha-3"
+function bundleName(at, step) {
+    const stamp = at.toISOString().replace(/[-:]/g, '').replace('T', '-').replace('.', '-').replace('Z', '');
+    const slug = String(step).toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-|-$/g, '');
+    return `${stamp}-${slug || 'falha'}`;
+}
+
+// Conteúdo do error.txt
+function describeError({ step, error, at, url, context, artifacts }) {
+    const lines = [
+        `Passo: ${step}`,
+        `Data: ${at.toISOString()}`,
+        `URL: ${url ? maskUrl(url) : '(sem página)'}`,
+        `Erro: ${error ? `${error.name || 'Error'}: ${error.message}` : '(desconhecido)'}`
+    ];
+    if (error && error.code) lines.push(`Código: ${error.code}`);
+    if (error && error.category) lines.push(`Categoria: ${error.category}`);
+
+    lines.push('', 'Stack:', (error && error.stack) || '(indisponível)');
+    lines.push('', 'Contexto:', JSON.stringify(context, null, 2));
+
+    const failed = Object.entries(artifacts).filter(([, value]) => value !== true);
+    if (failed.length > 0) {
+        lines.push('', 'Artefatos não capturados:');
+        failed.forEach(([name, reason]) => lines.push(`  ${name}: ${reason}`));
+    }
+    return lines.join('\n') + '\n';
+}
+
+// Gravar o pacote de diagnóstico da falha em dir; retorna { step, dir, at, error, files }.
+// Nunca lança: artefatos que falharem ficam registrados no error.txt; sem o diretório do
+// pacote, files fica vazio e captureError traz o motivo
+async function captureFailure({ page = null, step, error, dir, context = {} }) {
+    const at = new Date();
+    const bundleDir = path.join(dir, bundleName(at, step));
+    const result = { step, dir: bundleDir, at: at.toISOString(), error: error ? error.message : null, files: [] };
+
+    try {
+        fs.mkdirSync(bundleDir, { recursive: true });
+    } catch (mkdirError) {
+        return { ...result, captureError: mkdirError.message };
+    }
+
+    const artifacts = {};
+    const save = async (name, produce) => {
+        try {
+            const content = await produce();
+            if (content === null || content === undefined) {
+                artifacts[name] = 'indisponível';
+                return;
+            }
+            fs.writeFileSync(path.join(bundleDir, name), content);
+            artifacts[name] = true;
+        } catch (captureError) {
+            artifacts[name] = captureError.message;
+        }
+    };
+
+    const open = page && !page.isClosed();
+    const recorder = page ? recorders.get(page) : null;
+    let url = null;
+    try {
+        url = open ? page.url() : null;
+    } catch (urlError) {
+        // Página em navegação ou desconectada
+    }
+
+    await save('screenshot.png', () => open
+        ? withTimeout(page.screenshot({ fullPage: true }), SCREENSHOT_TIMEOUT, `screenshot sem resposta em ${SCREENSHOT_TIMEOUT}ms`)
+        : null);
+    await save('page.html', () => open
+        ? withTimeout(page.content(), SCREENSHOT_TIMEOUT, `page.content() sem resposta em ${SCREENSHOT_TIMEOUT}ms`)
+        : null);
+    await save('network.har', () => recorder ? JSON.stringify(recorder.toHAR(), null, 2) : null);
+    await save('console.json', () => recorder ? JSON.stringify(recorder.console, null, 2) : null);
+    await save('error.txt', () => describeError({ step, error, at, url, context, artifacts }));
+
+    return { ...result, files: Object.keys(artifacts).filter(name => artifacts[name] === true) };
+}
+
+module.exports = { recordPage, captureFailure, PageRecorder, maskParams };
@@ -0,0 +1,187 @@
+// ==================== DOWNLOAD DIRETO VIA HTTP ====================
+// Modo DOWNLOAD_MODE = 'http': após o login no browser, os cookies da sessão
+// são reaproveitados para baixar os XMLs diretamente, sem cliques na tabela
+// nem polling do diretório. Cada resposta é gravada em um arquivo temporário e
+// renomeada para o nome informado pelo servidor (Content-Disposition).
+
+const fs = require('fs');
+const path = require('path');
+const http = require('http');
+const https = require('https');
+const crypto = require('crypto');
+const { PortalUnavailableError, DownloadTimeoutError, NFSeError } = require('./errors');
+
+const MAX_REDIRECTS = 5;
+
+// Montar cabeçalho Cookie a partir dos cookies do Puppeteer
+function cookieHeader(cookies = []) {
+    return cookies.map(cookie => `${cookie.name}=${cookie.value}`).join('; ');
+}
+
+// Extrair nome do arquivo do Content-Disposition (filename* tem prioridade)
+function filenameFromDisposition(header) {
+    if (!header) return null;
+
+    const extended = header.match(/filename\*\s*=\s*([^']*)'[^']*'([^;]+)/i);
+    if (extended) {
+        try {
+            return decodeURIComponent(extended[2].trim().replace(/^"|"$/g, ''));
+        } catch (error) {
+            // Codificação inválida - tentar o parâmetro simples
+        }
+    }
+
+    const simple = header.match(/filename\s*=\s*("([^"]*)"|[^;]+)/i);
+    return simple ? (simple[2] !== undefined ? simple[2] : simple[1]).trim() : null;
+}
+
+// Remover caminhos e caracteres inválidos do nome sugerido pelo servidor
+function sanitizeFileName(name) {
+    const base = path.basename(String(name).replace(/\\/g, '/'));
+    return base.replace(/[<>:"|?*\x00-\x1f]/g, '_').trim();
+}
+
+// Nome de fallback quando o servidor não informa: último segmento da URL ou hash da URL
+function fallbackFileName(url) {
+    const segment = path.basename(new URL(url).pathname);
+    if (/\.xml$/i.test(segment)) return segment;
+    return `nfse-${crypto.createHash('md5').update(url).digest('hex').slice(0, 12)}.xml`;
+}
+
+// Evitar sobrescrever: "nota.xml" → "nota (1).xml", como faz o Chrome
+function uniquePath(dir, fileName) {
+    const ext = path.extname(fileName);
+    const stem = path.basename(fileName, ext);
+    let candidate = path.join(dir, fileName);
+    for (let i = 1; fs.existsSync(candidate); i++) {
+        candidate = path.join(dir, `${stem} (${i})${ext}`);
+    }
+    return candidate;
+}
+
+// Executar fn(item, index) para todos os itens com no máximo `limit` simultâneos.
+// Com signal abortado, nenhum item novo é iniciado (undefined nos resultados)
+async function mapWithConcurrency(items, limit, fn, { signal = null } = {}) {
+    const results = new Array(items.length);
+    let next = 0;
+
+    const worker = async () => {
+        while (next < items.length && !(signal && signal.aborted)) {
+            const index = next++;
+            results[index] = await fn(items[index], index);
+        }
+    };
+
+    await Promise.all(Array.from({ length: Math.max(1, Math.min(limit, items.length)) }, worker));
+    return results;
+}
+
+class HttpDownloader {
+    // options: { downloadDir, cookies, userAgent, referer, timeout, network }
+    // (network: NetworkPolicy de lib/network.js - proxy e cabeçalhos extras)
+    constructor(options = {}) {
+        this.downloadDir = options.downloadDir;
+        this.cookies = options.cookies || [];
+        this.userAgent = options.userAgent || null;
+        this.referer = options.referer || null;
+        this.timeout = options.timeout || 30000;
+        this.network = options.network || null;
+    }
+
+    headers() {
+        const headers = { Accept: 'application/xml,text/xml,*/*', ...(this.network ? this.network.headers : {}) };
+        const cookie = cookieHeader(this.cookies);
+        if (cookie) headers.Cookie = cookie;
+        if (this.userAgent) headers['User-Agent'] = this.userAgent;
+        if (this.referer) headers.Referer = this.referer;
+        return headers;
+    }
+
+    // Requisição GET seguindo redirecionamentos; resolve com a resposta aberta
+    async request(url, redirects = 0) {
+        const connection = this.network
+            ? await this.network.connectionFor(url, this.timeout).catch(error => {
+                throw error instanceof NFSeError
+                    ? error
+                    : new PortalUnavailableError(`Falha de conexão com o proxy ao baixar ${url}: ${error.message}`, { cause: error });
+            })
+            : {};
+
+        return new Promise((resolve, reject) => {
+            const client = url.startsWith('https:') ? https : http;
+            const req = client.get(url, { headers: this.headers(), ...connection }, response => {
+                const { statusCode, headers } = response;
+
+                if (statusCode >= 300 && statusCode < 400 && headers.location) {
+                    response.resume();
+                    if (redirects >= MAX_REDIRECTS) {
+                        reject(new NFSeError(`Muitos redirecionamentos ao baixar ${url}`));
+                        return;
+                    }
+                    const location = new URL(headers.location, url).toString();
+                    resolve(this.request(location, redirects + 1));
+                    return;
+                }
+
+                if (statusCode < 200 || statusCode >= 300) {
+                    response.resume();
+                    const message = `HTTP ${statusCode} ao baixar ${url}`;
+                    reject(statusCode >= 500 ? new PortalUnavailableError(message) : new NFSeError(message));
+                    return;
+                }
+
+                response.finalUrl = url;
+                resolve(response);
+            });
+
+            req.setTimeout(this.timeout, () => {
+                req.destroy(new DownloadTimeoutError(`Timeout após ${this.timeout}ms ao baixar ${url}`));
+            });
+            req.on('error', error => {
+                reject(error instanceof NFSeError
+                    ? error
+                    : new PortalUnavailableError(`Falha de conexão ao baixar ${url}: ${error.message}`, { cause: error }));
+            });
+        });
+    }
+
+    // Baixar uma URL para o diretório de downloads: { fileName, filePath, size, finalUrl }
+    // (finalUrl = URL após redirecionamentos, ex: página de login se a sessão expirou)
+    async download(url) {
+        const response = await this.request(url);
+
+        const tempPath = path.join(this.downloadDir, `.${crypto.randomBytes(6).toString('hex')}.part`);
+        let size = 0;
+
+        await new Promise((resolve, reject) => {
+            const out = fs.createWriteStream(tempPath);
+            response.on('data', chunk => { size += chunk.length; });
+            response.on('error', error => out.destroy(error));
+            out.on('error', reject);
+            out.on('finish', resolve);
+            response.pipe(out);
+        }).catch(error => {
+            fs.rmSync(tempPath, { force: true });
+            throw error;
+        });
+
+        const suggested = filenameFromDisposition(response.headers['content-disposition']);
+        let fileName = sanitizeFileName(suggested || fallbackFileName(response.finalUrl));
+        if (!fileName) fileName = fallbackFileName(response.finalUrl);
+        if (!path.extname(fileName)) fileName += '.xml';
+
+        // Escolha do nome e rename síncronos: sem corrida entre downloads simultâneos
+        const filePath = uniquePath(this.downloadDir, fileName);
+        fs.renameSync(tempPath, filePath);
+
+        return { fileName: path.basename(filePath), filePath, size, finalUrl: response.finalUrl };
+    }
+}
+
+module.exports = {
+    HttpDownloader,
+    mapWithConcurrency,
+    cookieHeader,
+    filenameFromDisposition,
+    uniquePath
+};
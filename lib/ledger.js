@@ -0,0 +1,116 @@
+// ==================== LEDGER DE DOWNLOADS (JSON LINES) ====================
+// Registro persistente do que já foi baixado, uma linha JSON por nota:
+//   { key, cnpj, numero, codigoVerificacao, fileName, checksum, size, fetchedAt }
+// Chave: <cnpj da empresa>|<número da NFSe>|<código de verificação>.
+//
+// No modo incremental (--incremental), as linhas da tabela cujo número já
+// consta no ledger para a empresa são puladas antes de qualquer clique.
+// O arquivo é apenas anexado (append); a última ocorrência de uma chave vence.
+
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+
+// Normalizar número da nota: "000123" e "123" são a mesma nota
+function normalizeNumero(numero) {
+    const str = String(numero || '').trim();
+    const digits = str.replace(/\D/g, '').replace(/^0+(?=\d)/, '');
+    return digits || str;
+}
+
+function ledgerKey(cnpj, numero, codigoVerificacao) {
+    return `${cnpj}|${normalizeNumero(numero)}|${String(codigoVerificacao || '').trim()}`;
+}
+
+// Número e código de verificação a partir do conteúdo do XML NFSe
+function extractIdentifiers(xmlContent) {
+    const numero = xmlContent.match(/<(?:\w+:)?Numero>\s*([^<]+?)\s*<\/(?:\w+:)?Numero>/);
+    const codigo = xmlContent.match(/<(?:\w+:)?CodigoVerificacao>\s*([^<]+?)\s*<\/(?:\w+:)?CodigoVerificacao>/);
+    return {
+        numero: numero ? numero[1] : null,
+        codigoVerificacao: codigo ? codigo[1] : null
+    };
+}
+
+class Ledger {
+    constructor(filePath) {
+        this.filePath = filePath;
+        this.entries = new Map();   // key → entrada
+        this.numbers = new Set();   // "<cnpj>|<numero>" para consulta sem código de verificação
+        this.loaded = false;
+    }
+
+    // Ler o arquivo; linhas corrompidas (ex: gravação interrompida) são ignoradas
+    load() {
+        this.entries.clear();
+        this.numbers.clear();
+        let skipped = 0;
+
+        if (fs.existsSync(this.filePath)) {
+            const lines = fs.readFileSync(this.filePath, 'utf8').split(/\r?\n/);
+            for (const line of lines) {
+                if (!line.trim()) continue;
+                try {
+                    this.index(JSON.parse(line));
+                } catch (error) {
+                    skipped++;
+                }
+            }
+        }
+
+        this.loaded = true;
+        return { entries: this.entries.size, skipped };
+    }
+
+    index(entry) {
+        if (!entry || !entry.cnpj || !entry.numero) return;
+        const key = entry.key || ledgerKey(entry.cnpj, entry.numero, entry.codigoVerificacao);
+        this.entries.set(key, { ...entry, key });
+        this.numbers.add(`${entry.cnpj}|${normalizeNumero(entry.numero)}`);
+    }
+
+    // Já baixada? Sem código de verificação, compara apenas empresa + número
+    has({ cnpj, numero, codigoVerificacao }) {
+        if (!numero) return false;
+        if (codigoVerificacao) {
+            return this.entries.has(ledgerKey(cnpj, numero, codigoVerificacao));
+        }
+        return this.numbers.has(`${cnpj}|${normalizeNumero(numero)}`);
+    }
+
+    // Registrar arquivo baixado; retorna a entrada ou null se o XML não tiver número
+    recordFile(cnpj, filePath, extra = {}) {
+        const content = fs.readFileSync(filePath);
+        const { numero, codigoVerificacao } = extractIdentifiers(content.toString('utf8'));
+        if (!numero) return null;
+
+        const entry = {
+            key: ledgerKey(cnpj, numero, codigoVerificacao),
+            cnpj,
+            numero,
+            codigoVerificacao,
+            fileName: path.basename(filePath),
+            checksum: crypto.createHash('md5').update(content).digest('hex'),
+            size: content.length,
+            fetchedAt: new Date().toISOString(),
+            ...extra
+        };
+
+        fs.mkdirSync(path.dirname(this.filePath), { recursive: true });
+        fs.appendFileSync(this.filePath, JSON.stringify(entry) + '\n');
+        this.index(entry);
+        return entry;
+    }
+
+    // Entradas de uma empresa (última ocorrência de cada chave)
+    entriesFor(cnpj) {
+        return Array.from(this.entries.values()).filter(entry => entry.cnpj === cnpj);
+    }
+}
+
+module.exports = {
+    Ledger,
+    ledgerKey,
+    normalizeNumero,
+    extractIdentifiers
+};
@@ -0,0 +1,59 @@
+// ==================== LISTAGEM DE NOTAS (--list-only) ====================
+// Inventário do que o portal exibe para o período, sem baixar nada: uma entrada
+// por linha da tabela de resultados, com todas as colunas e o link do XML.
+//
+//   { competencia, page, row, numero, data, prestador, valor, codigoVerificacao,
+//     xmlUrl, pdfUrl, inLedger, colunas: { <cabeçalho da tabela>: <texto> } }
+//
+// Exportada para <downloadDir>/nfse-listing-<timestamp>.json ou .csv e incluída
+// no relatório da execução.
+
+const fs = require('fs');
+const path = require('path');
+
+// Campos fixos, na ordem das colunas do CSV (seguidos das colunas do portal)
+const LISTING_FIELDS = [
+    'competencia', 'page', 'row', 'numero', 'data', 'prestador', 'valor',
+    'codigoVerificacao', 'xmlUrl', 'pdfUrl', 'inLedger'
+];
+
+// Valor de uma célula CSV (separador ;, como o Excel em pt-BR)
+function csvCell(value) {
+    if (value === null || value === undefined) return '';
+    const text = String(value);
+    return /[";\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+// Entradas → CSV com cabeçalho; colunas do portal vêm depois dos campos fixos
+function toCSV(entries) {
+    const columns = [];
+    for (const entry of entries) {
+        for (const name of Object.keys(entry.colunas || {})) {
+            if (!columns.includes(name)) columns.push(name);
+        }
+    }
+
+    const lines = [[...LISTING_FIELDS, ...columns].map(csvCell).join(';')];
+    for (const entry of entries) {
+        const values = [
+            ...LISTING_FIELDS.map(field => entry[field]),
+            ...columns.map(name => (entry.colunas || {})[name])
+        ];
+        lines.push(values.map(csvCell).join(';'));
+    }
+    return lines.join('\r\n') + '\r\n';
+}
+
+// Gravar a listagem em dir; retorna o caminho do arquivo
+function writeListing(entries, dir, format = 'json') {
+    const filePath = path.join(dir, `nfse-listing-${Date.now()}.${format}`);
+    const content = format === 'csv'
+        ? '\uFEFF' + toCSV(entries)     // BOM: acentos corretos ao abrir no Excel
+        : JSON.stringify(entries, null, 2);
+
+    fs.mkdirSync(dir, { recursive: true });
+    fs.writeFileSync(filePath, content);
+    return filePath;
+}
+
+module.exports = { LISTING_FIELDS, toCSV, writeListing };
@@ -0,0 +1,32 @@
+// ==================== PORTAL SIMULADO (DESENVOLVIMENTO E REGRESSÃO) ====================
+// Ponto de entrada: createMockPortal() monta o servidor (server.js) com as notas
+// geradas (notes.js) ou lidas de um diretório de fixtures. Uso típico:
+//
+//   const portal = createMockPortal({ count: 30, failRate: 0.1 });
+//   const loginUrl = await portal.start();   // → LOGIN_URL / --login-url do downloader
+//   ...
+//   await portal.stop();
+//
+// Linha de comando: xmlitz mock-portal (lib/cli.js).
+
+const { MockPortal, DEFAULT_OPTIONS } = require('./server');
+const { generateNotes, loadFixtureNotes, defaultRange } = require('./notes');
+
+// options: as de MockPortal, mais:
+//   cnpj, senha, nome   conta aceita no login (padrão: conta de demonstração)
+//   count, range        notas geradas: quantidade e período { start, end } (YYYY-MM-DD)
+//   fixtures            diretório de XMLs servidos no lugar das notas geradas
+function createMockPortal({ cnpj, senha, nome, count = 60, range = defaultRange(), fixtures = null, ...options } = {}) {
+    const company = {
+        cnpj: cnpj || DEFAULT_OPTIONS.company.cnpj,
+        senha: senha || DEFAULT_OPTIONS.company.senha,
+        nome: nome || DEFAULT_OPTIONS.company.nome
+    };
+    const notes = fixtures
+        ? loadFixtureNotes(fixtures, company.cnpj)
+        : generateNotes({ cnpj: company.cnpj, nome: company.nome, count, range, seed: options.seed || DEFAULT_OPTIONS.seed });
+
+    return new MockPortal({ ...options, company, notes });
+}
+
+module.exports = { createMockPortal, MockPortal, generateNotes, loadFixtureNotes, defaultRange };
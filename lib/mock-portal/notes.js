@@ -0,0 +1,221 @@
+// ==================== NOTAS DO PORTAL SIMULADO ====================
+// Notas exibidas e servidas pelo portal simulado (lib/mock-portal/server.js):
+// geradas de forma determinística (semente) no layout ABRASF usado pelo
+// portal real, ou lidas de um diretório de XMLs de fixture.
+//
+//   { numero, codigoVerificacao, dataEmissao: 'YYYY-MM-DDTHH:MM:SS', tipo: 'emitidas' | 'recebidas',
+//     cancelada, valor, itemListaServico, prestador: { cnpj, nome }, tomador: { cnpj, nome }, xml }
+//
+// Geradas: 3 de cada 4 emitidas pela empresa logada e 1 recebida; 1 de cada 10 cancelada.
+
+const fs = require('fs');
+const path = require('path');
+const { parseNoteXML } = require('../reconcile');
+
+const ITENS_SERVICO = ['01.07', '17.01', '07.02', '14.01', '04.03'];
+
+// Outras empresas das notas geradas (CNPJs com dígitos verificadores válidos)
+const COUNTERPARTS = [
+    { base: '338172640001', nome: 'Alfa Serviços de Informática Ltda' },
+    { base: '451234560001', nome: 'Beta Engenharia e Construções S.A.' },
+    { base: '073859220001', nome: 'Gama Consultoria Contábil Ltda' },
+    { base: '293847560001', nome: 'Delta Manutenção Predial ME' },
+    { base: '184736250001', nome: 'Épsilon Treinamentos EIRELI' }
+];
+
+// Gerador pseudoaleatório com semente (mulberry32): mesmas notas e falhas a cada execução
+function seededRandom(seed) {
+    let state = seed >>> 0;
+    return () => {
+        state = (state + 0x6D2B79F5) >>> 0;
+        let t = state;
+        t = Math.imul(t ^ (t >>> 15), t | 1);
+        t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+        return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+    };
+}
+
+// "112223330001" → "11222333000181"
+function withCheckDigits(base) {
+    const digit = digits => {
+        const weights = digits.length === 12
+            ? [5, 4, 3, 2, 9, 8, 7, 6, 5, 4, 3, 2]
+            : [6, 5, 4, 3, 2, 9, 8, 7, 6, 5, 4, 3, 2];
+        const rest = weights.reduce((sum, weight, i) => sum + weight * Number(digits[i]), 0) % 11;
+        return rest < 2 ? '0' : String(11 - rest);
+    };
+    const first = base + digit(base);
+    return first + digit(first);
+}
+
+function pad(value) {
+    return String(value).padStart(2, '0');
+}
+
+function isoDate(date) {
+    return `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}`;
+}
+
+// Padrão: os dois meses anteriores ao atual (inclui o período padrão do downloader)
+function defaultRange(now = new Date()) {
+    return {
+        start: isoDate(new Date(now.getFullYear(), now.getMonth() - 2, 1)),
+        end: isoDate(new Date(now.getFullYear(), now.getMonth(), 0))
+    };
+}
+
+function escapeXML(text) {
+    return String(text).replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;');
+}
+
+// XML da nota no layout ABRASF 2.02 (CompNfse), como o portal entrega
+function renderXML(note) {
+    const valor = note.valor.toFixed(2);
+    const aliquota = 0.05;
+    const iss = (note.valor * aliquota).toFixed(2);
+    const cancelamento = note.cancelada ? `
+  <NfseCancelamento versao="2.02">
+    <Confirmacao>
+      <Pedido>
+        <InfPedidoCancelamento>
+          <IdentificacaoNfse>
+            <Numero>${note.numero}</Numero>
+            <CpfCnpj><Cnpj>${note.prestador.cnpj}</Cnpj></CpfCnpj>
+            <CodigoMunicipio>2105302</CodigoMunicipio>
+          </IdentificacaoNfse>
+          <CodigoCancelamento>2</CodigoCancelamento>
+        </InfPedidoCancelamento>
+      </Pedido>
+      <DataHora>${note.dataEmissao}</DataHora>
+    </Confirmacao>
+  </NfseCancelamento>` : '';
+
+    return `<?xml version="1.0" encoding="UTF-8"?>
+<CompNfse xmlns="http://www.abrasf.org.br/nfse.xsd">
+  <Nfse versao="2.02">
+    <InfNfse Id="nfse${note.numero}">
+      <Numero>${note.numero}</Numero>
+      <CodigoVerificacao>${note.codigoVerificacao}</CodigoVerificacao>
+      <DataEmissao>${note.dataEmissao}</DataEmissao>
+      <ValoresNfse>
+        <BaseCalculo>${valor}</BaseCalculo>
+        <Aliquota>${aliquota}</Aliquota>
+        <ValorIss>${iss}</ValorIss>
+        <ValorLiquidoNfse>${valor}</ValorLiquidoNfse>
+      </ValoresNfse>
+      <PrestadorServico>
+        <IdentificacaoPrestador>
+          <CpfCnpj><Cnpj>${note.prestador.cnpj}</Cnpj></CpfCnpj>
+        </IdentificacaoPrestador>
+        <RazaoSocial>${escapeXML(note.prestador.nome)}</RazaoSocial>
+      </PrestadorServico>
+      <OrgaoGerador>
+        <CodigoMunicipio>2105302</CodigoMunicipio>
+        <Uf>MA</Uf>
+      </OrgaoGerador>
+      <DeclaracaoPrestacaoServico>
+        <InfDeclaracaoPrestacaoServico Id="rps${note.numero}">
+          <Competencia>${note.dataEmissao.replace('T', ' ')}.000000</Competencia>
+          <Servico>
+            <Valores>
+              <ValorServicos>${valor}</ValorServicos>
+              <ValorIss>${iss}</ValorIss>
+              <Aliquota>${aliquota}</Aliquota>
+            </Valores>
+            <IssRetido>2</IssRetido>
+            <ItemListaServico>${note.itemListaServico}</ItemListaServico>
+            <Discriminacao>Serviços prestados - nota simulada ${note.numero}</Discriminacao>
+            <CodigoMunicipio>2105302</CodigoMunicipio>
+          </Servico>
+          <TomadorServico>
+            <IdentificacaoTomador>
+              <CpfCnpj><Cnpj>${note.tomador.cnpj}</Cnpj></CpfCnpj>
+            </IdentificacaoTomador>
+            <RazaoSocial>${escapeXML(note.tomador.nome)}</RazaoSocial>
+          </TomadorServico>
+        </InfDeclaracaoPrestacaoServico>
+      </DeclaracaoPrestacaoServico>
+    </InfNfse>
+  </Nfse>${cancelamento}
+</CompNfse>
+`;
+}
+
+// Notas geradas para a empresa cnpj: count notas distribuídas em range { start, end }
+function generateNotes({ cnpj, nome = 'Empresa Simulada Ltda', count = 60, range = defaultRange(), seed = 1 } = {}) {
+    const random = seededRandom(seed);
+    const owner = { cnpj, nome };
+    const start = new Date(`${range.start}T00:00:00`);
+    const days = Math.max(1, Math.round((new Date(`${range.end}T00:00:00`) - start) / 86400000) + 1);
+
+    const notes = [];
+    let emitida = 1000;
+    for (let i = 0; i < count; i++) {
+        const counterpart = COUNTERPARTS[i % COUNTERPARTS.length];
+        const other = { cnpj: withCheckDigits(counterpart.base), nome: counterpart.nome };
+        const recebida = i % 4 === 3;
+
+        const day = new Date(start.getFullYear(), start.getMonth(), start.getDate() + Math.floor(i * days / count));
+        const time = `${pad(8 + Math.floor(random() * 10))}:${pad(Math.floor(random() * 60))}:${pad(Math.floor(random() * 60))}`;
+
+        const note = {
+            numero: String(recebida ? 500 + i : ++emitida),
+            codigoVerificacao: random().toString(36).slice(2, 10).toUpperCase().padEnd(8, '0'),
+            dataEmissao: `${isoDate(day)}T${time}`,
+            tipo: recebida ? 'recebidas' : 'emitidas',
+            cancelada: i % 10 === 9,
+            valor: Math.round((100 + random() * 9900) * 100) / 100,
+            itemListaServico: ITENS_SERVICO[Math.floor(random() * ITENS_SERVICO.length)],
+            prestador: recebida ? other : owner,
+            tomador: recebida ? owner : other
+        };
+        note.xml = renderXML(note);
+        notes.push(note);
+    }
+    return notes;
+}
+
+// Notas a partir dos XMLs de dir (ex: XMLs reais anonimizados), do ponto de vista da empresa cnpj
+function loadFixtureNotes(dir, cnpj) {
+    const files = fs.readdirSync(dir).filter(file => file.toLowerCase().endsWith('.xml')).sort();
+    const tag = (content, name) => {
+        const match = content.match(new RegExp(`<(?:\\w+:)?${name}>\\s*([^<]+?)\\s*</(?:\\w+:)?${name}>`));
+        return match ? match[1] : null;
+    };
+    const nomeIn = (content, section) => {
+        const match = content.match(new RegExp(`<(?:\\w+:)?${section}>[\\s\\S]*?<(?:\\w+:)?RazaoSocial>\\s*([^<]+?)\\s*<`));
+        return match ? match[1] : '';
+    };
+
+    return files.map(file => {
+        const xml = fs.readFileSync(path.join(dir, file), 'utf8');
+        const data = parseNoteXML(xml);
+        if (!data.numero || !data.prestadorCnpj) {
+            throw new Error(`Fixture sem número ou CNPJ do prestador: ${file}`);
+        }
+
+        const emissao = tag(xml, 'DataEmissao') || tag(xml, 'Competencia') || '';
+        return {
+            numero: data.numero,
+            codigoVerificacao: data.codigoVerificacao || data.numero,
+            dataEmissao: emissao.replace(' ', 'T').slice(0, 19),
+            tipo: data.tomadorCnpj === cnpj && data.prestadorCnpj !== cnpj ? 'recebidas' : 'emitidas',
+            cancelada: /NfseCancelamento/.test(xml),
+            valor: data.valor || 0,
+            itemListaServico: tag(xml, 'ItemListaServico') || '',
+            prestador: { cnpj: data.prestadorCnpj, nome: nomeIn(xml, 'PrestadorServico') },
+            tomador: { cnpj: data.tomadorCnpj || '', nome: nomeIn(xml, 'TomadorServico') },
+            file,
+            xml
+        };
+    });
+}
+
+module.exports = {
+    generateNotes,
+    loadFixtureNotes,
+    renderXML,
+    seededRandom,
+    withCheckDigits,
+    defaultRange
+};
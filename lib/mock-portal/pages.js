@@ -0,0 +1,178 @@
+// ==================== PÁGINAS DO PORTAL SIMULADO ====================
+// HTML do portal simulado com a mesma estrutura que o adaptador prefeitura-moderna
+// espera do meuiss_new: formulário de login (#form_autentica, #login_nfse,
+// #senha_nfse_digite), tabela de resultados com dropdown de ações por linha e
+// paginação com "Total de registros" / "Página X de Y".
+
+function escapeHTML(text) {
+    return String(text === null || text === undefined ? '' : text)
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;');
+}
+
+// "2025-07-18T10:37:35" → "18/07/2025 10:37"
+function formatData(iso) {
+    const [date, time = ''] = iso.split('T');
+    const [year, month, day] = date.split('-');
+    return `${day}/${month}/${year}${time ? ` ${time.slice(0, 5)}` : ''}`;
+}
+
+// 1500.5 → "R$ 1.500,50"
+function formatValor(valor) {
+    return `R$ ${valor.toLocaleString('pt-BR', { minimumFractionDigits: 2, maximumFractionDigits: 2 })}`;
+}
+
+const STYLE = `
+    body { font-family: Arial, sans-serif; margin: 0; padding: 24px; background: #f4f6f9; }
+    .card { background: #fff; border: 1px solid #dde; border-radius: 6px; padding: 24px; margin: 0 auto; }
+    .login { width: 520px; }
+    .login input { display: block; width: 460px; height: 48px; margin: 8px 0 16px; padding: 0 12px; font-size: 16px; }
+    .login button { display: block; width: 486px; padding: 8px 0; cursor: pointer; }
+    .login h5 { margin: 0; font-size: 16px; }
+    .alert { padding: 12px; margin-bottom: 16px; background: #f8d7da; color: #721c24; border-radius: 4px; }
+    table { width: 100%; border-collapse: collapse; background: #fff; }
+    th, td { border: 1px solid #dde; padding: 6px 8px; text-align: left; }
+    .dropdown { position: relative; }
+    .dropdown-menu { display: none; position: absolute; right: 0; z-index: 10; background: #fff; border: 1px solid #ccc; }
+    .dropdown-menu.show { display: block; }
+    .dropdown-item { display: block; padding: 6px 12px; white-space: nowrap; }
+    .pagination { display: flex; gap: 4px; list-style: none; padding: 0; }
+    .pagination li { padding: 4px 8px; border: 1px solid #dde; }
+    .pagination .active { font-weight: bold; }
+    .pagination .disabled { color: #999; }
+`;
+
+function layout(title, body, script = '') {
+    return `<!DOCTYPE html>
+<html lang="pt-BR">
+<head>
+<meta charset="utf-8">
+<title>${escapeHTML(title)} - Meu ISS (simulado)</title>
+<style>${STYLE}</style>
+</head>
+<body>
+${body}
+${script ? `<script>${script}</script>` : ''}
+</body>
+</html>
+`;
+}
+
+// Formulário de login (mesmos ids, rótulos acessíveis e estrutura gravados no Recorder)
+function loginPage({ message = '' } = {}) {
+    return layout('Login', `
+<div class="card login">
+  <h3>NFS-e - Acesso ao sistema</h3>
+  ${message ? `<div class="alert alert-danger">${escapeHTML(message)}</div>` : ''}
+  <div class="pt-0">
+    <form id="form_autentica" method="post" action="index.php?pg=autentica">
+      <label for="login_nfse">Usuário</label>
+      <input id="login_nfse" name="login_nfse" aria-label="Digite seu Usuário" placeholder="CNPJ" autocomplete="off">
+      <label for="senha_nfse_digite">Senha</label>
+      <input id="senha_nfse_digite" name="senha_nfse" type="password" aria-label="Senha de Acesso">
+      <button type="submit"><h5>Acessar Sistema</h5></button>
+    </form>
+  </div>
+</div>`);
+}
+
+function homePage(company) {
+    return layout('Início', `
+<div class="card">
+  <h3>Bem-vindo, ${escapeHTML(company.nome)} (${escapeHTML(company.cnpj)})</h3>
+  <p><a href="index.php?pg=relatorio">Relatório de notas</a></p>
+</div>`);
+}
+
+// Tabela de resultados: notes = notas da página; links de página gerados por pageUrl(n)
+function resultsPage({ notes, total, page, totalPages, tipo, pageUrl }) {
+    const outraParte = tipo === 'recebidas' ? 'Prestador' : 'Tomador';
+
+    const rows = notes.map(note => {
+        const other = tipo === 'recebidas' ? note.prestador : note.tomador;
+        const cd = encodeURIComponent(note.codigoVerificacao);
+        return `
+    <tr>
+      <td>${escapeHTML(note.numero)}</td>
+      <td>${formatData(note.dataEmissao)}</td>
+      <td>${escapeHTML(other.nome)}</td>
+      <td>${formatValor(note.valor)}</td>
+      <td>${escapeHTML(note.codigoVerificacao)}</td>
+      <td>${note.cancelada ? 'Cancelada' : 'Normal'}</td>
+      <td>
+        <div class="dropdown">
+          <button class="btn dropdown-toggle" type="button">Ações</button>
+          <div class="dropdown-menu">
+            <a class="dropdown-item" href="index.php?pg=xml&amp;cd=${cd}">Baixar XML</a>
+            <a class="dropdown-item" href="index.php?pg=imprimir&amp;cd=${cd}" target="_blank">Imprimir DANFSe</a>
+          </div>
+        </div>
+      </td>
+    </tr>`;
+    }).join('');
+
+    const pages = [];
+    for (let n = 1; n <= totalPages; n++) {
+        pages.push(n === page
+            ? `<li class="page-item active"><span class="page-link">${n}</span></li>`
+            : `<li class="page-item"><a class="page-link" href="${escapeHTML(pageUrl(n))}">${n}</a></li>`);
+    }
+    const next = page < totalPages
+        ? `<li class="page-item next"><a class="page-link" rel="next" href="${escapeHTML(pageUrl(page + 1))}">Próxima »</a></li>`
+        : '<li class="page-item next disabled"><span class="page-link">Próxima »</span></li>';
+
+    return layout('Relatório', `
+<div class="card">
+  <h3>Relatório de notas ${tipo}</h3>
+  <p>Total de registros: ${total}</p>
+  ${total === 0 ? '<p>Nenhum registro encontrado</p>' : ''}
+  <table class="table">
+    <thead>
+      <tr><th>Número</th><th>Data de Emissão</th><th>${outraParte}</th><th>Valor</th><th>Código de Verificação</th><th>Situação</th><th>Ações</th></tr>
+    </thead>
+    <tbody>${rows}
+    </tbody>
+  </table>
+  ${totalPages > 1 ? `<p>Página ${page} de ${totalPages}</p>
+  <ul class="pagination">${pages.join('')}${next}</ul>` : ''}
+</div>`, `
+document.querySelectorAll('.dropdown-toggle').forEach(function (button) {
+  button.addEventListener('click', function () {
+    button.nextElementSibling.classList.toggle('show');
+  });
+});`);
+}
+
+// Formulário de pesquisa (pg=relatorio sem consulta=1)
+function searchFormPage() {
+    return layout('Relatório', `
+<div class="card">
+  <h3>Relatório de notas</h3>
+  <form method="get" action="index.php">
+    <input type="hidden" name="pg" value="relatorio">
+    <input type="hidden" name="consulta" value="1">
+    <label>Data inicial <input type="date" name="dt_inicial"></label>
+    <label>Data final <input type="date" name="dt_final"></label>
+    <select name="tp_doc"><option value="1">Emitidas</option><option value="2">Recebidas</option></select>
+    <button type="submit">Pesquisar</button>
+  </form>
+</div>`);
+}
+
+// Versão de impressão (DANFSe) da nota
+function danfsePage(note) {
+    return layout(`DANFSe ${note.numero}`, `
+<div class="card">
+  <h2>DANFSe - Documento Auxiliar da NFS-e</h2>
+  <p><strong>Número:</strong> ${escapeHTML(note.numero)} &nbsp; <strong>Código de verificação:</strong> ${escapeHTML(note.codigoVerificacao)}</p>
+  <p><strong>Emissão:</strong> ${formatData(note.dataEmissao)}${note.cancelada ? ' &nbsp; <strong>CANCELADA</strong>' : ''}</p>
+  <p><strong>Prestador:</strong> ${escapeHTML(note.prestador.nome)} (${escapeHTML(note.prestador.cnpj)})</p>
+  <p><strong>Tomador:</strong> ${escapeHTML(note.tomador.nome)} (${escapeHTML(note.tomador.cnpj)})</p>
+  <p><strong>Item da lista de serviços:</strong> ${escapeHTML(note.itemListaServico)}</p>
+  <p><strong>Valor dos serviços:</strong> ${formatValor(note.valor)}</p>
+</div>`);
+}
+
+module.exports = { loginPage, homePage, resultsPage, searchFormPage, danfsePage, formatData, formatValor };
@@ -0,0 +1,337 @@
+// ==================== PORTAL PREFEITURA MODERNA SIMULADO ====================
+// Servidor HTTP local que reproduz o fluxo do meuiss_new usado pelo adaptador
+// prefeitura-moderna, para desenvolver e rodar regressões sem o portal real:
+//
+//   GET  <base>?pg=login_nfe               formulário de login
+//   POST <base>index.php?pg=autentica      login (cookie PHPSESSID) → index.php?pg=inicio
+//   GET  <base>index.php?pg=relatorio&consulta=1&...   tabela de resultados (mesmos
+//        parâmetros de buildSearchUrl, paginada com &pagina=N)
+//   GET  <base>index.php?pg=xml&cd=<código>        XML da nota (Content-Disposition)
+//   GET  <base>index.php?pg=imprimir&cd=<código>   DANFSe (versão de impressão)
+//
+// Sem sessão válida, as páginas de index.php redirecionam para ?pg=login_nfe, como
+// o portal real faz quando a sessão expira.
+//
+// Injeção de falhas (para exercitar retry, novo login e validação):
+//   latency      atraso em ms de todas as respostas
+//   failRate     fração dos downloads de XML que respondem HTTP 500
+//   corruptRate  fração dos downloads de XML entregues truncados
+//   sessionTtl   sessão expira após N segundos sem requisições (0 = nunca)
+//   expireAfter  sessão expira após N requisições autenticadas (0 = nunca)
+//   unavailable  portal fora do ar: HTTP 503 em todas as páginas
+//   blocked      login recusado com a mensagem de conta bloqueada
+// Falhas sorteadas usam o gerador com semente (seed): a mesma sequência a cada execução.
+
+const http = require('http');
+const crypto = require('crypto');
+const { seededRandom } = require('./notes');
+const { parseValor, parseData } = require('../reconcile');
+const { loginPage, homePage, resultsPage, searchFormPage, danfsePage } = require('./pages');
+
+const SESSION_COOKIE = 'PHPSESSID';
+
+const DEFAULT_OPTIONS = {
+    host: '127.0.0.1',
+    port: 0,                // 0 = porta livre escolhida pelo sistema
+    basePath: '/meuiss_new/nfe/',
+    company: { cnpj: '11222333000181', senha: 'mock', nome: 'Empresa Simulada Ltda' },
+    notes: [],
+    pageSize: 10,
+    latency: 0,
+    failRate: 0,
+    corruptRate: 0,
+    sessionTtl: 0,
+    expireAfter: 0,
+    unavailable: false,
+    blocked: false,
+    seed: 1
+};
+
+function digits(value) {
+    return String(value || '').replace(/\D/g, '');
+}
+
+// Corpo de um POST application/x-www-form-urlencoded
+function readForm(req) {
+    return new Promise((resolve, reject) => {
+        let body = '';
+        req.setEncoding('utf8');
+        req.on('data', chunk => {
+            body += chunk;
+        });
+        req.on('end', () => resolve(new URLSearchParams(body)));
+        req.on('error', reject);
+    });
+}
+
+// A nota atende à pesquisa? (parâmetros de buildSearchUrl em lib/adapters/prefeitura-moderna.js)
+function matchesSearch(note, query) {
+    const tipo = query.get('tp_doc') === '2' ? 'recebidas' : 'emitidas';
+    if (note.tipo !== tipo) return false;
+
+    const situacao = query.get('st_rps');
+    if (situacao === '1' && note.cancelada) return false;
+    if (situacao === '2' && !note.cancelada) return false;
+
+    const data = note.dataEmissao.slice(0, 10);
+    const inicio = parseData(query.get('dt_inicial'));
+    const fim = parseData(query.get('dt_final'));
+    if ((inicio && data < inicio) || (fim && data > fim)) return false;
+
+    const numero = Number(note.numero);
+    const numeroInicial = query.get('nr_nferps_ini');
+    const numeroFinal = query.get('nr_nferps_fim');
+    if ((numeroInicial && numero < Number(numeroInicial)) || (numeroFinal && numero > Number(numeroFinal))) return false;
+
+    const valorInicial = parseValor(query.get('vl_inicial') || null);
+    const valorFinal = parseValor(query.get('vl_final') || null);
+    if ((valorInicial !== null && note.valor < valorInicial) || (valorFinal !== null && note.valor > valorFinal)) return false;
+
+    // Documento da outra parte: tomador nas emitidas, prestador nas recebidas
+    const documento = digits(query.get('nr_doc'));
+    const outraParte = tipo === 'recebidas' ? note.prestador : note.tomador;
+    if (documento && digits(outraParte.cnpj) !== documento) return false;
+
+    const atividade = query.get('cd_atividade');
+    if (atividade && note.itemListaServico !== atividade) return false;
+
+    return true;
+}
+
+class MockPortal {
+    constructor(options = {}) {
+        this.options = { ...DEFAULT_OPTIONS, ...options };
+        this.company = { ...DEFAULT_OPTIONS.company, ...options.company };
+        this.notes = this.options.notes;
+        this.random = seededRandom(this.options.seed);
+        this.sessions = new Map();  // id → { createdAt, lastSeen, requests }
+        this.server = null;
+        this.stats = {
+            requests: 0,
+            logins: 0,
+            loginsRejected: 0,
+            sessionsExpired: 0,
+            searches: 0,
+            pages: 0,
+            xmlDownloads: 0,
+            pdfViews: 0,
+            failuresInjected: 0,
+            corruptedInjected: 0
+        };
+    }
+
+    // URL base (http://host:porta) após start()
+    get url() {
+        if (!this.server) return null;
+        const { port } = this.server.address();
+        return `http://${this.options.host}:${port}`;
+    }
+
+    // URL para LOGIN_URL / --login-url
+    get loginUrl() {
+        return this.url ? `${this.url}${this.options.basePath}?pg=login_nfe` : null;
+    }
+
+    start() {
+        return new Promise((resolve, reject) => {
+            this.server = http.createServer((req, res) => {
+                this.handle(req, res).catch(error => {
+                    if (!res.headersSent) {
+                        this.send(res, 500, `Erro interno do portal simulado: ${error.message}`, 'text/plain; charset=utf-8');
+                    } else {
+                        res.destroy(error);
+                    }
+                });
+            });
+            this.server.once('error', reject);
+            this.server.listen(this.options.port, this.options.host, () => resolve(this.loginUrl));
+        });
+    }
+
+    stop() {
+        if (!this.server) return Promise.resolve();
+        const server = this.server;
+        this.server = null;
+        return new Promise(resolve => {
+            server.close(() => resolve());
+            // Conexões keep-alive do browser não devem segurar o encerramento
+            if (server.closeAllConnections) server.closeAllConnections();
+        });
+    }
+
+    // ==================== ROTEAMENTO ====================
+    async handle(req, res) {
+        this.stats.requests++;
+        const url = new URL(req.url, 'http://mock');
+        const base = this.options.basePath;
+
+        if (this.options.latency > 0) {
+            await new Promise(resolve => setTimeout(resolve, this.options.latency));
+        }
+
+        if (this.options.unavailable) {
+            return this.send(res, 503, '<h1>503 Service Unavailable</h1><p>Portal em manutenção (simulado).</p>');
+        }
+
+        if (url.pathname !== base && url.pathname !== `${base}index.php`) {
+            return this.send(res, 404, '<h1>404 Not Found</h1>');
+        }
+
+        const pg = url.searchParams.get('pg') || (url.pathname === base ? 'login_nfe' : 'inicio');
+
+        if (pg === 'login_nfe') {
+            return this.send(res, 200, loginPage({ message: url.searchParams.get('msg') || '' }));
+        }
+        if (pg === 'autentica' && req.method === 'POST') {
+            return this.authenticate(req, res);
+        }
+
+        // Demais páginas exigem sessão
+        if (!this.touchSession(req)) {
+            return this.redirect(res, `${base}?pg=login_nfe`);
+        }
+
+        switch (pg) {
+            case 'inicio':
+                return this.send(res, 200, homePage(this.company));
+            case 'relatorio':
+                return url.searchParams.get('consulta') === '1'
+                    ? this.results(res, url)
+                    : this.send(res, 200, searchFormPage());
+            case 'xml':
+                return this.downloadXML(res, url.searchParams.get('cd'));
+            case 'imprimir':
+                return this.printPage(res, url.searchParams.get('cd'));
+            default:
+                return this.send(res, 404, `<h1>Página desconhecida: ${pg}</h1>`);
+        }
+    }
+
+    async authenticate(req, res) {
+        const form = await readForm(req);
+        const base = this.options.basePath;
+        const cnpj = digits(form.get('login_nfse'));
+        const senha = form.get('senha_nfse') || '';
+
+        if (cnpj !== digits(this.company.cnpj) || senha !== this.company.senha) {
+            this.stats.loginsRejected++;
+            return this.redirect(res, `${base}?pg=login_nfe&msg=${encodeURIComponent('Usuário ou senha inválidos')}`);
+        }
+        if (this.options.blocked) {
+            this.stats.loginsRejected++;
+            return this.redirect(res, `${base}?pg=login_nfe&msg=${encodeURIComponent('Usuário bloqueado. Procure a Secretaria de Fazenda.')}`);
+        }
+
+        const id = crypto.randomBytes(16).toString('hex');
+        this.sessions.set(id, { createdAt: Date.now(), lastSeen: Date.now(), requests: 0 });
+        this.stats.logins++;
+
+        res.setHeader('Set-Cookie', `${SESSION_COOKIE}=${id}; Path=/; HttpOnly`);
+        return this.redirect(res, `${base}index.php?pg=inicio`);
+    }
+
+    // Sessão do cookie ainda válida? Registra a requisição (sessionTtl / expireAfter)
+    touchSession(req) {
+        const cookie = (req.headers.cookie || '').split(/;\s*/).find(part => part.startsWith(`${SESSION_COOKIE}=`));
+        const id = cookie ? cookie.slice(SESSION_COOKIE.length + 1) : null;
+        const session = id ? this.sessions.get(id) : null;
+        if (!session) return false;
+
+        const { sessionTtl, expireAfter } = this.options;
+        const idle = sessionTtl > 0 && Date.now() - session.lastSeen > sessionTtl * 1000;
+        const exhausted = expireAfter > 0 && session.requests >= expireAfter;
+        if (idle || exhausted) {
+            this.sessions.delete(id);
+            this.stats.sessionsExpired++;
+            return false;
+        }
+
+        session.lastSeen = Date.now();
+        session.requests++;
+        return true;
+    }
+
+    // ==================== PÁGINAS ====================
+    results(res, url) {
+        const query = url.searchParams;
+        const ordem = query.get('ordem') === 'ASC' ? 1 : -1;
+        const found = this.notes
+            .filter(note => matchesSearch(note, query))
+            .sort((a, b) => (Number(a.numero) - Number(b.numero)) * ordem);
+
+        const pageSize = this.options.pageSize;
+        const totalPages = Math.max(1, Math.ceil(found.length / pageSize));
+        const page = Math.min(Math.max(1, Number(query.get('pagina')) || 1), totalPages);
+
+        if (page === 1) this.stats.searches++;
+        this.stats.pages++;
+
+        const pageUrl = n => {
+            const params = new URLSearchParams(query);
+            params.set('pagina', String(n));
+            return `index.php?${params}`;
+        };
+
+        return this.send(res, 200, resultsPage({
+            notes: found.slice((page - 1) * pageSize, page * pageSize),
+            total: found.length,
+            page,
+            totalPages,
+            tipo: query.get('tp_doc') === '2' ? 'recebidas' : 'emitidas',
+            pageUrl
+        }));
+    }
+
+    findNote(codigo) {
+        return this.notes.find(note => note.codigoVerificacao === codigo) || null;
+    }
+
+    downloadXML(res, codigo) {
+        const note = this.findNote(codigo);
+        if (!note) {
+            return this.send(res, 404, '<h1>Nota não encontrada</h1>');
+        }
+
+        const fileName = `NFSe_${note.prestador.cnpj}_${note.numero}.xml`;
+        const disposition = `attachment; filename="${fileName}"`;
+
+        // Erro como download (Content-Disposition): o browser não sai da página de resultados
+        if (this.random() < this.options.failRate) {
+            this.stats.failuresInjected++;
+            res.setHeader('Content-Disposition', disposition);
+            return this.send(res, 500, 'Erro ao gerar o XML (falha simulada)', 'text/plain; charset=utf-8');
+        }
+
+        let content = note.xml;
+        if (this.random() < this.options.corruptRate) {
+            this.stats.corruptedInjected++;
+            content = content.slice(0, Math.floor(content.length / 2));
+        }
+
+        this.stats.xmlDownloads++;
+        res.setHeader('Content-Disposition', disposition);
+        return this.send(res, 200, content, 'application/xml; charset=utf-8');
+    }
+
+    printPage(res, codigo) {
+        const note = this.findNote(codigo);
+        if (!note) {
+            return this.send(res, 404, '<h1>Nota não encontrada</h1>');
+        }
+        this.stats.pdfViews++;
+        return this.send(res, 200, danfsePage(note));
+    }
+
+    // ==================== RESPOSTAS ====================
+    send(res, status, body, contentType = 'text/html; charset=utf-8') {
+        res.writeHead(status, { 'Content-Type': contentType, 'Cache-Control': 'no-store' });
+        res.end(body);
+    }
+
+    redirect(res, location) {
+        res.writeHead(302, { Location: location, 'Cache-Control': 'no-store' });
+        res.end();
+    }
+}
+
+module.exports = { MockPortal, matchesSearch, DEFAULT_OPTIONS };
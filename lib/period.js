@@ -0,0 +1,98 @@
+// ==================== JANELAS MENSAIS DE PESQUISA ====================
+// O portal fica lento (ou estoura o timeout) em pesquisas com intervalos longos.
+// Períodos que atravessam mais de um mês são divididos em janelas por mês
+// civil, alinhadas à competência; cada janela vira uma pesquisa independente.
+//
+//   2025-01-15 a 2025-03-10 → 2025-01 (15/01-31/01), 2025-02 (01/02-28/02), 2025-03 (01/03-10/03)
+
+function pad(value) {
+    return String(value).padStart(2, '0');
+}
+
+function lastDayOfMonth(year, month) {
+    return new Date(Date.UTC(year, month, 0)).getUTCDate();
+}
+
+// Dividir { start, end } (YYYY-MM-DD) em janelas { id: 'YYYY-MM', start, end }
+function splitIntoMonthlyWindows(start, end) {
+    if (!start || !end || start > end) return [];
+
+    const [startYear, startMonth] = start.split('-').map(Number);
+    const [endYear, endMonth] = end.split('-').map(Number);
+    const windows = [];
+
+    let year = startYear;
+    let month = startMonth;
+
+    while (year < endYear || (year === endYear && month <= endMonth)) {
+        const id = `${year}-${pad(month)}`;
+        const monthStart = `${id}-01`;
+        const monthEnd = `${id}-${pad(lastDayOfMonth(year, month))}`;
+
+        windows.push({
+            id,
+            start: start > monthStart ? start : monthStart,
+            end: end < monthEnd ? end : monthEnd
+        });
+
+        month++;
+        if (month > 12) {
+            month = 1;
+            year++;
+        }
+    }
+
+    return windows;
+}
+
+// ==================== PERÍODOS RELATIVOS (AGENDAMENTO) ====================
+// Período calculado a partir de uma data de referência (ex: o horário agendado
+// da execução - em uma recuperação de execução perdida, vale a data original):
+//
+//   ontem                  → dia anterior
+//   hoje                   → o próprio dia
+//   mes-atual              → do dia 1 até o dia de referência
+//   competencia-anterior   → mês anterior completo (alias: mes-anterior)
+//   ultimos-N-dias         → N dias terminando ontem (ex: ultimos-7-dias)
+
+function isoDate(date) {
+    return `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}`;
+}
+
+function addDays(date, days) {
+    return new Date(date.getFullYear(), date.getMonth(), date.getDate() + days);
+}
+
+const RELATIVE_PERIODS = {
+    'ontem': ref => ({ start: isoDate(addDays(ref, -1)), end: isoDate(addDays(ref, -1)) }),
+    'hoje': ref => ({ start: isoDate(ref), end: isoDate(ref) }),
+    'mes-atual': ref => ({ start: isoDate(new Date(ref.getFullYear(), ref.getMonth(), 1)), end: isoDate(ref) }),
+    'competencia-anterior': ref => ({
+        start: isoDate(new Date(ref.getFullYear(), ref.getMonth() - 1, 1)),
+        end: isoDate(new Date(ref.getFullYear(), ref.getMonth(), 0))
+    })
+};
+RELATIVE_PERIODS['mes-anterior'] = RELATIVE_PERIODS['competencia-anterior'];
+
+// Período { start, end } (YYYY-MM-DD) para a especificação; null se desconhecida
+function relativePeriod(spec, reference = new Date()) {
+    const name = String(spec || '').trim().toLowerCase();
+    const ref = new Date(reference.getFullYear(), reference.getMonth(), reference.getDate());
+
+    if (RELATIVE_PERIODS[name]) {
+        return RELATIVE_PERIODS[name](ref);
+    }
+
+    const lastDays = name.match(/^ultimos-(\d+)-dias$/);
+    if (lastDays && Number(lastDays[1]) >= 1) {
+        return { start: isoDate(addDays(ref, -Number(lastDays[1]))), end: isoDate(addDays(ref, -1)) };
+    }
+
+    return null;
+}
+
+module.exports = {
+    splitIntoMonthlyWindows,
+    relativePeriod,
+    RELATIVE_PERIODS
+};
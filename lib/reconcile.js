@@ -0,0 +1,169 @@
+// ==================== CONFERÊNCIA LISTAGEM x XMLs ====================
+// Confronta cada linha listada pelo portal (lib/listing.js) com os XMLs no disco,
+// pelo número da nota e, havendo mais de um XML com o mesmo número, pelo valor:
+//
+//   matched   → XML encontrado, com valor e data iguais aos da tabela
+//   divergent → XML encontrado, mas com valor ou data diferentes
+//   missing   → nenhum XML com o número listado (candidatas a novo download)
+//   extra     → XML da empresa, no período, que o portal não listou
+//               (ex: nota cancelada depois de baixada)
+//
+// Linhas sem número legível na tabela não podem ser conferidas (unidentified).
+
+const fs = require('fs');
+const path = require('path');
+const { normalizeNumero, extractIdentifiers } = require('./ledger');
+
+// Subdiretórios que não contêm notas válidas
+const IGNORED_DIRS = ['quarantine', '.workers'];
+
+// "R$ 1.500,00" / "1500.00" → 1500
+function parseValor(text) {
+    if (text === null || text === undefined) return null;
+    let clean = String(text).replace(/[^\d,.-]/g, '');
+    if (clean.includes(',')) {
+        clean = clean.replace(/\./g, '').replace(',', '.');
+    }
+    const value = parseFloat(clean);
+    return isNaN(value) ? null : value;
+}
+
+// "18/07/2025 10:37" / "2025-07-18T10:37:35" → "2025-07-18"
+function parseData(text) {
+    const str = String(text || '');
+    const br = str.match(/(\d{2})\/(\d{2})\/(\d{4})/);
+    if (br) return `${br[3]}-${br[2]}-${br[1]}`;
+    const iso = str.match(/(\d{4})-(\d{2})-(\d{2})/);
+    return iso ? `${iso[1]}-${iso[2]}-${iso[3]}` : null;
+}
+
+// Dados de conferência de um XML NFSe
+function parseNoteXML(content) {
+    const tag = name => {
+        const match = content.match(new RegExp(`<(?:\\w+:)?${name}>\\s*([^<]+?)\\s*</(?:\\w+:)?${name}>`));
+        return match ? match[1] : null;
+    };
+    const cnpjIn = section => {
+        const match = content.match(new RegExp(`<(?:\\w+:)?(?:${section})>[\\s\\S]*?<(?:\\w+:)?Cnpj>\\s*(\\d+)\\s*<`));
+        return match ? match[1] : null;
+    };
+
+    const { numero, codigoVerificacao } = extractIdentifiers(content);
+    return {
+        numero,
+        codigoVerificacao,
+        valor: parseValor(tag('ValorServicos')),
+        data: parseData(tag('DataEmissao') || tag('Competencia')),
+        prestadorCnpj: cnpjIn('PrestadorServico|Prestador'),
+        tomadorCnpj: cnpjIn('TomadorServico|Tomador')
+    };
+}
+
+// Notas de todos os XMLs de dir (recursivo, inclusive a pasta organizada)
+function scanNotes(dir) {
+    if (!fs.existsSync(dir)) return [];
+
+    const notes = [];
+    for (const entry of fs.readdirSync(dir, { withFileTypes: true })) {
+        const fullPath = path.join(dir, entry.name);
+        if (entry.isDirectory()) {
+            if (!IGNORED_DIRS.includes(entry.name)) notes.push(...scanNotes(fullPath));
+        } else if (entry.name.toLowerCase().endsWith('.xml') && !entry.name.startsWith('.')) {
+            try {
+                notes.push({ file: fullPath, ...parseNoteXML(fs.readFileSync(fullPath, 'utf8')) });
+            } catch (error) {
+                // Arquivo removido durante a leitura
+            }
+        }
+    }
+    return notes;
+}
+
+// Diferenças de valor/data entre a linha da tabela e o XML
+function differences(entry, note) {
+    const diffs = [];
+    const valor = parseValor(entry.valor);
+    if (valor !== null && note.valor !== null && Math.abs(valor - note.valor) >= 0.005) {
+        diffs.push({ field: 'valor', listed: entry.valor, xml: note.valor });
+    }
+    const data = parseData(entry.data);
+    if (data && note.data && data !== note.data) {
+        diffs.push({ field: 'data', listed: entry.data, xml: note.data });
+    }
+    return diffs;
+}
+
+// A pesquisa cobriu todas as notas do período? Com filtros de número, valor, documento,
+// atividade ou só canceladas, XMLs fora da listagem não são extras
+function coversWholePeriod(filters = {}) {
+    const narrowed = [filters.numeroInicial, filters.numeroFinal, filters.valorMinimo, filters.valorMaximo, filters.documento, filters.codigoAtividade]
+        .some(value => value !== null && value !== undefined && value !== '');
+    return !narrowed && filters.situacao !== 'canceladas';
+}
+
+// listing: entradas da listagem; notes: scanNotes(); options:
+//   cnpj, tipo ('emitidas' | 'recebidas'): lado da empresa nas notas (filtra os XMLs de outras empresas)
+//   period { start, end }: período pesquisado (para os extras)
+//   complete: a listagem cobre o período inteiro (coversWholePeriod e todas as páginas)?
+//             Só então XMLs não listados são apontados como extras
+function reconcile(listing, notes, { cnpj = null, tipo = 'emitidas', period = null, complete = true } = {}) {
+    const side = tipo === 'recebidas' ? 'tomadorCnpj' : 'prestadorCnpj';
+    const own = notes.filter(note => note.numero && (!cnpj || !note[side] || note[side] === cnpj));
+
+    const byNumero = new Map();
+    for (const note of own) {
+        const key = normalizeNumero(note.numero);
+        if (!byNumero.has(key)) byNumero.set(key, []);
+        byNumero.get(key).push(note);
+    }
+
+    const used = new Set();
+    const result = { matched: [], divergent: [], missing: [], extra: [], unidentified: [] };
+
+    for (const entry of listing) {
+        if (!entry.numero || entry.numero === 'N/A') {
+            result.unidentified.push(entry);
+            continue;
+        }
+
+        // Mesmo número: preferir XML ainda não conferido e com o mesmo valor
+        const candidates = (byNumero.get(normalizeNumero(entry.numero)) || []).filter(note => !used.has(note.file));
+        const note = candidates.find(c => differences(entry, c).every(d => d.field !== 'valor')) || candidates[0];
+
+        if (!note) {
+            result.missing.push(entry);
+            continue;
+        }
+
+        used.add(note.file);
+        const diffs = differences(entry, note);
+        if (diffs.length > 0) {
+            result.divergent.push({ ...entry, file: note.file, differences: diffs });
+        } else {
+            result.matched.push({ ...entry, file: note.file });
+        }
+    }
+
+    if (complete) {
+        // Cópias de uma nota já conferida (ex: download repetido) não são notas extras
+        const identity = note => `${note.prestadorCnpj}|${normalizeNumero(note.numero)}`;
+        const conferred = new Set(own.filter(note => used.has(note.file)).map(identity));
+        const inPeriod = note => !period || !note.data || (note.data >= period.start && note.data <= period.end);
+
+        result.extra = own
+            .filter(note => !used.has(note.file) && !conferred.has(identity(note)) && inPeriod(note))
+            .map(note => ({ file: note.file, numero: note.numero, valor: note.valor, data: note.data }));
+    }
+
+    result.summary = {
+        listed: listing.length,
+        matched: result.matched.length,
+        divergent: result.divergent.length,
+        missing: result.missing.length,
+        extra: result.extra.length,
+        unidentified: result.unidentified.length
+    };
+    return result;
+}
+
+module.exports = { reconcile, coversWholePeriod, scanNotes, parseNoteXML, parseValor, parseData };
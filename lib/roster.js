@@ -0,0 +1,229 @@
+// ==================== LEITURA DE LISTA DE EMPRESAS (ROSTER) ====================
+// Formatos aceitos:
+//   .json → array de objetos { cnpj, senha, nome?, dataInicial?, dataFinal?, adapter?, municipio?, loginUrl? }
+//           (ou { empresas: [...] })
+//   .csv  → cabeçalho com as colunas cnpj, senha, nome, data_inicial, data_final, adapter, municipio, login_url
+//           separadas por vírgula ou ponto e vírgula
+//   texto → uma empresa por linha no formato CNPJ:SENHA
+// Linhas vazias e iniciadas por "#" são ignoradas.
+//
+// No lugar de cnpj/senha, a empresa pode ser o ID no cofre de credenciais (lib/vault.js):
+// campo/coluna company (ou uma linha só com o ID no formato texto). CNPJ e senha vêm do
+// cofre ao executar; as demais colunas (período, portal) continuam valendo.
+
+const fs = require('fs');
+const path = require('path');
+const { isValidCNPJ, normalizeDate } = require('./config');
+const { ConfigError } = require('./errors');
+const { ID_PATTERN } = require('./vault');
+
+// Aliases de colunas/campos → nome interno
+const FIELD_ALIASES = {
+    cnpj: 'cnpj',
+    senha: 'senha',
+    company: 'company',
+    company_id: 'company',
+    empresa: 'company',
+    password: 'senha',
+    nome: 'nome',
+    name: 'nome',
+    razao_social: 'nome',
+    data_inicial: 'dataInicial',
+    datainicial: 'dataInicial',
+    inicio: 'dataInicial',
+    data_final: 'dataFinal',
+    datafinal: 'dataFinal',
+    fim: 'dataFinal',
+    adapter: 'adapter',
+    portal: 'adapter',
+    municipio: 'municipio',
+    login_url: 'loginUrl',
+    loginurl: 'loginUrl'
+};
+
+function normalizeFieldName(name) {
+    const key = String(name).trim().toLowerCase().replace(/[\s-]/g, '_');
+    return FIELD_ALIASES[key] || FIELD_ALIASES[key.replace(/_/g, '')] || null;
+}
+
+// Dividir uma linha CSV respeitando aspas duplas
+function splitCSVLine(line, delimiter) {
+    const fields = [];
+    let current = '';
+    let quoted = false;
+
+    for (let i = 0; i < line.length; i++) {
+        const char = line[i];
+        if (char === '"') {
+            if (quoted && line[i + 1] === '"') {
+                current += '"';
+                i++;
+            } else {
+                quoted = !quoted;
+            }
+        } else if (char === delimiter && !quoted) {
+            fields.push(current.trim());
+            current = '';
+        } else {
+            current += char;
+        }
+    }
+    fields.push(current.trim());
+    return fields;
+}
+
+function parseCSV(content) {
+    const lines = content.split(/\r?\n/).filter(line => line.trim() && !line.trim().startsWith('#'));
+    if (lines.length === 0) return [];
+
+    const delimiter = lines[0].includes(';') ? ';' : ',';
+    const header = splitCSVLine(lines[0], delimiter).map(normalizeFieldName);
+
+    if (!header.includes('cnpj') && !header.includes('company')) {
+        throw new ConfigError('Roster CSV sem coluna "cnpj" (ou "company") no cabeçalho');
+    }
+
+    return lines.slice(1).map((line, index) => {
+        const values = splitCSVLine(line, delimiter);
+        const entry = { _line: index + 2 };
+        header.forEach((field, i) => {
+            if (field && values[i] !== undefined && values[i] !== '') entry[field] = values[i];
+        });
+        return entry;
+    });
+}
+
+// Formato CNPJ:SENHA (um por linha); uma linha só com o ID é uma empresa do cofre
+function parseColonList(content) {
+    return content.split(/\r?\n/)
+        .map((line, index) => ({ line: line.trim(), number: index + 1 }))
+        .filter(({ line }) => line && !line.startsWith('#'))
+        .map(({ line, number }) => {
+            const separator = line.indexOf(':');
+            if (separator === -1) {
+                return ID_PATTERN.test(line) && !/^\d+$/.test(line)
+                    ? { _line: number, company: line }
+                    : { _line: number, cnpj: line };
+            }
+            return { _line: number, cnpj: line.slice(0, separator).trim(), senha: line.slice(separator + 1).trim() };
+        });
+}
+
+function parseJSON(content) {
+    const data = JSON.parse(content);
+    const list = Array.isArray(data) ? data : data.empresas || data.companies;
+    if (!Array.isArray(list)) {
+        throw new ConfigError('Roster JSON deve ser um array de empresas (ou { "empresas": [...] })');
+    }
+
+    return fromObjects(list);
+}
+
+// Objetos { cnpj, senha, ... } (nomes de campo com os mesmos aliases do CSV) → entradas
+function fromObjects(list) {
+    return list.map((item, index) => {
+        const entry = { _line: index + 1 };
+        for (const [key, value] of Object.entries(item)) {
+            const field = normalizeFieldName(key);
+            if (field && value !== undefined && value !== null && value !== '') entry[field] = String(value);
+        }
+        return entry;
+    });
+}
+
+// Validar e normalizar entradas; erros acumulados por linha
+function validateEntries(entries, source) {
+    const errors = [];
+    const seen = new Set();
+
+    const companies = entries.map(entry => {
+        const where = `${path.basename(source)}:${entry._line}`;
+        const company = { ...entry };
+        delete company._line;
+
+        // Empresa do cofre: CNPJ e senha conferidos ao abrir o cofre
+        if (company.company) {
+            if (!ID_PATTERN.test(company.company)) {
+                errors.push(`${where} - ID de empresa inválido: '${company.company}' (use letras minúsculas, números e hífen)`);
+            } else if (seen.has(company.company)) {
+                errors.push(`${where} - empresa duplicada: ${company.company}`);
+            }
+            seen.add(company.company);
+        } else if (!isValidCNPJ(company.cnpj)) {
+            errors.push(`${where} - CNPJ inválido: '${company.cnpj || ''}'`);
+        } else {
+            company.cnpj = company.cnpj.replace(/\D/g, '');
+            if (seen.has(company.cnpj)) {
+                errors.push(`${where} - CNPJ duplicado: ${company.cnpj}`);
+            }
+            seen.add(company.cnpj);
+        }
+
+        if (!company.company && !company.senha) {
+            errors.push(`${where} - senha não informada para ${company.cnpj || 'empresa'}`);
+        }
+
+        for (const field of ['dataInicial', 'dataFinal']) {
+            if (company[field]) {
+                const normalized = normalizeDate(company[field]);
+                if (!normalized) {
+                    errors.push(`${where} - ${field} inválida: '${company[field]}' (use YYYY-MM-DD)`);
+                } else {
+                    company[field] = normalized;
+                }
+            }
+        }
+
+        return company;
+    });
+
+    if (errors.length > 0) {
+        throw new ConfigError(errors);
+    }
+
+    return companies;
+}
+
+// Carregar roster a partir de arquivo
+function loadRoster(filePath) {
+    const resolved = path.resolve(filePath);
+    if (!fs.existsSync(resolved)) {
+        throw new ConfigError(`Arquivo de empresas não encontrado: ${resolved}`);
+    }
+
+    const content = fs.readFileSync(resolved, 'utf8').replace(/^﻿/, '');
+    const ext = path.extname(resolved).toLowerCase();
+
+    let entries;
+    try {
+        if (ext === '.json') {
+            entries = parseJSON(content);
+        } else if (ext === '.csv') {
+            entries = parseCSV(content);
+        } else {
+            entries = parseColonList(content);
+        }
+    } catch (error) {
+        if (error instanceof ConfigError) throw error;
+        throw new ConfigError(`Erro ao ler ${resolved}: ${error.message}`);
+    }
+
+    if (entries.length === 0) {
+        throw new ConfigError(`Nenhuma empresa encontrada em ${resolved}`);
+    }
+
+    return validateEntries(entries, resolved);
+}
+
+// Empresas informadas diretamente como objetos (ex: agenda do modo daemon), com a mesma validação
+function parseCompanies(list, source) {
+    return validateEntries(fromObjects(list), source);
+}
+
+module.exports = {
+    loadRoster,
+    parseCompanies,
+    parseCSV,
+    parseColonList,
+    parseJSON
+};
@@ -0,0 +1,489 @@
+// ==================== AGENDADOR (MODO DAEMON) ====================
+// Processo contínuo que dispara downloads conforme uma agenda com expressões cron
+// por empresa (ou por roster), substituindo o cron do sistema com datas editadas
+// à mão. Cada execução calcula o período a partir do horário agendado:
+//
+//   { "cron": "0 6 * * *", "periodo": "ontem", "cnpj": "...", "senha": "..." }
+//   { "cron": "0 6 * * *", "periodo": "ontem", "company": "empresa-a" }   (cofre de credenciais)
+//   { "cron": "0 7 5 * *", "periodo": "competencia-anterior", "roster": "empresas.csv" }
+//
+// Garantias:
+//   - sobreposição: um job nunca roda em paralelo consigo mesmo nem com outro job
+//     da mesma empresa; a ocorrência fica pendente até o anterior terminar
+//   - jitter: espera aleatória antes de cada execução (evita todos os jobs no mesmo segundo)
+//   - estado persistido em <DOWNLOAD_DIR>/nfse-scheduler-state.json (última ocorrência
+//     executada, status, período, relatório) e trava contra dois daemons simultâneos
+//   - recuperação: ocorrências perdidas enquanto o daemon esteve parado são executadas
+//     ao voltar (até catchUp por job, cada uma com o próprio período)
+//
+// Um job sem estado começa a contar a partir do primeiro início do daemon.
+
+const fs = require('fs');
+const path = require('path');
+const { parseCron } = require('./cron');
+const { relativePeriod, RELATIVE_PERIODS } = require('./period');
+const { loadRoster, parseCompanies } = require('./roster');
+const { BatchRunner } = require('./batch');
+const { ConfigError, NFSeError } = require('./errors');
+
+const STATE_FILE = 'nfse-scheduler-state.json';
+const LOCK_FILE = 'nfse-scheduler.lock';
+const STATE_VERSION = 1;
+
+// Reavaliar a agenda ao menos uma vez por minuto (relógio ajustado, máquina suspensa)
+const MAX_SLEEP = 60 * 1000;
+
+// Campos de agendamento de um job (os demais descrevem a empresa, como no roster)
+const SCHEDULE_FIELDS = ['id', 'cron', 'periodo', 'period', 'jitter', 'catchUp', 'roster'];
+
+// Empresa de um job: ID no cofre de credenciais ou CNPJ
+function companyKey(company) {
+    return company.company || company.cnpj;
+}
+
+// Carregar o módulo principal sob demanda (evita dependência circular)
+function core() {
+    return require('../nfse-downloader');
+}
+
+// Duração: 90 (segundos), "90s", "5m", "1h" → ms; null se inválida
+function parseDuration(value) {
+    if (value === undefined || value === null || value === '') return 0;
+    const match = String(value).trim().match(/^(\d+)\s*(s|m|h)?$/i);
+    if (!match) return null;
+
+    const units = { s: 1000, m: 60 * 1000, h: 60 * 60 * 1000 };
+    return Number(match[1]) * units[(match[2] || 's').toLowerCase()];
+}
+
+function isCatchUp(value) {
+    return Number.isInteger(value) && value >= 0 && value <= 100;
+}
+
+// ==================== AGENDA ====================
+// Arquivo JSON: { concurrency?, catchUp?, jitter?, jobs: [...] }; erros acumulados por job
+function loadSchedule(filePath) {
+    const resolved = path.resolve(filePath);
+    if (!fs.existsSync(resolved)) {
+        throw new ConfigError(`Arquivo de agenda não encontrado: ${resolved}`);
+    }
+
+    let data;
+    try {
+        data = JSON.parse(fs.readFileSync(resolved, 'utf8').replace(/^﻿/, ''));
+    } catch (error) {
+        throw new ConfigError(`Erro ao ler ${resolved}: ${error.message}`);
+    }
+
+    const list = Array.isArray(data) ? data : data.jobs;
+    if (!Array.isArray(list) || list.length === 0) {
+        throw new ConfigError(`Agenda sem jobs em ${resolved} (use { "jobs": [...] })`);
+    }
+
+    const options = Array.isArray(data) ? {} : data;
+    const errors = [];
+    const defaults = {
+        concurrency: options.concurrency === undefined ? 1 : options.concurrency,
+        catchUp: options.catchUp === undefined ? 3 : options.catchUp,
+        jitter: parseDuration(options.jitter)
+    };
+
+    if (!Number.isInteger(defaults.concurrency) || defaults.concurrency < 1 || defaults.concurrency > 10) {
+        errors.push(`concurrency deve ser um inteiro entre 1 e 10 (recebido: '${options.concurrency}')`);
+    }
+    if (!isCatchUp(defaults.catchUp)) {
+        errors.push(`catchUp deve ser um inteiro entre 0 e 100 (recebido: '${options.catchUp}')`);
+    }
+    if (defaults.jitter === null) {
+        errors.push(`jitter inválido: '${options.jitter}' (use segundos ou 30s, 5m, 1h)`);
+    }
+
+    const ids = new Set();
+    const jobs = list.map((item, index) => {
+        const where = `${path.basename(resolved)}: job ${item.id || index + 1}`;
+        const job = {
+            id: item.id ? String(item.id) : null,
+            periodo: String(item.periodo || item.period || '').trim().toLowerCase(),
+            jitter: item.jitter === undefined ? defaults.jitter : parseDuration(item.jitter),
+            catchUp: item.catchUp === undefined ? defaults.catchUp : item.catchUp,
+            companies: []
+        };
+
+        try {
+            job.cron = parseCron(item.cron);
+        } catch (error) {
+            errors.push(`${where} - ${error.errors ? error.errors.join('; ') : error.message}`);
+        }
+
+        if (!relativePeriod(job.periodo)) {
+            const known = [...Object.keys(RELATIVE_PERIODS), 'ultimos-N-dias'].join(', ');
+            errors.push(`${where} - periodo inválido: '${job.periodo}' (use: ${known})`);
+        }
+        if (item.jitter !== undefined && job.jitter === null) {
+            errors.push(`${where} - jitter inválido: '${item.jitter}' (use segundos ou 30s, 5m, 1h)`);
+        }
+        if (!isCatchUp(job.catchUp)) {
+            errors.push(`${where} - catchUp deve ser um inteiro entre 0 e 100 (recebido: '${item.catchUp}')`);
+        }
+
+        // Empresas: roster referenciado (caminho relativo à agenda) ou a própria entrada
+        try {
+            if (item.roster) {
+                job.companies = loadRoster(path.resolve(path.dirname(resolved), String(item.roster)));
+            } else {
+                const company = {};
+                for (const [key, value] of Object.entries(item)) {
+                    if (!SCHEDULE_FIELDS.includes(key)) company[key] = value;
+                }
+                job.companies = parseCompanies([company], resolved);
+            }
+        } catch (error) {
+            // Empresa na própria entrada: a posição já está em `where`
+            const messages = (error.errors || [error.message])
+                .map(message => item.roster ? message : message.replace(/^\S+:1 - /, ''));
+            errors.push(...messages.map(message => `${where} - ${message}`));
+        }
+
+        // Identificador estável para o estado persistido
+        if (!job.id) {
+            const target = item.roster ? path.basename(String(item.roster)) : companyKey(job.companies[0] || {});
+            job.id = `${target}@${item.cron}/${job.periodo}`;
+        }
+        if (ids.has(job.id)) {
+            errors.push(`${where} - id duplicado: '${job.id}'`);
+        }
+        ids.add(job.id);
+
+        return job;
+    });
+
+    if (errors.length > 0) {
+        throw new ConfigError(errors);
+    }
+
+    return { file: resolved, concurrency: defaults.concurrency, jobs };
+}
+
+// ==================== AGENDADOR ====================
+class Scheduler {
+    // stateDir: diretório do estado e da trava (DOWNLOAD_DIR); vault: cofre de credenciais
+    // já aberto, para jobs que referenciam empresas pelo ID (repassado aos BatchRunners)
+    constructor(schedule, stateDir, { vault = null } = {}) {
+        this.schedule = schedule;
+        this.vault = vault;
+        this.statePath = path.join(stateDir, STATE_FILE);
+        this.lockPath = path.join(stateDir, LOCK_FILE);
+
+        this.state = null;
+        this.running = new Map();   // job.id → Promise da execução
+        this.runners = new Set();   // BatchRunners em andamento (interrupção)
+        this.busyCompanies = new Set();
+        this.waiting = new Set();   // jobs aguardando outro da mesma empresa (log uma vez)
+        this.results = [];
+        this.stopped = false;
+        this.wake = null;           // encerra a espera do laço principal
+        this.delays = new Set();    // esperas de jitter (encerradas apenas por stop())
+    }
+
+    // ==================== ESTADO PERSISTIDO ====================
+    loadState() {
+        try {
+            const state = JSON.parse(fs.readFileSync(this.statePath, 'utf8'));
+            if (state.version === STATE_VERSION && state.jobs) return state;
+        } catch (error) {
+            // Ausente ou corrompido: começar do zero
+        }
+        return { version: STATE_VERSION, jobs: {} };
+    }
+
+    // Gravação atômica (arquivo temporário + rename), como o checkpoint
+    saveState() {
+        for (const job of this.schedule.jobs) {
+            const next = job.cron.next(this.lastOccurrence(job));
+            this.state.jobs[job.id].nextRunAt = next ? next.toISOString() : null;
+        }
+
+        this.state.updatedAt = new Date().toISOString();
+        const tempPath = `${this.statePath}.tmp`;
+        fs.mkdirSync(path.dirname(this.statePath), { recursive: true });
+        fs.writeFileSync(tempPath, JSON.stringify(this.state, null, 2));
+        fs.renameSync(tempPath, this.statePath);
+    }
+
+    // Trava contra dois daemons no mesmo diretório; trava de processo encerrado é descartada
+    acquireLock() {
+        fs.mkdirSync(path.dirname(this.lockPath), { recursive: true });
+
+        try {
+            fs.writeFileSync(this.lockPath, String(process.pid), { flag: 'wx' });
+            return;
+        } catch (error) {
+            if (error.code !== 'EEXIST') throw error;
+        }
+
+        const pid = Number(fs.readFileSync(this.lockPath, 'utf8'));
+        if (pid && pid !== process.pid && isProcessAlive(pid)) {
+            throw new NFSeError(`Outro agendador já está em execução (pid ${pid}, ${this.lockPath})`, { retryable: false });
+        }
+        fs.writeFileSync(this.lockPath, String(process.pid));
+    }
+
+    releaseLock() {
+        try {
+            if (Number(fs.readFileSync(this.lockPath, 'utf8')) === process.pid) {
+                fs.rmSync(this.lockPath, { force: true });
+            }
+        } catch (error) {
+            // Trava já removida
+        }
+    }
+
+    // Última ocorrência já executada (ou o início da contagem, para jobs novos)
+    lastOccurrence(job) {
+        const jobState = this.state.jobs[job.id];
+        return new Date(jobState.lastScheduledAt || jobState.since);
+    }
+
+    // Ocorrências vencidas ainda não executadas; após uma parada, mantém a mais
+    // recente e até catchUp anteriores (as mais antigas são descartadas)
+    dueOccurrences(job, now = new Date()) {
+        const due = job.cron.between(this.lastOccurrence(job), now);
+        const keep = job.catchUp + 1;
+
+        if (due.length > keep) {
+            const dropped = due.splice(0, due.length - keep);
+            const { Logger } = core();
+            Logger.warn(`⏰ ${job.id}: ${dropped.length} execução(ões) perdida(s) descartada(s) (catchUp: ${job.catchUp})`);
+            this.state.jobs[job.id].lastScheduledAt = dropped[dropped.length - 1].toISOString();
+            this.saveState();
+        }
+        return due;
+    }
+
+    // ==================== EXECUÇÃO ====================
+    // once: executar as ocorrências vencidas (inclusive recuperação) e retornar
+    async run({ once = false } = {}) {
+        const { Logger } = core();
+
+        this.acquireLock();
+        try {
+            this.state = this.loadState();
+            const now = new Date().toISOString();
+            for (const job of this.schedule.jobs) {
+                if (!this.state.jobs[job.id]) {
+                    this.state.jobs[job.id] = { since: now, runs: 0 };
+                }
+            }
+            this.saveState();
+
+            Logger.info(`⏰ Agendador iniciado: ${this.schedule.jobs.length} job(s) (${this.schedule.file})`);
+            for (const job of this.schedule.jobs) {
+                const jobState = this.state.jobs[job.id];
+                Logger.info(`   ${job.id} - "${job.cron}" (${job.periodo}), próxima: ${jobState.nextRunAt || 'nunca'}`);
+            }
+
+            while (!this.stopped) {
+                this.dispatch();
+
+                if (once && this.running.size === 0) break;
+                await this.waitForEvent(this.nextWakeUp());
+            }
+
+            await Promise.all(this.running.values());
+        } finally {
+            this.releaseLock();
+        }
+
+        return this.summary();
+    }
+
+    // Iniciar os jobs com ocorrência vencida, respeitando concorrência e sobreposição
+    dispatch() {
+        const { Logger } = core();
+
+        for (const job of this.schedule.jobs) {
+            if (this.stopped || this.running.size >= this.schedule.concurrency) return;
+            if (this.running.has(job.id)) continue;
+
+            const due = this.dueOccurrences(job);
+            if (due.length === 0) continue;
+
+            const keys = job.companies.map(companyKey);
+            if (keys.some(key => this.busyCompanies.has(key))) {
+                if (!this.waiting.has(job.id)) {
+                    Logger.info(`⏰ ${job.id}: aguardando outro job da mesma empresa terminar`);
+                    this.waiting.add(job.id);
+                }
+                continue;
+            }
+            this.waiting.delete(job.id);
+
+            const execution = this.runJob(job, due[0], due.length - 1)
+                .catch(error => Logger.error(`⏰ ${job.id}: erro no agendador: ${error.message}`))
+                .finally(() => {
+                    this.running.delete(job.id);
+                    keys.forEach(key => this.busyCompanies.delete(key));
+                    this.wakeUp();
+                });
+
+            keys.forEach(key => this.busyCompanies.add(key));
+            this.running.set(job.id, execution);
+        }
+    }
+
+    // Executar uma ocorrência: jitter, período relativo ao horário agendado e lote das empresas
+    async runJob(job, occurrence, pendingAfter) {
+        const { Logger } = core();
+        const jobState = this.state.jobs[job.id];
+        const late = Date.now() - occurrence.getTime() > MAX_SLEEP * 2;
+
+        const jitter = Math.round(Math.random() * job.jitter);
+        if (jitter > 0) {
+            Logger.debug(`⏰ ${job.id}: jitter de ${Math.round(jitter / 1000)}s`);
+            await this.delay(jitter);
+        }
+        if (this.stopped) return;
+
+        const period = relativePeriod(job.periodo, occurrence);
+        const backlog = pendingAfter > 0 ? ` - ${pendingAfter} pendente(s) em seguida` : '';
+        Logger.info(`⏰ ${job.id}: ${late ? 'recuperando execução perdida de' : 'execução de'} ${occurrence.toISOString()} - período ${period.start} a ${period.end}${backlog}`);
+
+        jobState.lastRunAt = new Date().toISOString();
+        this.saveState();
+
+        const companies = job.companies.map(company => ({ ...company, dataInicial: period.start, dataFinal: period.end }));
+        const runner = new BatchRunner(companies, { concurrency: 1, vault: this.vault });
+        this.runners.add(runner);
+
+        const result = { job: job.id, occurrence: occurrence.toISOString(), period, late };
+        try {
+            const report = await runner.run();
+            const { successful, failed, companies: total } = report.summary;
+            result.status = successful === total ? 'success' : (failed === total ? 'failed' : 'partial');
+            result.reportPath = report.reportPath || null;
+        } catch (error) {
+            result.status = 'failed';
+            result.error = error.message;
+        } finally {
+            this.runners.delete(runner);
+        }
+
+        // Interrompida pelo desligamento: a ocorrência é repetida quando o daemon voltar
+        if (this.stopped) {
+            Logger.warn(`⏰ ${job.id}: execução de ${result.occurrence} interrompida - será repetida no próximo início`);
+            return;
+        }
+
+        Object.assign(jobState, {
+            lastScheduledAt: result.occurrence,
+            lastFinishedAt: new Date().toISOString(),
+            lastStatus: result.status,
+            lastPeriod: period,
+            lastError: result.error || null,
+            lastReportPath: result.reportPath || null,
+            runs: (jobState.runs || 0) + 1
+        });
+        this.saveState();
+        this.results.push(result);
+
+        const icon = { success: '✅', partial: '⚠️ ', failed: '❌' }[result.status];
+        Logger.info(`⏰ ${icon} ${job.id}: ${result.status}${result.error ? ` (${result.error})` : ''} - próxima: ${jobState.nextRunAt || 'nunca'}`);
+    }
+
+    // Tempo até a próxima ocorrência de qualquer job (no máximo MAX_SLEEP). Jobs em
+    // execução, aguardando a mesma empresa ou barrados pela concorrência não contam:
+    // a ocorrência deles já venceu e só pode começar quando uma execução terminar,
+    // e o fim de cada execução já acorda o laço (wakeUp() em dispatch)
+    nextWakeUp() {
+        const now = Date.now();
+        const full = this.running.size >= this.schedule.concurrency;
+        let wait = MAX_SLEEP;
+        for (const job of this.schedule.jobs) {
+            if (this.running.has(job.id) || this.waiting.has(job.id)) continue;
+
+            const next = job.cron.next(this.lastOccurrence(job));
+            if (!next || (full && next.getTime() <= now)) continue;
+            wait = Math.min(wait, Math.max(0, next.getTime() - now));
+        }
+        return wait;
+    }
+
+    // Espera do laço principal, encerrada antes pelo fim de uma execução ou por stop()
+    waitForEvent(ms) {
+        return new Promise(resolve => {
+            let timer = null;
+            const done = () => {
+                clearTimeout(timer);
+                this.wake = null;
+                resolve();
+            };
+            timer = setTimeout(done, ms);
+            this.wake = done;
+        });
+    }
+
+    wakeUp() {
+        if (this.wake) this.wake();
+    }
+
+    // Espera do jitter
+    delay(ms) {
+        return new Promise(resolve => {
+            const entry = { resolve, timer: null };
+            entry.timer = setTimeout(() => {
+                this.delays.delete(entry);
+                resolve();
+            }, ms);
+            this.delays.add(entry);
+        });
+    }
+
+    // Desligamento: interromper execuções (checkpoints salvos) e manter as ocorrências pendentes
+    async stop() {
+        this.stopped = true;
+        this.wakeUp();
+
+        for (const entry of this.delays) {
+            clearTimeout(entry.timer);
+            entry.resolve();
+        }
+        this.delays.clear();
+
+        for (const runner of this.runners) {
+            await runner.interrupt();
+        }
+
+        if (this.state) this.saveState();
+        this.releaseLock();
+    }
+
+    summary() {
+        const count = status => this.results.filter(result => result.status === status).length;
+        return {
+            runs: this.results.length,
+            successful: count('success'),
+            partial: count('partial'),
+            failed: count('failed'),
+            results: this.results,
+            jobs: this.state ? this.state.jobs : {}
+        };
+    }
+}
+
+// Sinal 0: apenas verifica se o processo existe
+function isProcessAlive(pid) {
+    try {
+        process.kill(pid, 0);
+        return true;
+    } catch (error) {
+        return error.code === 'EPERM';
+    }
+}
+
+module.exports = {
+    Scheduler,
+    loadSchedule,
+    parseDuration,
+    STATE_FILE,
+    LOCK_FILE
+};
@@ -0,0 +1,215 @@
+// ==================== COFRE DE CREDENCIAIS ====================
+// Arquivo local com as credenciais de portal de cada empresa, criptografado com uma
+// senha mestra (scrypt + AES-256-GCM). As empresas são referenciadas pelo ID
+// (--company, coluna company do roster, companyId do frontend), então a senha do
+// portal não precisa aparecer em config.local.js, variáveis de ambiente ou listas CNPJ:SENHA.
+//
+//   { "format": "xmlitz-vault", "version": 1,
+//     "kdf": { "name": "scrypt", "salt": "<base64>", "N": 32768, "r": 8, "p": 1 },
+//     "cipher": "aes-256-gcm", "iv": "<base64>", "tag": "<base64>", "data": "<base64>" }
+//
+// data decifrado: { "companies": { "<id>": { cnpj, senha, nome?, municipio?, adapter?, loginUrl?, createdAt, updatedAt } } }
+// O cabeçalho (format, version, kdf, cipher) entra como dado autenticado: alterá-lo invalida o arquivo.
+// Linha de comando: xmlitz vault (lib/cli.js).
+
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const { isValidCNPJ } = require('./config');
+const { VaultError } = require('./errors');
+
+const VAULT_FORMAT = 'xmlitz-vault';
+const VAULT_VERSION = 1;
+const CIPHER = 'aes-256-gcm';
+const KDF_PARAMS = { N: 32768, r: 8, p: 1 };
+const MIN_PASSPHRASE_LENGTH = 8;
+
+// IDs de empresa: letras minúsculas, números e hífen (ex: empresa-a, loja-centro)
+const ID_PATTERN = /^[a-z0-9][a-z0-9-]*$/;
+
+// Campos opcionais de cada empresa, além de cnpj e senha
+const OPTIONAL_FIELDS = ['nome', 'municipio', 'adapter', 'loginUrl'];
+
+// scrypt com N=32768 e r=8 usa 32 MB, exatamente o limite padrão do Node
+function deriveKey(passphrase, kdf) {
+    return crypto.scryptSync(passphrase, Buffer.from(kdf.salt, 'base64'), 32, {
+        N: kdf.N,
+        r: kdf.r,
+        p: kdf.p,
+        maxmem: 64 * 1024 * 1024
+    });
+}
+
+function headerOf({ format, version, kdf, cipher }) {
+    return { format, version, kdf, cipher };
+}
+
+class CredentialVault {
+    constructor(filePath, { key, kdf, companies = {} }) {
+        this.filePath = filePath;
+        this.key = key;
+        this.kdf = kdf;
+        this.companies = companies;
+    }
+
+    static exists(filePath) {
+        return fs.existsSync(filePath);
+    }
+
+    // Cofre novo e vazio (gravado no primeiro save)
+    static create(filePath, passphrase) {
+        if (CredentialVault.exists(filePath)) {
+            throw new VaultError(`Cofre já existe: ${filePath}`);
+        }
+        if (!passphrase || passphrase.length < MIN_PASSPHRASE_LENGTH) {
+            throw new VaultError(`A senha mestra deve ter pelo menos ${MIN_PASSPHRASE_LENGTH} caracteres`);
+        }
+
+        const kdf = { name: 'scrypt', salt: crypto.randomBytes(16).toString('base64'), ...KDF_PARAMS };
+        return new CredentialVault(filePath, { key: deriveKey(passphrase, kdf), kdf });
+    }
+
+    // Abrir e decifrar; senha mestra incorreta e arquivo alterado dão o mesmo erro (GCM não distingue)
+    static open(filePath, passphrase) {
+        if (!CredentialVault.exists(filePath)) {
+            throw new VaultError(`Cofre não encontrado: ${filePath}`, {
+                hint: 'Cadastre a primeira empresa com xmlitz vault add <id> --cnpj <cnpj>'
+            });
+        }
+        if (!passphrase) {
+            throw new VaultError('Senha mestra do cofre não informada', {
+                hint: 'Defina NFSE_VAULT_PASSPHRASE ou execute em um terminal interativo'
+            });
+        }
+
+        let stored;
+        try {
+            stored = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+        } catch (error) {
+            throw new VaultError(`Cofre ilegível: ${filePath} (${error.message})`, { cause: error });
+        }
+        if (stored.format !== VAULT_FORMAT || stored.version !== VAULT_VERSION || stored.cipher !== CIPHER
+            || !stored.kdf || stored.kdf.name !== 'scrypt') {
+            throw new VaultError(`Formato de cofre não suportado: ${filePath}`);
+        }
+
+        const key = deriveKey(passphrase, stored.kdf);
+        let data;
+        try {
+            const decipher = crypto.createDecipheriv(CIPHER, key, Buffer.from(stored.iv, 'base64'));
+            decipher.setAAD(Buffer.from(JSON.stringify(headerOf(stored))));
+            decipher.setAuthTag(Buffer.from(stored.tag, 'base64'));
+            const plain = Buffer.concat([decipher.update(Buffer.from(stored.data, 'base64')), decipher.final()]);
+            data = JSON.parse(plain.toString('utf8'));
+        } catch (error) {
+            throw new VaultError(`Senha mestra incorreta ou cofre corrompido: ${filePath}`, {
+                hint: 'Confira a senha mestra (NFSE_VAULT_PASSPHRASE)'
+            });
+        }
+
+        return new CredentialVault(filePath, { key, kdf: stored.kdf, companies: data.companies || {} });
+    }
+
+    has(id) {
+        return Object.prototype.hasOwnProperty.call(this.companies, id);
+    }
+
+    // Credenciais completas da empresa (inclui a senha do portal)
+    get(id) {
+        if (!this.has(id)) {
+            throw new VaultError(`Empresa '${id}' não encontrada no cofre ${this.filePath}`);
+        }
+        return { id, ...this.companies[id] };
+    }
+
+    // Empresas cadastradas, sem a senha
+    list() {
+        return Object.keys(this.companies).sort().map(id => {
+            const { senha, ...company } = this.companies[id];
+            return { id, ...company };
+        });
+    }
+
+    // Cadastrar empresa: { cnpj, senha, nome?, municipio?, adapter?, loginUrl? }
+    add(id, fields) {
+        if (!ID_PATTERN.test(id || '')) {
+            throw new VaultError(`ID de empresa inválido: '${id || ''}' - use letras minúsculas, números e hífen`);
+        }
+        if (this.has(id)) {
+            throw new VaultError(`Empresa '${id}' já cadastrada no cofre`, {
+                hint: `Troque a senha com xmlitz vault rotate ${id} ou remova com xmlitz vault remove ${id}`
+            });
+        }
+        if (!isValidCNPJ(fields.cnpj)) {
+            throw new VaultError(`CNPJ inválido: '${fields.cnpj || ''}'`);
+        }
+        if (!fields.senha) {
+            throw new VaultError(`Senha do portal não informada para '${id}'`);
+        }
+
+        const now = new Date().toISOString();
+        const company = { cnpj: String(fields.cnpj).replace(/\D/g, ''), senha: fields.senha };
+        for (const field of OPTIONAL_FIELDS) {
+            if (fields[field]) company[field] = String(fields[field]);
+        }
+        this.companies[id] = { ...company, createdAt: now, updatedAt: now };
+        return this.list().find(entry => entry.id === id);
+    }
+
+    // Trocar a senha do portal de uma empresa
+    rotate(id, senha) {
+        this.get(id);
+        if (!senha) {
+            throw new VaultError(`Nova senha do portal não informada para '${id}'`);
+        }
+        this.companies[id] = { ...this.companies[id], senha, updatedAt: new Date().toISOString() };
+    }
+
+    remove(id) {
+        this.get(id);
+        delete this.companies[id];
+    }
+
+    // Gravação atômica com IV novo a cada save; arquivo legível só pelo dono
+    save() {
+        const header = headerOf({ format: VAULT_FORMAT, version: VAULT_VERSION, kdf: this.kdf, cipher: CIPHER });
+        const iv = crypto.randomBytes(12);
+        const cipher = crypto.createCipheriv(CIPHER, this.key, iv);
+        cipher.setAAD(Buffer.from(JSON.stringify(header)));
+        const data = Buffer.concat([cipher.update(JSON.stringify({ companies: this.companies }), 'utf8'), cipher.final()]);
+
+        const content = {
+            ...header,
+            iv: iv.toString('base64'),
+            tag: cipher.getAuthTag().toString('base64'),
+            data: data.toString('base64')
+        };
+
+        const tempPath = `${this.filePath}.tmp`;
+        fs.mkdirSync(path.dirname(this.filePath), { recursive: true });
+        fs.writeFileSync(tempPath, JSON.stringify(content, null, 2), { mode: 0o600 });
+        fs.renameSync(tempPath, this.filePath);
+    }
+}
+
+// Cofre indicado na configuração (VAULT_FILE / VAULT_PASSPHRASE)
+function openVault(config) {
+    return CredentialVault.open(config.VAULT_FILE, config.VAULT_PASSPHRASE);
+}
+
+// Completar as opções de uma execução com a empresa options.company do cofre:
+// CNPJ e senha sempre vêm do cofre; nome e portal, quando não informados nas opções
+function withVaultCredentials(options, vault) {
+    const stored = vault.get(options.company);
+    return {
+        ...options,
+        cnpj: stored.cnpj,
+        senha: stored.senha,
+        nome: options.nome || stored.nome,
+        municipio: options.municipio || stored.municipio,
+        adapter: options.adapter || stored.adapter,
+        loginUrl: options.loginUrl || stored.loginUrl
+    };
+}
+
+module.exports = { CredentialVault, openVault, withVaultCredentials, ID_PATTERN, MIN_PASSPHRASE_LENGTH };
@@ -0,0 +1,107 @@
+// ==================== POOL DE WORKERS DE DOWNLOAD ====================
+// Downloads paralelos no modo browser (PARALLEL_DOWNLOADS > 1). Cada worker tem
+// a própria página, em um contexto do browser próprio, com diretório de download
+// e DownloadTracker (sessão CDP) próprios: cliques no dropdown de uma linha não
+// disputam o DOM com os de outra, e cada arquivo chega no diretório do worker
+// que o disparou.
+//
+// A página principal continua responsável pelo login, pesquisa e paginação; os
+// workers recebem os cookies da sessão, abrem a mesma página de resultados e
+// retiram as linhas de uma fila compartilhada até esvaziá-la.
+//
+//   <downloadDir>/.workers/1, .workers/2, ... → arquivos validados e movidos para <downloadDir>
+
+const fs = require('fs');
+const path = require('path');
+
+const WORKERS_DIR = '.workers';
+
+class DownloadWorkerPool {
+    constructor(browser, downloadDir, size) {
+        this.browser = browser;
+        this.downloadDir = downloadDir;
+        this.baseDir = path.join(downloadDir, WORKERS_DIR);
+        this.size = size;
+        this.workers = [];
+        this.stopped = false;
+    }
+
+    // Criar os workers; setup(page, downloadDir) configura a página e retorna o
+    // DownloadTracker (ou null, para detecção por polling do diretório do worker)
+    async start(setup) {
+        for (let id = 1; id <= this.size; id++) {
+            const context = await this.browser.createBrowserContext();
+            const page = await context.newPage();
+            const downloadDir = path.join(this.baseDir, String(id));
+            fs.mkdirSync(downloadDir, { recursive: true });
+
+            const tracker = await setup(page, downloadDir);
+            this.workers.push({
+                id,
+                context,
+                page,
+                downloadDir,
+                tracker,
+                generation: null,   // sessão (login) cujos cookies o worker recebeu
+                resultsUrl: null    // página de resultados aberta no worker
+            });
+        }
+        return this.workers;
+    }
+
+    // Executar handler(job, worker, index) para todos os jobs: cada worker retira o
+    // próximo da fila ao terminar o anterior. Resultados na ordem dos jobs
+    // (undefined para jobs não iniciados após stop())
+    async run(jobs, handler) {
+        const results = new Array(jobs.length);
+        let next = 0;
+
+        await Promise.all(this.workers.map(async worker => {
+            while (!this.stopped && next < jobs.length) {
+                const index = next++;
+                results[index] = await handler(jobs[index], worker, index);
+            }
+        }));
+
+        return results;
+    }
+
+    // Parar de distribuir jobs (os em andamento terminam normalmente)
+    stop() {
+        this.stopped = true;
+    }
+
+    // Fechar os contextos. XMLs que chegaram após o fim da espera (downloads tardios)
+    // passam por handleLateFile({ name, path }), a mesma validação dos downloads normais
+    // (diretório de download, quarentena e ledger); sem handler, são descartados
+    async close(handleLateFile = null) {
+        this.stop();
+
+        for (const worker of this.workers) {
+            if (worker.tracker) await worker.tracker.detach();
+            await worker.context.close().catch(() => {});
+
+            if (handleLateFile) {
+                for (const file of lateFiles(worker.downloadDir)) {
+                    await handleLateFile(file);
+                }
+            }
+        }
+
+        fs.rmSync(this.baseDir, { recursive: true, force: true });
+        this.workers = [];
+    }
+}
+
+// XMLs ainda no diretório de um worker
+function lateFiles(dir) {
+    try {
+        return fs.readdirSync(dir)
+            .filter(file => file.toLowerCase().endsWith('.xml'))
+            .map(file => ({ name: file, path: path.join(dir, file) }));
+    } catch (error) {
+        return [];  // Diretório já removido
+    }
+}
+
+module.exports = { DownloadWorkerPool, WORKERS_DIR };
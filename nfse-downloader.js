@@ -6,85 +6,60 @@
  * Script de automação para download de XMLs de NFSe do sistema de Imperatriz-MA
  * Baseado nos arquivos recorde_joson e recorde_puptier
  * 
- * Uso: node nfse-downloader.js
+ * Uso: xmlitz download [opções]  (ou: node nfse-downloader.js [opções])
  * 
- * Configurações podem ser alteradas nas constantes abaixo
+ * Configurações são lidas de config.local.js, variáveis NFSE_* e flags (veja --help)
  */
 
 const puppeteer = require('puppeteer');
 const fs = require('fs');
 const path = require('path');
-
-// ==================== CONFIGURAÇÕES OTIMIZADAS ====================
-const CONFIG = {
-    // Credenciais (ALTERE AQUI)
-    CNPJ: '34194865000158',
-    SENHA: '123456',
-
-    // Período de busca (ALTERE AQUI) - Formato YYYY-MM-DD como no record
-    DATA_INICIAL: '2025-07-01',
-    DATA_FINAL: '2025-08-01',
-
-    // Configurações do navegador otimizadas
-    HEADLESS: true,
-    TIMEOUT: 15000, // Reduzido para 15s para falhas mais rápidas
-    DEBUG: true,
-
-    // Performance otimizada
-    NAVIGATION_TIMEOUT: 10000, // 10s para navegação
-    DOWNLOAD_TIMEOUT: 8000, // 8s para cada download
-    ELEMENT_TIMEOUT: 5000, // 5s para encontrar elementos
-
-    // Configurações de download otimizadas
-    DOWNLOAD_DIR: path.join(__dirname, 'xmls-nfse'),
-    DELAY_BETWEEN_DOWNLOADS: 500, // Reduzido para 500ms
-    PARALLEL_DOWNLOADS: 2, // Downloads paralelos (máximo 2 para não sobrecarregar)
-
-    // Sistema de retry robusto
-    MAX_RETRIES: 5, // Aumentado para 5 tentativas
-    RETRY_DELAY: 2000, // Reduzido para 2s
-    EXPONENTIAL_BACKOFF: true, // Backoff exponencial
-
-    // Validação e verificação
-    VALIDATE_XML: true, // Validar estrutura XML
-    CHECK_FILE_SIZE: true, // Verificar tamanho mínimo
-    MIN_FILE_SIZE: 100, // Tamanho mínimo em bytes
-    DUPLICATE_CHECK: true, // Verificar duplicatas
-    SMART_DUPLICATE_HANDLING: true, // Sobrescrever apenas se houver mudanças
-
-    // Configurações de memória
-    MAX_MEMORY_USAGE: 512 * 1024 * 1024, // 512MB
-    GARBAGE_COLLECT_INTERVAL: 10, // A cada 10 downloads
-
-    // Logging avançado
-    LOG_LEVEL: 'DEBUG', // DEBUG, INFO, WARN, ERROR
-    LOG_TO_FILE: true,
-    LOG_FILE: 'nfse-detailed.log',
-    PERFORMANCE_METRICS: true,
-
-    // Organização automática
-    AUTO_ORGANIZE: true, // Organizar arquivos automaticamente após download
-    ORGANIZE_BASE_DIR: 'organized', // Diretório base para organização
-
-    // URLs do sistema
-    LOGIN_URL: 'https://imperatriz-ma.prefeituramoderna.com.br/meuiss_new/nfe/?pg=login_nfe'
-};
+const { EventEmitter } = require('events');
+const { DEFAULTS, createConfig, searchFilters } = require('./lib/config');
+const { createAdapter } = require('./lib/adapters');
+const { HttpDownloader, mapWithConcurrency, uniquePath } = require('./lib/http-downloader');
+const { DownloadTracker } = require('./lib/download-tracker');
+const { DownloadWorkerPool } = require('./lib/worker-pool');
+const { NetworkPolicy } = require('./lib/network');
+const { recordPage, captureFailure } = require('./lib/forensics');
+const { Ledger, normalizeNumero } = require('./lib/ledger');
+const { Checkpoint } = require('./lib/checkpoint');
+const { openVault, withVaultCredentials } = require('./lib/vault');
+const { writeListing } = require('./lib/listing');
+const { reconcile, coversWholePeriod, scanNotes } = require('./lib/reconcile');
+const { splitIntoMonthlyWindows } = require('./lib/period');
+const {
+    NFSeError,
+    LayoutChangedError,
+    DownloadTimeoutError,
+    InvalidXMLError,
+    SessionExpiredError,
+    retryPolicy
+} = require('./lib/errors');
+
+// ==================== CONFIGURAÇÕES ====================
+// Valores padrão definidos em lib/config.js. A configuração efetiva é carregada em
+// main() a partir de config.local.js, perfil, variáveis NFSE_* e flags de linha de comando.
+const CONFIG = { ...DEFAULTS };
 
 // ==================== SISTEMA DE LOGGING AVANÇADO ====================
+// config: configuração usada (nível, arquivo de log, QUIET...); padrão = CONFIG global
 class AdvancedLogger {
-    constructor() {
+    constructor(config = CONFIG) {
+        this.config = config;
         this.startTime = Date.now();
         this.metrics = {
             downloads: { attempted: 0, successful: 0, failed: 0, retries: 0 },
             performance: { totalTime: 0, avgDownloadTime: 0, fastestDownload: Infinity, slowestDownload: 0 },
-            errors: { network: 0, timeout: 0, validation: 0, other: 0 },
-            files: { totalSize: 0, validXMLs: 0, duplicates: 0 }
+            errors: { network: 0, timeout: 0, validation: 0, auth: 0, layout: 0, other: 0 },
+            files: { totalSize: 0, validXMLs: 0, duplicates: 0, validPDFs: 0, failedPDFs: 0 },
+            session: { expirations: 0, relogins: 0 }
         };
         this.downloadTimes = [];
     }
 
     _writeToFile(level, message, metrics = null) {
-        if (!CONFIG.LOG_TO_FILE) return;
+        if (!this.config.LOG_TO_FILE) return;
 
         try {
             const timestamp = new Date().toISOString();
@@ -98,7 +73,7 @@ class AdvancedLogger {
             };
 
             const logLine = JSON.stringify(logEntry) + '\n';
-            fs.appendFileSync(path.join(__dirname, CONFIG.LOG_FILE), logLine);
+            fs.appendFileSync(path.join(__dirname, this.config.LOG_FILE), logLine);
         } catch (error) {
             // Ignorar erros de escrita de log
         }
@@ -106,7 +81,14 @@ class AdvancedLogger {
 
     _shouldLog(level) {
         const levels = { DEBUG: 0, INFO: 1, WARN: 2, ERROR: 3 };
-        return levels[level] >= levels[CONFIG.LOG_LEVEL];
+        return levels[level] >= levels[this.config.LOG_LEVEL];
+    }
+
+    // Saída no console - em modo QUIET (ex: --json) apenas erros são exibidos
+    _console(method, text) {
+        if (!this.config.QUIET) {
+            console[method](text);
+        }
     }
 
     _formatMessage(level, message) {
@@ -117,14 +99,14 @@ class AdvancedLogger {
 
     info(message, metrics = null) {
         if (this._shouldLog('INFO')) {
-            console.log(this._formatMessage('INFO', message));
+            this._console('log', this._formatMessage('INFO', message));
             this._writeToFile('INFO', message, metrics);
         }
     }
 
     success(message, metrics = null) {
         if (this._shouldLog('INFO')) {
-            console.log(`✅ ${this._formatMessage('SUCCESS', message)}`);
+            this._console('log', `✅ ${this._formatMessage('SUCCESS', message)}`);
             this._writeToFile('SUCCESS', message, metrics);
         }
     }
@@ -142,20 +124,20 @@ class AdvancedLogger {
 
     warn(message, metrics = null) {
         if (this._shouldLog('WARN')) {
-            console.warn(`⚠️ ${this._formatMessage('WARN', message)}`);
+            this._console('warn', `⚠️ ${this._formatMessage('WARN', message)}`);
             this._writeToFile('WARN', message, metrics);
         }
     }
 
     debug(message, metrics = null) {
         if (this._shouldLog('DEBUG')) {
-            console.log(`🔍 ${this._formatMessage('DEBUG', message)}`);
+            this._console('log', `🔍 ${this._formatMessage('DEBUG', message)}`);
             this._writeToFile('DEBUG', message, metrics);
         }
     }
 
     performance(operation, duration, details = null) {
-        if (CONFIG.PERFORMANCE_METRICS) {
+        if (this.config.PERFORMANCE_METRICS) {
             const message = `${operation} completed in ${duration}ms`;
             this.debug(message, { operation, duration, details });
 
@@ -167,6 +149,12 @@ class AdvancedLogger {
     }
 
     _categorizeError(error) {
+        // Erros tipados (lib/errors.js) já trazem a categoria
+        if (error instanceof NFSeError && this.metrics.errors[error.category] !== undefined) {
+            this.metrics.errors[error.category]++;
+            return;
+        }
+
         const message = error.message.toLowerCase();
         if (message.includes('timeout') || message.includes('timed out')) {
             this.metrics.errors.timeout++;
@@ -219,19 +207,24 @@ class AdvancedLogger {
             files: {
                 totalSize: `${(metrics.files.totalSize / 1024).toFixed(1)}KB`,
                 validXMLs: metrics.files.validXMLs,
-                duplicates: metrics.files.duplicates
+                duplicates: metrics.files.duplicates,
+                validPDFs: metrics.files.validPDFs,
+                failedPDFs: metrics.files.failedPDFs
             },
-            errors: metrics.errors
+            errors: metrics.errors,
+            session: metrics.session
         };
     }
 }
 
-// Instância global do logger
+// Instância global do logger (usada com o CONFIG global pela linha de comando)
 const Logger = new AdvancedLogger();
 
 // ==================== SISTEMA DE ORGANIZAÇÃO AUTOMÁTICA ====================
 class XMLOrganizer {
-    constructor() {
+    constructor({ config = CONFIG, logger = Logger } = {}) {
+        this.config = config;
+        this.logger = logger;
         this.processedFiles = [];
         this.errors = [];
         this.stats = {
@@ -285,7 +278,7 @@ class XMLOrganizer {
             }
 
             if (tomadorCnpj && !this.isValidCNPJ(tomadorCnpj)) {
-                Logger.warn(`CNPJ do tomador inválido: ${tomadorCnpj}`);
+                this.logger.warn(`CNPJ do tomador inválido: ${tomadorCnpj}`);
             }
 
             return {
@@ -334,7 +327,7 @@ class XMLOrganizer {
             if (!fs.existsSync(dirPath)) {
                 fs.mkdirSync(dirPath, { recursive: true });
                 this.stats.directoriesCreated++;
-                Logger.debug(`Diretório criado: ${dirPath}`);
+                this.logger.debug(`Diretório criado: ${dirPath}`);
                 return true;
             }
             return false;
@@ -363,7 +356,7 @@ class XMLOrganizer {
                 const destContent = fs.readFileSync(destPath);
 
                 if (sourceContent.equals(destContent)) {
-                    Logger.info(`📄 Arquivo idêntico já existe, removendo duplicata: ${path.basename(sourcePath)}`);
+                    this.logger.info(`📄 Arquivo idêntico já existe, removendo duplicata: ${path.basename(sourcePath)}`);
                     fs.unlinkSync(sourcePath);
                     this.stats.duplicates++;
                     return { moved: false, reason: 'duplicate' };
@@ -376,13 +369,13 @@ class XMLOrganizer {
                     const newDestPath = path.join(dir, `${nameWithoutExt}_${timestamp}${ext}`);
 
                     fs.renameSync(sourcePath, newDestPath);
-                    Logger.info(`📁 Arquivo movido com nome único: ${path.basename(newDestPath)}`);
+                    this.logger.info(`📁 Arquivo movido com nome único: ${path.basename(newDestPath)}`);
                     return { moved: true, path: newDestPath, reason: 'renamed' };
                 }
             } else {
                 // Mover arquivo normalmente
                 fs.renameSync(sourcePath, destPath);
-                Logger.info(`📁 Arquivo organizado: ${path.basename(destPath)}`);
+                this.logger.info(`📁 Arquivo organizado: ${path.basename(destPath)}`);
                 return { moved: true, path: destPath, reason: 'moved' };
             }
 
@@ -397,7 +390,7 @@ class XMLOrganizer {
         this.stats.total++;
 
         try {
-            Logger.debug(`Processando arquivo: ${fileName}`);
+            this.logger.debug(`Processando arquivo: ${fileName}`);
 
             // Ler conteúdo do XML
             const xmlContent = fs.readFileSync(filePath, 'utf8');
@@ -409,7 +402,7 @@ class XMLOrganizer {
                 throw new Error(`Dados inválidos no XML: ${xmlData.error}`);
             }
 
-            Logger.debug(`Dados extraídos - Competência: ${xmlData.competencia}, CNPJ Prestador: ${xmlData.prestadorCnpj}, Número: ${xmlData.numero}`);
+            this.logger.debug(`Dados extraídos - Competência: ${xmlData.competencia}, CNPJ Prestador: ${xmlData.prestadorCnpj}, Número: ${xmlData.numero}`);
 
             // Gerar caminho do diretório de destino
             const destDir = this.generateDirectoryPath(xmlData, baseDir);
@@ -422,12 +415,23 @@ class XMLOrganizer {
 
             // Mover arquivo
             const moveResult = await this.moveFile(filePath, destPath);
+            const finalPath = moveResult.moved ? moveResult.path : destPath;
+
+            // DANFSe (PDF) com o mesmo nome base acompanha o XML
+            const pdfSource = filePath.replace(/\.xml$/i, '.pdf');
+            let pdfPath = null;
+            if (pdfSource !== filePath && fs.existsSync(pdfSource)) {
+                const pdfDest = finalPath.replace(/\.xml$/i, '.pdf');
+                const pdfMove = await this.moveFile(pdfSource, pdfDest);
+                pdfPath = pdfMove.moved ? pdfMove.path : pdfDest;
+            }
 
             // Registrar resultado
             const result = {
                 fileName,
                 sourcePath: filePath,
-                destPath: moveResult.moved ? moveResult.path : destPath,
+                destPath: finalPath,
+                pdfPath,
                 xmlData,
                 moveResult,
                 success: true,
@@ -437,7 +441,7 @@ class XMLOrganizer {
             this.processedFiles.push(result);
             this.stats.organized++;
 
-            Logger.success(`✅ ${fileName} organizado com sucesso`);
+            this.logger.success(`✅ ${fileName} organizado com sucesso`);
             return result;
 
         } catch (error) {
@@ -452,7 +456,7 @@ class XMLOrganizer {
             this.errors.push(errorResult);
             this.stats.errors++;
 
-            Logger.error(`❌ Erro ao processar ${fileName}: ${error.message}`);
+            this.logger.error(`❌ Erro ao processar ${fileName}: ${error.message}`);
             return errorResult;
         }
     }
@@ -460,7 +464,7 @@ class XMLOrganizer {
     // Processar todos os arquivos XML em um diretório
     async organizeAllFiles(sourceDir, baseDir = null) {
         try {
-            Logger.info('🗂️ Iniciando organização automática de arquivos XML...');
+            this.logger.info('🗂️ Iniciando organização automática de arquivos XML...');
 
             // Usar diretório base padrão se não especificado
             if (!baseDir) {
@@ -480,11 +484,11 @@ class XMLOrganizer {
             );
 
             if (xmlFiles.length === 0) {
-                Logger.warn('Nenhum arquivo XML encontrado para organizar');
+                this.logger.warn('Nenhum arquivo XML encontrado para organizar');
                 return this.generateOrganizationReport();
             }
 
-            Logger.info(`📄 Encontrados ${xmlFiles.length} arquivos XML para organizar`);
+            this.logger.info(`📄 Encontrados ${xmlFiles.length} arquivos XML para organizar`);
 
             // Processar cada arquivo
             for (const fileName of xmlFiles) {
@@ -497,12 +501,12 @@ class XMLOrganizer {
 
             // Gerar relatório final
             const report = this.generateOrganizationReport();
-            Logger.success(`🎉 Organização concluída! ${this.stats.organized}/${this.stats.total} arquivos organizados`);
+            this.logger.success(`🎉 Organização concluída! ${this.stats.organized}/${this.stats.total} arquivos organizados`);
 
             return report;
 
         } catch (error) {
-            Logger.error(`Erro na organização automática: ${error.message}`);
+            this.logger.error(`Erro na organização automática: ${error.message}`);
             throw error;
         }
     }
@@ -523,11 +527,11 @@ class XMLOrganizer {
 
         // Salvar relatório em arquivo
         try {
-            const reportPath = path.join(CONFIG.DOWNLOAD_DIR, `organization-report-${Date.now()}.json`);
+            const reportPath = path.join(this.config.DOWNLOAD_DIR, `organization-report-${Date.now()}.json`);
             fs.writeFileSync(reportPath, JSON.stringify(report, null, 2));
-            Logger.info(`📊 Relatório de organização salvo: ${reportPath}`);
+            this.logger.info(`📊 Relatório de organização salvo: ${reportPath}`);
         } catch (error) {
-            Logger.warn(`Erro ao salvar relatório: ${error.message}`);
+            this.logger.warn(`Erro ao salvar relatório: ${error.message}`);
         }
 
         return report;
@@ -535,6 +539,8 @@ class XMLOrganizer {
 
     // Exibir resumo da organização
     displayOrganizationSummary(report) {
+        if (this.config.QUIET) return;
+
         console.log('\n' + '='.repeat(60));
         console.log('🗂️ RELATÓRIO DE ORGANIZAÇÃO AUTOMÁTICA');
         console.log('='.repeat(60));
@@ -556,7 +562,7 @@ class XMLOrganizer {
             console.log('\n✅ ARQUIVOS ORGANIZADOS:');
             const organized = report.processedFiles.filter(f => f.success);
             organized.forEach(file => {
-                const relativePath = path.relative(CONFIG.DOWNLOAD_DIR, file.destPath);
+                const relativePath = path.relative(this.config.DOWNLOAD_DIR, file.destPath);
                 console.log(`   ${file.fileName} → ${relativePath}`);
             });
         }
@@ -567,7 +573,11 @@ class XMLOrganizer {
 
 // ==================== SISTEMA DE VALIDAÇÃO E VERIFICAÇÃO ====================
 class FileValidator {
-    static validateXMLStructure(filePath) {
+    constructor({ config = CONFIG } = {}) {
+        this.config = config;
+    }
+
+    validateXMLStructure(filePath) {
         try {
             const content = fs.readFileSync(filePath, 'utf8');
 
@@ -605,12 +615,12 @@ class FileValidator {
         }
     }
 
-    static checkFileSize(filePath) {
+    checkFileSize(filePath) {
         try {
             const stats = fs.statSync(filePath);
             const size = stats.size;
 
-            if (size < CONFIG.MIN_FILE_SIZE) {
+            if (size < this.config.MIN_FILE_SIZE) {
                 return { valid: false, size, reason: `File too small (${size} bytes)` };
             }
 
@@ -621,7 +631,32 @@ class FileValidator {
         }
     }
 
-    static generateChecksum(filePath) {
+    // DANFSe: assinatura %PDF-, marcador %%EOF no final e tamanho mínimo
+    validatePDF(filePath) {
+        try {
+            const content = fs.readFileSync(filePath);
+            const size = content.length;
+
+            if (size < this.config.MIN_FILE_SIZE) {
+                return { valid: false, size, reason: `File too small (${size} bytes)` };
+            }
+
+            if (content.subarray(0, 5).toString('latin1') !== '%PDF-') {
+                return { valid: false, size, reason: 'Missing PDF header' };
+            }
+
+            if (!content.subarray(-1024).toString('latin1').includes('%%EOF')) {
+                return { valid: false, size, reason: 'PDF appears to be truncated' };
+            }
+
+            return { valid: true, size, reason: 'Valid PDF' };
+
+        } catch (error) {
+            return { valid: false, size: 0, reason: `Validation error: ${error.message}` };
+        }
+    }
+
+    generateChecksum(filePath) {
         try {
             const crypto = require('crypto');
             const content = fs.readFileSync(filePath);
@@ -631,7 +666,7 @@ class FileValidator {
         }
     }
 
-    static isDuplicate(filePath, existingFiles) {
+    isDuplicate(filePath, existingFiles) {
         try {
             const newChecksum = this.generateChecksum(filePath);
             if (!newChecksum) return { isDuplicate: false, reason: 'Checksum generation failed' };
@@ -679,7 +714,7 @@ class FileValidator {
         }
     }
 
-    static validateDownload(filePath, existingFiles = []) {
+    validateDownload(filePath, existingFiles = []) {
         const validation = {
             filePath,
             timestamp: new Date().toISOString(),
@@ -700,7 +735,7 @@ class FileValidator {
         validation.checks.xml = this.validateXMLStructure(filePath);
 
         // Verificar duplicatas com lógica inteligente
-        if (CONFIG.DUPLICATE_CHECK) {
+        if (this.config.DUPLICATE_CHECK) {
             validation.checks.duplicate = this.isDuplicate(filePath, existingFiles);
         }
 
@@ -710,8 +745,8 @@ class FileValidator {
         // Determinar se é válido com lógica inteligente
         let isValid = validation.checks.size.valid && validation.checks.xml.valid;
 
-        if (CONFIG.DUPLICATE_CHECK && validation.checks.duplicate.isDuplicate) {
-            if (CONFIG.SMART_DUPLICATE_HANDLING) {
+        if (this.config.DUPLICATE_CHECK && validation.checks.duplicate.isDuplicate) {
+            if (this.config.SMART_DUPLICATE_HANDLING) {
                 if (validation.checks.duplicate.identical) {
                     // Arquivo idêntico - ignorar (não é erro, apenas skip)
                     validation.action = 'ignore';
@@ -741,639 +776,723 @@ class FileValidator {
     }
 }
 
+// Compatibilidade: FileValidator.validateDownload(...) etc. com o CONFIG global
+['validateXMLStructure', 'checkFileSize', 'validatePDF', 'generateChecksum', 'isDuplicate', 'validateDownload'].forEach(method => {
+    FileValidator[method] = (...args) => new FileValidator()[method](...args);
+});
+
 // ==================== SISTEMA DE RETRY COM BACKOFF EXPONENCIAL ====================
+// A política de cada tipo de erro (lib/errors.js) limita as tentativas: credenciais
+// inválidas não são repetidas, portal fora do ar espera mais entre tentativas etc.
 class RetryManager {
-    static async executeWithRetry(operation, context = '', maxRetries = CONFIG.MAX_RETRIES) {
+    constructor({ config = CONFIG, logger = Logger } = {}) {
+        this.config = config;
+        this.logger = logger;
+    }
+
+    async executeWithRetry(operation, context = '', maxRetries = this.config.MAX_RETRIES) {
         let lastError;
+        let attempts = maxRetries;
 
-        for (let attempt = 1; attempt <= maxRetries; attempt++) {
+        for (let attempt = 1; attempt <= attempts; attempt++) {
             try {
-                Logger.debug(`${context} - Tentativa ${attempt}/${maxRetries}`);
+                this.logger.debug(`${context} - Tentativa ${attempt}/${attempts}`);
                 const result = await operation();
 
                 if (attempt > 1) {
-                    Logger.success(`${context} - Sucesso na tentativa ${attempt}`);
-                    Logger.updateMetrics('downloads', 'retries', attempt - 1);
+                    this.logger.success(`${context} - Sucesso na tentativa ${attempt}`);
+                    this.logger.updateMetrics('downloads', 'retries', attempt - 1);
                 }
 
                 return result;
 
             } catch (error) {
                 lastError = error;
-                Logger.warn(`${context} - Falha na tentativa ${attempt}: ${error.message}`);
+                this.logger.warn(`${context} - Falha na tentativa ${attempt}: ${error.message}`);
+
+                const policy = retryPolicy(error);
+                if (!policy.retryable) {
+                    this.logger.error(`${context} - ${error.name}: falha definitiva, sem novas tentativas`, error);
+                    throw error;
+                }
+                if (policy.maxRetries) {
+                    attempts = Math.max(attempt, Math.min(attempts, policy.maxRetries));
+                }
 
-                if (attempt < maxRetries) {
-                    const delay = CONFIG.EXPONENTIAL_BACKOFF
-                        ? CONFIG.RETRY_DELAY * Math.pow(2, attempt - 1)
-                        : CONFIG.RETRY_DELAY;
+                if (attempt < attempts) {
+                    const backoff = this.config.EXPONENTIAL_BACKOFF
+                        ? this.config.RETRY_DELAY * Math.pow(2, attempt - 1)
+                        : this.config.RETRY_DELAY;
+                    const delay = Math.max(backoff, policy.minDelay);
 
-                    Logger.debug(`${context} - Aguardando ${delay}ms antes da próxima tentativa`);
+                    this.logger.debug(`${context} - Aguardando ${delay}ms antes da próxima tentativa`);
                     await new Promise(resolve => setTimeout(resolve, delay));
                 }
             }
         }
 
-        Logger.error(`${context} - Todas as ${maxRetries} tentativas falharam`, lastError);
+        this.logger.error(`${context} - Todas as ${attempts} tentativas falharam`, lastError);
         throw lastError;
     }
 }
 
+// Compatibilidade: RetryManager.executeWithRetry(...) com o CONFIG e o Logger globais
+RetryManager.executeWithRetry = (...args) => new RetryManager().executeWithRetry(...args);
+
 // ==================== CLASSE PRINCIPAL ====================
-class NFSeDownloader {
-    constructor() {
+// Eventos de progresso (EventEmitter), cada um com { type, at, cnpj, ..., progress }:
+//   login             login concluído ({ relogin } indica novo login por sessão expirada)
+//   page-start        página de resultados aberta ({ window, page, rows })
+//   row-start         download de uma linha iniciado ({ row, downloadNumber, numero })
+//   download-complete XML baixado e validado ({ row, downloadNumber, fileName, fileSize, duration })
+//   duplicate         arquivo idêntico a um já baixado, descartado ({ fileName, existingFile })
+//   quarantine        arquivo inválido movido para a quarentena ({ fileName, quarantinePath, reason })
+//   page-end          página concluída ({ window, page, found, downloaded, failed, ... })
+//   cancel-requested  cancelamento pedido pelo AbortSignal de run(); as linhas em andamento terminam
+//   done              execução encerrada ({ status, execution, reportPath, error })
+// Todos também são emitidos como 'progress'. progress = { xmlsDownloaded, duplicatesDetected,
+// quarantined, currentWindow, currentPage, totalPages } (o DownloadStatus.progress do frontend;
+// sem o total informado pelo portal, totalPages é a página atual)
+//
+// Cancelamento cooperativo: run({ signal }) com um AbortSignal. Ao abortar, nenhuma linha,
+// página ou janela nova é iniciada; os downloads em andamento terminam (ou esgotam o timeout),
+// os arquivos baixados são validados e organizados e o relatório sai com status "cancelled".
+// O checkpoint é mantido para --resume.
+class NFSeDownloader extends EventEmitter {
+    // Opções (todas opcionais, padrão = CONFIG):
+    //   config                 - configuração desta instância (parcial, completada com os
+    //                            padrões via createConfig); sem ela, usa o CONFIG global
+    //   logger                 - AdvancedLogger desta instância (padrão: Logger global ou,
+    //                            com config, um novo logger próprio)
+    //   cnpj, senha, nome      - credenciais da empresa
+    //   company, vault         - ID da empresa no cofre de credenciais (lib/vault.js) e o cofre aberto
+    //   dataInicial, dataFinal - período de busca
+    //   filters                - filtros da pesquisa (padrão: searchFilters(config), ver lib/config.js)
+    //   downloadDir            - diretório de download desta execução
+    //   organizedDir           - destino da organização automática
+    //   adapter                - id do adaptador de portal (ver lib/adapters)
+    //   municipio, loginUrl    - município (subdomínio) ou URL de login do portal
+    //   browser                - browser compartilhado (cada execução usa um contexto anônimo próprio)
+    constructor(options = {}) {
+        super();
+        this.config = options.config ? createConfig(options.config) : CONFIG;
+        this.logger = options.logger || (options.config ? new AdvancedLogger(this.config) : Logger);
+        this.validator = new FileValidator({ config: this.config });
+        this.retry = new RetryManager({ config: this.config, logger: this.logger });
+
+        // Empresa do cofre de credenciais (options.company ou COMPANY): CNPJ, senha e portal
+        // vêm do cofre; as demais opções continuam valendo (ex: período de uma linha do roster).
+        // Sem options.vault o cofre só é aberto em init(): exibir um relatório ou mover um
+        // arquivo para a quarentena não pede a senha mestra
+        const companyId = options.company || (options.cnpj ? null : this.config.COMPANY) || null;
+        this.pendingCompany = null;
+        if (companyId && options.vault) {
+            options = withVaultCredentials({ ...options, company: companyId }, options.vault);
+        } else if (companyId) {
+            this.pendingCompany = { ...options, company: companyId };
+        }
+        this.applyCompany(companyId, options);
+        this.period = {
+            start: options.dataInicial || this.config.DATA_INICIAL,
+            end: options.dataFinal || this.config.DATA_FINAL
+        };
+        this.filters = options.filters || searchFilters(this.config);
+        this.downloadDir = options.downloadDir || this.config.DOWNLOAD_DIR;
+        this.organizedDir = options.organizedDir || path.join(this.downloadDir, this.config.ORGANIZE_BASE_DIR);
+        this.sharedBrowser = options.browser || null;
+        this.network = NetworkPolicy.fromConfig(this.config);
+        // Baixar somente estes números (ex: notas faltantes apontadas pela conferência)
+        this.onlyNumbers = options.onlyNumbers ? new Set(options.onlyNumbers.map(normalizeNumero)) : null;
+        this.notRequested = 0;
+        this.context = null;
         this.browser = null;
         this.page = null;
+        this.downloadTracker = null;
+        this.workerPool = null;
+        this.workerTarget = null;   // página de resultados que os workers devem exibir { url, firstRow }
+        this.ledger = null;
+        this.skippedNotes = [];
+        this.checkpoint = new Checkpoint(this.downloadDir);
+        this.resumeState = null;
+        this.progress = null;
+        this.pageRowInfo = new Map();
+        this.pageResumed = 0;
+        this.status = 'running';
+        this.relogins = 0;
+        this.reloginPromise = null;
+        this.sessionGeneration = 0;
+        this.lastWindowError = null;
         this.downloadedFiles = [];
         this.totalDownloads = 0;
-        this.organizer = new XMLOrganizer();
+        this.report = null;
+        this.listingPath = null;
+        this.listingIncomplete = false;
+        this.reconciliation = null;
+        this.counters = { downloaded: 0, duplicates: 0, quarantined: 0 };  // eventos de progresso
+        this.totalPages = null;     // páginas da pesquisa atual informadas pelo portal
+        this.doneEmitted = false;
+        this.signal = null;         // AbortSignal de run() (cancelamento cooperativo)
+        this.forensics = [];        // pacotes de diagnóstico das falhas (lib/forensics.js)
+        this.forensicsDir = this.config.FORENSICS_DIR || path.join(this.downloadDir, 'forensics');
+        this.organizer = new XMLOrganizer({ config: this.config, logger: this.logger });
+    }
+
+    // Credenciais e adaptador de portal da empresa (options já com os dados do cofre, se houver)
+    applyCompany(companyId, options) {
+        this.company = {
+            id: companyId || undefined,
+            cnpj: options.cnpj || this.config.CNPJ,
+            senha: options.senha || this.config.SENHA,
+            nome: options.nome || null
+        };
+        this.adapter = createAdapter(options.adapter || this.config.ADAPTER, {
+            loginUrl: options.loginUrl || this.config.LOGIN_URL,
+            municipio: options.municipio || this.config.MUNICIPIO,
+            config: this.config,
+            logger: this.logger
+        });
+    }
+
+    // Abrir o cofre adiado pelo construtor (empresa do cofre sem options.vault)
+    resolveCompany() {
+        if (!this.pendingCompany) return;
+        const options = withVaultCredentials(this.pendingCompany, openVault(this.config));
+        this.pendingCompany = null;
+        this.applyCompany(options.company, options);
+    }
+
+    // Iniciar browser com as opções de config (também usado pela execução em lote)
+    static async launchBrowser(config = CONFIG, logger = Logger) {
+        logger.debug('Iniciando browser com configurações compatíveis...');
+
+        // Configurações compatíveis com Puppeteer v23+ e CSP
+        const launchOptions = {
+            headless: config.HEADLESS,
+            // Ctrl+C é tratado pela CLI (cancelamento cooperativo): o Puppeteer não deve fechar o
+            // browser com downloads em andamento
+            handleSIGINT: false,
+            args: [
+                '--no-sandbox',
+                '--disable-setuid-sandbox',
+                '--disable-web-security',
+                '--disable-features=VizDisplayCompositor',
+                '--disable-dev-shm-usage',
+                '--disable-extensions',
+                '--no-first-run',
+                '--disable-default-apps',
+                // Proxy (PROXY): vale para todos os contextos do browser
+                ...NetworkPolicy.fromConfig(config).launchArgs()
+            ]
+        };
+
+        const browser = await puppeteer.launch(launchOptions);
+        logger.debug('Browser iniciado com sucesso');
+        return browser;
     }
 
     async init() {
         try {
-            Logger.info('Inicializando NFSe Downloader...');
-            Logger.debug(`Diretório de trabalho: ${__dirname}`);
-            Logger.debug(`Diretório de downloads: ${CONFIG.DOWNLOAD_DIR}`);
+            this.logger.info('Inicializando NFSe Downloader...');
+            this.resolveCompany();
+            this.logger.debug(`Diretório de trabalho: ${__dirname}`);
+            this.logger.debug(`Diretório de downloads: ${this.downloadDir}`);
 
             // Criar diretório de downloads se não existir
-            if (!fs.existsSync(CONFIG.DOWNLOAD_DIR)) {
-                fs.mkdirSync(CONFIG.DOWNLOAD_DIR, { recursive: true });
-                Logger.info(`Diretório criado: ${CONFIG.DOWNLOAD_DIR}`);
+            if (!fs.existsSync(this.downloadDir)) {
+                fs.mkdirSync(this.downloadDir, { recursive: true });
+                this.logger.info(`Diretório criado: ${this.downloadDir}`);
             } else {
-                Logger.debug(`Diretório já existe: ${CONFIG.DOWNLOAD_DIR}`);
-            }
-
-            Logger.debug('Iniciando browser com configurações compatíveis...');
-
-            // Configurações compatíveis com Puppeteer v23+ e CSP
-            const launchOptions = {
-                headless: CONFIG.HEADLESS,
-                args: [
-                    '--no-sandbox',
-                    '--disable-setuid-sandbox',
-                    '--disable-web-security',
-                    '--disable-features=VizDisplayCompositor',
-                    '--disable-dev-shm-usage',
-                    '--disable-extensions',
-                    '--no-first-run',
-                    '--disable-default-apps'
-                ]
-            };
-
-            // Inicializar browser
-            this.browser = await puppeteer.launch(launchOptions);
-            Logger.debug('Browser iniciado com sucesso');
+                this.logger.debug(`Diretório já existe: ${this.downloadDir}`);
+            }
 
-            this.page = await this.browser.newPage();
+            // Ledger de notas já baixadas (compartilhado entre empresas, chave inclui o CNPJ)
+            if (this.config.LEDGER || this.config.INCREMENTAL) {
+                this.ledger = new Ledger(this.config.LEDGER_FILE || path.join(this.config.DOWNLOAD_DIR, 'nfse-ledger.jsonl'));
+                const { entries, skipped } = this.ledger.load();
+                this.logger.debug(`Ledger carregado: ${entries} notas (${this.ledger.filePath})`);
+                if (skipped > 0) {
+                    this.logger.warn(`Ledger: ${skipped} linha(s) corrompida(s) ignorada(s)`);
+                }
+                if (this.config.INCREMENTAL) {
+                    this.logger.info(`Modo incremental: ${this.ledger.entriesFor(this.ledgerOwner()).length} notas ${this.filters.tipo} já registradas para ${this.company.cnpj}`);
+                }
+            }
 
-            // EXATO COMO NO RECORD: Configurar viewport
-            await this.page.setViewport({
-                width: 1375,
-                height: 791
-            });
+            if (this.sharedBrowser) {
+                // Browser compartilhado (execução em lote): contexto anônimo isolado por empresa
+                this.browser = this.sharedBrowser;
+                this.context = await this.browser.createBrowserContext();
+                this.page = await this.context.newPage();
+                this.logger.debug('Contexto anônimo criado no browser compartilhado');
+            } else {
+                this.browser = await NFSeDownloader.launchBrowser(this.config, this.logger);
+                this.page = await this.browser.newPage();
+            }
 
-            this.page.setDefaultTimeout(CONFIG.TIMEOUT);
-            Logger.debug('Nova página criada e configurada');
+            await this.configurePage(this.page);
+            this.logger.debug('Nova página criada e configurada');
 
             // Configurar downloads
-            Logger.debug('Configurando comportamento de downloads...');
-            try {
-                const client = await this.page.target().createCDPSession();
-                await client.send('Page.setDownloadBehavior', {
-                    behavior: 'allow',
-                    downloadPath: CONFIG.DOWNLOAD_DIR
-                });
-                Logger.debug('Downloads configurados via CDP');
-            } catch (cdpError) {
-                Logger.warn(`Erro ao configurar downloads via CDP: ${cdpError.message}`);
-                Logger.debug('Tentando método alternativo para downloads...');
-                // Método alternativo - configurar via prefs
-                await this.page.evaluateOnNewDocument(() => {
-                    Object.defineProperty(navigator, 'webdriver', {
-                        get: () => undefined,
-                    });
+            this.logger.debug('Configurando comportamento de downloads...');
+            this.downloadTracker = await this.configureDownloads(this.page, this.downloadDir);
+
+            // Downloads paralelos no modo browser: uma página por worker (ver lib/worker-pool.js)
+            if (this.config.DOWNLOAD_MODE !== 'http' && this.config.PARALLEL_DOWNLOADS > 1 && !this.config.LIST_ONLY) {
+                this.workerPool = new DownloadWorkerPool(this.browser, this.downloadDir, this.config.PARALLEL_DOWNLOADS);
+                await this.workerPool.start(async (page, downloadDir) => {
+                    await this.configurePage(page);
+                    return this.configureDownloads(page, downloadDir);
                 });
-                Logger.debug('Configuração alternativa de downloads aplicada');
+                this.logger.debug(`${this.config.PARALLEL_DOWNLOADS} workers de download criados`);
             }
 
             // Adicionar listeners para debug
-            if (CONFIG.DEBUG) {
-                this.page.on('console', msg => Logger.debug(`Console: ${msg.text()}`));
-                this.page.on('pageerror', error => Logger.error(`Erro na página: ${error.message}`));
-                this.page.on('requestfailed', request => Logger.debug(`Request falhou: ${request.url()}`));
+            if (this.config.DEBUG) {
+                this.page.on('console', msg => this.logger.debug(`Console: ${msg.text()}`));
+                this.page.on('pageerror', error => this.logger.error(`Erro na página: ${error.message}`));
+                this.page.on('requestfailed', request => this.logger.debug(`Request falhou: ${request.url()}`));
                 this.page.on('framenavigated', frame => {
                     if (frame === this.page.mainFrame()) {
-                        Logger.debug(`🌐 Navegação detectada: ${frame.url()}`);
+                        this.logger.debug(`🌐 Navegação detectada: ${frame.url()}`);
                     }
                 });
                 this.page.on('response', response => {
                     if (response.url().includes('index.php')) {
-                        Logger.debug(`📄 Resposta da página: ${response.url()} - Status: ${response.status()}`);
+                        this.logger.debug(`📄 Resposta da página: ${response.url()} - Status: ${response.status()}`);
                     }
                 });
             }
 
-            Logger.success('Inicialização concluída');
+            this.logger.success('Inicialização concluída');
         } catch (error) {
-            Logger.error(`Erro na inicialização: ${error.message}`);
+            this.logger.error(`Erro na inicialização: ${error.message}`);
             throw error;
         }
     }
 
-    async login() {
-        try {
-            Logger.info('Realizando login...');
-            Logger.debug(`Navegando para: ${CONFIG.LOGIN_URL}`);
-
-            // Navegar para página de login - EXATO COMO NO RECORD
-            await this.page.goto(CONFIG.LOGIN_URL);
-            Logger.debug('Página de login carregada');
-
-            // EXATO COMO NO RECORD: Preencher CNPJ usando Locator
-            Logger.debug('Preenchendo CNPJ...');
-            await puppeteer.Locator.race([
-                this.page.locator('::-p-aria(Digite seu Usuário)'),
-                this.page.locator('#login_nfse'),
-                this.page.locator('::-p-xpath(//*[@id=\\"login_nfse\\"])'),
-                this.page.locator(':scope >>> #login_nfse')
-            ])
-                .setTimeout(CONFIG.TIMEOUT)
-                .click({
-                  offset: {
-                    x: 221.2578125,
-                    y: 23.36328125,
-                  },
-                });
-
-            await puppeteer.Locator.race([
-                this.page.locator('::-p-aria(Digite seu Usuário)'),
-                this.page.locator('#login_nfse'),
-                this.page.locator('::-p-xpath(//*[@id=\\"login_nfse\\"])'),
-                this.page.locator(':scope >>> #login_nfse')
-            ])
-                .setTimeout(CONFIG.TIMEOUT)
-                .fill(CONFIG.CNPJ);
-
-            Logger.debug(`CNPJ preenchido: ${CONFIG.CNPJ}`);
-
-            // EXATO COMO NO RECORD: Preencher senha usando Locator
-            Logger.debug('Preenchendo senha...');
-            await puppeteer.Locator.race([
-                this.page.locator('::-p-aria(Senha de Acesso)'),
-                this.page.locator('#senha_nfse_digite'),
-                this.page.locator('::-p-xpath(//*[@id=\\"senha_nfse_digite\\"])'),
-                this.page.locator(':scope >>> #senha_nfse_digite')
-            ])
-                .setTimeout(CONFIG.TIMEOUT)
-                .click({
-                  offset: {
-                    x: 214.2578125,
-                    y: 24.92578125,
-                  },
-                });
+    // Viewport, timeout padrão e política de rede (página principal e workers)
+    async configurePage(page) {
+        // EXATO COMO NO RECORD: Configurar viewport
+        await page.setViewport({
+            width: 1375,
+            height: 791
+        });
 
-            await puppeteer.Locator.race([
-                this.page.locator('::-p-aria(Senha de Acesso)'),
-                this.page.locator('#senha_nfse_digite'),
-                this.page.locator('::-p-xpath(//*[@id=\\"senha_nfse_digite\\"])'),
-                this.page.locator(':scope >>> #senha_nfse_digite')
-            ])
-                .setTimeout(CONFIG.TIMEOUT)
-                .fill(CONFIG.SENHA);
-
-            Logger.debug('Senha preenchida');
-
-            // EXATO COMO NO RECORD: Fazer login
-            Logger.debug('Clicando no botão de login...');
-            const promises = [];
-            const startWaitingForEvents = () => {
-                promises.push(this.page.waitForNavigation());
-            }
-
-            await puppeteer.Locator.race([
-                this.page.locator('::-p-aria(Acessar Sistema[role=\\"heading\\"])'),
-                this.page.locator('div.pt-0 h5'),
-                this.page.locator('::-p-xpath(//*[@id=\\"form_autentica\\"]/button/h5)'),
-                this.page.locator(':scope >>> div.pt-0 h5'),
-                this.page.locator('::-p-text(Acessar Sistema)')
-            ])
-                .setTimeout(CONFIG.TIMEOUT)
-                .on('action', () => startWaitingForEvents())
-                .click({
-                  offset: {
-                    x: 433.01171875,
-                    y: 11.23828125,
-                  },
-                });
-            await Promise.all(promises);
+        page.setDefaultTimeout(this.config.TIMEOUT);
 
-            // Verificar se o login foi bem-sucedido
-            const currentUrl = this.page.url();
-            Logger.debug(`🌐 URL após login: ${currentUrl}`);
+        // Tráfego e console recentes, para o diagnóstico de falhas
+        if (this.config.FORENSICS) {
+            recordPage(page);
+        }
 
-            if (!currentUrl.includes('index.php')) {
-                throw new Error(`Login falhou - URL atual: ${currentUrl}`);
-            }
+        // Autenticação no proxy, user agent, cabeçalhos extras e bloqueio de recursos
+        await this.network.apply(page);
+    }
 
-            Logger.success('Login realizado com sucesso');
+    // Direcionar os downloads da página para downloadDir; retorna o DownloadTracker
+    // ou null quando só a detecção por polling do diretório estiver disponível
+    async configureDownloads(page, downloadDir) {
+        try {
+            // Preferencial: eventos Browser.downloadWillBegin/downloadProgress por download
+            const tracker = await DownloadTracker.attach(page, downloadDir);
+            this.logger.debug('Downloads rastreados via eventos CDP');
+            return tracker;
+        } catch (trackerError) {
+            this.logger.warn(`Rastreamento de downloads via CDP indisponível: ${trackerError.message}`);
+            this.logger.debug('Usando detecção de downloads por polling do diretório');
+        }
 
-        } catch (error) {
-            Logger.error(`Erro no login: ${error.message}`);
-            if (CONFIG.DEBUG) {
-                await this.page.screenshot({ path: 'debug-login-error.png' });
-                Logger.debug('Screenshot de erro salvo: debug-login-error.png');
-            }
-            throw error;
+        try {
+            const client = await page.target().createCDPSession();
+            await client.send('Page.setDownloadBehavior', {
+                behavior: 'allow',
+                downloadPath: downloadDir
+            });
+            this.logger.debug('Downloads configurados via CDP');
+        } catch (cdpError) {
+            this.logger.warn(`Erro ao configurar downloads via CDP: ${cdpError.message}`);
+            this.logger.debug('Tentando método alternativo para downloads...');
+            // Método alternativo - configurar via prefs
+            await page.evaluateOnNewDocument(() => {
+                Object.defineProperty(navigator, 'webdriver', {
+                    get: () => undefined,
+                });
+            });
+            this.logger.debug('Configuração alternativa de downloads aplicada');
         }
+        return null;
     }
 
-    async navigateToReportsAndSearch() {
+    async login() {
         try {
-            Logger.info('Navegando diretamente para relatórios com pesquisa...');
-
-            // Construir URL completa com todos os parâmetros de pesquisa
-            const currentUrl = this.page.url();
-            const baseUrl = currentUrl.replace(/\?.*$/, ''); // Remove parâmetros existentes
-
-            const searchUrl = `${baseUrl}?nr_nferps_ini=&nr_nferps_fim=&dt_inicial=${CONFIG.DATA_INICIAL}&dt_final=${CONFIG.DATA_FINAL}&vl_inicial=&vl_final=&st_rps=1&nr_doc=&cd_atividade=&tp_codigo=lc116&tp_doc=1&ordem=DESC&consulta=1&pg=relatorio`;
-
-            Logger.debug(`Navegando diretamente para URL com pesquisa: ${searchUrl}`);
-            await this.page.goto(searchUrl, { waitUntil: 'networkidle2', timeout: CONFIG.TIMEOUT });
-
-            // Verificar se chegou na página de relatórios com resultados
-            const finalUrl = this.page.url();
-            Logger.debug(`🌐 URL final: ${finalUrl}`);
-
-            if (!finalUrl.includes('pg=relatorio') || !finalUrl.includes('consulta=1')) {
-                throw new Error('Navegação falhou - não chegou na página de relatórios com pesquisa');
-            }
-
-            // Aguardar a tabela de resultados carregar
-            Logger.debug('Aguardando tabela de resultados...');
-            await this.delay(3000);
-
-            Logger.success('Navegação e pesquisa concluídas diretamente via URL');
+            this.logger.info('Realizando login...');
+            await this.adapter.login(this.page, this.company);
+            this.logger.success('Login realizado com sucesso');
+            this.emitProgress('login', { relogin: this.relogins > 0 });
 
         } catch (error) {
-            Logger.error(`Erro ao navegar para relatórios: ${error.message}`);
-            if (CONFIG.DEBUG) {
-                await this.page.screenshot({ path: 'debug-navigation-error.png' });
-                Logger.debug('Screenshot de erro salvo: debug-navigation-error.png');
-            }
+            this.logger.error(`Erro no login: ${error.message}`);
+            await this.captureForensics('login', error);
             throw error;
         }
     }
 
-    async configurePeriod() {
+    async navigateToReportsAndSearch(period = this.period) {
         try {
-            Logger.info(`Configurando período: ${CONFIG.DATA_INICIAL} a ${CONFIG.DATA_FINAL}`);
-
-            // EXATO COMO NO RECORD: Configurar data inicial
-            Logger.debug('Configurando data inicial...');
-            await puppeteer.Locator.race([
-                this.page.locator('#dt_inicial'),
-                this.page.locator('::-p-xpath(//*[@id=\\"dt_inicial\\"])'),
-                this.page.locator(':scope >>> #dt_inicial')
-            ])
-                .setTimeout(CONFIG.TIMEOUT)
-                .click({
-                  offset: {
-                    x: 4.1484375,
-                    y: 19.89453125,
-                  },
-                });
-
-            // Simular digitação das teclas como no record
-            await this.page.keyboard.down('0');
-            await this.page.keyboard.up('0');
-            await this.page.keyboard.down('7');
-            await this.page.keyboard.up('7');
-            await this.page.keyboard.down('0');
-            await this.page.keyboard.up('0');
-            await this.page.keyboard.down('1');
-            await this.page.keyboard.up('1');
-
-            await puppeteer.Locator.race([
-                this.page.locator('#dt_inicial'),
-                this.page.locator('::-p-xpath(//*[@id=\\"dt_inicial\\"])'),
-                this.page.locator(':scope >>> #dt_inicial')
-            ])
-                .setTimeout(CONFIG.TIMEOUT)
-                .fill('2025-07-01');
-
-            // EXATO COMO NO RECORD: Configurar data final
-            Logger.debug('Configurando data final...');
-            await puppeteer.Locator.race([
-                this.page.locator('#dt_final'),
-                this.page.locator('::-p-xpath(//*[@id=\\"dt_final\\"])'),
-                this.page.locator(':scope >>> #dt_final')
-            ])
-                .setTimeout(CONFIG.TIMEOUT)
-                .click({
-                  offset: {
-                    x: 19.828125,
-                    y: 14.89453125,
-                  },
-                });
-
-            // Simular digitação das teclas como no record
-            await this.page.keyboard.down('0');
-            await this.page.keyboard.up('0');
-            await this.page.keyboard.down('8');
-            await this.page.keyboard.up('8');
-            await this.page.keyboard.down('0');
-            await this.page.keyboard.up('0');
-            await this.page.keyboard.down('1');
-            await this.page.keyboard.up('1');
-
-            await puppeteer.Locator.race([
-                this.page.locator('#dt_final'),
-                this.page.locator('::-p-xpath(//*[@id=\\"dt_final\\"])'),
-                this.page.locator(':scope >>> #dt_final')
-            ])
-                .setTimeout(CONFIG.TIMEOUT)
-                .fill('2025-08-01');
-
-            Logger.success('Período configurado');
+            this.logger.info('Navegando diretamente para relatórios com pesquisa...');
+            await this.adapter.search(this.page, period, this.filters);
+            this.logger.success('Navegação e pesquisa concluídas diretamente via URL');
 
         } catch (error) {
-            Logger.error(`Erro ao configurar período: ${error.message}`);
-            if (CONFIG.DEBUG) {
-                await this.page.screenshot({ path: 'debug-period-error.png' });
-                Logger.debug('Screenshot de erro salvo: debug-period-error.png');
-            }
+            this.logger.error(`Erro ao navegar para relatórios: ${error.message}`);
+            await this.captureForensics('pesquisa', error, this.page, { period });
             throw error;
         }
     }
 
-    // Função auxiliar para formatar data de YYYY-MM-DD para DD/MM/YYYY
-    formatDateForInput(dateString) {
+    async countTotalNotes() {
         try {
-            // Se já está no formato DD/MM/YYYY, retorna como está
-            if (dateString.includes('/')) {
-                return dateString;
+            // Preferir o total informado pelo portal (todas as páginas)
+            const pagination = await this.adapter.getPagination(this.page);
+            this.totalPages = pagination && pagination.totalPages ? pagination.totalPages : null;
+            if (pagination && pagination.totalNotes !== null && pagination.totalNotes !== undefined) {
+                const pages = pagination.totalPages ? ` em ${pagination.totalPages} página(s)` : '';
+                this.logger.info(`Total de notas informado pelo portal: ${pagination.totalNotes}${pages}`);
+                return pagination.totalNotes;
             }
 
-            // Converte de YYYY-MM-DD para DD/MM/YYYY
-            const [year, month, day] = dateString.split('-');
-            return `${day}/${month}/${year}`;
+            const totalNotes = await this.adapter.countRows(this.page);
+            this.logger.info(`Total de notas encontradas: ${totalNotes}`);
+            return totalNotes;
         } catch (error) {
-            Logger.warn(`Erro ao formatar data ${dateString}: ${error.message}`);
-            return dateString;
+            this.logger.warn('Não foi possível contar as notas');
+            return 0;
         }
     }
 
-    // Método robusto para limpar e preencher campos de data
-    async clearAndFillDateField(selector, dateValue) {
-        try {
-            const formattedDate = this.formatDateForInput(dateValue);
-            Logger.debug(`Preenchendo ${selector} com: ${formattedDate}`);
-
-            // Aguardar o campo estar disponível
-            await this.page.waitForSelector(selector, { timeout: CONFIG.TIMEOUT });
-
-            // Focar no campo
-            await this.page.focus(selector);
-            await this.delay(200);
-
-            // Método 1: Limpar via JavaScript
-            await this.page.evaluate((sel) => {
-                const field = document.querySelector(sel);
-                if (field) {
-                    field.value = '';
-                    field.dispatchEvent(new Event('input', { bubbles: true }));
-                    field.dispatchEvent(new Event('change', { bubbles: true }));
-                }
-            }, selector);
-
-            await this.delay(300);
+    // Janelas de pesquisa: uma por mês civil (SPLIT_BY_MONTH) ou o período inteiro
+    planWindows() {
+        if (!this.config.SPLIT_BY_MONTH) {
+            return [{ id: `${this.period.start}/${this.period.end}`, ...this.period }];
+        }
+        return splitIntoMonthlyWindows(this.period.start, this.period.end);
+    }
 
-            // Método 2: Selecionar tudo e deletar
-            await this.page.keyboard.down('Control');
-            await this.page.keyboard.press('KeyA');
-            await this.page.keyboard.up('Control');
-            await this.page.keyboard.press('Backspace');
+    async downloadAllXMLs() {
+        this.logger.info(this.config.LIST_ONLY
+            ? 'Listando as notas do período (--list-only, sem downloads)...'
+            : 'Iniciando download de todos os XMLs...');
+
+        // Estado da execução, compartilhado com o checkpoint e o relatório parcial
+        const progress = this.startProgress(this.planWindows());
+        if (progress.windows.length > 1) {
+            this.logger.info(`Período dividido em ${progress.windows.length} janelas mensais`);
+        }
 
-            await this.delay(300);
+        // Primeira passada em todas as janelas; depois, só as que falharam, cada uma isoladamente
+        const maxAttempts = 1 + this.config.WINDOW_RETRIES;
+        for (let pass = 1; pass <= maxAttempts; pass++) {
+            const pending = progress.windows.filter(w => w.status !== 'completed' && w.retryable !== false);
+            if (pending.length === 0 || this.status !== 'running' || this.cancelRequested) break;
+
+            if (pass > 1) {
+                const wait = this.config.EXPONENTIAL_BACKOFF
+                    ? this.config.RETRY_DELAY * Math.pow(2, pass - 2)
+                    : this.config.RETRY_DELAY;
+                this.logger.warn(`Repetindo ${pending.length} janela(s) com falha (passada ${pass}/${maxAttempts}) em ${wait}ms`);
+                await this.delay(wait);
+            }
 
-            // Digitar a nova data
-            await this.page.type(selector, formattedDate, { delay: 100 });
+            for (const window of pending) {
+                if (this.status !== 'running' || this.cancelRequested) break;
+                await this.runWindow(window);
+            }
+        }
 
-            // Disparar eventos para garantir que o campo foi atualizado
-            await this.page.evaluate((sel) => {
-                const field = document.querySelector(sel);
-                if (field) {
-                    field.dispatchEvent(new Event('input', { bubbles: true }));
-                    field.dispatchEvent(new Event('change', { bubbles: true }));
-                    field.blur();
-                }
-            }, selector);
+        // Execução interrompida: o progresso já foi salvo em savePartialProgress()
+        if (this.status !== 'running') {
+            return;
+        }
 
-            await this.delay(500);
+        const downloadResults = progress.downloadResults;
+        const notesFound = progress.windows.reduce((sum, w) => sum + w.notesFound, 0);
+        const downloadCount = downloadResults.filter(r => r.success).length;
+        const failedWindows = progress.windows.filter(w => w.status === 'failed');
+        const cancelled = this.cancelRequested;
+        progress.totalNotes = notesFound;
 
-            // Verificar se o valor foi definido corretamente
-            const actualValue = await this.page.$eval(selector, el => el.value);
-            Logger.debug(`Valor atual no campo ${selector}: ${actualValue}`);
+        failedWindows.forEach(w => {
+            this.logger.error(`Janela ${w.id} falhou após ${w.attempts} tentativa(s): ${w.error}`);
+        });
 
-            return actualValue;
+        // Gerar relatório final detalhado (consolidado de todas as janelas)
+        this.totalDownloads = downloadCount;
+        progress.completed = !cancelled;
+        this.status = cancelled ? 'cancelled' : 'completed';
+        if (this.config.LIST_ONLY) {
+            this.exportListing();
+        }
+        this.reconciliation = cancelled ? null : this.reconcileListing();
+        await this.generateFinalReport(downloadResults, notesFound, progress.pageStats);
+        if (cancelled) {
+            // Janelas e páginas não percorridas ficam para a retomada
+            this.saveCheckpoint();
+            this.logger.warn(`Execução cancelada: ${downloadCount} XML(s) baixado(s) até o cancelamento`);
+            if (!this.config.LIST_ONLY) {
+                this.logger.warn(`Checkpoint salvo em ${this.checkpoint.filePath} - use --resume para continuar`);
+            }
+            return;
+        }
+        if (!this.config.LIST_ONLY) {
+            this.checkpoint.clear();
+        }
 
-        } catch (error) {
-            Logger.error(`Erro ao preencher campo ${selector}: ${error.message}`);
+        // Nenhuma janela concluída: propagar o último erro (o tipo define o código de saída)
+        if (failedWindows.length > 0 && failedWindows.length === progress.windows.length) {
+            const error = this.lastWindowError || new NFSeError(failedWindows[0].error);
+            error.message = `Nenhuma janela do período pôde ser pesquisada: ${error.message}`;
             throw error;
         }
-    }
 
-    async searchNotes() {
-        try {
-            Logger.info('Pesquisando notas fiscais...');
+        if (this.config.LIST_ONLY) {
+            this.logger.success(`Listagem concluída! ${progress.listing.length} nota(s) listada(s) em ${this.listingPath}`);
+            return;
+        }
+        this.logger.success(`Download concluído! Total de XMLs baixados: ${downloadCount}/${notesFound}`);
+    }
 
-            // Aguardar a página de relatórios carregar completamente
-            Logger.debug('Aguardando página de relatórios carregar...');
-            await this.delay(5000);
+    // Executar uma janela (pesquisa + todas as páginas) sem afetar as demais
+    async runWindow(window) {
+        const progress = this.progress;
+        window.attempts++;
+        window.status = 'running';
+        progress.currentWindow = window.id;
+        this.discardWindowAttempt(window);
 
-            // Aguardar elementos específicos da página de relatórios aparecerem
-            try {
-                await this.page.waitForSelector('form#formrelatorio', { timeout: 10000 });
-                Logger.debug('Formulário de relatório encontrado');
-            } catch (error) {
-                Logger.warn('Formulário de relatório não encontrado, continuando...');
-            }
-
-            // Verificar se estamos na página correta
-            let currentUrl = this.page.url();
-            Logger.debug(`URL atual antes da pesquisa: ${currentUrl}`);
-
-            if (!currentUrl.includes('pg=relatorio')) {
-                throw new Error('Não está na página de relatórios');
-            }
-
-            // EXATO COMO NO RECORD: Clicar no botão "Pesquisar Notas"
-            Logger.debug('Clicando no botão "Pesquisar Notas"...');
-            const promises = [];
-            const startWaitingForEvents = () => {
-                promises.push(this.page.waitForNavigation());
-            }
-
-            await puppeteer.Locator.race([
-                this.page.locator('::-p-aria(Pesquisar Notas)'),
-                this.page.locator('div.card-body button'),
-                this.page.locator('::-p-xpath(//*[@id=\\"formrelatorio\\"]/div[2]/div[4]/div/div[1]/button)'),
-                this.page.locator(':scope >>> div.card-body button'),
-                this.page.locator('::-p-text(Pesquisar Notas)')
-            ])
-                .setTimeout(CONFIG.TIMEOUT)
-                .on('action', () => startWaitingForEvents())
-                .click({
-                  offset: {
-                    x: 33.875,
-                    y: 24.97265625,
-                  },
-                });
-            await Promise.all(promises);
+        const attempt = window.attempts > 1 ? ` - tentativa ${window.attempts}` : '';
+        this.logger.info(`🗓️  Janela ${window.id} (${window.start} a ${window.end})${attempt}`);
 
-            // Verificar se a pesquisa foi realizada (URL deve conter parâmetros)
-            currentUrl = this.page.url();
-            Logger.debug(`URL após pesquisa: ${currentUrl}`);
+        try {
+            // Sessão expirada na pesquisa: o novo login já refaz a pesquisa desta janela
+            await this.navigateToReportsAndSearch(window).catch(async error => {
+                if (!(await this.recoverSession())) throw error;
+            });
+            const notesFound = await this.downloadWindowPages(window);
+
+            if (this.status !== 'running') return;
+            window.notesFound = notesFound;
+            // Cancelada no meio: a retomada percorre a janela de novo, pulando o que já foi baixado
+            window.status = this.cancelRequested ? 'cancelled' : 'completed';
+            window.error = null;
+            window.errorType = null;
+            window.forensics = null;
+        } catch (error) {
+            if (this.status !== 'running') return;
 
-            if (!currentUrl.includes('consulta=1')) {
-                throw new Error('Pesquisa falhou - URL não contém parâmetros de consulta');
+            // Credenciais/conta (ex: no novo login): nenhuma outra janela teria sucesso
+            if (error.category === 'auth' && !retryPolicy(error).retryable) {
+                throw error;
             }
 
-            // Aguardar carregamento dos resultados
-            Logger.debug('Aguardando carregamento da tabela de resultados...');
-            await this.page.waitForSelector('table tbody tr', { timeout: CONFIG.TIMEOUT });
-
-            // Aguardar um pouco mais para garantir que a tabela carregou completamente
-            await this.delay(2000);
+            window.status = 'failed';
+            window.error = error.message;
+            window.errorType = error.name;
+            window.retryable = retryPolicy(error).retryable;
+            this.lastWindowError = error;
+            this.logger.error(`Janela ${window.id} falhou: ${error.message}`);
 
-            Logger.success('Pesquisa realizada');
+            const bundle = await this.captureForensics(`janela-${window.id}`, error, this.page, { attempt: window.attempts });
+            window.forensics = bundle ? bundle.dir : null;
+        }
 
-        } catch (error) {
-            Logger.error(`Erro na pesquisa: ${error.message}`);
-            if (CONFIG.DEBUG) {
-                await this.page.screenshot({ path: 'debug-search-error.png' });
-                Logger.debug('Screenshot de erro salvo: debug-search-error.png');
-            }
-            throw error;
+        const results = progress.downloadResults.filter(r => r.window === window.id);
+        window.downloaded = results.filter(r => r.success).length;
+        window.failed = results.length - window.downloaded;
+        this.saveCheckpoint();
+
+        if (window.status === 'cancelled') {
+            this.logger.warn(`🗓️  Janela ${window.id}: cancelada após ${window.downloaded} XMLs baixados`);
+        } else if (window.status === 'completed' && this.config.LIST_ONLY) {
+            this.logger.info(`🗓️  Janela ${window.id}: ${progress.listing.filter(e => e.competencia === window.id).length} nota(s) listada(s)`);
+        } else if (window.status === 'completed') {
+            this.logger.info(`🗓️  Janela ${window.id}: ${window.downloaded}/${window.notesFound} XMLs baixados`);
         }
     }
 
-    async countTotalNotes() {
-        try {
-            const rows = await this.page.$$('table tbody tr');
-            const totalNotes = rows.length;
-            Logger.info(`Total de notas encontradas: ${totalNotes}`);
-            return totalNotes;
-        } catch (error) {
-            Logger.warn('Não foi possível contar as notas');
-            return 0;
-        }
+    // Nova tentativa de uma janela: descartar falhas e estatísticas da tentativa anterior
+    // (os XMLs já baixados continuam valendo e são pulados)
+    discardWindowAttempt(window) {
+        const progress = this.progress;
+        const keep = progress.downloadResults.filter(r => r.window !== window.id || r.success);
+        progress.downloadResults.splice(0, progress.downloadResults.length, ...keep);
+
+        const stats = progress.pageStats.filter(stat => stat.window !== window.id);
+        progress.pageStats.splice(0, progress.pageStats.length, ...stats);
+
+        const listing = progress.listing.filter(entry => entry.competencia !== window.id);
+        progress.listing.splice(0, progress.listing.length, ...listing);
     }
 
-    async downloadAllXMLs() {
-        Logger.info('Iniciando download de todos os XMLs...');
+    // Percorrer todas as páginas de resultado da pesquisa atual; retorna as notas encontradas
+    async downloadWindowPages(window) {
+        const progress = this.progress;
+        const downloadResults = progress.downloadResults;
+        const pageStats = progress.pageStats;
 
         const totalNotes = await this.countTotalNotes();
         if (totalNotes === 0) {
-            Logger.warn('Nenhuma nota fiscal encontrada para download');
-            return;
+            this.logger.warn('Nenhuma nota fiscal encontrada para download');
+            return 0;
         }
 
-        let downloadCount = 0;
+        let downloadCount = downloadResults.filter(r => r.success).length;
         let currentPage = 1;
-        const downloadResults = []; // Mover para fora do loop
+        let previousFirstRow = null;
+        const windowStats = [];
 
         while (true) {
-            Logger.info(`Processando página ${currentPage}...`);
+            // Execução interrompida: o progresso já foi salvo em savePartialProgress()
+            if (this.status !== 'running') {
+                return 0;
+            }
+            // Cancelamento: nenhuma página nova
+            if (this.cancelRequested) {
+                break;
+            }
 
-            // Obter todas as linhas da tabela na página atual
-            const rows = await this.page.$$('table tbody tr');
+            progress.currentPage = currentPage;
+            this.logger.info(`Processando página ${currentPage}...`);
 
-            if (rows.length === 0) {
-                Logger.info('Não há mais notas para processar');
+            // Redirecionado para o login (ex: ao trocar de página)? Novo login e volta a esta página
+            await this.recoverSession();
+
+            // Obter o número de linhas da tabela na página atual
+            const rowCount = await this.adapter.countRows(this.page);
+
+            if (rowCount === 0) {
+                this.logger.info('Não há mais notas para processar');
                 break;
             }
+            this.emitProgress('page-start', { window: window.id, page: currentPage, rows: rowCount });
+
+            // Proteção contra paginação que não avança (mesma primeira linha da página anterior)
+            const firstRow = await this.getNoteInfo(1);
+            if (firstRow.numero !== 'N/A') {
+                const signature = JSON.stringify(firstRow);
+                if (signature === previousFirstRow) {
+                    this.logger.warn(`Página ${currentPage} repete a página anterior - encerrando paginação`);
+                    break;
+                }
+                previousFirstRow = signature;
+            }
 
-            // Processar downloads com paralelização otimizada
-
-            if (CONFIG.PARALLEL_DOWNLOADS > 1 && rows.length > 1) {
-                Logger.info(`Iniciando downloads paralelos (máximo ${CONFIG.PARALLEL_DOWNLOADS} simultâneos)`);
-
-                // Processar em lotes paralelos
-                for (let i = 0; i < rows.length; i += CONFIG.PARALLEL_DOWNLOADS) {
-                    const batch = [];
-
-                    for (let j = 0; j < CONFIG.PARALLEL_DOWNLOADS && (i + j) < rows.length; j++) {
-                        const rowIndex = i + j + 1;
-                        const downloadNumber = downloadCount + j + 1;
-
-                        batch.push(
-                            this.downloadXMLFromRow(rowIndex, downloadNumber)
-                                .then(result => ({ rowIndex, downloadNumber, ...result }))
-                                .catch(error => ({
-                                    rowIndex,
-                                    downloadNumber,
-                                    success: false,
-                                    error: error.message
-                                }))
-                        );
-                    }
+            // Linhas da página na listagem (relatório e conferência com os XMLs no disco)
+            const listed = await this.listPage(window, currentPage).catch(error => {
+                if (this.config.LIST_ONLY) throw error;
+                this.logger.warn(`Erro ao listar as notas da página ${currentPage}: ${error.message} - conferência desativada`);
+                this.listingIncomplete = true;
+                return 0;
+            });
 
-                    // Aguardar lote completar
-                    const batchResults = await Promise.all(batch);
-                    downloadResults.push(...batchResults);
+            // --list-only: seguir para a próxima página, sem baixar
+            if (this.config.LIST_ONLY) {
+                const stat = { window: window.id, page: currentPage, found: rowCount, listed };
+                pageStats.push(stat);
+                windowStats.push(stat);
+                this.emitProgress('page-end', stat);
+                this.logger.info(`📄 Página ${currentPage}: ${listed} nota(s) listada(s)`);
+
+                if (!(await this.checkNextPage())) break;
+                await this.goToNextPage();
+                currentPage++;
+                continue;
+            }
 
-                    // Contar sucessos
-                    const successCount = batchResults.filter(r => r.success).length;
-                    downloadCount += successCount;
+            const resultsBefore = downloadResults.length;
+            const skippedBefore = this.skippedNotes.length;
 
-                    Logger.info(`Lote ${Math.floor(i / CONFIG.PARALLEL_DOWNLOADS) + 1} concluído: ${successCount}/${batchResults.length} sucessos`);
+            // Pular linhas já registradas no ledger (--incremental) ou já baixadas (--resume), antes de qualquer clique
+            const rows = await this.selectRowsToDownload(rowCount, currentPage);
+            const pageResumed = this.pageResumed;
 
-                    // Delay entre lotes
-                    if (i + CONFIG.PARALLEL_DOWNLOADS < rows.length) {
-                        await this.delay(CONFIG.DELAY_BETWEEN_DOWNLOADS);
-                    }
+            // Processar downloads com paralelização otimizada
 
-                    // Garbage collection periódico
-                    if (downloadCount % CONFIG.GARBAGE_COLLECT_INTERVAL === 0) {
-                        if (global.gc) {
-                            global.gc();
-                            Logger.debug('Garbage collection executado');
-                        }
-                    }
-                }
+            if (rows.length === 0) {
+                this.logger.info('Todas as notas desta página já foram baixadas');
+            } else if (this.config.DOWNLOAD_MODE === 'http') {
+                // Requisições diretas com a sessão do browser, sem cliques na tabela
+                const pageResults = await this.downloadPageHTTP(downloadCount, rows);
+                this.trackResults(pageResults);
+                downloadCount += pageResults.filter(r => r.success).length;
+            } else if (this.workerPool && rows.length > 1 && await this.syncWorkers()) {
+                // Workers de download: cada um com página e diretório próprios, linhas de uma fila compartilhada
+                const pageResults = await this.downloadPageWithWorkers(downloadCount, rows);
+                this.trackResults(pageResults);
+                downloadCount += pageResults.filter(r => r.success).length;
             } else {
                 // Processamento sequencial para casos simples
-                Logger.info('Iniciando downloads sequenciais');
+                this.logger.info('Iniciando downloads sequenciais');
+
+                for (const rowIndex of rows) {
+                    // Cancelamento: as linhas restantes ficam para a retomada
+                    if (this.cancelRequested) break;
 
-                for (let i = 0; i < rows.length; i++) {
                     try {
-                        const result = await this.downloadXMLFromRow(i + 1, downloadCount + 1);
-                        downloadResults.push({
-                            rowIndex: i + 1,
+                        const result = await this.downloadXMLFromRow(rowIndex, downloadCount + 1);
+                        this.trackResults([{
+                            rowIndex,
                             downloadNumber: downloadCount + 1,
                             ...result
-                        });
+                        }]);
 
                         if (result.success) {
                             downloadCount++;
                         }
 
                         // Delay entre downloads
-                        await this.delay(CONFIG.DELAY_BETWEEN_DOWNLOADS);
+                        await this.delay(this.config.DELAY_BETWEEN_DOWNLOADS);
 
                     } catch (error) {
-                        Logger.error(`Erro ao baixar XML da linha ${i + 1}: ${error.message}`);
-                        downloadResults.push({
-                            rowIndex: i + 1,
+                        this.logger.error(`Erro ao baixar XML da linha ${rowIndex}: ${error.message}`);
+                        this.trackResults([{
+                            rowIndex,
                             downloadNumber: downloadCount + 1,
                             success: false,
-                            error: error.message
-                        });
+                            error: error.message,
+                            forensics: error.forensics ? error.forensics.dir : undefined
+                        }]);
                     }
                 }
             }
 
+            // Notas encontradas x baixadas nesta página
+            const pageResults = downloadResults.slice(resultsBefore);
+            const pageDownloaded = pageResults.filter(r => r.success).length;
+            const pageSkipped = this.skippedNotes.length - skippedBefore;
+            const stat = {
+                window: window.id,
+                page: currentPage,
+                found: rowCount,
+                downloaded: pageDownloaded,
+                skipped: pageSkipped,
+                resumed: pageResumed,
+                failed: pageResults.length - pageDownloaded
+            };
+            pageStats.push(stat);
+            windowStats.push(stat);
+            this.saveCheckpoint();
+            this.emitProgress('page-end', stat);
+
+            const notes = [
+                pageSkipped ? `${pageSkipped} já no ledger` : null,
+                pageResumed ? `${pageResumed} já baixadas anteriormente` : null
+            ].filter(Boolean);
+            this.logger.info(`📄 Página ${currentPage}: ${pageDownloaded}/${rowCount} XMLs baixados${notes.length ? `, ${notes.join(', ')}` : ''}`);
+
             // Verificar se há próxima página
+            if (this.cancelRequested) {
+                break;
+            }
             const hasNextPage = await this.checkNextPage();
             if (!hasNextPage) {
                 break;
@@ -1383,211 +1502,940 @@ class NFSeDownloader {
             currentPage++;
         }
 
-        // Gerar relatório final detalhado
-        this.totalDownloads = downloadCount;
-        await this.generateFinalReport(downloadResults, totalNotes);
-
-        Logger.success(`Download concluído! Total de XMLs baixados: ${downloadCount}/${totalNotes}`);
+        // Total do portal pode divergir das linhas percorridas; usar o maior
+        const notesListed = windowStats.reduce((sum, stat) => sum + stat.found, 0);
+        if (this.status === 'running' && !this.cancelRequested && notesListed !== totalNotes) {
+            this.logger.warn(`Total informado (${totalNotes}) difere das notas listadas nas páginas (${notesListed})`);
+        }
+        return Math.max(totalNotes, notesListed);
     }
 
-    async downloadXMLFromRow(rowIndex, downloadNumber) {
-        const startTime = Date.now();
-        const context = `Download XML ${downloadNumber} (linha ${rowIndex})`;
-
-        return await RetryManager.executeWithRetry(async () => {
-            Logger.debug(`${context} - Iniciando...`);
-            Logger.updateMetrics('downloads', 'attempted');
+    // Verificar checkpoint de execução anterior (--resume)
+    prepareResume() {
+        const state = this.checkpoint.load();
 
-            // Contar arquivos antes do download
-            const filesBefore = await this.countXMLFiles();
-            const existingFiles = await this.getExistingXMLFiles();
-
-            // Usar seletores otimizados
-            const dropdownSelector = `table tbody tr:nth-child(${rowIndex}) button.dropdown-toggle`;
-
-            // Aguardar e clicar no dropdown com timeout otimizado
-            await this.page.waitForSelector(dropdownSelector, { timeout: CONFIG.ELEMENT_TIMEOUT });
-            await this.page.click(dropdownSelector);
-
-            // Aguardar o menu aparecer (reduzido)
-            await this.delay(300);
-
-            // Procurar e clicar no link XML de forma mais robusta
-            const downloadResult = await this.page.evaluate((rowIdx) => {
-                const row = document.querySelector(`table tbody tr:nth-child(${rowIdx})`);
-                if (!row) return { success: false, reason: 'Row not found' };
-
-                // Procurar por links que contenham "xml" no href ou texto
-                const links = row.querySelectorAll('a');
-                for (let link of links) {
-                    const href = link.href || '';
-                    const text = link.textContent || '';
-                    if (href.toLowerCase().includes('xml') || text.toLowerCase().includes('xml')) {
-                        link.click();
-                        return { success: true, linkText: text.trim(), href };
-                    }
-                }
-                return { success: false, reason: 'XML link not found' };
-            }, rowIndex);
-
-            if (!downloadResult.success) {
-                throw new Error(`Link XML não encontrado: ${downloadResult.reason}`);
+        if (!state) {
+            if (this.config.RESUME) {
+                this.logger.warn('Nenhum checkpoint encontrado - iniciando do zero');
             }
+            return;
+        }
 
-            Logger.debug(`${context} - Link clicado: ${downloadResult.linkText}`);
+        if (!this.config.RESUME) {
+            this.logger.warn(`Checkpoint de execução anterior encontrado (${state.status}, página ${state.currentPage}) - use --resume para continuar de onde parou`);
+            return;
+        }
 
-            // Aguardar download com validação
-            const downloadSuccess = await this.waitForDownloadOptimized(
-                filesBefore,
-                existingFiles,
-                CONFIG.DOWNLOAD_TIMEOUT
-            );
+        if (!this.checkpoint.matches(state, this.company, this.period, this.filters)) {
+            this.logger.warn('Checkpoint pertence a outra empresa, período ou filtros de pesquisa - iniciando do zero');
+            return;
+        }
 
-            if (downloadSuccess.success) {
-                const duration = Date.now() - startTime;
-                Logger.performance('download', duration, {
-                    rowIndex,
-                    downloadNumber,
-                    fileSize: downloadSuccess.fileSize
-                });
+        this.resumeState = state;
+    }
+
+    // Iniciar o estado da execução, restaurando do checkpoint quando --resume
+    startProgress(windows) {
+        const progress = {
+            totalNotes: 0,
+            currentWindow: null,
+            currentPage: 1,
+            windows: windows.map(window => ({
+                ...window,
+                status: 'pending',
+                attempts: 0,
+                notesFound: 0,
+                downloaded: 0,
+                failed: 0,
+                error: null,
+                errorType: null
+            })),
+            downloadResults: [],
+            pageStats: [],
+            listing: [],
+            completed: false
+        };
 
-                Logger.updateMetrics('downloads', 'successful');
-                Logger.updateMetrics('files', 'totalSize', downloadSuccess.fileSize);
-                Logger.updateMetrics('files', 'validXMLs');
+        if (this.resumeState) {
+            // Somente sucessos são restaurados; as falhas serão tentadas novamente
+            progress.downloadResults = this.resumeState.downloadResults.filter(r => r.success);
+            this.counters.downloaded = progress.downloadResults.length;
 
-                Logger.success(`${context} - Concluído em ${duration}ms (${downloadSuccess.fileName})`);
-                return { success: true, fileName: downloadSuccess.fileName };
-            } else {
-                throw new Error(`Download falhou: ${downloadSuccess.reason}`);
-            }
+            // Janelas concluídas sem falhas não são pesquisadas de novo
+            const previous = new Map((this.resumeState.windows || []).map(w => [w.id, w]));
+            progress.windows = progress.windows.map(window => {
+                const done = previous.get(window.id);
+                return done && done.status === 'completed' && done.failed === 0 ? { ...done } : window;
+            });
+            progress.pageStats = (this.resumeState.pageStats || [])
+                .filter(stat => progress.windows.some(w => w.id === stat.window && w.status === 'completed'));
+            progress.listing = (this.resumeState.listing || [])
+                .filter(entry => progress.windows.some(w => w.id === entry.competencia && w.status === 'completed'));
+
+            const where = this.resumeState.currentWindow
+                ? `janela ${this.resumeState.currentWindow}, página ${this.resumeState.currentPage}`
+                : `página ${this.resumeState.currentPage}`;
+            this.logger.info(`▶️  Retomando execução: ${progress.downloadResults.length} XMLs já baixados (interrompida na ${where})`);
+        }
 
-        }, context);
+        this.progress = progress;
+        this.saveCheckpoint();
+        return progress;
     }
 
-    // Função auxiliar para contar arquivos XML
-    async countXMLFiles() {
-        try {
-            const files = fs.readdirSync(CONFIG.DOWNLOAD_DIR);
-            return files.filter(file => file.toLowerCase().endsWith('.xml')).length;
-        } catch (error) {
-            return 0;
+    // Sessão expirada? Novo login, refazer a pesquisa e voltar à página atual.
+    // page/generation: página verificada e sessão que ela usa (workers de download).
+    // Retorna true se houve novo login
+    async recoverSession(page = this.page, generation = this.sessionGeneration) {
+        if (!this.progress || !(await this.adapter.isSessionExpired(page))) {
+            return false;
         }
+
+        this.logger.updateMetrics('session', 'expirations');
+        await this.relogin(generation);
+        return true;
     }
 
-    // Função otimizada para aguardar download com validação
-    async waitForDownloadOptimized(filesBefore, existingFiles, timeout) {
-        const startTime = Date.now();
-        let lastFileCount = filesBefore;
+    // Novo login compartilhado: downloads paralelos que detectam a expiração aguardam o mesmo login.
+    // Expiração detectada com uma sessão já renovada (worker ainda sem os cookies novos) não repete o login
+    relogin(generation = this.sessionGeneration) {
+        if (!this.reloginPromise && generation === this.sessionGeneration) {
+            this.reloginPromise = (async () => {
+                if (this.relogins >= this.config.MAX_RELOGINS) {
+                    throw new SessionExpiredError(`Sessão expirada e limite de ${this.config.MAX_RELOGINS} novo(s) login(s) atingido`, { retryable: false });
+                }
 
-        while (Date.now() - startTime < timeout) {
-            const currentFileCount = await this.countXMLFiles();
+                this.relogins++;
+                this.logger.updateMetrics('session', 'relogins');
+                this.logger.warn(`🔑 Sessão expirada - novo login (${this.relogins}/${this.config.MAX_RELOGINS})`);
 
-            if (currentFileCount > lastFileCount) {
-                // Novo arquivo detectado, aguardar um pouco para garantir que terminou
-                await this.delay(500);
+                await this.login();
+                this.sessionGeneration++;
+                await this.restoreSearchPage();
+            })().finally(() => {
+                this.reloginPromise = null;
+            });
+        }
+        return this.reloginPromise || Promise.resolve();
+    }
 
-                // Encontrar o arquivo mais recente
-                const newFile = await this.findNewestXMLFile();
-                if (newFile) {
-                    // Validar o arquivo com lógica inteligente
-                    const validation = FileValidator.validateDownload(newFile.path, existingFiles);
-
-                    if (validation.valid) {
-                        if (validation.action === 'ignore') {
-                            // Arquivo idêntico - apenas ignorar e reportar sucesso
-                            Logger.info(`📄 Arquivo idêntico ignorado: ${newFile.name}`);
-                            Logger.updateMetrics('files', 'duplicates');
-
-                            // Remover o arquivo baixado já que é idêntico
-                            try {
-                                fs.unlinkSync(newFile.path);
-                            } catch (error) {
-                                Logger.debug(`Erro ao remover arquivo duplicado: ${error.message}`);
-                            }
-
-                            return {
-                                success: true,
-                                fileName: newFile.name,
-                                fileSize: validation.checks.size.size,
-                                validation,
-                                action: 'ignored_duplicate'
-                            };
-                        } else if (validation.action === 'overwrite') {
-                            // Arquivo atualizado - sobrescrever
-                            Logger.info(`🔄 Sobrescrevendo arquivo atualizado: ${newFile.name}`);
-
-                            // Remover arquivo antigo
-                            try {
-                                fs.unlinkSync(validation.checks.duplicate.existingFile);
-                                Logger.debug(`Arquivo antigo removido: ${validation.checks.duplicate.existingFile}`);
-                            } catch (error) {
-                                Logger.warn(`Erro ao remover arquivo antigo: ${error.message}`);
-                            }
-                        }
+    // Após um novo login: refazer a pesquisa da janela atual e avançar até a página em andamento
+    async restoreSearchPage() {
+        const window = this.progress.windows.find(w => w.id === this.progress.currentWindow) || this.period;
+        await this.navigateToReportsAndSearch(window);
 
-                        return {
-                            success: true,
-                            fileName: newFile.name,
-                            fileSize: validation.checks.size.size,
-                            validation,
-                            action: validation.action
-                        };
-                    } else {
-                        Logger.warn(`Arquivo inválido detectado: ${validation.reason}`);
-                        Logger.updateMetrics('downloads', 'failed');
+        for (let page = 1; page < this.progress.currentPage; page++) {
+            await this.goToNextPage();
+        }
+        this.logger.info(`Pesquisa restaurada na página ${this.progress.currentPage}`);
+    }
+
+    // Registrar resultados da página atual e atualizar o checkpoint
+    trackResults(results) {
+        for (const result of results) {
+            const info = this.pageRowInfo.get(result.rowIndex);
+            result.window = this.progress.currentWindow;
+            result.page = this.progress.currentPage;
+            if (info && info.numero !== 'N/A') {
+                result.numero = info.numero;
+                if (this.filters.tipo === 'recebidas') result.prestador = info.prestador;
+            }
+            this.progress.downloadResults.push(result);
+        }
+        this.saveCheckpoint();
+    }
+
+    // Nota já baixada (tentativa anterior da janela ou execução retomada)?
+    // Pelo número (e prestador, nas recebidas); sem número, pela posição na mesma janela
+    wasDownloadedBefore(page, rowIndex, info) {
+        const window = this.progress.currentWindow;
+        const sameNote = result => result.numero === info.numero &&
+            (this.filters.tipo !== 'recebidas' || result.prestador === info.prestador);
+        return this.progress.downloadResults.some(result => result.success && (info.numero !== 'N/A'
+            ? sameNote(result)
+            : !result.numero && result.window === window && result.page === page && result.rowIndex === rowIndex));
+    }
+
+    // Linhas (1-based) a baixar na página atual, excluindo as já registradas no
+    // ledger (--incremental) e as já baixadas antes (--resume / nova tentativa da janela)
+    async selectRowsToDownload(rowCount, currentPage) {
+        const rows = Array.from({ length: rowCount }, (_, i) => i + 1);
+
+        this.pageRowInfo = new Map();
+        this.pageResumed = 0;
+
+        const selected = [];
+        let notRequested = 0;
+        for (const rowIndex of rows) {
+            const info = await this.getNoteInfo(rowIndex);
+            this.pageRowInfo.set(rowIndex, info);
+
+            if (this.onlyNumbers && !this.onlyNumbers.has(normalizeNumero(info.numero))) {
+                notRequested++;
+                this.notRequested++;
+                continue;
+            }
 
-                        // Mover arquivo inválido para pasta de quarentena
-                        await this.quarantineFile(newFile.path, validation);
-                    }
-                }
+            // Notas recebidas: números se repetem entre prestadores, só o código de verificação identifica
+            const identified = this.filters.tipo !== 'recebidas' || !!info.codigoVerificacao;
+            const known = this.config.INCREMENTAL && this.ledger && info.numero !== 'N/A' && identified && this.ledger.has({
+                cnpj: this.ledgerOwner(),
+                numero: info.numero,
+                codigoVerificacao: info.codigoVerificacao
+            });
 
-                lastFileCount = currentFileCount;
+            if (known) {
+                this.skippedNotes.push({ page: currentPage, row: rowIndex, numero: info.numero });
+            } else if (this.wasDownloadedBefore(currentPage, rowIndex, info)) {
+                this.pageResumed++;
+            } else {
+                selected.push(rowIndex);
             }
-
-            await this.delay(100); // Verificar a cada 100ms
         }
 
-        return {
-            success: false,
-            reason: `Timeout após ${timeout}ms - nenhum arquivo válido detectado`
+        if (selected.length + notRequested < rows.length) {
+            this.logger.info(`${rows.length - selected.length - notRequested} nota(s) já baixada(s) puladas nesta página`);
+        }
+        return selected;
+    }
+
+    // Emitir um evento de progresso (ver o topo da classe) e o mesmo evento como 'progress'
+    emitProgress(type, data = {}) {
+        const event = {
+            type,
+            at: new Date().toISOString(),
+            cnpj: this.company.cnpj,
+            ...data,
+            progress: {
+                xmlsDownloaded: this.counters.downloaded,
+                duplicatesDetected: this.counters.duplicates,
+                quarantined: this.counters.quarantined,
+                currentWindow: this.progress ? this.progress.currentWindow : null,
+                currentPage: this.progress ? this.progress.currentPage : 0,
+                totalPages: this.totalPages || (this.progress ? this.progress.currentPage : 0)
+            }
         };
-    }
 
-    // Obter lista de arquivos XML existentes
-    async getExistingXMLFiles() {
+        // Um listener com erro não pode interromper o download
         try {
-            const files = fs.readdirSync(CONFIG.DOWNLOAD_DIR);
-            return files
-                .filter(file => file.toLowerCase().endsWith('.xml'))
-                .map(file => path.join(CONFIG.DOWNLOAD_DIR, file));
+            this.emit(type, event);
+            this.emit('progress', event);
         } catch (error) {
-            return [];
+            this.logger.warn(`Erro em listener do evento '${type}': ${error.message}`);
         }
     }
 
-    // Encontrar o arquivo XML mais recente
-    async findNewestXMLFile() {
-        try {
-            const files = fs.readdirSync(CONFIG.DOWNLOAD_DIR);
-            const xmlFiles = files
-                .filter(file => file.toLowerCase().endsWith('.xml'))
-                .map(file => {
-                    const filePath = path.join(CONFIG.DOWNLOAD_DIR, file);
-                    const stats = fs.statSync(filePath);
-                    return { name: file, path: filePath, mtime: stats.mtime };
-                })
-                .sort((a, b) => b.mtime - a.mtime);
+    emitRowStart(rowIndex, downloadNumber, data = {}) {
+        const info = this.pageRowInfo.get(rowIndex);
+        this.emitProgress('row-start', {
+            row: rowIndex,
+            downloadNumber,
+            numero: info && info.numero !== 'N/A' ? info.numero : null,
+            ...data
+        });
+    }
 
-            return xmlFiles.length > 0 ? xmlFiles[0] : null;
+    // Evento 'done' (uma vez por execução): concluída, interrompida ou com falha
+    emitDone(status, error = null) {
+        if (this.doneEmitted) return;
+        this.doneEmitted = true;
+        this.emitProgress('done', {
+            status,
+            execution: this.report ? this.report.execution : null,
+            reportPath: this.report ? this.report.reportPath : null,
+            error: error ? error.message : null,
+            errorType: error ? error.name : null
+        });
+    }
+
+    // Salvar checkpoint com o progresso atual (falhas não interrompem o download).
+    // --list-only não baixa nada: não há o que retomar
+    saveCheckpoint(status = this.status) {
+        if (!this.progress || this.config.LIST_ONLY) return;
+
+        try {
+            this.checkpoint.save({
+                status,
+                company: { ...this.company, senha: undefined },
+                period: { ...this.period },
+                filters: { ...this.filters },
+                adapter: this.adapter.constructor.id,
+                currentWindow: this.progress.currentWindow,
+                currentPage: this.progress.currentPage,
+                totalNotes: this.progress.totalNotes,
+                windows: this.progress.windows,
+                downloadResults: this.progress.downloadResults,
+                pageStats: this.progress.pageStats,
+                listing: this.progress.listing
+            });
         } catch (error) {
-            return null;
+            this.logger.warn(`Erro ao salvar checkpoint: ${error.message}`);
+        }
+    }
+
+    // Execução interrompida ou com erro: salvar checkpoint e relatório parcial
+    async savePartialProgress(status, error = null) {
+        if (!this.progress || this.progress.completed || this.status !== 'running') return;
+
+        this.status = status;
+        if (this.config.LIST_ONLY) {
+            this.exportListing();
+        } else {
+            this.saveCheckpoint(status);
+            this.logger.warn(`Checkpoint salvo em ${this.checkpoint.filePath} - use --resume para continuar`);
+        }
+
+        const { downloadResults, windows, pageStats } = this.progress;
+        const notesListed = pageStats.reduce((sum, stat) => sum + stat.found, 0);
+        const notesFound = Math.max(windows.reduce((sum, w) => sum + w.notesFound, 0), notesListed);
+        this.totalDownloads = downloadResults.filter(r => r.success).length;
+        await this.generateFinalReport(downloadResults, notesFound, pageStats);
+        this.emitDone(status, error);
+    }
+
+    // Pacote de diagnóstico da falha (lib/forensics.js), anexado ao erro (error.forensics) e
+    // listado no relatório. Uma falha que já tem pacote (ex: pesquisa → janela) não gera outro
+    async captureForensics(step, error, page = this.page, context = {}) {
+        if (!this.config.FORENSICS || !error || this.status !== 'running') return null;
+        if (error.forensics) return error.forensics;
+
+        if (this.forensics.length >= this.config.FORENSICS_LIMIT) {
+            this.logger.debug(`Limite de ${this.config.FORENSICS_LIMIT} pacotes de diagnóstico atingido - ${step} não capturado`);
+            return null;
+        }
+
+        try {
+            const bundle = await captureFailure({
+                page,
+                step,
+                error,
+                dir: this.forensicsDir,
+                context: {
+                    cnpj: this.company.cnpj,
+                    empresa: this.company.nome,
+                    adapter: this.adapter.constructor.id,
+                    period: this.period,
+                    filters: this.filters,
+                    window: this.progress ? this.progress.currentWindow : null,
+                    page: this.progress ? this.progress.currentPage : null,
+                    ...context
+                }
+            });
+            if (bundle.captureError) {
+                this.logger.warn(`Não foi possível salvar o diagnóstico da falha (${step}): ${bundle.captureError}`);
+                return null;
+            }
+            error.forensics = bundle;
+            this.forensics.push(bundle);
+            this.logger.warn(`🔬 Diagnóstico da falha (${step}) salvo em ${bundle.dir}`);
+            return bundle;
+        } catch (captureError) {
+            this.logger.warn(`Não foi possível salvar o diagnóstico da falha (${step}): ${captureError.message}`);
+            return null;
+        }
+    }
+
+    // Interrupção (SIGINT / erro não tratado): preservar o progresso e fechar o browser
+    async interrupt(status = 'interrupted') {
+        await this.savePartialProgress(status);
+        await this.cleanup();
+    }
+
+    // --list-only: linhas da página atual → listagem, com a indicação de já constarem no ledger
+    async listPage(window, currentPage) {
+        const rows = await this.adapter.listRows(this.page);
+
+        for (const row of rows) {
+            // Mesmo critério do modo incremental (recebidas exigem o código de verificação)
+            const identified = this.filters.tipo !== 'recebidas' || !!row.codigoVerificacao;
+            const inLedger = this.ledger && row.numero !== 'N/A' && identified
+                ? this.ledger.has({ cnpj: this.ledgerOwner(), numero: row.numero, codigoVerificacao: row.codigoVerificacao })
+                : null;
+
+            this.progress.listing.push({
+                competencia: window.id,
+                page: currentPage,
+                row: row.rowIndex,
+                numero: row.numero,
+                data: row.data,
+                prestador: row.prestador,
+                valor: row.valor,
+                codigoVerificacao: row.codigoVerificacao || null,
+                xmlUrl: row.xmlUrl || null,
+                pdfUrl: row.pdfUrl || null,
+                inLedger,
+                colunas: row.colunas || {}
+            });
+        }
+        return rows.length;
+    }
+
+    // Gravar a listagem (--list-only) no diretório de download, em LIST_FORMAT
+    exportListing() {
+        try {
+            this.listingPath = writeListing(this.progress.listing, this.downloadDir, this.config.LIST_FORMAT);
+            this.logger.info(`📋 Listagem salva em: ${this.listingPath}`);
+        } catch (error) {
+            this.logger.error(`Erro ao salvar a listagem: ${error.message}`);
+        }
+    }
+
+    // Conferir a listagem do portal com os XMLs no disco (lib/reconcile.js); null se desativada
+    reconcileListing() {
+        if (!this.config.RECONCILE || this.listingIncomplete || !this.progress) return null;
+
+        try {
+            const notes = scanNotes(this.downloadDir);
+            if (path.relative(this.downloadDir, this.organizedDir).startsWith('..')) {
+                notes.push(...scanNotes(this.organizedDir));
+            }
+
+            // XMLs não listados só são "extras" se a pesquisa cobriu o período inteiro
+            const complete = coversWholePeriod(this.filters) && !this.onlyNumbers &&
+                this.progress.windows.every(w => w.status === 'completed');
+
+            const result = reconcile(this.progress.listing, notes, {
+                cnpj: this.company.cnpj,
+                tipo: this.filters.tipo,
+                period: this.period,
+                complete
+            });
+
+            const { matched, divergent, missing, extra } = result.summary;
+            this.logger.info(`🔎 Conferência com os XMLs no disco: ${matched} ok, ${missing} faltando, ${divergent} divergente(s), ${extra} extra(s)`);
+            return result;
+        } catch (error) {
+            this.logger.warn(`Erro na conferência da listagem: ${error.message}`);
+            return null;
+        }
+    }
+
+    // Dono das entradas no ledger: notas recebidas ficam separadas das emitidas da empresa
+    ledgerOwner() {
+        return this.filters.tipo === 'recebidas' ? `${this.company.cnpj}/recebidas` : this.company.cnpj;
+    }
+
+    // Registrar arquivo válido no ledger (falhas não interrompem o download)
+    recordInLedger(filePath) {
+        if (!this.ledger || !this.config.LEDGER) return;
+
+        try {
+            const entry = this.ledger.recordFile(this.ledgerOwner(), filePath, {
+                period: `${this.period.start}/${this.period.end}`
+            });
+            if (!entry) {
+                this.logger.debug(`Ledger: número da NFSe não encontrado em ${path.basename(filePath)}`);
+            }
+        } catch (error) {
+            this.logger.warn(`Erro ao registrar no ledger: ${error.message}`);
+        }
+    }
+
+    // worker: worker de download (lib/worker-pool.js); sem worker, usa a página principal
+    async downloadXMLFromRow(rowIndex, downloadNumber, worker = null) {
+        const startTime = Date.now();
+        const context = `Download XML ${downloadNumber} (linha ${rowIndex}${worker ? `, worker ${worker.id}` : ''})`;
+        const page = worker ? worker.page : this.page;
+        const tracker = worker ? worker.tracker : this.downloadTracker;
+        const downloadDir = worker ? worker.downloadDir : this.downloadDir;
+        let xmlPath = null;
+        this.emitRowStart(rowIndex, downloadNumber, { worker: worker ? worker.id : null });
+
+        const result = await this.retry.executeWithRetry(async () => {
+            this.logger.debug(`${context} - Iniciando...`);
+            this.logger.updateMetrics('downloads', 'attempted');
+
+            // A tentativa anterior pode ter falhado por sessão expirada
+            if (worker) {
+                // Worker: receber os cookies de um novo login e reabrir a página de resultados
+                await this.prepareWorker(worker);
+                if (await this.recoverSession(worker.page, worker.generation)) {
+                    await this.prepareWorker(worker);
+                }
+            } else {
+                await this.recoverSession();
+            }
+
+            // Contar arquivos antes do download
+            const filesBefore = await this.countXMLFiles(downloadDir);
+            const existingFiles = await this.getExistingXMLFiles();
+
+            // Registrar a espera antes do clique para associar o download a esta linha
+            const pending = tracker ? tracker.expect(rowIndex) : null;
+
+            // Disparar o download da linha via adaptador do portal
+            let downloadResult;
+            try {
+                downloadResult = await this.adapter.triggerRowDownload(page, rowIndex);
+            } catch (error) {
+                if (pending) pending.cancel();
+                throw error;
+            }
+
+            if (!downloadResult.success) {
+                if (pending) pending.cancel();
+                throw new LayoutChangedError(`Link XML não encontrado: ${downloadResult.reason}`);
+            }
+
+            this.logger.debug(`${context} - Link clicado: ${downloadResult.linkText}`);
+
+            // Aguardar download com validação
+            const downloadSuccess = pending
+                ? await this.waitForTrackedDownload(pending, downloadResult.href, existingFiles, context)
+                : await this.waitForDownloadOptimized(
+                    filesBefore,
+                    existingFiles,
+                    this.config.DOWNLOAD_TIMEOUT,
+                    downloadDir
+                );
+
+            if (downloadSuccess.success) {
+                xmlPath = downloadSuccess.filePath;
+                return this.recordDownloadSuccess(context, startTime, rowIndex, downloadNumber, downloadSuccess);
+            } else {
+                throw this.downloadError(downloadSuccess);
+            }
+
+        }, context).catch(async error => {
+            // Esgotadas as tentativas: diagnóstico com a página que tentou o download
+            await this.captureForensics(`download-linha-${rowIndex}`, error, page, {
+                rowIndex, downloadNumber, worker: worker ? worker.id : null
+            });
+            throw error;
+        });
+
+        // Falha no PDF não invalida o XML nem dispara nova tentativa do XML
+        if (this.config.DOWNLOAD_PDF) {
+            result.pdf = await this.downloadPdfForRow(rowIndex, xmlPath, context, page);
+        }
+        return result;
+    }
+
+    // Abrir a página de resultados atual em todos os workers. false se algum não a
+    // reproduzir (ex: paginação via JavaScript, sem URL própria): página baixada sequencialmente
+    async syncWorkers() {
+        this.workerTarget = {
+            url: this.page.url(),
+            firstRow: JSON.stringify(await this.adapter.getRowInfo(this.page, 1))
+        };
+
+        try {
+            await Promise.all(this.workerPool.workers.map(worker => this.prepareWorker(worker)));
+            return true;
+        } catch (error) {
+            this.logger.warn(`Workers de download indisponíveis nesta página (${error.message}) - usando downloads sequenciais`);
+            return false;
+        }
+    }
+
+    // Worker com os cookies da sessão atual e a mesma página de resultados da página principal
+    async prepareWorker(worker) {
+        const target = this.workerTarget;
+
+        if (worker.generation !== this.sessionGeneration) {
+            const cookies = await this.page.cookies();
+            await worker.page.setCookie(...cookies);
+            worker.generation = this.sessionGeneration;
+            worker.resultsUrl = null;
+        }
+
+        if (worker.resultsUrl !== target.url) {
+            await this.adapter.openResults(worker.page, target.url);
+
+            const firstRow = JSON.stringify(await this.adapter.getRowInfo(worker.page, 1));
+            if (firstRow !== target.firstRow) {
+                throw new LayoutChangedError(`Worker ${worker.id} não reproduziu a página de resultados (${target.url})`);
+            }
+            worker.resultsUrl = target.url;
+        }
+    }
+
+    // Baixar as linhas da página atual com os workers (fila compartilhada)
+    async downloadPageWithWorkers(downloadCount, rows) {
+        this.logger.info(`Iniciando downloads paralelos (${this.workerPool.workers.length} workers)`);
+        let downloadNumber = downloadCount;
+
+        const results = await this.workerPool.run(rows, async (rowIndex, worker) => {
+            const base = { rowIndex, downloadNumber: ++downloadNumber, worker: worker.id };
+
+            try {
+                const result = await this.downloadXMLFromRow(rowIndex, base.downloadNumber, worker);
+                await this.delay(this.config.DELAY_BETWEEN_DOWNLOADS);
+                return { ...base, ...result };
+            } catch (error) {
+                this.logger.error(`Erro ao baixar XML da linha ${rowIndex} (worker ${worker.id}): ${error.message}`);
+                return { ...base, success: false, error: error.message, forensics: error.forensics ? error.forensics.dir : undefined };
+            }
+        });
+
+        // Linhas não iniciadas (execução interrompida) ficam para a retomada
+        return results.filter(Boolean);
+    }
+
+    // Baixar os XMLs da página atual via HTTP, reaproveitando os cookies da sessão
+    async downloadPageHTTP(downloadCount, rows) {
+        const links = (await this.adapter.collectDownloadLinks(this.page))
+            .filter(link => rows.includes(link.rowIndex));
+        const urls = [...new Set(links.filter(link => link.href).map(link => link.href.split('?')[0]))];
+        const cookies = await this.page.cookies(this.page.url(), ...urls);
+
+        const client = new HttpDownloader({
+            downloadDir: this.downloadDir,
+            cookies,
+            userAgent: this.network.userAgent || await this.browser.userAgent(),
+            referer: this.page.url(),
+            timeout: this.config.DOWNLOAD_TIMEOUT,
+            network: this.network
+        });
+
+        this.logger.info(`Iniciando downloads HTTP de ${links.length} XMLs (máximo ${this.config.HTTP_CONCURRENCY} simultâneos)`);
+
+        const results = await mapWithConcurrency(links, this.config.HTTP_CONCURRENCY, async (link, index) => {
+            const downloadNumber = downloadCount + index + 1;
+            const base = { rowIndex: link.rowIndex, downloadNumber };
+
+            if (!link.href) {
+                this.logger.warn(`Download HTTP ${downloadNumber} (linha ${link.rowIndex}) - link XML não encontrado`);
+                return { ...base, success: false, error: 'Link XML não encontrado na linha' };
+            }
+
+            try {
+                return { ...base, ...(await this.downloadXMLFromUrl(client, link.href, link.rowIndex, downloadNumber)) };
+            } catch (error) {
+                return { ...base, success: false, error: error.message, forensics: error.forensics ? error.forensics.dir : undefined };
+            }
+        }, { signal: this.signal });
+
+        // Links não iniciados (execução cancelada) ficam para a retomada
+        return results.filter(Boolean);
+    }
+
+    async downloadXMLFromUrl(client, url, rowIndex, downloadNumber) {
+        const startTime = Date.now();
+        const context = `Download HTTP ${downloadNumber} (linha ${rowIndex})`;
+        let xmlPath = null;
+        this.emitRowStart(rowIndex, downloadNumber);
+
+        const result = await this.retry.executeWithRetry(async () => {
+            this.logger.debug(`${context} - GET ${url}`);
+            this.logger.updateMetrics('downloads', 'attempted');
+
+            const existingFiles = await this.getExistingXMLFiles();
+            const file = await client.download(url);
+
+            // Redirecionado para o login: descartar a resposta, logar de novo e repetir com os novos cookies
+            if (this.adapter.isLoginUrl(file.finalUrl)) {
+                fs.rmSync(file.filePath, { force: true });
+                this.logger.updateMetrics('session', 'expirations');
+                await this.relogin();
+                client.cookies = await this.page.cookies(url);
+                throw new SessionExpiredError();
+            }
+
+            const downloadSuccess = await this.processDownloadedFile({ name: file.fileName, path: file.filePath }, existingFiles);
+
+            if (!downloadSuccess.success) {
+                throw this.downloadError(downloadSuccess);
+            }
+
+            xmlPath = downloadSuccess.filePath;
+            return this.recordDownloadSuccess(context, startTime, rowIndex, downloadNumber, downloadSuccess);
+        }, context).catch(async error => {
+            // Sem página no modo http: o pacote traz o erro e o contexto da requisição
+            await this.captureForensics(`download-linha-${rowIndex}`, error, null, {
+                rowIndex, downloadNumber, url
+            });
+            throw error;
+        });
+
+        if (this.config.DOWNLOAD_PDF) {
+            result.pdf = await this.downloadPdfForRow(rowIndex, xmlPath, context);
+        }
+        return result;
+    }
+
+    // DANFSe (PDF) da linha, salvo ao lado do XML com o mesmo nome base: { success, fileName, size, source } ou { success: false, error }
+    async downloadPdfForRow(rowIndex, xmlPath, context, page = this.page) {
+        const pdfPath = xmlPath.replace(/\.xml$/i, '') + '.pdf';
+
+        try {
+            const href = await this.adapter.getPdfLink(page, rowIndex);
+            if (!href) {
+                throw new Error('Link do PDF/impressão não encontrado na linha');
+            }
+
+            const pdf = await this.retry.executeWithRetry(() => this.fetchPdf(href, pdfPath), `${context} - PDF`);
+
+            this.logger.updateMetrics('files', 'validPDFs');
+            this.logger.debug(`${context} - PDF salvo (${pdf.source}): ${path.basename(pdfPath)}`);
+            return { success: true, fileName: path.basename(pdfPath), size: pdf.size, source: pdf.source };
+        } catch (error) {
+            this.logger.updateMetrics('files', 'failedPDFs');
+            this.logger.warn(`${context} - PDF não baixado: ${error.message}`);
+            return { success: false, error: error.message };
+        }
+    }
+
+    // Baixar o PDF com os cookies da sessão; se o portal devolver a página de
+    // impressão (HTML), renderizá-la com o Chrome. Retorna { size, source }
+    async fetchPdf(href, pdfPath) {
+        // Diretório temporário próprio por PDF: o polling de XMLs não enxerga o arquivo em andamento.
+        // Dentro de downloadDir para que o rename final não cruze sistemas de arquivos
+        const tempDir = fs.mkdtempSync(path.join(this.downloadDir, '.pdf-tmp-'));
+
+        try {
+            const client = new HttpDownloader({
+                downloadDir: tempDir,
+                cookies: await this.page.cookies(href),
+                userAgent: this.network.userAgent || await this.browser.userAgent(),
+                referer: this.page.url(),
+                timeout: this.config.DOWNLOAD_TIMEOUT,
+                network: this.network
+            });
+
+            const file = await client.download(href);
+            let source = 'download';
+
+            const header = fs.readFileSync(file.filePath).subarray(0, 5).toString('latin1');
+            if (header === '%PDF-') {
+                fs.renameSync(file.filePath, pdfPath);
+            } else {
+                fs.rmSync(file.filePath, { force: true });
+                await this.renderPrintPage(href, pdfPath);
+                source = 'print';
+            }
+
+            const validation = this.validator.validatePDF(pdfPath);
+            if (!validation.valid) {
+                await this.quarantineFile(pdfPath, validation);
+                throw new Error(`PDF inválido: ${validation.reason}`);
+            }
+
+            return { size: validation.size, source };
+        } finally {
+            fs.rmSync(tempDir, { recursive: true, force: true });
+        }
+    }
+
+    // Renderizar a página de impressão da nota em PDF, em uma aba do mesmo contexto (mesma sessão)
+    async renderPrintPage(href, pdfPath) {
+        const tab = await this.page.browserContext().newPage();
+        try {
+            // Sem bloqueio de recursos: imagens e estilos fazem parte do DANFSe
+            await this.network.apply(tab, { blocking: false });
+            await tab.goto(href, { waitUntil: 'networkidle2', timeout: this.config.TIMEOUT });
+            await tab.pdf({ path: pdfPath, format: 'A4', printBackground: true });
+        } finally {
+            await tab.close().catch(() => {});
+        }
+    }
+
+    // Falha de download { reason, timeout?, invalid? } → erro tipado (define a política de retry)
+    downloadError(result) {
+        const message = `Download falhou: ${result.reason}`;
+        if (result.invalid) return new InvalidXMLError(message);
+        if (result.timeout) return new DownloadTimeoutError(message);
+        return new NFSeError(message);
+    }
+
+    // Métricas e log de um download concluído (modos browser e http)
+    recordDownloadSuccess(context, startTime, rowIndex, downloadNumber, downloadSuccess) {
+        const duration = Date.now() - startTime;
+        this.logger.performance('download', duration, {
+            rowIndex,
+            downloadNumber,
+            fileSize: downloadSuccess.fileSize
+        });
+
+        this.logger.updateMetrics('downloads', 'successful');
+        this.logger.updateMetrics('files', 'totalSize', downloadSuccess.fileSize);
+        this.logger.updateMetrics('files', 'validXMLs');
+
+        this.logger.success(`${context} - Concluído em ${duration}ms (${downloadSuccess.fileName})`);
+        this.counters.downloaded++;
+        this.emitProgress('download-complete', {
+            row: rowIndex,
+            downloadNumber,
+            fileName: downloadSuccess.fileName,
+            fileSize: downloadSuccess.fileSize,
+            duration,
+            action: downloadSuccess.action
+        });
+        return { success: true, fileName: downloadSuccess.fileName };
+    }
+
+    // Função auxiliar para contar arquivos XML
+    async countXMLFiles(downloadDir = this.downloadDir) {
+        try {
+            const files = fs.readdirSync(downloadDir);
+            return files.filter(file => file.toLowerCase().endsWith('.xml')).length;
+        } catch (error) {
+            return 0;
+        }
+    }
+
+    // Aguardar o download associado à linha (eventos CDP) e validar o arquivo
+    async waitForTrackedDownload(pending, href, existingFiles, context) {
+        pending.setHref(href);
+
+        const download = await pending.wait(this.config.DOWNLOAD_TIMEOUT);
+        if (!download.success) {
+            return { success: false, timeout: !!download.timeout, reason: download.reason };
+        }
+
+        this.logger.debug(`${context} - Download concluído: ${download.suggestedFilename} (${download.size} bytes)`);
+        return this.processDownloadedFile({ name: download.fileName, path: download.filePath }, existingFiles);
+    }
+
+    // Função otimizada para aguardar download com validação (fallback sem eventos CDP)
+    async waitForDownloadOptimized(filesBefore, existingFiles, timeout, downloadDir = this.downloadDir) {
+        const startTime = Date.now();
+        let lastFileCount = filesBefore;
+
+        while (Date.now() - startTime < timeout) {
+            const currentFileCount = await this.countXMLFiles(downloadDir);
+
+            if (currentFileCount > lastFileCount) {
+                // Novo arquivo detectado, aguardar um pouco para garantir que terminou
+                await this.delay(500);
+
+                // Encontrar o arquivo mais recente
+                const newFile = await this.findNewestXMLFile(downloadDir);
+                if (newFile) {
+                    const result = await this.processDownloadedFile(newFile, existingFiles);
+                    if (result.success) {
+                        return result;
+                    }
+                }
+
+                lastFileCount = currentFileCount;
+            }
+
+            await this.delay(100); // Verificar a cada 100ms
+        }
+
+        return {
+            success: false,
+            timeout: true,
+            reason: `Timeout após ${timeout}ms - nenhum arquivo válido detectado`
+        };
+    }
+
+    // Validar arquivo recém-baixado { name, path }: ignora idênticos, sobrescreve
+    // atualizados e move inválidos para a quarentena
+    async processDownloadedFile(newFile, existingFiles) {
+        // Validar o arquivo com lógica inteligente
+        const validation = this.validator.validateDownload(newFile.path, existingFiles);
+
+        if (validation.valid) {
+            if (validation.action === 'ignore') {
+                // Arquivo idêntico - apenas ignorar e reportar sucesso
+                this.logger.info(`📄 Arquivo idêntico ignorado: ${newFile.name}`);
+                this.logger.updateMetrics('files', 'duplicates');
+                this.counters.duplicates++;
+                this.emitProgress('duplicate', {
+                    fileName: newFile.name,
+                    existingFile: path.basename(validation.checks.duplicate.existingFile)
+                });
+                this.recordInLedger(newFile.path);
+
+                // Remover o arquivo baixado já que é idêntico
+                try {
+                    fs.unlinkSync(newFile.path);
+                } catch (error) {
+                    this.logger.debug(`Erro ao remover arquivo duplicado: ${error.message}`);
+                }
+
+                return {
+                    success: true,
+                    fileName: newFile.name,
+                    filePath: validation.checks.duplicate.existingFile,
+                    fileSize: validation.checks.size.size,
+                    validation,
+                    action: 'ignored_duplicate'
+                };
+            } else if (validation.action === 'overwrite') {
+                // Arquivo atualizado - sobrescrever
+                this.logger.info(`🔄 Sobrescrevendo arquivo atualizado: ${newFile.name}`);
+
+                // Remover arquivo antigo
+                try {
+                    fs.unlinkSync(validation.checks.duplicate.existingFile);
+                    this.logger.debug(`Arquivo antigo removido: ${validation.checks.duplicate.existingFile}`);
+                } catch (error) {
+                    this.logger.warn(`Erro ao remover arquivo antigo: ${error.message}`);
+                }
+            }
+
+            // Arquivo baixado por um worker: mover para o diretório de download
+            const filePath = this.adoptDownloadedFile(newFile.path);
+            this.recordInLedger(filePath);
+
+            return {
+                success: true,
+                fileName: path.basename(filePath),
+                filePath,
+                fileSize: validation.checks.size.size,
+                validation,
+                action: validation.action
+            };
+        }
+
+        this.logger.warn(`Arquivo inválido detectado: ${validation.reason}`);
+        this.logger.updateMetrics('downloads', 'failed');
+
+        // Mover arquivo inválido para pasta de quarentena
+        await this.quarantineFile(newFile.path, validation);
+
+        return { success: false, invalid: true, reason: validation.reason };
+    }
+
+    // Mover arquivo validado do diretório de um worker para o diretório de download
+    adoptDownloadedFile(filePath) {
+        if (path.resolve(path.dirname(filePath)) === path.resolve(this.downloadDir)) {
+            return filePath;
+        }
+
+        const destPath = uniquePath(this.downloadDir, path.basename(filePath));
+        fs.renameSync(filePath, destPath);
+        return destPath;
+    }
+
+    // Obter lista de arquivos XML existentes
+    async getExistingXMLFiles() {
+        try {
+            const files = fs.readdirSync(this.downloadDir);
+            return files
+                .filter(file => file.toLowerCase().endsWith('.xml'))
+                .map(file => path.join(this.downloadDir, file));
+        } catch (error) {
+            return [];
+        }
+    }
+
+    // Encontrar o arquivo XML mais recente
+    async findNewestXMLFile(downloadDir = this.downloadDir) {
+        try {
+            const files = fs.readdirSync(downloadDir);
+            const xmlFiles = files
+                .filter(file => file.toLowerCase().endsWith('.xml'))
+                .map(file => {
+                    const filePath = path.join(downloadDir, file);
+                    const stats = fs.statSync(filePath);
+                    return { name: file, path: filePath, mtime: stats.mtime };
+                })
+                .sort((a, b) => b.mtime - a.mtime);
+
+            return xmlFiles.length > 0 ? xmlFiles[0] : null;
+        } catch (error) {
+            return null;
         }
     }
 
     // Mover arquivo para quarentena
     async quarantineFile(filePath, validation) {
         try {
-            const quarantineDir = path.join(CONFIG.DOWNLOAD_DIR, 'quarantine');
+            const quarantineDir = path.join(this.downloadDir, 'quarantine');
             if (!fs.existsSync(quarantineDir)) {
                 fs.mkdirSync(quarantineDir, { recursive: true });
             }
@@ -1601,9 +2449,17 @@ class NFSeDownloader {
             const reportPath = quarantinePath + '.validation.json';
             fs.writeFileSync(reportPath, JSON.stringify(validation, null, 2));
 
-            Logger.warn(`Arquivo movido para quarentena: ${quarantinePath}`);
+            this.logger.warn(`Arquivo movido para quarentena: ${quarantinePath}`);
+            // Motivo: o primeiro check que falhou (validation.reason descreve a ação sobre duplicatas)
+            const failedCheck = Object.values(validation.checks || {}).find(check => check && check.valid === false);
+            this.counters.quarantined++;
+            this.emitProgress('quarantine', {
+                fileName,
+                quarantinePath,
+                reason: failedCheck ? failedCheck.reason : validation.reason
+            });
         } catch (error) {
-            Logger.error(`Erro ao mover arquivo para quarentena: ${error.message}`);
+            this.logger.error(`Erro ao mover arquivo para quarentena: ${error.message}`);
         }
     }
 
@@ -1615,25 +2471,12 @@ class NFSeDownloader {
 
     async getNoteInfo(rowIndex) {
         try {
-            const rowSelector = `table tbody tr:nth-child(${rowIndex})`;
-
-            const noteInfo = await this.page.evaluate((selector) => {
-                const row = document.querySelector(selector);
-                if (!row) return null;
-
-                const cells = row.querySelectorAll('td');
-                return {
-                    numero: cells[0]?.textContent?.trim() || 'N/A',
-                    data: cells[1]?.textContent?.trim() || 'N/A',
-                    prestador: cells[2]?.textContent?.trim() || 'N/A',
-                    valor: cells[3]?.textContent?.trim() || 'N/A'
-                };
-            }, rowSelector);
+            const noteInfo = await this.adapter.getRowInfo(this.page, rowIndex);
 
             return noteInfo || { numero: 'N/A', data: 'N/A', prestador: 'N/A', valor: 'N/A' };
 
         } catch (error) {
-            Logger.warn(`Erro ao obter informações da nota: ${error.message}`);
+            this.logger.warn(`Erro ao obter informações da nota: ${error.message}`);
             return { numero: 'N/A', data: 'N/A', prestador: 'N/A', valor: 'N/A' };
         }
     }
@@ -1646,28 +2489,28 @@ class NFSeDownloader {
 
     async waitForDownload() {
         return new Promise((resolve) => {
-            Logger.debug('Aguardando download...');
+            this.logger.debug('Aguardando download...');
             const startTime = Date.now();
             const timeout = setTimeout(() => {
-                Logger.warn('Timeout aguardando download');
+                this.logger.warn('Timeout aguardando download');
                 resolve(null);
-            }, CONFIG.TIMEOUT);
+            }, this.config.TIMEOUT);
 
-            const initialFiles = fs.readdirSync(CONFIG.DOWNLOAD_DIR);
-            Logger.debug(`Arquivos iniciais: ${initialFiles.length}`);
+            const initialFiles = fs.readdirSync(this.downloadDir);
+            this.logger.debug(`Arquivos iniciais: ${initialFiles.length}`);
 
             const checkForNewFile = () => {
                 try {
-                    const currentFiles = fs.readdirSync(CONFIG.DOWNLOAD_DIR);
+                    const currentFiles = fs.readdirSync(this.downloadDir);
                     const newFiles = currentFiles.filter(f => !initialFiles.includes(f));
                     const xmlFiles = newFiles.filter(f => f.endsWith('.xml') && !this.downloadedFiles.includes(f));
 
-                    Logger.debug(`Verificando arquivos... Novos: ${newFiles.length}, XMLs: ${xmlFiles.length}`);
+                    this.logger.debug(`Verificando arquivos... Novos: ${newFiles.length}, XMLs: ${xmlFiles.length}`);
 
                     if (xmlFiles.length > 0) {
                         clearTimeout(timeout);
                         const downloadTime = Date.now() - startTime;
-                        Logger.debug(`Download detectado em ${downloadTime}ms: ${xmlFiles[0]}`);
+                        this.logger.debug(`Download detectado em ${downloadTime}ms: ${xmlFiles[0]}`);
                         resolve(xmlFiles[0]);
                     } else {
                         // Verificar também arquivos .crdownload (Chrome) ou .part (Firefox)
@@ -1676,13 +2519,13 @@ class NFSeDownloader {
                         );
 
                         if (partialFiles.length > 0) {
-                            Logger.debug(`Download em progresso: ${partialFiles[0]}`);
+                            this.logger.debug(`Download em progresso: ${partialFiles[0]}`);
                         }
 
                         setTimeout(checkForNewFile, 500);
                     }
                 } catch (error) {
-                    Logger.debug(`Erro ao verificar arquivos: ${error.message}`);
+                    this.logger.debug(`Erro ao verificar arquivos: ${error.message}`);
                     setTimeout(checkForNewFile, 500);
                 }
             };
@@ -1694,8 +2537,7 @@ class NFSeDownloader {
 
     async checkNextPage() {
         try {
-            const nextButton = await this.page.$('a:contains("Próxima"), a:contains(">>"), .pagination .next');
-            return nextButton !== null;
+            return await this.adapter.hasNextPage(this.page);
         } catch (error) {
             return false;
         }
@@ -1703,13 +2545,11 @@ class NFSeDownloader {
 
     async goToNextPage() {
         try {
-            await Promise.all([
-                this.page.waitForNavigation({ waitUntil: 'networkidle2' }),
-                this.page.click('a:contains("Próxima"), a:contains(">>"), .pagination .next')
-            ]);
-            Logger.info('Navegando para próxima página...');
+            await this.adapter.goToNextPage(this.page);
+            this.logger.info('Navegando para próxima página...');
         } catch (error) {
-            throw new Error(`Erro ao navegar para próxima página: ${error.message}`);
+            error.message = `Erro ao navegar para próxima página: ${error.message}`;
+            throw error;
         }
     }
 
@@ -1718,82 +2558,139 @@ class NFSeDownloader {
     }
 
     async cleanup() {
-        if (this.browser) {
+        if (this.workerPool) {
+            // Downloads tardios dos workers: validados como os demais (inválidos vão para a quarentena)
+            await this.workerPool.close(async file => {
+                try {
+                    const result = await this.processDownloadedFile(file, await this.getExistingXMLFiles());
+                    if (result.success && result.action !== 'ignored_duplicate') {
+                        this.logger.info(`📥 Download tardio mantido: ${result.fileName}`);
+                    }
+                } catch (error) {
+                    this.logger.warn(`Erro ao validar download tardio ${file.name}: ${error.message}`);
+                }
+            });
+            this.workerPool = null;
+        }
+
+        if (this.downloadTracker) {
+            await this.downloadTracker.detach();
+            this.downloadTracker = null;
+        }
+
+        if (this.context) {
+            // Browser compartilhado: fechar apenas o contexto desta execução
+            await this.context.close();
+            this.context = null;
+            this.logger.info('Contexto do browser fechado');
+        } else if (this.browser) {
             await this.browser.close();
-            Logger.info('Browser fechado');
+            this.logger.info('Browser fechado');
+        }
+        this.browser = null;
+    }
+
+    // Cancelamento pedido pelo AbortSignal de run()
+    get cancelRequested() {
+        return Boolean(this.signal && this.signal.aborted);
+    }
+
+    // Parar de distribuir linhas aos workers; downloads em andamento terminam normalmente
+    onCancel() {
+        if (this.status !== 'running') return;
+
+        this.logger.warn('⏹️  Cancelamento solicitado: aguardando os downloads em andamento...');
+        if (this.workerPool) {
+            this.workerPool.stop();
         }
+        this.emitProgress('cancel-requested', {});
     }
 
-    async run() {
+    // options.signal: AbortSignal para cancelamento cooperativo (ver o comentário da classe)
+    async run({ signal = null } = {}) {
+        this.signal = signal;
+        const onAbort = () => this.onCancel();
+        if (signal) {
+            signal.addEventListener('abort', onAbort, { once: true });
+        }
+
         try {
-            Logger.debug('=== INICIANDO EXECUÇÃO ===');
+            this.logger.debug('=== INICIANDO EXECUÇÃO ===');
 
-            Logger.debug('Passo 1: Inicialização');
+            this.logger.debug('Passo 1: Inicialização');
             await this.init();
+            if (!this.config.LIST_ONLY) {
+                this.prepareResume();
+            }
 
-            Logger.debug('Passo 2: Login');
+            this.logger.debug('Passo 2: Login');
             await this.login();
 
-            Logger.debug('Passo 3: Navegação direta para relatórios com pesquisa');
-            await this.navigateToReportsAndSearch();
-
-            Logger.debug('Passo 6: Download de XMLs');
+            this.logger.debug('Passo 3: Pesquisa e download de XMLs (por janela do período)');
             await this.downloadAllXMLs();
 
-            if (CONFIG.AUTO_ORGANIZE) {
-                Logger.debug('Passo 7: Organização automática de arquivos');
+            if (this.config.AUTO_ORGANIZE && !this.config.LIST_ONLY) {
+                this.logger.debug('Passo 7: Organização automática de arquivos');
                 await this.organizeDownloadedFiles();
             }
 
-            Logger.debug('Passo 8: Relatório final');
+            this.logger.debug('Passo 8: Relatório final');
             this.generateReport();
 
-            Logger.debug('=== EXECUÇÃO CONCLUÍDA ===');
+            this.logger.debug('=== EXECUÇÃO CONCLUÍDA ===');
+            if (this.status === 'completed' || this.status === 'cancelled') {
+                this.emitDone(this.status);
+            }
+
+            return this.report;
 
         } catch (error) {
-            Logger.error(`Erro durante execução: ${error.message}`);
-            if (CONFIG.DEBUG) {
-                Logger.error(`Stack trace: ${error.stack}`);
-                // Tentar screenshot de erro
-                try {
-                    if (this.page) {
-                        await this.page.screenshot({ path: 'debug-error.png' });
-                        Logger.debug('Screenshot de erro salvo: debug-error.png');
-                    }
-                } catch (screenshotError) {
-                    Logger.debug(`Erro ao salvar screenshot: ${screenshotError.message}`);
-                }
+            this.logger.error(`Erro durante execução: ${error.message}`);
+            // Antes do relatório parcial, para que ele aponte o pacote de diagnóstico
+            await this.captureForensics('execucao', error);
+            await this.savePartialProgress('failed', error);
+            this.emitDone('failed', error);
+            if (this.config.DEBUG) {
+                this.logger.error(`Stack trace: ${error.stack}`);
             }
             throw error;
         } finally {
-            Logger.debug('Executando limpeza...');
+            if (signal) {
+                signal.removeEventListener('abort', onAbort);
+            }
+            this.logger.debug('Executando limpeza...');
             await this.cleanup();
         }
     }
 
     generateReport() {
-        Logger.info('='.repeat(50));
-        Logger.info('RELATÓRIO DE DOWNLOAD');
-        Logger.info('='.repeat(50));
-        Logger.info(`Período: ${CONFIG.DATA_INICIAL} a ${CONFIG.DATA_FINAL}`);
-        Logger.info(`CNPJ: ${CONFIG.CNPJ}`);
-        Logger.info(`Total de XMLs baixados: ${this.totalDownloads}`);
-        Logger.info(`Diretório: ${CONFIG.DOWNLOAD_DIR}`);
-        Logger.info('='.repeat(50));
+        this.logger.info('='.repeat(50));
+        this.logger.info('RELATÓRIO DE DOWNLOAD');
+        this.logger.info('='.repeat(50));
+        this.logger.info(`Período: ${this.period.start} a ${this.period.end}`);
+        this.logger.info(`CNPJ: ${this.company.cnpj} (notas ${this.filters.tipo}, ${this.filters.situacao})`);
+        if (this.config.LIST_ONLY) {
+            this.logger.info(`Notas listadas: ${this.progress ? this.progress.listing.length : 0} (sem downloads)`);
+            this.logger.info(`Listagem: ${this.listingPath}`);
+        } else {
+            this.logger.info(`Total de XMLs baixados: ${this.totalDownloads}`);
+        }
+        this.logger.info(`Diretório: ${this.downloadDir}`);
+        this.logger.info('='.repeat(50));
 
         if (this.downloadedFiles.length > 0) {
-            Logger.info('Arquivos baixados:');
+            this.logger.info('Arquivos baixados:');
             this.downloadedFiles.forEach((file, index) => {
-                Logger.info(`  ${index + 1}. ${file}`);
+                this.logger.info(`  ${index + 1}. ${file}`);
             });
         }
     }
 
     // Gerar relatório final detalhado
-    async generateFinalReport(downloadResults, totalNotes) {
+    async generateFinalReport(downloadResults, totalNotes, pageStats = []) {
         try {
-            const metrics = Logger.getMetrics();
-            const report = Logger.generateReport();
+            const metrics = this.logger.getMetrics();
+            const report = this.logger.generateReport();
 
             // Análise detalhada dos resultados
             const successful = downloadResults.filter(r => r.success);
@@ -1805,7 +2702,7 @@ class NFSeDownloader {
             const invalidFiles = [];
 
             for (const filePath of actualFiles) {
-                const validation = FileValidator.validateDownload(filePath);
+                const validation = this.validator.validateDownload(filePath);
                 if (validation.valid) {
                     validFiles.push({ path: filePath, validation });
                 } else {
@@ -1813,56 +2710,125 @@ class NFSeDownloader {
                 }
             }
 
+            const windows = this.progress ? this.progress.windows : [];
+            const pdfResults = successful.filter(r => r.pdf);
+            // Pacotes de diagnóstico: caminhos relativos ao relatório (salvo em downloadDir)
+            const bundlePath = dir => dir ? path.relative(this.downloadDir, dir) : undefined;
+
             // Criar relatório completo
             const finalReport = {
                 timestamp: new Date().toISOString(),
+                status: this.status,
+                company: { id: this.company.id, cnpj: this.company.cnpj, nome: this.company.nome },
+                portal: { adapter: this.adapter.constructor.id, loginUrl: this.adapter.loginUrl },
+                period: { ...this.period },
+                filters: { ...this.filters },
                 execution: {
+                    mode: this.config.LIST_ONLY ? 'list-only' : this.config.DOWNLOAD_MODE,
+                    capture: this.downloadTracker ? 'cdp-events' : 'polling',
                     totalTime: report.summary.totalTime,
                     successRate: report.summary.successRate,
                     notesFound: totalNotes,
+                    windows: windows.length,
+                    windowsFailed: windows.filter(w => w.status === 'failed').length,
+                    pagesProcessed: pageStats.length,
                     downloadsAttempted: downloadResults.length,
                     downloadsSuccessful: successful.length,
-                    downloadsFailed: failed.length
+                    downloadsFailed: failed.length,
+                    downloadsSkipped: this.skippedNotes.length,
+                    relogins: this.relogins,
+                    proxy: this.network.proxy ? this.network.proxy.server : null,
+                    requestsBlocked: this.network.blocked,
+                    pdfsDownloaded: pdfResults.filter(r => r.pdf.success).length,
+                    pdfsFailed: pdfResults.filter(r => !r.pdf.success).length
                 },
+                windows: windows.map(w => ({
+                    competencia: w.id,
+                    start: w.start,
+                    end: w.end,
+                    status: w.status,
+                    attempts: w.attempts,
+                    notesFound: w.notesFound,
+                    downloaded: w.downloaded,
+                    failed: w.failed,
+                    error: w.error,
+                    errorType: w.errorType,
+                    forensics: bundlePath(w.forensics)
+                })),
+                pages: pageStats,
+                listing: this.progress ? {
+                    file: this.listingPath || undefined,
+                    format: this.listingPath ? this.config.LIST_FORMAT : undefined,
+                    partial: Boolean(this.onlyNumbers || this.listingIncomplete || this.status !== 'completed'),
+                    total: this.progress.listing.length,
+                    inLedger: this.progress.listing.filter(e => e.inLedger).length,
+                    entries: this.progress.listing
+                } : undefined,
+                reconciliation: this.reconciliation ? {
+                    summary: this.reconciliation.summary,
+                    missing: this.reconciliation.missing.map(e => ({ competencia: e.competencia, page: e.page, row: e.row, numero: e.numero, data: e.data, valor: e.valor, xmlUrl: e.xmlUrl })),
+                    divergent: this.reconciliation.divergent.map(e => ({ numero: e.numero, file: path.relative(this.downloadDir, e.file), differences: e.differences })),
+                    extra: this.reconciliation.extra.map(e => ({ ...e, file: path.relative(this.downloadDir, e.file) }))
+                } : undefined,
+                forensics: this.forensics.map(bundle => ({
+                    step: bundle.step,
+                    at: bundle.at,
+                    dir: bundlePath(bundle.dir),
+                    error: bundle.error,
+                    files: bundle.files
+                })),
                 performance: report.performance,
                 files: {
                     ...report.files,
                     actualFilesFound: actualFiles.length,
                     validFilesConfirmed: validFiles.length,
-                    invalidFilesDetected: invalidFiles.length
+                    invalidFilesDetected: invalidFiles.length,
+                    untrackedDownloads: this.downloadTracker ? this.downloadTracker.orphans.length : 0
                 },
                 errors: report.errors,
                 details: {
                     successfulDownloads: successful.map(r => ({
+                        page: r.page,
                         row: r.rowIndex,
                         downloadNumber: r.downloadNumber,
-                        fileName: r.fileName
+                        fileName: r.fileName,
+                        pdf: r.pdf ? (r.pdf.success ? r.pdf.fileName : { error: r.pdf.error }) : undefined
                     })),
                     failedDownloads: failed.map(r => ({
+                        page: r.page,
                         row: r.rowIndex,
                         downloadNumber: r.downloadNumber,
-                        error: r.error
+                        error: r.error,
+                        forensics: bundlePath(r.forensics)
                     })),
+                    skippedNotes: this.skippedNotes,
                     invalidFiles: invalidFiles.map(f => ({
                         file: path.basename(f.path),
                         reason: f.validation.reason,
                         checks: f.validation.checks
                     }))
                 },
-                recommendations: this.generateRecommendations(report, successful.length, failed.length, totalNotes)
+                recommendations: this.config.LIST_ONLY
+                    ? []
+                    : this.generateRecommendations(report, successful.length, failed.length, totalNotes - this.skippedNotes.length - this.notRequested)
             };
 
             // Salvar relatório em arquivo
-            const reportPath = path.join(CONFIG.DOWNLOAD_DIR, `nfse-report-${Date.now()}.json`);
+            const reportPath = path.join(this.downloadDir, `nfse-report-${Date.now()}.json`);
             fs.writeFileSync(reportPath, JSON.stringify(finalReport, null, 2));
+            finalReport.reportPath = reportPath;
 
             // Exibir resumo no console
             this.displayReportSummary(finalReport);
 
-            Logger.info(`Relatório detalhado salvo em: ${reportPath}`);
+            this.logger.info(`Relatório detalhado salvo em: ${reportPath}`);
+
+            this.report = finalReport;
+            return finalReport;
 
         } catch (error) {
-            Logger.error(`Erro ao gerar relatório final: ${error.message}`);
+            this.logger.error(`Erro ao gerar relatório final: ${error.message}`);
+            return null;
         }
     }
 
@@ -1877,7 +2843,7 @@ class NFSeDownloader {
         }
 
         if (report.errors.timeout > 0) {
-            recommendations.push('Timeouts detectados - considere aumentar CONFIG.DOWNLOAD_TIMEOUT');
+            recommendations.push('Timeouts detectados - considere aumentar DOWNLOAD_TIMEOUT (--download-timeout)');
         }
 
         if (report.errors.network > 0) {
@@ -1901,24 +2867,65 @@ class NFSeDownloader {
 
     // Exibir resumo do relatório no console
     displayReportSummary(report) {
+        if (this.config.QUIET) return;
+
         console.log('\n' + '='.repeat(60));
         console.log('📊 RELATÓRIO FINAL DE EXECUÇÃO');
         console.log('='.repeat(60));
         console.log(`⏱️  Tempo total: ${report.execution.totalTime}`);
+
+        if (report.execution.mode === 'list-only') {
+            this.displayListingSummary(report);
+            return;
+        }
+
         console.log(`📈 Taxa de sucesso: ${report.execution.successRate}`);
         console.log(`📄 Notas encontradas: ${report.execution.notesFound}`);
         console.log(`✅ Downloads bem-sucedidos: ${report.execution.downloadsSuccessful}`);
         console.log(`❌ Downloads falharam: ${report.execution.downloadsFailed}`);
+        if (report.execution.downloadsSkipped > 0) {
+            console.log(`⏭️  Já no ledger (puladas): ${report.execution.downloadsSkipped}`);
+        }
+        if (report.execution.relogins > 0) {
+            console.log(`🔑 Novos logins (sessão expirada): ${report.execution.relogins}`);
+        }
+        if (report.execution.windowsFailed > 0) {
+            console.log(`🗓️  Janelas com falha: ${report.execution.windowsFailed}/${report.execution.windows}`);
+        }
+        if (report.execution.pdfsDownloaded + report.execution.pdfsFailed > 0) {
+            console.log(`🖨️  PDFs (DANFSe): ${report.execution.pdfsDownloaded} baixados, ${report.execution.pdfsFailed} falharam`);
+        }
         console.log(`📁 Arquivos válidos: ${report.files.validFilesConfirmed}`);
         console.log(`⚠️  Arquivos inválidos: ${report.files.invalidFilesDetected}`);
+        this.displayReconciliation(report);
+
+        if (report.windows && report.windows.length > 1) {
+            console.log('\n🗓️  POR JANELA:');
+            report.windows.forEach(w => {
+                const detail = w.status === 'failed'
+                    ? `falhou após ${w.attempts} tentativa(s): ${w.error}`
+                    : `${w.downloaded}/${w.notesFound} baixados${w.failed ? ` (${w.failed} falharam)` : ''}`;
+                console.log(`   ${w.status === 'failed' ? '❌' : '✅'} ${w.competencia}: ${detail}`);
+            });
+        }
+
+        if (report.pages && report.pages.length > 1) {
+            console.log('\n📑 POR PÁGINA:');
+            report.pages.forEach(p => {
+                const where = report.windows && report.windows.length > 1 ? `${p.window} · página` : 'Página';
+                console.log(`   ${where} ${p.page}: ${p.downloaded}/${p.found} baixados${p.failed ? ` (${p.failed} falharam)` : ''}`);
+            });
+        }
 
         if (report.details.failedDownloads.length > 0) {
             console.log('\n❌ DOWNLOADS FALHARAM:');
             report.details.failedDownloads.forEach(f => {
-                console.log(`   Linha ${f.row}: ${f.error}`);
+                console.log(`   ${f.page ? `Página ${f.page}, linha` : 'Linha'} ${f.row}: ${f.error}`);
             });
         }
 
+        this.displayForensics(report);
+
         if (report.details.invalidFiles.length > 0) {
             console.log('\n⚠️  ARQUIVOS INVÁLIDOS:');
             report.details.invalidFiles.forEach(f => {
@@ -1934,13 +2941,81 @@ class NFSeDownloader {
         console.log('='.repeat(60) + '\n');
     }
 
+    // Pacotes de diagnóstico gerados na execução
+    displayForensics(report) {
+        if (!report.forensics || report.forensics.length === 0) return;
+
+        console.log(`\n🔬 DIAGNÓSTICO DE FALHAS (${report.forensics.length}):`);
+        report.forensics.forEach(bundle => {
+            console.log(`   ${bundle.step}: ${bundle.dir}`);
+        });
+    }
+
+    // Resumo da execução --list-only (sem downloads)
+    displayListingSummary(report) {
+        const { listing } = report;
+        console.log(`📄 Notas encontradas: ${report.execution.notesFound}`);
+        console.log(`📋 Notas listadas: ${listing.total}`);
+        if (listing.inLedger > 0) {
+            console.log(`📒 Já no ledger: ${listing.inLedger} (${listing.total - listing.inLedger} ainda não baixadas)`);
+        }
+        if (report.execution.windowsFailed > 0) {
+            console.log(`🗓️  Janelas com falha: ${report.execution.windowsFailed}/${report.execution.windows}`);
+        }
+
+        if (report.windows && report.windows.length > 1) {
+            console.log('\n🗓️  POR JANELA:');
+            report.windows.forEach(w => {
+                const listed = listing.entries.filter(e => e.competencia === w.competencia).length;
+                const detail = w.status === 'failed'
+                    ? `falhou após ${w.attempts} tentativa(s): ${w.error}`
+                    : `${listed} nota(s) listada(s)`;
+                console.log(`   ${w.status === 'failed' ? '❌' : '✅'} ${w.competencia}: ${detail}`);
+            });
+        }
+
+        this.displayReconciliation(report);
+        this.displayForensics(report);
+
+        console.log(`\n📁 Arquivo: ${listing.file}`);
+        console.log('='.repeat(60) + '\n');
+    }
+
+    // Resultado da conferência listagem x XMLs no disco
+    displayReconciliation(report) {
+        const reconciliation = report.reconciliation;
+        if (!reconciliation) return;
+
+        const { matched, missing, divergent, extra } = reconciliation.summary;
+        console.log(`🔎 Conferência com o disco: ${matched} ok, ${missing} faltando, ${divergent} divergente(s), ${extra} extra(s)`);
+
+        if (divergent > 0) {
+            console.log('\n🔀 VALOR OU DATA DIFERENTES DO PORTAL:');
+            reconciliation.divergent.forEach(d => {
+                const detail = d.differences.map(diff => `${diff.field}: portal ${diff.listed}, XML ${diff.xml}`).join('; ');
+                console.log(`   Nota ${d.numero} (${d.file}): ${detail}`);
+            });
+        }
+        if (extra > 0) {
+            console.log('\n➕ XMLS NÃO LISTADOS PELO PORTAL:');
+            reconciliation.extra.forEach(e => console.log(`   Nota ${e.numero} (${e.file})`));
+        }
+        if (missing > 0) {
+            console.log('\n❓ NOTAS LISTADAS SEM XML NO DISCO:');
+            reconciliation.missing.forEach(m => console.log(`   Nota ${m.numero} (${m.competencia}, página ${m.page}, linha ${m.row})`));
+            if (report.reportPath) {
+                console.log(`   → Para baixar apenas as faltantes: xmlitz reconcile ${report.reportPath} --download-missing`);
+            }
+        }
+    }
+
     // Organizar arquivos XML baixados automaticamente
     async organizeDownloadedFiles() {
         try {
-            Logger.info('🗂️ Iniciando organização automática dos arquivos XML baixados...');
+            this.logger.info('🗂️ Iniciando organização automática dos arquivos XML baixados...');
 
             // Verificar se há arquivos para organizar
-            const files = fs.readdirSync(CONFIG.DOWNLOAD_DIR);
+            const files = fs.readdirSync(this.downloadDir);
             const xmlFiles = files.filter(file =>
                 file.toLowerCase().endsWith('.xml') &&
                 !file.startsWith('.') &&
@@ -1948,84 +3023,34 @@ class NFSeDownloader {
             );
 
             if (xmlFiles.length === 0) {
-                Logger.info('📄 Nenhum arquivo XML encontrado para organizar');
+                this.logger.info('📄 Nenhum arquivo XML encontrado para organizar');
                 return;
             }
 
             // Criar diretório base para organização
-            const organizedDir = path.join(CONFIG.DOWNLOAD_DIR, CONFIG.ORGANIZE_BASE_DIR);
+            const organizedDir = this.organizedDir;
 
             // Executar organização
-            const report = await this.organizer.organizeAllFiles(CONFIG.DOWNLOAD_DIR, organizedDir);
+            const report = await this.organizer.organizeAllFiles(this.downloadDir, organizedDir);
 
             // Exibir resumo
             this.organizer.displayOrganizationSummary(report);
 
-            Logger.success(`🎉 Organização automática concluída! ${report.stats.organized}/${report.stats.total} arquivos organizados`);
+            this.logger.success(`🎉 Organização automática concluída! ${report.stats.organized}/${report.stats.total} arquivos organizados`);
 
         } catch (error) {
-            Logger.error(`Erro na organização automática: ${error.message}`);
+            this.logger.error(`Erro na organização automática: ${error.message}`);
             // Não interromper a execução por erro na organização
         }
     }
 }
 
 // ==================== FUNÇÃO PRINCIPAL ====================
-async function main() {
-    let downloader = null;
-
-    try {
-        Logger.info('🚀 Iniciando NFSe XML Downloader');
-        Logger.info(`Configurações:`);
-        Logger.info(`  - CNPJ: ${CONFIG.CNPJ}`);
-        Logger.info(`  - Período: ${CONFIG.DATA_INICIAL} a ${CONFIG.DATA_FINAL}`);
-        Logger.info(`  - Headless: ${CONFIG.HEADLESS}`);
-        Logger.info(`  - Debug: ${CONFIG.DEBUG}`);
-        Logger.info(`  - Timeout: ${CONFIG.TIMEOUT}ms`);
-        Logger.info(`  - Diretório: ${CONFIG.DOWNLOAD_DIR}`);
-
-        downloader = new NFSeDownloader();
-
-        // Adicionar handler para interrupção
-        process.on('SIGINT', async () => {
-            Logger.warn('Interrupção detectada. Fechando browser...');
-            if (downloader) {
-                await downloader.cleanup();
-            }
-            process.exit(1);
-        });
-
-        // Adicionar handler para erros não capturados
-        process.on('unhandledRejection', async (reason) => {
-            Logger.error('Erro não tratado detectado:', reason);
-            if (downloader) {
-                await downloader.cleanup();
-            }
-            process.exit(1);
-        });
-
-        await downloader.run();
-        Logger.success('✅ Download concluído com sucesso!');
-        process.exit(0);
-
-    } catch (error) {
-        Logger.error(`❌ Erro fatal: ${error.message}`);
-        if (CONFIG.DEBUG) {
-            console.error('Stack trace completo:');
-            console.error(error.stack);
-        }
-
-        // Garantir limpeza mesmo em caso de erro
-        if (downloader) {
-            try {
-                await downloader.cleanup();
-            } catch (cleanupError) {
-                Logger.error(`Erro na limpeza: ${cleanupError.message}`);
-            }
-        }
-
-        process.exit(1);
-    }
+// Mantida por compatibilidade: equivale a "xmlitz download [opções]"
+async function main(argv = process.argv.slice(2)) {
+    const cli = require('./lib/cli');
+    const exitCode = await cli.run(['download', ...argv]);
+    process.exit(exitCode);
 }
 
 // ==================== VERIFICAÇÃO DE DEPENDÊNCIAS ====================
@@ -2039,6 +3064,18 @@ function checkDependencies() {
     }
 }
 
+// ==================== EXPORTAÇÕES ====================
+module.exports = NFSeDownloader;
+module.exports.NFSeDownloader = NFSeDownloader;
+module.exports.XMLOrganizer = XMLOrganizer;
+module.exports.FileValidator = FileValidator;
+module.exports.RetryManager = RetryManager;
+module.exports.SessionExpiredError = SessionExpiredError;
+module.exports.AdvancedLogger = AdvancedLogger;
+module.exports.Logger = Logger;
+module.exports.CONFIG = CONFIG;
+module.exports.main = main;
+
 // ==================== EXECUÇÃO ====================
 if (require.main === module) {
     console.log('🔍 Iniciando verificações...');
@@ -2055,5 +3092,3 @@ if (require.main === module) {
         process.exit(1);
     }
 }
-
-module.exports = NFSeDownloader;
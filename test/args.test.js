@@ -0,0 +1,30 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { parseArgs, keyToFlag, flagToKey } = require('../lib/args');
+
+test('args: --chave=valor, --chave valor, --flag e --no-flag', () => {
+    const { _, flags } = parseArgs(['download', '--cnpj=11222333000181', '--data-inicial', '2025-07-01', '--headless', '--no-organize']);
+    assert.deepEqual(_, ['download']);
+    assert.deepEqual(flags, { 'cnpj': '11222333000181', 'data-inicial': '2025-07-01', 'headless': true, 'organize': false });
+});
+
+test('args: flags booleanas não consomem o próximo argumento', () => {
+    const { _, flags } = parseArgs(['--incremental', 'relatorio.json'], { booleans: ['incremental'] });
+    assert.deepEqual(flags, { incremental: true });
+    assert.deepEqual(_, ['relatorio.json']);
+});
+
+test('args: opção seguida de outra opção vira booleana', () => {
+    assert.deepEqual(parseArgs(['--json', '--resume']).flags, { json: true, resume: true });
+});
+
+test('args: atalhos de uma letra e posicionais após --', () => {
+    const { _, flags } = parseArgs(['-hv', '--', '--nao-e-flag', 'arquivo']);
+    assert.deepEqual(flags, { h: true, v: true });
+    assert.deepEqual(_, ['--nao-e-flag', 'arquivo']);
+});
+
+test('args: conversão entre chave de configuração e flag', () => {
+    assert.equal(keyToFlag('DATA_INICIAL'), 'data-inicial');
+    assert.equal(flagToKey('download-timeout'), 'DOWNLOAD_TIMEOUT');
+});
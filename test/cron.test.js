@@ -0,0 +1,50 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { parseCron } = require('../lib/cron');
+const { ConfigError } = require('../lib/errors');
+
+// Datas no horário local, como o agendador usa
+const at = (text) => new Date(`${text}:00`);
+
+test('cron: próxima ocorrência diária', () => {
+    const cron = parseCron('0 6 * * *');
+    assert.deepEqual(cron.next(at('2025-07-10T05:59')), at('2025-07-10T06:00'));
+    assert.deepEqual(cron.next(at('2025-07-10T06:00')), at('2025-07-11T06:00'));
+});
+
+test('cron: listas, intervalos, passos e nomes', () => {
+    const cron = parseCron('*/15 8-9 * jan-mar mon-fri');
+    assert.ok(cron.matches(at('2025-01-06T08:45')));       // segunda-feira
+    assert.ok(!cron.matches(at('2025-01-06T08:50')));
+    assert.ok(!cron.matches(at('2025-01-05T08:45')));      // domingo
+    assert.ok(!cron.matches(at('2025-04-07T08:45')));      // abril
+    assert.deepEqual(cron.next(at('2025-01-06T09:45')), at('2025-01-07T08:00'));
+});
+
+test('cron: dia do mês e dia da semana restritos - basta um coincidir', () => {
+    const cron = parseCron('0 0 13 * 5');
+    assert.ok(cron.matches(at('2025-06-13T00:00')));       // dia 13 (sexta)
+    assert.ok(cron.matches(at('2025-06-06T00:00')));       // outra sexta
+    assert.ok(cron.matches(at('2025-07-13T00:00')));       // dia 13 (domingo)
+    assert.ok(!cron.matches(at('2025-07-14T00:00')));
+});
+
+test('cron: 7 também é domingo e atalhos @', () => {
+    assert.ok(parseCron('0 0 * * 7').matches(at('2025-07-13T00:00')));
+    assert.deepEqual(parseCron('@monthly').next(at('2025-07-10T12:00')), at('2025-08-01T00:00'));
+});
+
+test('cron: between lista as ocorrências perdidas em ordem', () => {
+    const occurrences = parseCron('0 */6 * * *').between(at('2025-07-10T05:00'), at('2025-07-10T18:00'));
+    assert.deepEqual(occurrences, [at('2025-07-10T06:00'), at('2025-07-10T12:00'), at('2025-07-10T18:00')]);
+});
+
+test('cron: data impossível não tem próxima ocorrência', () => {
+    assert.equal(parseCron('0 0 30 2 *').next(at('2025-01-01T00:00')), null);
+});
+
+test('cron: expressões inválidas lançam ConfigError', () => {
+    for (const expression of ['', '0 6 * *', '60 * * * *', '0 24 * * *', '* * 0 * *', '*/0 * * * *', '5-1 * * * *', '0 0 * foo *']) {
+        assert.throws(() => parseCron(expression), ConfigError, expression);
+    }
+});
@@ -0,0 +1,80 @@
+// Pacote de diagnóstico com uma página simulada (eventos de rede disparados à mão)
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const path = require('path');
+const { EventEmitter } = require('events');
+const { recordPage, captureFailure, maskParams } = require('../lib/forensics');
+const { tempDir } = require('./helpers');
+
+// Página mínima: url/content/screenshot e os eventos que o gravador escuta
+function fakePage(url) {
+    const page = new EventEmitter();
+    Object.assign(page, {
+        isClosed: () => false,
+        url: () => url,
+        content: async () => '<html><body>Erro no portal</body></html>',
+        screenshot: async () => { throw new Error('sem browser'); }
+    });
+    return page;
+}
+
+// Requisição concluída com a resposta informada
+function fakeRequest(url, postData) {
+    return {
+        method: () => (postData ? 'POST' : 'GET'),
+        url: () => url,
+        resourceType: () => 'document',
+        headers: () => ({ cookie: 'PHPSESSID=abc', 'content-type': 'application/x-www-form-urlencoded' }),
+        postData: () => postData,
+        response: () => ({ status: () => 200, statusText: () => 'OK', headers: () => ({}), fromCache: () => false })
+    };
+}
+
+test('forensics: maskParams mascara senhas e tokens', () => {
+    assert.equal(maskParams('login_nfse=1&senha_nfse=segredo'), 'login_nfse=1&senha_nfse=***');
+    assert.equal(maskParams('?pg=x&access%5Ftoken=abc'), '?pg=x&access%5Ftoken=***');
+    assert.equal(maskParams('a=1&b=2'), 'a=1&b=2');
+});
+
+test('forensics: nome de parâmetro com escape malformado não interrompe o mascaramento', () => {
+    assert.equal(maskParams('%E0%A4%A=1&senha=x'), '%E0%A4%A=1&senha=***');
+    assert.equal(maskParams('?token%=abc&pg=1'), '?token%=***&pg=1');
+});
+
+test('forensics: URL com escape malformado ainda gera network.har e error.txt', async () => {
+    const dir = tempDir();
+    const url = 'https://portal.test/index.php?%E0%A4%A=1&token=abc';
+    const page = fakePage(url);
+    recordPage(page);
+
+    const request = fakeRequest(url, 'login_nfse=1&senha_nfse=segredo&%ZZ=2');
+    page.emit('request', request);
+    page.emit('requestfinished', request);
+
+    const bundle = await captureFailure({ page, step: 'login', error: new Error('Login falhou'), dir });
+
+    assert.deepEqual(bundle.files.sort(), ['console.json', 'error.txt', 'network.har', 'page.html']);
+    const har = JSON.parse(fs.readFileSync(path.join(bundle.dir, 'network.har'), 'utf8'));
+    const [entry] = har.log.entries;
+    assert.equal(entry.request.url, 'https://portal.test/index.php?%E0%A4%A=1&token=***');
+    assert.equal(entry.request.postData.text, 'login_nfse=1&senha_nfse=***&%ZZ=2');
+    assert.deepEqual(entry.request.headers.find(header => header.name === 'cookie'), { name: 'cookie', value: '***' });
+
+    const errorText = fs.readFileSync(path.join(bundle.dir, 'error.txt'), 'utf8');
+    assert.match(errorText, /URL: https:\/\/portal\.test\/index\.php\?%E0%A4%A=1&token=\*\*\*/);
+    assert.match(errorText, /screenshot\.png: sem browser/);
+});
+
+test('forensics: diretório do pacote que não pode ser criado não lança', async () => {
+    const dir = tempDir();
+    const blocker = path.join(dir, 'arquivo');
+    fs.writeFileSync(blocker, '');
+
+    const bundle = await captureFailure({ page: null, step: 'pesquisa', error: new Error('falhou'), dir: blocker });
+
+    assert.deepEqual(bundle.files, []);
+    assert.equal(bundle.step, 'pesquisa');
+    assert.equal(bundle.error, 'falhou');
+    assert.ok(bundle.captureError);
+});
@@ -0,0 +1,91 @@
+// Utilitários compartilhados pelos testes (não é um arquivo de teste: não termina em .test.js)
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { after } = require('node:test');
+
+// CNPJ válido usado como empresa dos testes e a outra parte das notas
+const MOCK_CNPJ = '11222333000181';
+const OTHER_CNPJ = '44555666000181';
+
+// Diretório temporário removido ao fim do arquivo de teste
+function tempDir(prefix = 'xmlitz-test-') {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), prefix));
+    after(() => fs.rmSync(dir, { recursive: true, force: true }));
+    return dir;
+}
+
+// XML da nota no layout ABRASF 2.02 (CompNfse), como o portal entrega
+function noteXML(note) {
+    const valor = note.valor.toFixed(2);
+    return `<?xml version="1.0" encoding="UTF-8"?>
+<CompNfse xmlns="http://www.abrasf.org.br/nfse.xsd">
+  <Nfse versao="2.02">
+    <InfNfse Id="nfse${note.numero}">
+      <Numero>${note.numero}</Numero>
+      <CodigoVerificacao>${note.codigoVerificacao}</CodigoVerificacao>
+      <DataEmissao>${note.dataEmissao}</DataEmissao>
+      <PrestadorServico>
+        <IdentificacaoPrestador>
+          <CpfCnpj><Cnpj>${note.prestador.cnpj}</Cnpj></CpfCnpj>
+        </IdentificacaoPrestador>
+        <RazaoSocial>${note.prestador.nome}</RazaoSocial>
+      </PrestadorServico>
+      <DeclaracaoPrestacaoServico>
+        <InfDeclaracaoPrestacaoServico Id="rps${note.numero}">
+          <Competencia>${note.dataEmissao.replace('T', ' ')}.000000</Competencia>
+          <Servico>
+            <Valores>
+              <ValorServicos>${valor}</ValorServicos>
+            </Valores>
+            <ItemListaServico>01.07</ItemListaServico>
+            <Discriminacao>Serviços prestados - nota de teste ${note.numero}</Discriminacao>
+          </Servico>
+          <TomadorServico>
+            <IdentificacaoTomador>
+              <CpfCnpj><Cnpj>${note.tomador.cnpj}</Cnpj></CpfCnpj>
+            </IdentificacaoTomador>
+            <RazaoSocial>${note.tomador.nome}</RazaoSocial>
+          </TomadorServico>
+        </InfDeclaracaoPrestacaoServico>
+      </DeclaracaoPrestacaoServico>
+    </InfNfse>
+  </Nfse>
+</CompNfse>
+`;
+}
+
+// Notas determinísticas em julho de 2025: 3 de cada 4 emitidas por MOCK_CNPJ e 1 recebida
+function sampleNotes(count = 12) {
+    const empresa = { cnpj: MOCK_CNPJ, nome: 'Empresa de Teste Ltda' };
+    const outra = { cnpj: OTHER_CNPJ, nome: 'Alfa Serviços Ltda' };
+
+    return Array.from({ length: count }, (_, i) => {
+        const recebida = i % 4 === 3;
+        const day = String(1 + Math.floor(i * 31 / count)).padStart(2, '0');
+        const note = {
+            numero: String(recebida ? 500 + i : 1001 + i),
+            codigoVerificacao: `CV${String(i + 1).padStart(6, '0')}`,
+            dataEmissao: `2025-07-${day}T${String(8 + (i % 10)).padStart(2, '0')}:15:00`,
+            tipo: recebida ? 'recebidas' : 'emitidas',
+            valor: 150 + i * 37.5,
+            prestador: recebida ? outra : empresa,
+            tomador: recebida ? empresa : outra
+        };
+        note.xml = noteXML(note);
+        return note;
+    });
+}
+
+// Gravar o XML de cada nota em dir; retorna os caminhos
+function writeNotes(dir, notes) {
+    fs.mkdirSync(dir, { recursive: true });
+    return notes.map(note => {
+        const file = path.join(dir, `NFSe_${note.prestador.cnpj}_${note.numero}.xml`);
+        fs.writeFileSync(file, note.xml);
+        return file;
+    });
+}
+
+module.exports = { MOCK_CNPJ, OTHER_CNPJ, tempDir, sampleNotes, writeNotes };
@@ -0,0 +1,75 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const path = require('path');
+const { Ledger, ledgerKey, normalizeNumero, extractIdentifiers } = require('../lib/ledger');
+const { MOCK_CNPJ, OTHER_CNPJ, tempDir, sampleNotes, writeNotes } = require('./helpers');
+
+test('ledger: número normalizado sem zeros à esquerda', () => {
+    assert.equal(normalizeNumero('000123'), '123');
+    assert.equal(normalizeNumero(' 2025/0007 '), '20250007');
+    assert.equal(normalizeNumero('0'), '0');
+    assert.equal(normalizeNumero('N/A'), 'N/A');
+    assert.equal(ledgerKey(MOCK_CNPJ, '0042', ' ABC '), `${MOCK_CNPJ}|42|ABC`);
+});
+
+test('ledger: identificadores extraídos do XML, com ou sem prefixo de namespace', () => {
+    const [note] = sampleNotes(1);
+    assert.deepEqual(extractIdentifiers(note.xml), { numero: note.numero, codigoVerificacao: note.codigoVerificacao });
+    assert.deepEqual(
+        extractIdentifiers('<ns2:Numero> 77 </ns2:Numero><ns2:CodigoVerificacao>X1</ns2:CodigoVerificacao>'),
+        { numero: '77', codigoVerificacao: 'X1' }
+    );
+    assert.deepEqual(extractIdentifiers('<html></html>'), { numero: null, codigoVerificacao: null });
+});
+
+test('ledger: registra arquivos e consulta por número ou por número + código', () => {
+    const dir = tempDir();
+    const notes = sampleNotes(3);
+    const files = writeNotes(path.join(dir, 'xmls'), notes);
+    const ledger = new Ledger(path.join(dir, 'nfse-ledger.jsonl'));
+    ledger.load();
+
+    const entry = ledger.recordFile(MOCK_CNPJ, files[0], { tipo: 'emitidas' });
+    assert.equal(entry.numero, notes[0].numero);
+    assert.equal(entry.fileName, path.basename(files[0]));
+    assert.equal(entry.tipo, 'emitidas');
+    assert.match(entry.checksum, /^[0-9a-f]{32}$/);
+
+    assert.ok(ledger.has({ cnpj: MOCK_CNPJ, numero: `00${notes[0].numero}` }));
+    assert.ok(ledger.has({ cnpj: MOCK_CNPJ, numero: notes[0].numero, codigoVerificacao: notes[0].codigoVerificacao }));
+    assert.ok(!ledger.has({ cnpj: MOCK_CNPJ, numero: notes[0].numero, codigoVerificacao: 'OUTRO' }));
+    assert.ok(!ledger.has({ cnpj: OTHER_CNPJ, numero: notes[0].numero }));
+    assert.ok(!ledger.has({ cnpj: MOCK_CNPJ, numero: notes[1].numero }));
+    assert.ok(!ledger.has({ cnpj: MOCK_CNPJ, numero: null }));
+});
+
+test('ledger: recarrega do disco ignorando linhas corrompidas; última ocorrência vence', () => {
+    const dir = tempDir();
+    const files = writeNotes(path.join(dir, 'xmls'), sampleNotes(2));
+    const filePath = path.join(dir, 'nfse-ledger.jsonl');
+
+    const first = new Ledger(filePath);
+    first.load();
+    first.recordFile(MOCK_CNPJ, files[0]);
+    first.recordFile(MOCK_CNPJ, files[1]);
+    first.recordFile(MOCK_CNPJ, files[0], { reprocessado: true });
+    fs.appendFileSync(filePath, '{"key": "gravação interromp');
+
+    const second = new Ledger(filePath);
+    assert.deepEqual(second.load(), { entries: 2, skipped: 1 });
+    const entries = second.entriesFor(MOCK_CNPJ);
+    assert.equal(entries.length, 2);
+    assert.ok(entries.find(entry => entry.fileName === path.basename(files[0])).reprocessado);
+});
+
+test('ledger: arquivo sem número não é registrado', () => {
+    const dir = tempDir();
+    const file = path.join(dir, 'pagina.xml');
+    fs.writeFileSync(file, '<html><body>Sessão expirada</body></html>');
+    const ledger = new Ledger(path.join(dir, 'nfse-ledger.jsonl'));
+    ledger.load();
+
+    assert.equal(ledger.recordFile(MOCK_CNPJ, file), null);
+    assert.ok(!fs.existsSync(ledger.filePath));
+});
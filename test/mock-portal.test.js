@@ -0,0 +1,157 @@
+// Portal simulado por HTTP (sem browser): o contrato que o adaptador prefeitura-moderna
+// espera (login, pesquisa, paginação, download) e a injeção de falhas
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { createMockPortal } = require('../lib/mock-portal');
+const { buildSearchUrl } = require('../lib/adapters/prefeitura-moderna');
+const { parseNoteXML } = require('../lib/reconcile');
+const { MOCK_CNPJ } = require('./helpers');
+
+const RANGE = { start: '2025-07-01', end: '2025-07-31' };
+
+// Portal iniciado para um teste e encerrado ao final dele
+async function startPortal(t, options = {}) {
+    const portal = createMockPortal({ count: 24, range: RANGE, pageSize: 5, ...options });
+    await portal.start();
+    t.after(() => portal.stop());
+    return portal;
+}
+
+function request(url, options = {}) {
+    return fetch(url, { redirect: 'manual', ...options });
+}
+
+// Login com a conta do portal; retorna o cookie de sessão (ou a resposta, se recusado)
+async function login(portal, { cnpj = MOCK_CNPJ, senha = 'mock' } = {}) {
+    const response = await request(`${portal.url}${portal.options.basePath}index.php?pg=autentica`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/x-www-form-urlencoded' },
+        body: new URLSearchParams({ login_nfse: cnpj, senha_nfse: senha }).toString()
+    });
+    const cookie = response.headers.get('set-cookie');
+    return { response, cookie: cookie ? cookie.split(';')[0] : null };
+}
+
+function searchUrl(portal, filters = {}) {
+    return buildSearchUrl(`${portal.url}${portal.options.basePath}index.php`, RANGE, filters);
+}
+
+// Códigos de verificação da tabela de resultados (os links de XML usam cd=<código>)
+function codesIn(html) {
+    return Array.from(html.matchAll(/pg=xml&amp;cd=([^"&]+)/g), match => decodeURIComponent(match[1]));
+}
+
+test('mock-portal: login aceito cria sessão; recusado e bloqueado voltam ao login com a mensagem', async (t) => {
+    const portal = await startPortal(t);
+
+    const accepted = await login(portal);
+    assert.equal(accepted.response.status, 302);
+    assert.match(accepted.response.headers.get('location'), /pg=inicio/);
+    assert.match(accepted.cookie, /^PHPSESSID=/);
+
+    const rejected = await login(portal, { senha: 'errada' });
+    assert.equal(rejected.cookie, null);
+    assert.match(decodeURIComponent(rejected.response.headers.get('location')), /pg=login_nfe&msg=Usuário ou senha inválidos/);
+
+    const blockedPortal = await startPortal(t, { blocked: true });
+    const blocked = await login(blockedPortal);
+    assert.match(decodeURIComponent(blocked.response.headers.get('location')), /bloqueado/);
+    assert.deepEqual([portal.stats.logins, portal.stats.loginsRejected, blockedPortal.stats.loginsRejected], [1, 1, 1]);
+});
+
+test('mock-portal: páginas exigem sessão', async (t) => {
+    const portal = await startPortal(t);
+    const response = await request(searchUrl(portal));
+    assert.equal(response.status, 302);
+    assert.match(response.headers.get('location'), /\?pg=login_nfe$/);
+});
+
+test('mock-portal: pesquisa paginada com os parâmetros de buildSearchUrl', async (t) => {
+    const portal = await startPortal(t);
+    const { cookie } = await login(portal);
+    const expected = portal.notes.filter(note => note.tipo === 'emitidas' && !note.cancelada);
+
+    const first = await (await request(searchUrl(portal), { headers: { cookie } })).text();
+    assert.match(first, new RegExp(`Total de registros: ${expected.length}`));
+    const totalPages = Math.ceil(expected.length / 5);
+    assert.match(first, new RegExp(`Página 1 de ${totalPages}`));
+    assert.match(first, /<th>Código de Verificação<\/th>/);
+
+    // Todas as páginas: cada nota emitida normal exatamente uma vez
+    const codes = [];
+    for (let page = 1; page <= totalPages; page++) {
+        const html = await (await request(`${searchUrl(portal)}&pagina=${page}`, { headers: { cookie } })).text();
+        codes.push(...codesIn(html));
+    }
+    assert.deepEqual(codes.sort(), expected.map(note => note.codigoVerificacao).sort());
+
+    // Recebidas e canceladas
+    const recebidas = await (await request(searchUrl(portal, { tipo: 'recebidas', situacao: 'todas' }), { headers: { cookie } })).text();
+    assert.match(recebidas, new RegExp(`Total de registros: ${portal.notes.filter(note => note.tipo === 'recebidas').length}`));
+    const canceladas = await (await request(searchUrl(portal, { situacao: 'canceladas' }), { headers: { cookie } })).text();
+    assert.match(canceladas, new RegExp(`Total de registros: ${portal.notes.filter(note => note.tipo === 'emitidas' && note.cancelada).length}`));
+});
+
+test('mock-portal: download do XML com Content-Disposition', async (t) => {
+    const portal = await startPortal(t);
+    const { cookie } = await login(portal);
+    const [note] = portal.notes;
+
+    const response = await request(`${portal.url}${portal.options.basePath}index.php?pg=xml&cd=${note.codigoVerificacao}`, { headers: { cookie } });
+    assert.equal(response.status, 200);
+    assert.equal(response.headers.get('content-disposition'), `attachment; filename="NFSe_${note.prestador.cnpj}_${note.numero}.xml"`);
+    assert.equal(parseNoteXML(await response.text()).codigoVerificacao, note.codigoVerificacao);
+});
+
+test('mock-portal: sessão expira por número de requisições e por inatividade', async (t) => {
+    const byRequests = await startPortal(t, { expireAfter: 2 });
+    const first = await login(byRequests);
+    const statuses = [];
+    for (let i = 0; i < 3; i++) {
+        statuses.push((await request(searchUrl(byRequests), { headers: { cookie: first.cookie } })).status);
+    }
+    assert.deepEqual(statuses, [200, 200, 302]);
+    assert.equal(byRequests.stats.sessionsExpired, 1);
+
+    // Novo login renova a sessão
+    const second = await login(byRequests);
+    assert.equal((await request(searchUrl(byRequests), { headers: { cookie: second.cookie } })).status, 200);
+
+    const byIdle = await startPortal(t, { sessionTtl: 0.05 });
+    const idle = await login(byIdle);
+    await new Promise(resolve => setTimeout(resolve, 120));
+    assert.equal((await request(searchUrl(byIdle), { headers: { cookie: idle.cookie } })).status, 302);
+});
+
+test('mock-portal: falhas injetadas (HTTP 500, XML truncado, portal fora do ar)', async (t) => {
+    const failing = await startPortal(t, { failRate: 1 });
+    const failingSession = await login(failing);
+    const failed = await request(`${failing.url}${failing.options.basePath}index.php?pg=xml&cd=${failing.notes[0].codigoVerificacao}`, { headers: { cookie: failingSession.cookie } });
+    assert.equal(failed.status, 500);
+    assert.equal(failing.stats.failuresInjected, 1);
+
+    const corrupt = await startPortal(t, { corruptRate: 1 });
+    const corruptSession = await login(corrupt);
+    const note = corrupt.notes[0];
+    const truncated = await (await request(`${corrupt.url}${corrupt.options.basePath}index.php?pg=xml&cd=${note.codigoVerificacao}`, { headers: { cookie: corruptSession.cookie } })).text();
+    assert.equal(truncated.length, Math.floor(note.xml.length / 2));
+    assert.ok(!truncated.includes('</CompNfse>'));
+
+    const unavailable = await startPortal(t, { unavailable: true });
+    assert.equal((await request(unavailable.loginUrl)).status, 503);
+});
+
+test('mock-portal: mesma semente, mesmas falhas', async (t) => {
+    const outcomes = [];
+    for (let run = 0; run < 2; run++) {
+        const portal = await startPortal(t, { failRate: 0.5, seed: 7 });
+        const { cookie } = await login(portal);
+        const statuses = [];
+        for (const note of portal.notes.slice(0, 10)) {
+            statuses.push((await request(`${portal.url}${portal.options.basePath}index.php?pg=xml&cd=${note.codigoVerificacao}`, { headers: { cookie } })).status);
+        }
+        outcomes.push(statuses);
+    }
+    assert.deepEqual(outcomes[0], outcomes[1]);
+    assert.ok(outcomes[0].includes(500) && outcomes[0].includes(200));
+});
@@ -0,0 +1,57 @@
+// Download do PDF (DANFSe) ao lado do XML: o diretório temporário de cada PDF é removido
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const http = require('http');
+const path = require('path');
+const { NFSeDownloader } = require('..');
+const { MOCK_CNPJ, tempDir } = require('./helpers');
+
+const PDF = Buffer.from(`%PDF-1.4\n${'x'.repeat(200)}\n%%EOF\n`, 'latin1');
+
+// Servidor com /nota.pdf (PDF válido) e /erro (HTTP 500)
+async function startServer(t) {
+    const server = http.createServer((req, res) => {
+        if (req.url === '/nota.pdf') {
+            res.writeHead(200, { 'Content-Type': 'application/pdf', 'Content-Disposition': 'attachment; filename="nota.pdf"' });
+            return res.end(PDF);
+        }
+        res.writeHead(500, { 'Content-Type': 'text/plain' });
+        res.end('erro');
+    });
+    await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+    t.after(() => new Promise(resolve => server.close(resolve)));
+    return `http://127.0.0.1:${server.address().port}`;
+}
+
+// Downloader com a página e o browser mínimos usados por fetchPdf
+function downloaderIn(dir) {
+    const downloader = new NFSeDownloader({
+        cnpj: MOCK_CNPJ,
+        senha: 'mock',
+        config: { DOWNLOAD_DIR: dir, DOWNLOAD_PDF: true, QUIET: true, LOG_TO_FILE: false, MUNICIPIO: '' }
+    });
+    downloader.page = { cookies: async () => [], url: () => 'http://127.0.0.1/' };
+    downloader.browser = { userAgent: async () => 'xmlitz-test' };
+    return downloader;
+}
+
+test('pdf: baixado ao lado do XML sem deixar diretório temporário', async (t) => {
+    const base = await startServer(t);
+    const dir = tempDir();
+    const pdfPath = path.join(dir, 'NFSe_1001.pdf');
+
+    const result = await downloaderIn(dir).fetchPdf(`${base}/nota.pdf`, pdfPath);
+
+    assert.deepEqual(result, { size: PDF.length, source: 'download' });
+    assert.deepEqual(fs.readFileSync(pdfPath), PDF);
+    assert.deepEqual(fs.readdirSync(dir), ['NFSe_1001.pdf']);
+});
+
+test('pdf: falha no download também remove o diretório temporário', async (t) => {
+    const base = await startServer(t);
+    const dir = tempDir();
+
+    await assert.rejects(downloaderIn(dir).fetchPdf(`${base}/erro`, path.join(dir, 'NFSe_1002.pdf')));
+    assert.deepEqual(fs.readdirSync(dir), []);
+});
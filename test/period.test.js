@@ -0,0 +1,39 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { splitIntoMonthlyWindows, relativePeriod } = require('../lib/period');
+
+test('period: divide o período em janelas por mês civil', () => {
+    assert.deepEqual(splitIntoMonthlyWindows('2025-01-15', '2025-03-10'), [
+        { id: '2025-01', start: '2025-01-15', end: '2025-01-31' },
+        { id: '2025-02', start: '2025-02-01', end: '2025-02-28' },
+        { id: '2025-03', start: '2025-03-01', end: '2025-03-10' }
+    ]);
+});
+
+test('period: virada de ano e fevereiro bissexto', () => {
+    const windows = splitIntoMonthlyWindows('2023-12-20', '2024-02-29');
+    assert.deepEqual(windows.map(window => window.id), ['2023-12', '2024-01', '2024-02']);
+    assert.equal(windows[2].end, '2024-02-29');
+});
+
+test('period: período de um mês vira uma janela; período vazio ou invertido, nenhuma', () => {
+    assert.deepEqual(splitIntoMonthlyWindows('2025-07-01', '2025-07-31'), [{ id: '2025-07', start: '2025-07-01', end: '2025-07-31' }]);
+    assert.deepEqual(splitIntoMonthlyWindows('2025-07-31', '2025-07-01'), []);
+    assert.deepEqual(splitIntoMonthlyWindows(null, '2025-07-01'), []);
+});
+
+test('period: períodos relativos a partir da data de referência', () => {
+    const reference = new Date(2025, 2, 1, 6, 0);    // 01/03/2025 06:00
+    assert.deepEqual(relativePeriod('ontem', reference), { start: '2025-02-28', end: '2025-02-28' });
+    assert.deepEqual(relativePeriod('hoje', reference), { start: '2025-03-01', end: '2025-03-01' });
+    assert.deepEqual(relativePeriod('mes-atual', reference), { start: '2025-03-01', end: '2025-03-01' });
+    assert.deepEqual(relativePeriod('competencia-anterior', reference), { start: '2025-02-01', end: '2025-02-28' });
+    assert.deepEqual(relativePeriod('MES-ANTERIOR', new Date(2025, 0, 15)), { start: '2024-12-01', end: '2024-12-31' });
+    assert.deepEqual(relativePeriod('ultimos-7-dias', reference), { start: '2025-02-22', end: '2025-02-28' });
+});
+
+test('period: especificação desconhecida retorna null', () => {
+    assert.equal(relativePeriod('semana-que-vem'), null);
+    assert.equal(relativePeriod('ultimos-0-dias'), null);
+    assert.equal(relativePeriod(''), null);
+});
@@ -0,0 +1,163 @@
+// Execução completa contra o portal simulado: login → pesquisa → download → organização,
+// sessão expirada e falhas injetadas. Precisa de um Chrome que o Puppeteer consiga iniciar
+// (PUPPETEER_EXECUTABLE_PATH ou o browser instalado pelo Puppeteer); sem ele, os testes
+// são pulados com o motivo.
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const path = require('path');
+const { NFSeDownloader, AdvancedLogger, createConfig } = require('..');
+const { createMockPortal } = require('../lib/mock-portal');
+const { scanNotes } = require('../lib/reconcile');
+const { MOCK_CNPJ, tempDir } = require('./helpers');
+
+const RANGE = { start: '2025-07-01', end: '2025-07-31' };
+
+// Configuração silenciosa e rápida para as execuções de teste
+const QUIET = {
+    HEADLESS: true,
+    DEBUG: false,
+    QUIET: true,
+    LOG_LEVEL: 'ERROR',
+    LOG_TO_FILE: false,
+    FORENSICS: false,
+    DELAY_BETWEEN_DOWNLOADS: 0,
+    RETRY_DELAY: 100,
+    MUNICIPIO: ''
+};
+
+let browser = null;
+let launchError = null;
+
+test.before(async () => {
+    const config = createConfig(QUIET);
+    try {
+        browser = await NFSeDownloader.launchBrowser(config, new AdvancedLogger(config));
+    } catch (error) {
+        launchError = error;
+    }
+});
+
+test.after(async () => {
+    if (browser) await browser.close();
+});
+
+// Pular o teste quando não há browser; retorna true se pulou
+function skipWithoutBrowser(t) {
+    if (browser) return false;
+    t.skip(`browser indisponível: ${launchError ? launchError.message.split('\n')[0] : 'não iniciado'}`);
+    return true;
+}
+
+async function startPortal(t, options = {}) {
+    const portal = createMockPortal({ count: 24, range: RANGE, pageSize: 5, ...options });
+    await portal.start();
+    t.after(() => portal.stop());
+    return portal;
+}
+
+// Downloader da conta do portal simulado, no browser compartilhado
+function downloaderFor(portal, dir, config = {}) {
+    return new NFSeDownloader({
+        cnpj: MOCK_CNPJ,
+        senha: 'mock',
+        browser,
+        config: {
+            ...QUIET,
+            LOGIN_URL: portal.loginUrl,
+            DATA_INICIAL: RANGE.start,
+            DATA_FINAL: RANGE.end,
+            DOWNLOAD_DIR: dir,
+            ...config
+        }
+    });
+}
+
+// Códigos de verificação dos XMLs organizados
+function organizedCodes(dir) {
+    return scanNotes(path.join(dir, 'organized')).map(note => note.codigoVerificacao).sort();
+}
+
+function expectedCodes(portal, tipo = 'emitidas') {
+    return portal.notes
+        .filter(note => note.tipo === tipo && !note.cancelada)
+        .map(note => note.codigoVerificacao)
+        .sort();
+}
+
+test('pipeline: login, pesquisa paginada, download e organização', async (t) => {
+    if (skipWithoutBrowser(t)) return;
+    const portal = await startPortal(t);
+    const dir = tempDir();
+
+    const report = await downloaderFor(portal, dir).run();
+
+    const expected = expectedCodes(portal);
+    assert.equal(report.status, 'completed');
+    assert.equal(report.execution.downloadsSuccessful, expected.length);
+    assert.equal(report.execution.downloadsFailed, 0);
+    assert.ok(report.execution.pagesProcessed > 1);
+    assert.deepEqual(organizedCodes(dir), expected);
+    assert.equal(report.reconciliation.summary.missing, 0);
+    assert.equal(portal.stats.logins, 1);
+});
+
+test('pipeline: segunda execução --incremental de recebidas não baixa nada de novo', async (t) => {
+    if (skipWithoutBrowser(t)) return;
+    const portal = await startPortal(t);
+    const dir = tempDir();
+    const config = { TIPO_NOTAS: 'recebidas', INCREMENTAL: true };
+
+    const first = await downloaderFor(portal, dir, config).run();
+    const expected = expectedCodes(portal, 'recebidas');
+    assert.equal(first.execution.downloadsSuccessful, expected.length);
+    const downloads = portal.stats.xmlDownloads;
+
+    const second = await downloaderFor(portal, dir, config).run();
+    assert.equal(second.execution.downloadsAttempted, 0);
+    assert.equal(second.execution.downloadsSkipped, expected.length);
+    assert.equal(portal.stats.xmlDownloads, downloads);
+});
+
+test('pipeline: sessão expirada no meio da execução gera novo login', async (t) => {
+    if (skipWithoutBrowser(t)) return;
+    const portal = await startPortal(t, { expireAfter: 6 });
+    const dir = tempDir();
+
+    const report = await downloaderFor(portal, dir, { PARALLEL_DOWNLOADS: 1 }).run();
+
+    assert.equal(report.status, 'completed');
+    assert.ok(portal.stats.sessionsExpired > 0);
+    assert.ok(report.execution.relogins > 0);
+    assert.deepEqual(organizedCodes(dir), expectedCodes(portal));
+});
+
+test('pipeline: falhas HTTP 500 e XMLs truncados não chegam à pasta organizada', async (t) => {
+    if (skipWithoutBrowser(t)) return;
+    const portal = await startPortal(t, { failRate: 0.25, corruptRate: 0.25, seed: 3 });
+    const dir = tempDir();
+
+    const report = await downloaderFor(portal, dir, { MAX_RETRIES: 6 }).run();
+
+    assert.ok(portal.stats.failuresInjected + portal.stats.corruptedInjected > 0);
+    assert.notEqual(report.status, 'failed');
+
+    // Tudo o que foi organizado é uma nota válida e completa do portal
+    const organized = scanNotes(path.join(dir, 'organized'));
+    const expected = new Set(expectedCodes(portal));
+    for (const note of organized) {
+        assert.ok(expected.has(note.codigoVerificacao), note.file);
+        assert.ok(note.valor !== null, note.file);
+    }
+    assert.equal(organized.length, report.execution.downloadsSuccessful);
+});
+
+test('pipeline: portal fora do ar e conta bloqueada falham com o erro tipado', async (t) => {
+    if (skipWithoutBrowser(t)) return;
+    // PortalUnavailableError espera 10s entre tentativas: uma só basta
+    const unavailable = await startPortal(t, { unavailable: true });
+    await assert.rejects(downloaderFor(unavailable, tempDir(), { MAX_RETRIES: 1 }).run(), { name: 'PortalUnavailableError' });
+
+    const blocked = await startPortal(t, { blocked: true });
+    await assert.rejects(downloaderFor(blocked, tempDir()).run(), { name: 'AccountBlockedError' });
+    assert.equal(blocked.stats.loginsRejected, 1);
+});
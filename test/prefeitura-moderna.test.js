@@ -0,0 +1,118 @@
+// Adaptador prefeitura-moderna sem browser: a tabela de resultados é carregada no
+// jsdom e as funções que o adaptador executa via page.evaluate rodam sobre ela
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const path = require('path');
+const { JSDOM } = require('jsdom');
+const { NFSeDownloader } = require('..');
+const { createAdapter } = require('../lib/adapters');
+const { Ledger } = require('../lib/ledger');
+const { MOCK_CNPJ, tempDir, sampleNotes, writeNotes } = require('./helpers');
+
+const URL = 'https://imperatriz-ma.prefeituramoderna.com.br/meuiss_new/nfe/index.php?pg=relatorio&consulta=1';
+
+// Subconjunto da Page do Puppeteer usado pelo adaptador na tabela de resultados
+function domPage(html) {
+    const dom = new JSDOM(html, { url: URL });
+    return {
+        url: () => URL,
+        $$: async selector => Array.from(dom.window.document.querySelectorAll(selector)),
+        evaluate: async (fn, ...args) => {
+            const previous = { document: global.document, window: global.window };
+            global.document = dom.window.document;
+            global.window = dom.window;
+            try {
+                return fn(...args);
+            } finally {
+                global.document = previous.document;
+                global.window = previous.window;
+            }
+        }
+    };
+}
+
+// Tabela de notas recebidas como o portal exibe; columns: cabeçalho → valor da célula
+function resultsPage(notes, columns = {
+    'Número': note => note.numero,
+    'Data de Emissão': note => note.dataEmissao.slice(0, 10).split('-').reverse().join('/'),
+    'Prestador': note => note.prestador.nome,
+    'Valor': note => `R$ ${note.valor.toFixed(2).replace('.', ',')}`,
+    'Código de Verificação': note => note.codigoVerificacao,
+    'Situação': () => 'Normal'
+}) {
+    const headers = Object.keys(columns);
+    const rows = notes.map(note => `<tr>${headers.map(header => `<td>${columns[header](note)}</td>`).join('')}
+        <td><div class="dropdown"><button class="btn dropdown-toggle">Ações</button>
+        <div class="dropdown-menu"><a class="dropdown-item" href="index.php?pg=xml&amp;cd=${note.numero}">Baixar XML</a></div></div></td></tr>`);
+
+    return domPage(`<table class="table">
+        <thead><tr>${headers.map(header => `<th>${header}</th>`).join('')}<th>Ações</th></tr></thead>
+        <tbody>${rows.join('\n')}</tbody>
+    </table>`);
+}
+
+const adapter = createAdapter('prefeitura-moderna', { loginUrl: URL, config: {}, logger: null });
+const recebidas = sampleNotes(12).filter(note => note.tipo === 'recebidas');
+
+test('prefeitura-moderna: getRowInfo e listRows leem o código de verificação pelo cabeçalho', async () => {
+    const page = resultsPage(recebidas);
+
+    for (let row = 1; row <= recebidas.length; row++) {
+        const info = await adapter.getRowInfo(page, row);
+        assert.equal(info.numero, recebidas[row - 1].numero);
+        assert.equal(info.prestador, recebidas[row - 1].prestador.nome);
+        assert.equal(info.codigoVerificacao, recebidas[row - 1].codigoVerificacao);
+    }
+
+    const rows = await adapter.listRows(page);
+    assert.deepEqual(rows.map(row => row.codigoVerificacao), recebidas.map(note => note.codigoVerificacao));
+    assert.ok(rows.every(row => row.colunas['Código de Verificação'] === row.codigoVerificacao));
+});
+
+test('prefeitura-moderna: coluna do código em outra posição ou ausente', async () => {
+    const [note] = recebidas;
+    const moved = resultsPage([note], {
+        'Número': n => n.numero,
+        'Data': () => '01/07/2025',
+        'Prestador': n => n.prestador.nome,
+        'Valor': () => 'R$ 1,00',
+        'Situação': () => 'Normal',
+        'Cód. Verificação': n => n.codigoVerificacao
+    });
+    assert.equal((await adapter.getRowInfo(moved, 1)).codigoVerificacao, note.codigoVerificacao);
+
+    const without = resultsPage([note], {
+        'Número': n => n.numero,
+        'Data': () => '01/07/2025',
+        'Prestador': n => n.prestador.nome,
+        'Valor': () => 'R$ 1,00'
+    });
+    assert.equal((await adapter.getRowInfo(without, 1)).codigoVerificacao, null);
+    assert.equal((await adapter.listRows(without))[0].codigoVerificacao, null);
+});
+
+// Regressão: no modo incremental, notas recebidas já baixadas seriam baixadas de novo
+// se a linha da tabela viesse sem o código de verificação
+test('prefeitura-moderna: --incremental pula as notas recebidas já registradas no ledger', async () => {
+    const dir = tempDir();
+    const downloader = new NFSeDownloader({
+        cnpj: MOCK_CNPJ,
+        senha: 'x',
+        loginUrl: URL,
+        config: { TIPO_NOTAS: 'recebidas', SITUACAO: 'todas', INCREMENTAL: true, DOWNLOAD_DIR: dir, QUIET: true, LOG_TO_FILE: false, MUNICIPIO: '' }
+    });
+
+    // Ledger com as notas já baixadas em uma execução anterior
+    const ledger = new Ledger(path.join(dir, 'nfse-ledger.jsonl'));
+    ledger.load();
+    for (const file of writeNotes(path.join(dir, 'anterior'), recebidas)) {
+        ledger.recordFile(downloader.ledgerOwner(), file);
+    }
+
+    downloader.page = resultsPage(recebidas);
+    downloader.ledger = ledger;
+    downloader.progress = { currentWindow: '2025-07', downloadResults: [] };
+
+    assert.deepEqual(await downloader.selectRowsToDownload(recebidas.length, 1), []);
+    assert.equal(downloader.skippedNotes.length, recebidas.length);
+});
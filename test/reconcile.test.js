@@ -0,0 +1,92 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const path = require('path');
+const { reconcile, coversWholePeriod, scanNotes, parseNoteXML, parseValor, parseData } = require('../lib/reconcile');
+const { MOCK_CNPJ, tempDir, sampleNotes, writeNotes } = require('./helpers');
+
+// Linha da listagem do portal para a nota (como a tabela exibe)
+function listed(note, changes = {}) {
+    const [date] = note.dataEmissao.split('T');
+    const [year, month, day] = date.split('-');
+    return {
+        numero: note.numero,
+        data: `${day}/${month}/${year}`,
+        valor: `R$ ${note.valor.toFixed(2).replace('.', ',')}`,
+        ...changes
+    };
+}
+
+test('reconcile: valores e datas no formato do portal e do XML', () => {
+    assert.equal(parseValor('R$ 1.500,50'), 1500.5);
+    assert.equal(parseValor('1500.00'), 1500);
+    assert.equal(parseValor('—'), null);
+    assert.equal(parseValor(null), null);
+    assert.equal(parseData('18/07/2025 10:37'), '2025-07-18');
+    assert.equal(parseData('2025-07-18T10:37:35'), '2025-07-18');
+    assert.equal(parseData('ontem'), null);
+});
+
+test('reconcile: dados de conferência do XML', () => {
+    const [note] = sampleNotes(1);
+    assert.deepEqual(parseNoteXML(note.xml), {
+        numero: note.numero,
+        codigoVerificacao: note.codigoVerificacao,
+        valor: note.valor,
+        data: note.dataEmissao.slice(0, 10),
+        prestadorCnpj: note.prestador.cnpj,
+        tomadorCnpj: note.tomador.cnpj
+    });
+});
+
+test('reconcile: scanNotes ignora quarentena, workers e arquivos ocultos', () => {
+    const dir = tempDir();
+    const notes = sampleNotes(4);
+    writeNotes(path.join(dir, 'organizados', '2025', '07'), notes.slice(0, 2));
+    writeNotes(path.join(dir, 'quarantine'), notes.slice(2, 3));
+    writeNotes(path.join(dir, '.workers', '1'), notes.slice(3, 4));
+    fs.writeFileSync(path.join(dir, '.parcial.xml'), notes[3].xml);
+
+    const found = scanNotes(dir).map(note => note.numero).sort();
+    assert.deepEqual(found, notes.slice(0, 2).map(note => note.numero).sort());
+    assert.deepEqual(scanNotes(path.join(dir, 'inexistente')), []);
+});
+
+test('reconcile: conferidas, divergentes, faltantes, extras e sem número', () => {
+    const emitidas = sampleNotes(12).filter(note => note.tipo === 'emitidas');
+    const [ok, divergente, faltante, extra] = emitidas;
+    const notes = [ok, divergente, extra].map(note => ({ file: `${note.numero}.xml`, ...parseNoteXML(note.xml) }));
+
+    const result = reconcile([
+        listed(ok),
+        listed(divergente, { valor: 'R$ 1,00' }),
+        listed(faltante),
+        { numero: 'N/A', data: '', valor: '' }
+    ], notes, { cnpj: MOCK_CNPJ, period: { start: '2025-07-01', end: '2025-07-31' } });
+
+    assert.deepEqual(result.summary, { listed: 4, matched: 1, divergent: 1, missing: 1, extra: 1, unidentified: 1 });
+    assert.equal(result.matched[0].file, `${ok.numero}.xml`);
+    assert.deepEqual(result.divergent[0].differences, [{ field: 'valor', listed: 'R$ 1,00', xml: divergente.valor }]);
+    assert.equal(result.missing[0].numero, faltante.numero);
+    assert.equal(result.extra[0].numero, extra.numero);
+});
+
+test('reconcile: listagem parcial não aponta extras; recebidas conferem o tomador', () => {
+    const notes = sampleNotes(12);
+    const recebida = notes.find(note => note.tipo === 'recebidas');
+    const scanned = notes.map(note => ({ file: `${note.numero}.xml`, ...parseNoteXML(note.xml) }));
+
+    const partial = reconcile([], scanned, { cnpj: MOCK_CNPJ, complete: false });
+    assert.equal(partial.summary.extra, 0);
+
+    const received = reconcile([listed(recebida)], scanned, { cnpj: MOCK_CNPJ, tipo: 'recebidas' });
+    assert.equal(received.summary.matched, 1);
+    assert.equal(received.summary.extra, notes.filter(note => note.tipo === 'recebidas').length - 1);
+});
+
+test('reconcile: filtros que restringem a pesquisa não cobrem o período inteiro', () => {
+    assert.ok(coversWholePeriod({ tipo: 'emitidas', situacao: 'todas', numeroInicial: null, valorMinimo: '' }));
+    assert.ok(!coversWholePeriod({ numeroInicial: 10 }));
+    assert.ok(!coversWholePeriod({ documento: '44555666000199' }));
+    assert.ok(!coversWholePeriod({ situacao: 'canceladas' }));
+});
@@ -0,0 +1,119 @@
+// Laço do agendador com execuções simuladas (BatchRunner.run substituído por uma espera)
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const path = require('path');
+const { CONFIG } = require('../nfse-downloader');
+const { BatchRunner } = require('../lib/batch');
+const { Scheduler, loadSchedule, parseDuration, STATE_FILE } = require('../lib/scheduler');
+const { ConfigError } = require('../lib/errors');
+const { MOCK_CNPJ, tempDir } = require('./helpers');
+
+Object.assign(CONFIG, { QUIET: true, LOG_TO_FILE: false });
+
+const RUN_TIME = 400;
+
+// Execuções do lote demoram RUN_TIME ms e terminam com sucesso
+test.beforeEach(t => {
+    t.mock.method(BatchRunner.prototype, 'run', async function () {
+        await new Promise(resolve => setTimeout(resolve, RUN_TIME));
+        return { summary: { companies: this.companies.length, successful: this.companies.length, failed: 0 } };
+    });
+});
+
+// Cron diário no minuto que acabou de passar: uma ocorrência vencida e a próxima só
+// amanhã, seja qual for o ponto do minuto em que o teste roda
+function lastMinuteCron() {
+    const last = new Date(Date.now() - 60 * 1000);
+    return `${last.getMinutes()} ${last.getHours()} * * *`;
+}
+
+// Agenda com os jobs informados e estado iniciado há 3 min (uma ocorrência vencida por job)
+function createScheduler(dir, options, jobs) {
+    const file = path.join(dir, 'agenda.json');
+    fs.writeFileSync(file, JSON.stringify({ ...options, jobs: jobs.map(job => ({ cron: lastMinuteCron(), ...job })) }));
+    const schedule = loadSchedule(file);
+
+    const since = new Date(Date.now() - 3 * 60 * 1000).toISOString();
+    const state = { version: 1, jobs: {} };
+    schedule.jobs.forEach(job => { state.jobs[job.id] = { since, runs: 0 }; });
+    fs.writeFileSync(path.join(dir, STATE_FILE), JSON.stringify(state));
+
+    return new Scheduler(schedule, dir);
+}
+
+// Contar as reavaliações da agenda (cada uma é uma volta do laço principal)
+function countWakeUps(scheduler) {
+    const counter = { calls: 0 };
+    const nextWakeUp = scheduler.nextWakeUp.bind(scheduler);
+    scheduler.nextWakeUp = () => {
+        counter.calls++;
+        return nextWakeUp();
+    };
+    return counter;
+}
+
+test('scheduler: durações da agenda', () => {
+    assert.equal(parseDuration('90'), 90 * 1000);
+    assert.equal(parseDuration('5m'), 5 * 60 * 1000);
+    assert.equal(parseDuration('1H'), 60 * 60 * 1000);
+    assert.equal(parseDuration(undefined), 0);
+    assert.equal(parseDuration('5 minutos'), null);
+});
+
+test('scheduler: agenda inválida acumula os erros por job', () => {
+    const dir = tempDir();
+    const file = path.join(dir, 'agenda.json');
+    fs.writeFileSync(file, JSON.stringify({ concurrency: 0, jobs: [{ cron: '* * *', periodo: 'sempre', cnpj: MOCK_CNPJ, senha: 'x' }] }));
+
+    assert.throws(() => loadSchedule(file), error => {
+        assert.ok(error instanceof ConfigError);
+        assert.equal(error.errors.length, 3);
+        return true;
+    });
+});
+
+test('scheduler: laço fica parado enquanto o job está em execução', async () => {
+    const dir = tempDir();
+    const scheduler = createScheduler(dir, {}, [
+        { id: 'diario', periodo: 'ontem', catchUp: 0, cnpj: MOCK_CNPJ, senha: 'x' }
+    ]);
+    const wakeUps = countWakeUps(scheduler);
+
+    const summary = await scheduler.run({ once: true });
+
+    assert.equal(summary.runs, 1);
+    assert.equal(summary.successful, 1);
+    // Uma volta ao iniciar o job e outra quando ele termina
+    assert.ok(wakeUps.calls <= 2, `${wakeUps.calls} reavaliações durante ${RUN_TIME}ms de execução`);
+});
+
+test('scheduler: job barrado pela concorrência espera o fim da execução em andamento', async () => {
+    const dir = tempDir();
+    const scheduler = createScheduler(dir, { concurrency: 1 }, [
+        { id: 'empresa-a', periodo: 'ontem', catchUp: 0, cnpj: MOCK_CNPJ, senha: 'x' },
+        { id: 'empresa-b', periodo: 'ontem', catchUp: 0, cnpj: '44555666000181', senha: 'y' }
+    ]);
+    const wakeUps = countWakeUps(scheduler);
+
+    const startedAt = Date.now();
+    const summary = await scheduler.run({ once: true });
+
+    assert.deepEqual(summary.results.map(result => result.job), ['empresa-a', 'empresa-b']);
+    assert.ok(Date.now() - startedAt >= RUN_TIME * 2);
+    assert.ok(wakeUps.calls <= 3, `${wakeUps.calls} reavaliações durante ${RUN_TIME * 2}ms de execução`);
+});
+
+test('scheduler: job da mesma empresa aguarda sem reavaliar a agenda', async () => {
+    const dir = tempDir();
+    const scheduler = createScheduler(dir, { concurrency: 2 }, [
+        { id: 'emitidas', periodo: 'ontem', catchUp: 0, cnpj: MOCK_CNPJ, senha: 'x' },
+        { id: 'recebidas', periodo: 'ontem', catchUp: 0, cnpj: MOCK_CNPJ, senha: 'x', tipoNotas: 'recebidas' }
+    ]);
+    const wakeUps = countWakeUps(scheduler);
+
+    const summary = await scheduler.run({ once: true });
+
+    assert.equal(summary.runs, 2);
+    assert.ok(wakeUps.calls <= 3, `${wakeUps.calls} reavaliações durante ${RUN_TIME * 2}ms de execução`);
+});
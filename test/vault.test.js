@@ -0,0 +1,138 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const path = require('path');
+const { spawnSync } = require('child_process');
+const { CredentialVault, openVault, withVaultCredentials } = require('../lib/vault');
+const { VaultError } = require('../lib/errors');
+const { NFSeDownloader } = require('../nfse-downloader');
+const { MOCK_CNPJ, tempDir } = require('./helpers');
+
+const PASSPHRASE = 'senha-mestra-de-teste';
+
+// Cofre gravado com uma empresa
+function createVault(dir) {
+    const filePath = path.join(dir, 'nfse-vault.json');
+    const vault = CredentialVault.create(filePath, PASSPHRASE);
+    vault.add('empresa-a', { cnpj: '11.222.333/0001-81', senha: 'portal-a', nome: 'Empresa A', municipio: 'imperatriz-ma' });
+    vault.save();
+    return filePath;
+}
+
+test('vault: cadastra, grava cifrado e reabre com a senha mestra', () => {
+    const filePath = createVault(tempDir());
+
+    const content = fs.readFileSync(filePath, 'utf8');
+    assert.ok(!content.includes('portal-a'));
+    assert.ok(!content.includes(MOCK_CNPJ));
+    assert.equal(JSON.parse(content).format, 'xmlitz-vault');
+    if (process.platform !== 'win32') {
+        assert.equal(fs.statSync(filePath).mode & 0o777, 0o600);
+    }
+
+    const vault = CredentialVault.open(filePath, PASSPHRASE);
+    assert.deepEqual(vault.get('empresa-a'), {
+        id: 'empresa-a',
+        cnpj: MOCK_CNPJ,
+        senha: 'portal-a',
+        nome: 'Empresa A',
+        municipio: 'imperatriz-ma',
+        createdAt: vault.companies['empresa-a'].createdAt,
+        updatedAt: vault.companies['empresa-a'].updatedAt
+    });
+    assert.equal(vault.list()[0].senha, undefined);
+});
+
+test('vault: senha mestra incorreta e cabeçalho alterado dão o mesmo erro', () => {
+    const filePath = createVault(tempDir());
+    assert.throws(() => CredentialVault.open(filePath, 'outra-senha'), /Senha mestra incorreta/);
+
+    const stored = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+    stored.kdf.salt = Buffer.alloc(16).toString('base64');
+    fs.writeFileSync(filePath, JSON.stringify(stored));
+    assert.throws(() => CredentialVault.open(filePath, PASSPHRASE), /Senha mestra incorreta/);
+});
+
+test('vault: cofre inexistente, sem senha mestra ou com formato desconhecido', () => {
+    const dir = tempDir();
+    assert.throws(() => CredentialVault.open(path.join(dir, 'nenhum.json'), PASSPHRASE), /Cofre não encontrado/);
+
+    const filePath = createVault(dir);
+    assert.throws(() => CredentialVault.open(filePath, ''), /Senha mestra do cofre não informada/);
+
+    fs.writeFileSync(filePath, JSON.stringify({ format: 'outro' }));
+    assert.throws(() => CredentialVault.open(filePath, PASSPHRASE), /Formato de cofre não suportado/);
+});
+
+test('vault: validações de cadastro', () => {
+    const dir = tempDir();
+    assert.throws(() => CredentialVault.create(path.join(dir, 'curta.json'), '1234567'), VaultError);
+
+    const vault = CredentialVault.open(createVault(dir), PASSPHRASE);
+    assert.throws(() => CredentialVault.create(vault.filePath, PASSPHRASE), /já existe/);
+    assert.throws(() => vault.add('Empresa_A', { cnpj: MOCK_CNPJ, senha: 'x' }), /ID de empresa inválido/);
+    assert.throws(() => vault.add('empresa-a', { cnpj: MOCK_CNPJ, senha: 'x' }), /já cadastrada/);
+    assert.throws(() => vault.add('empresa-b', { cnpj: '11222333000100', senha: 'x' }), /CNPJ inválido/);
+    assert.throws(() => vault.add('empresa-b', { cnpj: MOCK_CNPJ }), /Senha do portal não informada/);
+    assert.throws(() => vault.get('empresa-b'), /não encontrada no cofre/);
+});
+
+test('vault: troca de senha e remoção persistem', () => {
+    const filePath = createVault(tempDir());
+    const vault = CredentialVault.open(filePath, PASSPHRASE);
+    vault.add('empresa-b', { cnpj: '44555666000181', senha: 'portal-b' });
+    vault.rotate('empresa-a', 'nova-senha');
+    vault.remove('empresa-b');
+    vault.save();
+
+    const reopened = CredentialVault.open(filePath, PASSPHRASE);
+    assert.deepEqual(reopened.list().map(company => company.id), ['empresa-a']);
+    assert.equal(reopened.get('empresa-a').senha, 'nova-senha');
+    assert.throws(() => reopened.rotate('empresa-a', ''), VaultError);
+});
+
+test('vault: credenciais do cofre completam as opções da execução', () => {
+    const filePath = createVault(tempDir());
+    const vault = openVault({ VAULT_FILE: filePath, VAULT_PASSPHRASE: PASSPHRASE });
+
+    const options = withVaultCredentials({ company: 'empresa-a', cnpj: '00000000000000', senha: 'ignorada', nome: 'Nome da execução' }, vault);
+    assert.equal(options.cnpj, MOCK_CNPJ);
+    assert.equal(options.senha, 'portal-a');
+    assert.equal(options.nome, 'Nome da execução');
+    assert.equal(options.municipio, 'imperatriz-ma');
+    assert.equal(options.loginUrl, undefined);
+});
+
+test('vault: downloader com empresa do cofre só abre o cofre em init()', async () => {
+    const dir = tempDir();
+    const base = { QUIET: true, LOG_TO_FILE: false, DOWNLOAD_DIR: dir, COMPANY: 'empresa-a' };
+
+    // Sem cofre: construir (relatório, quarentena) funciona; a execução falha ao inicializar
+    const missing = new NFSeDownloader({ config: { ...base, VAULT_FILE: path.join(dir, 'ausente.json') } });
+    assert.equal(missing.company.id, 'empresa-a');
+    await assert.rejects(() => missing.init(), VaultError);
+
+    const downloader = new NFSeDownloader({
+        config: { ...base, VAULT_FILE: createVault(dir), VAULT_PASSPHRASE: PASSPHRASE }
+    });
+    downloader.resolveCompany();
+    assert.deepEqual(downloader.company, { id: 'empresa-a', cnpj: MOCK_CNPJ, senha: 'portal-a', nome: 'Empresa A' });
+});
+
+test('vault: xmlitz report com NFSE_COMPANY não exige o cofre', () => {
+    const dir = tempDir();
+    const reportPath = path.join(dir, 'nfse-report-teste.json');
+    fs.writeFileSync(reportPath, JSON.stringify({
+        execution: { totalTime: '1s', successRate: '100%', notesFound: 1, downloadsSuccessful: 1, downloadsFailed: 0 },
+        files: { validFilesConfirmed: 1, invalidFilesDetected: 0 },
+        details: { failedDownloads: [], invalidFiles: [] },
+        recommendations: []
+    }));
+
+    const result = spawnSync(process.execPath, [path.join(__dirname, '..', 'bin', 'xmlitz.js'), 'report', reportPath], {
+        encoding: 'utf8',
+        env: { ...process.env, NFSE_COMPANY: 'empresa-a', NFSE_VAULT_FILE: path.join(dir, 'ausente.json'), NFSE_LOG_TO_FILE: 'false' }
+    });
+    assert.equal(result.status, 0, result.stderr);
+    assert.match(result.stdout, /RELATÓRIO FINAL DE EXECUÇÃO/);
+});
@@ -0,0 +1,52 @@
+// Downloads tardios dos workers (arquivos que chegam depois do fim da espera)
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const path = require('path');
+const { NFSeDownloader } = require('..');
+const { DownloadWorkerPool, WORKERS_DIR } = require('../lib/worker-pool');
+const { Ledger } = require('../lib/ledger');
+const { MOCK_CNPJ, tempDir, sampleNotes, writeNotes } = require('./helpers');
+
+// Browser mínimo: contextos com uma página, sem CDP (workers sem DownloadTracker)
+const fakeBrowser = {
+    createBrowserContext: async () => ({ newPage: async () => ({}), close: async () => {} })
+};
+
+test('worker-pool: close sem handler descarta os arquivos dos workers', async () => {
+    const dir = tempDir();
+    const pool = new DownloadWorkerPool(fakeBrowser, dir, 2);
+    const workers = await pool.start(async () => null);
+    writeNotes(workers[0].downloadDir, sampleNotes(1));
+
+    await pool.close();
+
+    assert.ok(!fs.existsSync(path.join(dir, WORKERS_DIR)));
+    assert.deepEqual(fs.readdirSync(dir), []);
+});
+
+test('worker-pool: downloads tardios passam pela validação, quarentena e ledger', async () => {
+    const dir = tempDir();
+    const downloader = new NFSeDownloader({
+        cnpj: MOCK_CNPJ,
+        senha: 'mock',
+        config: { DOWNLOAD_DIR: dir, QUIET: true, LOG_TO_FILE: false, MUNICIPIO: '' }
+    });
+    downloader.ledger = new Ledger(path.join(dir, 'nfse-ledger.jsonl'));
+    downloader.ledger.load();
+
+    downloader.workerPool = new DownloadWorkerPool(fakeBrowser, dir, 2);
+    const workers = await downloader.workerPool.start(async () => null);
+    const [valid] = writeNotes(workers[0].downloadDir, sampleNotes(1));
+    fs.writeFileSync(path.join(workers[1].downloadDir, 'sessao-expirada.xml'), `<html><body>${'Sessão expirada. '.repeat(20)}</body></html>`);
+
+    await downloader.cleanup();
+
+    assert.ok(fs.existsSync(path.join(dir, path.basename(valid))));
+    assert.ok(downloader.ledger.has({ cnpj: MOCK_CNPJ, numero: sampleNotes(1)[0].numero }));
+    const quarantined = fs.readdirSync(path.join(dir, 'quarantine'));
+    assert.ok(quarantined.some(file => file.endsWith('_sessao-expirada.xml')));
+    assert.ok(!fs.existsSync(path.join(dir, 'sessao-expirada.xml')));
+    assert.ok(!fs.existsSync(path.join(dir, WORKERS_DIR)));
+    assert.equal(downloader.workerPool, null);
+});